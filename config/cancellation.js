@@ -0,0 +1,63 @@
+// Location: /config/cancellation.js
+// Cancellation reasons and the fee / driver compensation policy
+// (services/cancellationService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  currency: "INR",
+  // Reason codes offered to each kind of actor. waiveFee: the rider is not
+  // charged because the cancellation was not their fault.
+  reasons: [
+    { code: "changed_plans", label: "Changed plans", actors: ["rider"] },
+    { code: "booked_by_mistake", label: "Booked by mistake", actors: ["rider"] },
+    { code: "found_alternative", label: "Found another ride", actors: ["rider"] },
+    { code: "driver_too_far", label: "Driver is too far away", actors: ["rider"], waiveFee: true },
+    { code: "driver_not_moving", label: "Driver is not moving", actors: ["rider"], waiveFee: true },
+    { code: "driver_asked_to_cancel", label: "Driver asked me to cancel", actors: ["rider"], waiveFee: true },
+    { code: "rider_no_show", label: "Rider did not show up", actors: ["driver"] },
+    { code: "rider_unreachable", label: "Could not reach the rider", actors: ["driver"] },
+    { code: "vehicle_issue", label: "Vehicle problem", actors: ["driver"], waiveFee: true },
+    { code: "unsafe_pickup", label: "Pickup location is unsafe", actors: ["driver"], waiveFee: true },
+    { code: "no_driver_found", label: "No driver available", actors: ["system", "admin"], waiveFee: true },
+    { code: "payment_issue", label: "Payment problem", actors: ["system", "admin"] },
+    { code: "fraud_suspected", label: "Suspected fraud", actors: ["admin"] },
+    { code: "support_request", label: "Cancelled on request by support", actors: ["admin"], waiveFee: true },
+    { code: "other", label: "Other", actors: ["rider", "driver", "admin", "system"] },
+  ],
+  // Rules are checked in order and the first match applies. A rule matches on
+  // who cancelled, the status the ride was in, and optionally a minimum number
+  // of minutes since the driver accepted. Fees are charged to the rider;
+  // driverCompensationPercent of the fee is paid out to the driver.
+  rules: [
+    {
+      id: "rider_after_arrival",
+      actor: "rider",
+      statuses: ["arrived"],
+      fee: numberFromEnv("CANCELLATION_FEE_AFTER_ARRIVAL", 75),
+      driverCompensationPercent: numberFromEnv("CANCELLATION_DRIVER_SHARE_PERCENT", 80),
+    },
+    {
+      id: "rider_late_after_accept",
+      actor: "rider",
+      statuses: ["accepted"],
+      minMinutesSinceAccept: numberFromEnv("CANCELLATION_FREE_MINUTES_AFTER_ACCEPT", 5),
+      fee: numberFromEnv("CANCELLATION_FEE_AFTER_ACCEPT", 40),
+      driverCompensationPercent: numberFromEnv("CANCELLATION_DRIVER_SHARE_PERCENT", 80),
+    },
+    {
+      // Drivers cancelling after waiting at the pickup are compensated for the
+      // no-show and the rider is charged as for a late cancellation
+      id: "driver_rider_no_show",
+      actor: "driver",
+      statuses: ["arrived"],
+      reasons: ["rider_no_show", "rider_unreachable"],
+      minMinutesSinceArrival: numberFromEnv("CANCELLATION_NO_SHOW_WAIT_MINUTES", 5),
+      fee: numberFromEnv("CANCELLATION_FEE_AFTER_ARRIVAL", 75),
+      driverCompensationPercent: numberFromEnv("CANCELLATION_DRIVER_SHARE_PERCENT", 80),
+    },
+  ],
+}
@@ -0,0 +1,20 @@
+// Location: /config/cash.js
+// Cash-on-delivery collection and the cash drivers may hold (services/cashService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  currency: "INR",
+  // Cash a driver may hold before depositing; a driver's own cashLimit overrides it
+  cashLimit: numberFromEnv("DRIVER_CASH_LIMIT", 5000),
+  // "warn" keeps dispatching and alerts admins; "block" stops offers to
+  // drivers at or over their limit until they deposit
+  limitMode: process.env.DRIVER_CASH_LIMIT_MODE === "block" ? "block" : "warn",
+  // Drivers get a warning from this share of their limit
+  warnAtPercent: numberFromEnv("DRIVER_CASH_WARN_PERCENT", 80),
+  // Collected vs expected differences up to this are not flagged
+  discrepancyTolerance: numberFromEnv("CASH_DISCREPANCY_TOLERANCE", 1),
+}
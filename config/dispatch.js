@@ -0,0 +1,31 @@
+// Location: /config/dispatch.js
+// Tunables for the dispatch engine. Every value can be overridden through the environment.
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // How long a driver has to accept an offer before it moves to the next candidate
+  offerTimeoutMs: numberFromEnv("DISPATCH_OFFER_TIMEOUT_MS", 20000),
+  // Maximum number of drivers a ride is offered to before dispatch gives up
+  maxAttempts: numberFromEnv("DISPATCH_MAX_ATTEMPTS", 5),
+  // Drivers further away than this from the pickup are not considered
+  searchRadiusKm: numberFromEnv("DISPATCH_SEARCH_RADIUS_KM", 10),
+  // Drivers below this battery level are not offered rides
+  minBatteryLevel: numberFromEnv("DISPATCH_MIN_BATTERY_LEVEL", 20),
+  // Relative weight of each ranking factor (they do not need to add up to 1)
+  weights: {
+    distance: numberFromEnv("DISPATCH_WEIGHT_DISTANCE", 0.5),
+    vehicle: numberFromEnv("DISPATCH_WEIGHT_VEHICLE", 0.2),
+    battery: numberFromEnv("DISPATCH_WEIGHT_BATTERY", 0.1),
+    rating: numberFromEnv("DISPATCH_WEIGHT_RATING", 0.2),
+  },
+  // Driver vehicle types able to serve each service, most preferred first
+  serviceVehicleTypes: {
+    Ride: ["Car", "Electric vehicle", "Bike"],
+    "Food-Delivery": ["Bike", "Electric vehicle", "Car"],
+    "Courier-Delivery": ["Bike", "Van", "Electric vehicle", "Car", "Truck"],
+  },
+}
@@ -0,0 +1,18 @@
+// Location: /config/jobs.js
+// Settings for the MongoDB-backed job scheduler (services/jobScheduler.js).
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // How often the scheduler looks for due jobs
+  pollIntervalMs: numberFromEnv("JOBS_POLL_INTERVAL_MS", 15000),
+  // A running job whose worker has not finished after this long is picked up again
+  lockTimeoutMs: numberFromEnv("JOBS_LOCK_TIMEOUT_MS", 10 * 60 * 1000),
+  // Failed jobs are retried this many times in total
+  maxAttempts: numberFromEnv("JOBS_MAX_ATTEMPTS", 3),
+  // First retry delay, doubled for every further attempt
+  retryDelayMs: numberFromEnv("JOBS_RETRY_DELAY_MS", 60 * 1000),
+}
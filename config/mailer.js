@@ -0,0 +1,15 @@
+// Location: /config/mailer.js
+// Shared nodemailer transport. Credentials come from EMAIL_USER / EMAIL_PASS.
+
+const nodemailer = require("nodemailer")
+require("dotenv").config()
+
+const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+  },
+})
+
+module.exports = transporter
@@ -0,0 +1,31 @@
+// Location: /config/payouts.js
+// Driver earnings, commission defaults and weekly settlements
+// (services/earningsService.js, services/settlementService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  currency: "INR",
+  // Platform commission on the fare before tax when no commission rule matches
+  defaultCommissionPercent: numberFromEnv("DEFAULT_COMMISSION_PERCENT", 20),
+  // Settlement weeks in local time; 0 = Sunday, 1 = Monday
+  timezone: process.env.PAYOUT_TIMEZONE || "Asia/Kolkata",
+  weekStartsOn: numberFromEnv("PAYOUT_WEEK_STARTS_ON", 1),
+  // Batch for the week just ended is generated on this weekday and time
+  settlementRun: {
+    weekday: numberFromEnv("SETTLEMENT_RUN_WEEKDAY", 1),
+    hour: numberFromEnv("SETTLEMENT_RUN_HOUR", 3),
+    minute: numberFromEnv("SETTLEMENT_RUN_MINUTE", 0),
+  },
+  // Net amounts below this are carried into the next week instead of paid out
+  minimumPayout: numberFromEnv("MINIMUM_PAYOUT", 100),
+  // Bulk NEFT / RTGS upload file for the paying bank
+  bank: {
+    // Amounts from this value go by RTGS, smaller ones by NEFT
+    rtgsThreshold: numberFromEnv("PAYOUT_RTGS_THRESHOLD", 200000),
+    narrationPrefix: process.env.PAYOUT_NARRATION_PREFIX || "DRIVER PAYOUT",
+  },
+}
@@ -0,0 +1,48 @@
+// Location: /config/pricing.js
+// Fallback rate cards and estimation settings for the fare engine (services/fareService.js).
+// Rate cards stored in the RateCard collection take precedence over these defaults.
+// Amounts are in INR.
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+// Shared by every default card unless overridden
+const COMMON = {
+  currency: "INR",
+  freeWaitingMinutes: 3,
+  waitingPerMinute: 2,
+  nightMultiplier: 1.25,
+  nightStartHour: 23,
+  nightEndHour: 5,
+  taxPercent: 5,
+  // Charged for every stop between the first pickup and the final drop
+  perStop: 20,
+}
+
+module.exports = {
+  // Local time zone used to decide whether a trip falls in the night window
+  timezone: process.env.PRICING_TIMEZONE || "Asia/Kolkata",
+  // Straight-line distance is multiplied by this to approximate road distance
+  roadDistanceFactor: numberFromEnv("PRICING_ROAD_DISTANCE_FACTOR", 1.3),
+  // Used to estimate trip duration when the client does not send one
+  averageSpeedKmh: numberFromEnv("PRICING_AVERAGE_SPEED_KMH", 25),
+  // Keyed by service, then by vehicle type ("default" applies to any other type)
+  defaultRateCards: {
+    Ride: {
+      default: { ...COMMON, baseFare: 50, perKm: 12, perMinute: 1.5, minimumFare: 80 },
+      Bike: { ...COMMON, baseFare: 25, perKm: 7, perMinute: 1, minimumFare: 40, waitingPerMinute: 1 },
+      Car: { ...COMMON, baseFare: 50, perKm: 14, perMinute: 2, minimumFare: 100 },
+      "Electric vehicle": { ...COMMON, baseFare: 45, perKm: 12, perMinute: 1.5, minimumFare: 90 },
+    },
+    "Food-Delivery": {
+      default: { ...COMMON, baseFare: 30, perKm: 8, perMinute: 0.5, minimumFare: 40, nightMultiplier: 1.1 },
+    },
+    "Courier-Delivery": {
+      default: { ...COMMON, baseFare: 40, perKm: 10, perMinute: 0.5, minimumFare: 60, taxPercent: 18 },
+      Van: { ...COMMON, baseFare: 150, perKm: 20, perMinute: 2, minimumFare: 250, taxPercent: 18 },
+      Truck: { ...COMMON, baseFare: 300, perKm: 30, perMinute: 3, minimumFare: 500, taxPercent: 18 },
+    },
+  },
+}
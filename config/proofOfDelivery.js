@@ -0,0 +1,23 @@
+// Location: /config/proofOfDelivery.js
+// What a driver must capture at handoff before a delivery can be completed
+// (services/proofOfDeliveryService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // Required proof per service. Services not listed need no proof.
+  requirements: {
+    "Courier-Delivery": { otp: true, photo: true, recipientName: true, location: true },
+    "Food-Delivery": { otp: true, photo: false, recipientName: false, location: true },
+  },
+  otpLength: numberFromEnv("POD_OTP_LENGTH", 4),
+  // Key of the OTP hashes; defaults to the JWT secret when unset
+  otpSecret: process.env.POD_OTP_SECRET,
+  // Wrong OTP entries allowed before the ride is locked for support to handle
+  maxOtpAttempts: numberFromEnv("POD_MAX_OTP_ATTEMPTS", 5),
+  // Handoffs further than this from the drop point are flagged for review
+  maxDistanceFromDropMeters: numberFromEnv("POD_MAX_DISTANCE_FROM_DROP_METERS", 300),
+}
@@ -0,0 +1,46 @@
+// Location: /config/ratings.js
+// Post-ride ratings in both directions (services/ratingService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  minScore: 1,
+  maxScore: 5,
+  maxCommentLength: 500,
+  // A ride can be rated for this many days after it was completed
+  ratingWindowDays: numberFromEnv("RATING_WINDOW_DAYS", 7),
+  // Driver and rider ratings are the average of the last N rated rides
+  rollingWindowRides: numberFromEnv("RATING_ROLLING_WINDOW_RIDES", 100),
+  // Rides rated at or below this score are listed for review
+  lowRatingThreshold: numberFromEnv("LOW_RATING_THRESHOLD", 2),
+  // Feedback tags offered to each side. byRider: the rider rating the driver,
+  // byDriver: the driver rating the rider.
+  tags: {
+    byRider: [
+      { code: "clean_car", label: "Clean car", positive: true },
+      { code: "safe_driving", label: "Safe driving", positive: true },
+      { code: "polite", label: "Polite", positive: true },
+      { code: "good_navigation", label: "Good navigation", positive: true },
+      { code: "on_time", label: "On time", positive: true },
+      { code: "late", label: "Late", positive: false },
+      { code: "rash_driving", label: "Rash driving", positive: false },
+      { code: "dirty_car", label: "Dirty car", positive: false },
+      { code: "rude", label: "Rude", positive: false },
+      { code: "wrong_route", label: "Took a longer route", positive: false },
+      { code: "asked_extra_money", label: "Asked for extra money", positive: false },
+    ],
+    byDriver: [
+      { code: "polite", label: "Polite", positive: true },
+      { code: "ready_at_pickup", label: "Ready at pickup", positive: true },
+      { code: "accurate_pickup", label: "Accurate pickup point", positive: true },
+      { code: "late", label: "Kept me waiting", positive: false },
+      { code: "wrong_pickup", label: "Wrong pickup point", positive: false },
+      { code: "rude", label: "Rude", positive: false },
+      { code: "messy", label: "Left a mess", positive: false },
+      { code: "unreachable", label: "Could not be reached", positive: false },
+    ],
+  },
+}
@@ -0,0 +1,17 @@
+// Location: /config/receipts.js
+// Ride receipts rendered on completion (services/receiptService.js)
+
+module.exports = {
+  // Generated HTML / PDF files are kept here, one pair per ride
+  storageDir: process.env.RECEIPTS_DIR || "uploads/receipts",
+  numberPrefix: process.env.RECEIPT_NUMBER_PREFIX || "RCPT",
+  timezone: process.env.RECEIPT_TIMEZONE || "Asia/Kolkata",
+  // Email the receipt to the rider once it is generated
+  emailOnCompletion: process.env.RECEIPT_EMAIL_ON_COMPLETION !== "false",
+  company: {
+    name: process.env.RECEIPT_COMPANY_NAME || "Ride Services",
+    address: process.env.RECEIPT_COMPANY_ADDRESS || "",
+    taxId: process.env.RECEIPT_COMPANY_GSTIN || "",
+    supportEmail: process.env.RECEIPT_SUPPORT_EMAIL || process.env.EMAIL_USER || "",
+  },
+}
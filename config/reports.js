@@ -0,0 +1,33 @@
+// Location: /config/reports.js
+// Admin reports (controllers/reportsController.js) and the rollups they read
+// (services/rollupService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // Serve generated sample rides instead of the database (services/reportsSampleData.js).
+  // For demos only: every response says which source it came from.
+  demoMode: process.env.REPORTS_DEMO_MODE === "true",
+  // Local days and hours the rollups are bucketed by, and the default time zone
+  // of reports (their tz parameter)
+  timezone: process.env.REPORTS_TIMEZONE || "Asia/Kolkata",
+  // First day of calendar weeks (0 = Sunday, 1 = Monday); reports take a weekStart parameter
+  weekStartsOn: numberFromEnv("REPORTS_WEEK_START", 1),
+  // First month (1-12) of the fiscal year; quarters are counted from it. April for the Indian financial year.
+  fiscalYearStartMonth: numberFromEnv("REPORTS_FISCAL_YEAR_START_MONTH", 4),
+  // Most chart buckets a report may have for each interval: a day of hours (25 when
+  // clocks go back), two years of days, five years of weeks and ten years of months
+  maxBuckets: { hour: 25, day: 366 * 2, week: 53 * 5, month: 12 * 10 },
+  rollups: {
+    // Rebuild the last few days every night, catching updates that were missed
+    reconcile: {
+      hour: numberFromEnv("ROLLUP_RECONCILE_HOUR", 2),
+      minute: numberFromEnv("ROLLUP_RECONCILE_MINUTE", 30),
+      timezone: process.env.REPORTS_TIMEZONE || "Asia/Kolkata",
+    },
+    reconcileDays: numberFromEnv("ROLLUP_RECONCILE_DAYS", 2),
+  },
+}
@@ -0,0 +1,21 @@
+// Location: /config/scheduledRides.js
+// Rules for rides booked in advance (services/rideScheduleService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // Services that can be booked ahead of time
+  allowedServices: ["Ride", "Courier-Delivery"],
+  // Earliest and latest pickup time accepted for a scheduled booking
+  minAdvanceMinutes: numberFromEnv("SCHEDULED_MIN_ADVANCE_MINUTES", 30),
+  maxAdvanceDays: numberFromEnv("SCHEDULED_MAX_ADVANCE_DAYS", 7),
+  // The rider is reminded this long before pickup
+  reminderLeadMinutes: numberFromEnv("SCHEDULED_REMINDER_LEAD_MINUTES", 60),
+  // Driver search starts this long before pickup
+  dispatchLeadMinutes: numberFromEnv("SCHEDULED_DISPATCH_LEAD_MINUTES", 15),
+  // Ops are alerted when no driver has accepted this long before pickup
+  escalationLeadMinutes: numberFromEnv("SCHEDULED_ESCALATION_LEAD_MINUTES", 5),
+}
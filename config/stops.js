@@ -0,0 +1,14 @@
+// Location: /config/stops.js
+// Limits for multi-stop rides and delivery routes (services/rideStopService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // Services that accept a list of stops instead of a single pickup / drop
+  allowedServices: ["Ride", "Courier-Delivery", "Food-Delivery"],
+  // Including the first pickup and the final drop
+  maxStops: numberFromEnv("RIDE_MAX_STOPS", 10),
+}
@@ -0,0 +1,31 @@
+// Location: /config/surge.js
+// Tunables for demand-based surge pricing (services/surgeService.js).
+// Every value can be overridden through the environment.
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // How often multipliers are recomputed
+  intervalMs: numberFromEnv("SURGE_INTERVAL_MS", 60000),
+  // Size of a grid cell in degrees (0.02 is roughly 2 km) for areas outside surge zones
+  gridCellSizeDeg: numberFromEnv("SURGE_GRID_CELL_SIZE_DEG", 0.02),
+  // Only requests created within this window count as open demand
+  requestWindowMinutes: numberFromEnv("SURGE_REQUEST_WINDOW_MINUTES", 30),
+  // Areas with fewer open requests than this never surge
+  minRequests: numberFromEnv("SURGE_MIN_REQUESTS", 2),
+  // Requests per idle driver an area absorbs before surge starts
+  ratioThreshold: numberFromEnv("SURGE_RATIO_THRESHOLD", 1),
+  // Multiplier increase for each request per driver above the threshold
+  sensitivity: numberFromEnv("SURGE_SENSITIVITY", 0.5),
+  minMultiplier: 1,
+  maxMultiplier: numberFromEnv("SURGE_MAX_MULTIPLIER", 2.5),
+  // Weight of the newest value in exponential smoothing (1 = no smoothing)
+  smoothingFactor: numberFromEnv("SURGE_SMOOTHING_FACTOR", 0.3),
+  // Multipliers are rounded to this step
+  step: numberFromEnv("SURGE_STEP", 0.1),
+  // Highest multiplier an admin override may set
+  maxOverrideMultiplier: numberFromEnv("SURGE_MAX_OVERRIDE_MULTIPLIER", 5),
+}
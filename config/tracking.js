@@ -0,0 +1,23 @@
+// Location: /config/tracking.js
+// Retention and downsampling settings for driver location history.
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  // Location pings older than this are removed automatically by MongoDB
+  retentionDays: numberFromEnv("LOCATION_HISTORY_RETENTION_DAYS", 30),
+  // Longest time window a single track or replay request may cover
+  maxTrackWindowHours: numberFromEnv("TRACK_MAX_WINDOW_HOURS", 24),
+  // Points closer than this to the simplified line are dropped from tracks
+  simplifyToleranceMeters: numberFromEnv("TRACK_SIMPLIFY_TOLERANCE_METERS", 10),
+  // Upper bound on points returned for one track
+  maxTrackPoints: numberFromEnv("TRACK_MAX_POINTS", 500),
+  // Replay speed multiplier bounds (1 = real time)
+  defaultReplaySpeed: numberFromEnv("TRACK_REPLAY_DEFAULT_SPEED", 10),
+  maxReplaySpeed: numberFromEnv("TRACK_REPLAY_MAX_SPEED", 100),
+  // A long stop in the recording is never replayed as a pause longer than this
+  maxReplayGapMs: numberFromEnv("TRACK_REPLAY_MAX_GAP_MS", 2000),
+}
@@ -0,0 +1,20 @@
+// Location: /config/wallet.js
+// Rider wallets and the double-entry ledger behind them
+// (services/ledgerService.js, services/walletService.js)
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number.parseFloat(process.env[name])
+  return Number.isFinite(value) ? value : fallback
+}
+
+module.exports = {
+  currency: "INR",
+  minTopUp: numberFromEnv("WALLET_MIN_TOPUP", 10),
+  maxTopUp: numberFromEnv("WALLET_MAX_TOPUP", 50000),
+  // Nightly comparison of stored balances with the ledger, in local time
+  consistencyCheck: {
+    hour: numberFromEnv("LEDGER_CHECK_HOUR", 2),
+    minute: numberFromEnv("LEDGER_CHECK_MINUTE", 0),
+    timezone: process.env.LEDGER_CHECK_TIMEZONE || "Asia/Kolkata",
+  },
+}
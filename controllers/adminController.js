@@ -1,5 +1,6 @@
 const Admin = require("../models/adminModel")
 const mongoose = require("mongoose")
+const { signAdminToken } = require("../utils/authTokens")
 
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => {
@@ -421,7 +422,42 @@ const updateAdminStatus = async (req, res) => {
   }
 }
 
+// Exchange email and password for an admin token (Authorization: Bearer <token>)
+const loginAdmin = async (req, res) => {
+  try {
+    const { email, password } = req.body
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: "Please provide email and password" })
+    }
+
+    const admin = await Admin.findOne({ email: String(email).trim().toLowerCase() })
+    if (!admin || !(await admin.matchPassword(password))) {
+      return res.status(401).json({ success: false, message: "Invalid email or password" })
+    }
+    if (admin.status !== "active") {
+      return res.status(403).json({ success: false, message: "This admin account is inactive" })
+    }
+
+    // updateOne so the password hook does not run again
+    const lastLogin = new Date()
+    await Admin.updateOne({ _id: admin._id }, { $set: { lastLogin } })
+    admin.lastLogin = lastLogin
+
+    console.log(`🔐 Admin logged in: ${admin.name} (${admin.email})`)
+
+    res.status(200).json({ success: true, token: signAdminToken(admin), admin: transformAdmin(admin) })
+  } catch (error) {
+    console.error("Error in loginAdmin:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to log in",
+      error: error.message,
+    })
+  }
+}
+
 module.exports = {
+  loginAdmin,
   getAdmins,
   getAdminById,
   createAdmin,
@@ -1,22 +1,15 @@
-const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const transporter = require('../config/mailer');
 require("dotenv").config()
 
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
 // Signup
 exports.signup = async (req, res) => {
-  const { name, email, password, confirmPassword, role } = req.body;
+  // Accounts created here are always customers; the role is never taken from the request
+  const { name, email, password, confirmPassword } = req.body;
 
   if (password !== confirmPassword) {
     return res.status(400).json({ message: 'Passwords do not match' });
@@ -32,8 +25,7 @@ exports.signup = async (req, res) => {
   const newUser = new User({
     name,
     email,
-    password: hashedPassword,
-    role
+    password: hashedPassword
   });
 
   await newUser.save();
@@ -0,0 +1,179 @@
+const {
+  recordCashDeposit,
+  recordCashAdjustment,
+  setDriverCashLimit,
+  getDriverCash,
+  getCashReconciliation,
+  listDriverCash,
+} = require("../services/cashService")
+
+const handleCashError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid ID format" })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+const adminActor = (admin) => ({ type: "admin", id: String(admin._id), name: admin.name })
+
+const sendServiceError = (res, result) =>
+  res.status(result.statusCode).json({ success: false, message: result.message })
+
+// @desc    Drivers holding cash, most first (state=warning|over, page, limit)
+// @route   GET /api/cash/drivers
+// @access  Admin (payments read)
+const getDriversCash = async (req, res) => {
+  try {
+    const { state, page, limit } = req.query
+    if (state && !["warning", "over"].includes(state)) {
+      return res.status(400).json({ success: false, message: "state must be warning or over" })
+    }
+
+    const result = await listDriverCash({ state, page, limit })
+    res.status(200).json({ success: true, ...result })
+  } catch (error) {
+    handleCashError(res, error, "Error fetching driver cash")
+  }
+}
+
+// @desc    Cash in hand of a driver with its movements (from, to, page, limit)
+// @route   GET /api/cash/drivers/:driverId and GET /api/driver/:id/cash
+// @access  Admin (payments read) / the driver
+const getDriverCashStatement = async (req, res) => {
+  try {
+    const result = await getDriverCash(req.params.driverId || req.params.id, req.query)
+    if (!result.success) return sendServiceError(res, result)
+
+    const { success, pagination, ...data } = result
+    res.status(200).json({ success, data, pagination })
+  } catch (error) {
+    handleCashError(res, error, "Error fetching driver cash")
+  }
+}
+
+// @desc    Record cash a driver deposited (amount, reference, note, occurredAt)
+// @route   POST /api/cash/drivers/:driverId/deposits
+// @access  Admin (payments write)
+const createDeposit = async (req, res) => {
+  try {
+    const { amount, reference, note, occurredAt } = req.body
+    const result = await recordCashDeposit(req.params.driverId, {
+      type: "deposit",
+      amount,
+      reference,
+      note,
+      occurredAt,
+      actor: adminActor(req.admin),
+    })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(201).json({
+      success: true,
+      message: "Deposit recorded",
+      data: result.entry,
+      driverCash: result.status,
+    })
+  } catch (error) {
+    handleCashError(res, error, "Error recording deposit")
+  }
+}
+
+// @desc    Record cash a driver handed over to a person (amount, receivedBy, note, occurredAt)
+// @route   POST /api/cash/drivers/:driverId/handovers
+// @access  Admin (payments write)
+const createHandover = async (req, res) => {
+  try {
+    const { amount, receivedBy, reference, note, occurredAt } = req.body
+    const result = await recordCashDeposit(req.params.driverId, {
+      type: "handover",
+      amount,
+      receivedBy,
+      reference,
+      note,
+      occurredAt,
+      actor: adminActor(req.admin),
+    })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(201).json({
+      success: true,
+      message: "Handover recorded",
+      data: result.entry,
+      driverCash: result.status,
+    })
+  } catch (error) {
+    handleCashError(res, error, "Error recording handover")
+  }
+}
+
+// @desc    Correct a driver's cash in hand (signed amount, note)
+// @route   POST /api/cash/drivers/:driverId/adjustments
+// @access  Admin (payments write)
+const createAdjustment = async (req, res) => {
+  try {
+    const { amount, note } = req.body
+    const result = await recordCashAdjustment(req.params.driverId, {
+      amount,
+      note,
+      actor: adminActor(req.admin),
+      io: req.app.get("io"),
+    })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(201).json({
+      success: true,
+      message: "Adjustment recorded",
+      data: result.entry,
+      driverCash: result.status,
+    })
+  } catch (error) {
+    handleCashError(res, error, "Error recording cash adjustment")
+  }
+}
+
+// @desc    Set a driver's own cash limit (cashLimit; null uses the default)
+// @route   PUT /api/cash/drivers/:driverId/limit
+// @access  Admin (payments write)
+const updateCashLimit = async (req, res) => {
+  try {
+    if (req.body.cashLimit === undefined) {
+      return res.status(400).json({ success: false, message: "cashLimit is required" })
+    }
+
+    const result = await setDriverCashLimit(req.params.driverId, req.body.cashLimit)
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(200).json({ success: true, message: "Cash limit updated", driverCash: result.status })
+  } catch (error) {
+    handleCashError(res, error, "Error updating cash limit")
+  }
+}
+
+// @desc    Cash reconciliation: completed COD rides vs reported collections vs deposits (from, to, driverId)
+// @route   GET /api/cash/reconciliation
+// @access  Admin (payments read)
+const getReconciliation = async (req, res) => {
+  try {
+    const { from, to, driverId } = req.query
+    const result = await getCashReconciliation({ from, to, driverId })
+    if (!result.success) return sendServiceError(res, result)
+
+    const { success, ...data } = result
+    res.status(200).json({ success, data })
+  } catch (error) {
+    handleCashError(res, error, "Error building cash reconciliation")
+  }
+}
+
+module.exports = {
+  getDriversCash,
+  getDriverCashStatement,
+  createDeposit,
+  createHandover,
+  createAdjustment,
+  updateCashLimit,
+  getReconciliation,
+}
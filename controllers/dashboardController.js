@@ -1,50 +1,45 @@
-const Ride = require('../models/Ride1');
+const Ride = require('../models/Ride');
 const Driver = require("../models/TRdriverModel")
+const reportsConfig = require('../config/reports');
+const { sumRollups, totalRollups } = require('../services/rollupService');
+const { getZonedParts, startOfZonedDay, addZonedDays } = require('../utils/timezone');
+const { generateDateRange } = require('../utils/reportsHelper');
+
+// Time zone of the dashboard's days: the tz parameter, else the reports' (config/reports.js)
+const dashboardTimezone = (req) => (req.query && req.query.tz) || reportsConfig.timezone;
 
 
 exports.getDashboardStats = async (req, res) => {
   try {
-    // Today's date range
-    const startOfToday = new Date();
-    startOfToday.setHours(0, 0, 0, 0);
-    
-    const endOfToday = new Date();
-    endOfToday.setHours(23, 59, 59, 999);
+    // Today and yesterday are local days of the dashboard's time zone
+    const timeZone = dashboardTimezone(req);
+    const now = new Date();
+    const startOfToday = startOfZonedDay(now, timeZone);
+    const endOfToday = new Date(addZonedDays(startOfToday, 1, timeZone).getTime() - 1);
 
-    // Yesterday's date range
-    const startOfYesterday = new Date(startOfToday);
-    startOfYesterday.setDate(startOfYesterday.getDate() - 1);
-    
-    const endOfYesterday = new Date(endOfToday);
-    endOfYesterday.setDate(endOfYesterday.getDate() - 1);
+    const startOfYesterday = addZonedDays(startOfToday, -1, timeZone);
+    const endOfYesterday = new Date(startOfToday.getTime() - 1);
 
     // Last week's date range (for driver growth)
-    const startOfLastWeek = new Date(startOfToday);
-    startOfLastWeek.setDate(startOfLastWeek.getDate() - 7);
+    const startOfLastWeek = addZonedDays(startOfToday, -7, timeZone);
     
     const endOfLastWeek = new Date(endOfYesterday);
 
     // Previous week's date range (for driver growth percentage)
-    const startOfPreviousWeek = new Date(startOfLastWeek);
-    startOfPreviousWeek.setDate(startOfPreviousWeek.getDate() - 7);
-    const endOfPreviousWeek = new Date(endOfLastWeek);
-    endOfPreviousWeek.setDate(endOfPreviousWeek.getDate() - 7);
+    const startOfPreviousWeek = addZonedDays(startOfLastWeek, -7, timeZone);
+    const endOfPreviousWeek = new Date(startOfLastWeek.getTime() - 1);
 
     const [
-      todayRides, 
-      yesterdayRides,
+      today,
+      yesterday,
       totalDrivers,
       newDriversThisWeek,
-      newDriversLastWeek,
-      ridesData,
-      yesterdayRidesData
+      newDriversLastWeek
     ] = await Promise.all([
 
-      // Today's rides count
-      Ride.countDocuments({ rideTime: { $gte: startOfToday, $lte: endOfToday } }),
-      
-      // Yesterday's rides count
-      Ride.countDocuments({ rideTime: { $gte: startOfYesterday, $lte: endOfYesterday } }),
+      // Today's and yesterday's rides from the report rollups
+      totalRollups({ from: startOfToday, to: endOfToday, timezone: timeZone }),
+      totalRollups({ from: startOfYesterday, to: endOfYesterday, timezone: timeZone }),
       
       // Total active drivers
       Driver.countDocuments({ isOnline: true }),
@@ -59,56 +54,29 @@ exports.getDashboardStats = async (req, res) => {
       Driver.countDocuments({
         joinDate: { $gte: startOfPreviousWeek, $lte: endOfPreviousWeek },
         isOnline: true
-      }),
-      
-      // Today's rides aggregation
-      Ride.aggregate([
-        {
-          $match: { rideTime: { $gte: startOfToday, $lte: endOfToday } }
-        },
-        {
-          $group: {
-            _id: null,
-            totalAmount: { $sum: "$amount" },
-            completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
-            cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } }
-          }
-        }
-      ]),
-      
-      // Yesterday's rides aggregation
-      Ride.aggregate([
-        {
-          $match: { ridetime: { $gte: startOfYesterday, $lte: endOfYesterday } }
-        },
-        {
-          $group: {
-            _id: null,
-            totalAmount: { $sum: "$amount" },
-            completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
-            cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } }
-          }
-        }
-      ])
+      })
     ]);
 
+    const todayRides = today.rides;
+    const yesterdayRides = yesterday.rides;
+
     // Helper function to calculate percentage change
     const calculatePercentageChange = (current, previous) => {
       if (previous === 0) return current === 0 ? 0 : 100; // handle division by zero
       return ((current - previous) / previous * 100).toFixed(1);
     };
 
-    // Handle case when there are no rides
-    const todayRidesData = ridesData[0] || {
-      totalAmount: 0,
-      completed: 0,
-      cancelled: 0
+    // Income counts completed rides only
+    const todayRidesData = {
+      totalAmount: today.revenue,
+      completed: today.completed,
+      cancelled: today.cancelled
     };
 
-    const yRidesData = yesterdayRidesData[0] || {
-      totalAmount: 0,
-      completed: 0,
-      cancelled: 0
+    const yRidesData = {
+      totalAmount: yesterday.revenue,
+      completed: yesterday.completed,
+      cancelled: yesterday.cancelled
     };
 
     // Calculate percentage changes
@@ -160,7 +128,7 @@ exports.getDashboardStats = async (req, res) => {
 exports.getRecentRides = async (req, res) => {
   try {
     const rides = await Ride.find()
-      .sort({ time: -1 })
+      .sort({ rideTime: -1 })
       .limit(10)
       .populate('user', 'name')
       .populate('driver', 'name');
@@ -174,59 +142,23 @@ exports.getRecentRides = async (req, res) => {
 
 exports.getRevenueData = async (req, res) => {
   try {
-    // Get last 7 days data including today
-    const endDate = new Date();
-    endDate.setHours(23, 59, 59, 999);
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - 6); // Last 7 days including today
-    startDate.setHours(0, 0, 0, 0);
+    // Last 7 local days including today
+    const timeZone = dashboardTimezone(req);
+    const startOfToday = startOfZonedDay(new Date(), timeZone);
+    const startDate = addZonedDays(startOfToday, -6, timeZone);
+    const endDate = new Date(addZonedDays(startOfToday, 1, timeZone).getTime() - 1);
 
-    // Generate all dates in the range for labels
+    // Every local day of the range, labelled with its weekday
     const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const dateArray = [];
-    const labels = [];
-    
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(startDate);
-      date.setDate(date.getDate() + i);
-      dateArray.push(date);
-      labels.push(dayNames[date.getDay()]);
-    }
+    const days = generateDateRange(startDate, endDate, 'day', timeZone);
+    const labels = days.map(day => dayNames[getZonedParts(day.date, timeZone).weekday]);
 
-    // Query for completed rides in this period
-    const revenueData = await Ride.aggregate([
-      {
-        $match: {
-          rideTime: { // Changed from 'time' to 'rideTime' to match your schema
-            $gte: startDate,
-            $lte: endDate
-          },
-          status: 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: {
-              format: "%Y-%m-%d",
-              date: "$rideTime" // Changed from 'time' to 'rideTime'
-            }
-          },
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { "_id": 1 } // Sort by date ascending
-      }
-    ]);
+    // Revenue of completed rides per local day, from the report rollups
+    const revenueData = await sumRollups({ from: startDate, to: endDate, groupBy: 'date', timezone: timeZone });
 
     // Create a complete dataset with all days, including zeros for missing days
-    const data = dateArray.map(date => {
-      const dateStr = date.toISOString().split('T')[0];
-      const dayData = revenueData.find(item => item._id === dateStr);
-      return dayData ? dayData.totalAmount : 0;
-    });
+    const revenueByDay = new Map(revenueData.map(item => [item._id, item.revenue]));
+    const data = days.map(day => revenueByDay.get(day.key) || 0);
 
     res.json({
       labels,
@@ -1,9 +1,33 @@
+const crypto = require("crypto")
 const Driver = require("../models/TRdriverModel")
+const transporter = require("../config/mailer")
+const { signDriverToken } = require("../utils/authTokens")
+const { toPoint, fromPoint, isValidLatLng } = require("../utils/geo")
+const { evaluateDriverZones } = require("../services/zoneService")
+const { recordDriverLocation, parseTrackWindow, getDriverTrack: buildDriverTrack } = require("../services/locationHistoryService")
+
+const DEFAULT_NEARBY_RADIUS_KM = 5
+const MAX_NEARBY_RADIUS_KM = 50
+
+// Fields PUT /api/driver/edit/:id must not write, including as dotted paths or
+// through update operators
+const PROTECTED_DRIVER_FIELDS = ["bankAccount", "loginOtp", "cashInHand", "cashLimit"]
+
+const isProtectedDriverField = (key) =>
+  key.startsWith("$") || PROTECTED_DRIVER_FIELDS.some((field) => key === field || key.startsWith(`${field}.`))
+
+const LOGIN_OTP_TTL_MS = 5 * 60 * 1000
+const MAX_LOGIN_OTP_ATTEMPTS = 5
+
+const hashLoginOtp = (driverId, otp) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`${driverId}:${otp}`).digest("hex")
+
+const normaliseEmail = (email) => String(email || "").trim().toLowerCase()
 
 // Get all drivers with improved error handling
 const getAllDrivers = async (req, res) => {
   try {
-    const { status, search } = req.query
+    const { status, search, zone } = req.query
     const query = {}
 
     // Filter by status if provided
@@ -11,6 +35,11 @@ const getAllDrivers = async (req, res) => {
       query.status = status
     }
 
+    // Filter by the zone drivers are currently in
+    if (zone && zone !== "all") {
+      query.currentZones = zone
+    }
+
     // Search functionality
     if (search) {
       query.$or = [
@@ -191,10 +220,11 @@ const createDriver = async (req, res) => {
 // Update driver with validation
 const updateDriver = async (req, res) => {
   try {
-    const updateData = {
-      ...req.body,
-      lastUpdate: new Date(),
-    }
+    // Bank details and cash change only through /api/payouts and /api/cash
+    const updateData = Object.fromEntries(
+      Object.entries(req.body).filter(([key]) => !isProtectedDriverField(key)),
+    )
+    updateData.lastUpdate = new Date()
 
     // If vehicleType or licensePlate is being updated, update the vehicle field too
     if (updateData.vehicleType || updateData.licensePlate) {
@@ -258,6 +288,133 @@ const updateDriver = async (req, res) => {
   }
 }
 
+// Drivers near a point, nearest first
+// GET /api/driver/nearby?lat=&lng=&radiusKm=&vehicleType=&status=&zone=
+const getNearbyDrivers = async (req, res) => {
+  try {
+    const { lat, lng, vehicleType, status, zone } = req.query
+    const latitude = Number.parseFloat(lat)
+    const longitude = Number.parseFloat(lng)
+
+    if (!isValidLatLng(latitude, longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid lat and lng query parameters are required",
+      })
+    }
+
+    const radiusKm = req.query.radiusKm !== undefined ? Number.parseFloat(req.query.radiusKm) : DEFAULT_NEARBY_RADIUS_KM
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+      return res.status(400).json({
+        success: false,
+        message: `radiusKm must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM}`,
+      })
+    }
+
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200)
+    const drivers = await Driver.findNearby({ lat: latitude, lng: longitude, radiusKm, vehicleType, status, zone, limit })
+
+    res.json({
+      success: true,
+      count: drivers.length,
+      center: { lat: latitude, lng: longitude },
+      radiusKm,
+      // Aggregation results are plain objects, so add lat/lng here like toJSON does
+      data: drivers.map((driver) => ({
+        ...driver,
+        location: driver.location && { ...driver.location, ...fromPoint(driver.location) },
+      })),
+    })
+  } catch (error) {
+    console.error("Error finding nearby drivers:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to find nearby drivers",
+      error: error.message,
+    })
+  }
+}
+
+// Downsampled track of a driver between two times
+// GET /api/driver/:id/track?from=&to=
+const getDriverTrack = async (req, res) => {
+  try {
+    const window = parseTrackWindow(req.query)
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error })
+    }
+
+    const driver = await Driver.findById(req.params.id).select("name vehicleType licensePlate")
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: "Driver not found",
+      })
+    }
+
+    const track = await buildDriverTrack(driver._id, window)
+
+    res.json({
+      success: true,
+      data: { driver, ...track },
+    })
+  } catch (error) {
+    console.error("Error fetching driver track:", error)
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid driver ID format",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch driver track",
+      error: error.message,
+    })
+  }
+}
+
+// Stream a driver's recorded positions to a connected Socket.IO client
+// POST /api/driver/:id/track/replay  { socketId, from, to, speed }
+const replayDriverTrack = async (req, res) => {
+  try {
+    const { socketId, from, to, speed } = req.body
+    if (!socketId) {
+      return res.status(400).json({
+        success: false,
+        message: "socketId of the client that should receive the replay is required",
+      })
+    }
+
+    const result = await req.app.get("trackReplayService").startReplay({
+      socketId,
+      driverId: req.params.id,
+      from,
+      to,
+      speed,
+    })
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message })
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Replay started, positions are streamed as trackReplayPoint events",
+      data: { replayId: result.replayId, totalPoints: result.totalPoints, speed: result.speed },
+    })
+  } catch (error) {
+    console.error("Error starting track replay:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to start track replay",
+      error: error.message,
+    })
+  }
+}
+
 // Update driver location with fallback implementation
 const updateDriverLocation = async (req, res) => {
   try {
@@ -281,7 +438,7 @@ const updateDriverLocation = async (req, res) => {
 
     // Update location data
     const updateData = {
-      location: { lat: Number.parseFloat(lat), lng: Number.parseFloat(lng) },
+      location: toPoint(lat, lng),
       lastUpdate: new Date(),
     }
 
@@ -298,6 +455,9 @@ const updateDriverLocation = async (req, res) => {
       updatedDriver = await Driver.findByIdAndUpdate(req.params.id, updateData, { new: true })
     }
 
+    await recordDriverLocation(updatedDriver, "rest")
+    await evaluateDriverZones(updatedDriver, { io: req.app.get("io"), source: "rest" })
+
     res.json({
       success: true,
       message: "Driver location updated successfully",
@@ -604,12 +764,90 @@ const bulkKycVerification = async (req, res) => {
   }
 }
 
+// Driver login, step 1: email a one-time code to the driver
+// POST /api/driver/login { email }
+const sendDriverLoginOtp = async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body && req.body.email)
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" })
+    }
+
+    const driver = await Driver.findOne({ email })
+    if (!driver) {
+      return res.status(404).json({ success: false, message: "Driver not found" })
+    }
+
+    const otp = String(crypto.randomInt(100000, 1000000))
+    const loginOtp = {
+      hash: hashLoginOtp(driver._id, otp),
+      expiresAt: new Date(Date.now() + LOGIN_OTP_TTL_MS),
+      attempts: 0,
+    }
+    await Driver.updateOne({ _id: driver._id }, { $set: { loginOtp } })
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: driver.email,
+      subject: "Your Driver Login OTP",
+      text: `Your OTP for driver login is: ${otp}`,
+    })
+
+    res.json({ success: true, message: "OTP sent for login" })
+  } catch (error) {
+    console.error("Error sending driver login OTP:", error)
+    res.status(500).json({ success: false, message: "Failed to send login OTP", error: error.message })
+  }
+}
+
+// Driver login, step 2: exchange the emailed code for a driver token
+// POST /api/driver/login/verify-otp { email, otp }
+const verifyDriverLoginOtp = async (req, res) => {
+  try {
+    const email = normaliseEmail(req.body && req.body.email)
+    const otp = String((req.body && req.body.otp) || "").trim()
+    if (!email || !otp) {
+      return res.status(400).json({ success: false, message: "Email and OTP are required" })
+    }
+
+    // The attempt is counted before the code is checked, so parallel guesses stay within the limit
+    const driver = await Driver.findOneAndUpdate(
+      {
+        email,
+        "loginOtp.expiresAt": { $gt: new Date() },
+        "loginOtp.attempts": { $lt: MAX_LOGIN_OTP_ATTEMPTS },
+      },
+      { $inc: { "loginOtp.attempts": 1 } },
+      { new: true },
+    ).select("+loginOtp")
+    if (!driver) {
+      return res.status(400).json({ success: false, message: "OTP has expired or was tried too often. Please request a new one." })
+    }
+    if (driver.loginOtp.hash !== hashLoginOtp(driver._id, otp)) {
+      return res.status(400).json({ success: false, message: "Invalid OTP" })
+    }
+
+    await Driver.updateOne({ _id: driver._id }, { $unset: { loginOtp: 1 } })
+    driver.loginOtp = undefined
+
+    res.json({ success: true, message: "Login successful", token: signDriverToken(driver), data: driver })
+  } catch (error) {
+    console.error("Error verifying driver login OTP:", error)
+    res.status(500).json({ success: false, message: "Failed to verify login OTP", error: error.message })
+  }
+}
+
 module.exports = {
+  sendDriverLoginOtp,
+  verifyDriverLoginOtp,
   getAllDrivers,
   getDriver,
   createDriver,
   updateDriver,
   updateDriverLocation,
+  getNearbyDrivers,
+  getDriverTrack,
+  replayDriverTrack,
   deleteDriver,
   getDriverStats,
   initializeSampleDrivers,
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose")
+const LedgerAccount = require("../models/LedgerAccount")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const LedgerEntry = require("../models/LedgerEntry")
+const { getStatement, runConsistencyCheck } = require("../services/ledgerService")
+
+const { TRANSACTION_TYPES } = LedgerTransaction
+
+const handleLedgerError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid ID format" })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+const paginate = (page, limit) => {
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum }
+}
+
+const toPagination = (pageNum, limitNum, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limitNum)
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+  }
+}
+
+// @desc    Ledger accounts (ownerType, status=ok|mismatch, search, page, limit)
+// @route   GET /api/ledger/accounts
+// @access  Admin (payments read)
+const getAccounts = async (req, res) => {
+  try {
+    const { ownerType, status, search, page, limit } = req.query
+    const query = {}
+    if (ownerType) query.ownerType = ownerType
+    if (status) query["reconciliation.status"] = status
+    if (search) query.code = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" }
+
+    const { pageNum, limitNum, skip } = paginate(page, limit)
+    const [accounts, totalItems] = await Promise.all([
+      LedgerAccount.find(query).sort({ code: 1 }).skip(skip).limit(limitNum),
+      LedgerAccount.countDocuments(query),
+    ])
+
+    res.status(200).json({ success: true, data: accounts, pagination: toPagination(pageNum, limitNum, totalItems) })
+  } catch (error) {
+    handleLedgerError(res, error, "Error fetching ledger accounts")
+  }
+}
+
+// @desc    Statement of any ledger account by code (from, to, page, limit)
+// @route   GET /api/ledger/accounts/:code/statement
+// @access  Admin (payments read)
+const getAccountStatement = async (req, res) => {
+  try {
+    const { from, to, page, limit } = req.query
+    const statement = await getStatement(req.params.code, { from, to, page, limit })
+    if (!statement) {
+      return res.status(404).json({ success: false, message: "Ledger account not found" })
+    }
+    const { pagination, ...data } = statement
+    res.status(200).json({ success: true, data, pagination })
+  } catch (error) {
+    handleLedgerError(res, error, "Error fetching account statement")
+  }
+}
+
+// @desc    Ledger transactions with their entries (type, rideId, userId, driverId, from, to, page, limit)
+// @route   GET /api/ledger/transactions
+// @access  Admin (payments read)
+const getTransactions = async (req, res) => {
+  try {
+    const { type, rideId, userId, driverId, from, to, page, limit } = req.query
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${TRANSACTION_TYPES.join(", ")}` })
+    }
+    for (const id of [rideId, userId, driverId]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: "Invalid ID format" })
+      }
+    }
+
+    const query = {}
+    if (type) query.type = type
+    if (rideId) query.ride = rideId
+    if (userId) query.user = userId
+    if (driverId) query.driver = driverId
+    if (from || to) query.postedAt = {}
+    if (from) query.postedAt.$gte = new Date(from)
+    if (to) query.postedAt.$lte = new Date(to)
+
+    const { pageNum, limitNum, skip } = paginate(page, limit)
+    const [transactions, totalItems] = await Promise.all([
+      LedgerTransaction.find(query).sort({ postedAt: -1 }).skip(skip).limit(limitNum).lean(),
+      LedgerTransaction.countDocuments(query),
+    ])
+    const entries = await LedgerEntry.find({ transaction: { $in: transactions.map((item) => item._id) } })
+      .select("transaction accountCode direction amount description")
+      .lean()
+
+    res.status(200).json({
+      success: true,
+      data: transactions.map((transaction) => ({
+        ...transaction,
+        entries: entries.filter((entry) => String(entry.transaction) === String(transaction._id)),
+      })),
+      pagination: toPagination(pageNum, limitNum, totalItems),
+    })
+  } catch (error) {
+    handleLedgerError(res, error, "Error fetching ledger transactions")
+  }
+}
+
+// @desc    Run the balance consistency check now (it also runs nightly)
+// @route   POST /api/ledger/consistency-check
+// @access  Admin (payments write)
+const checkConsistency = async (req, res) => {
+  try {
+    const result = await runConsistencyCheck()
+    const consistent = result.mismatches.length === 0 && result.unbalancedTransactions.length === 0
+    if (!consistent) {
+      const io = req.app.get("io")
+      if (io) io.to("admins").emit("ledgerMismatch", result)
+    }
+    res.status(200).json({ success: true, consistent, data: result })
+  } catch (error) {
+    handleLedgerError(res, error, "Error checking ledger consistency")
+  }
+}
+
+module.exports = {
+  getAccounts,
+  getAccountStatement,
+  getTransactions,
+  checkConsistency,
+}
@@ -0,0 +1,400 @@
+const mongoose = require("mongoose")
+const CommissionRule = require("../models/CommissionRule")
+const DriverDeduction = require("../models/DriverDeduction")
+const Driver = require("../models/TRdriverModel")
+const SettlementBatch = require("../models/SettlementBatch")
+const payoutsConfig = require("../config/payouts")
+const { resolveCommissionRule, toCommission, getDriverEarningsStatement } = require("../services/earningsService")
+const {
+  generateSettlement,
+  approveSettlement,
+  markSettlementPaid,
+  createPenalty,
+  settlementToCsv,
+  settlementToBankFile,
+} = require("../services/settlementService")
+
+const { DEDUCTION_TYPES } = DriverDeduction
+
+const COMMISSION_RULE_FIELDS = [
+  "name",
+  "description",
+  "service",
+  "vehicleType",
+  "commissionPercent",
+  "flatFee",
+  "validFrom",
+  "validUntil",
+  "priority",
+  "isActive",
+]
+
+const pickCommissionRuleFields = (body) =>
+  COMMISSION_RULE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handlePayoutError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+const sendServiceError = (res, result) =>
+  res.status(result.statusCode).json({ success: false, message: result.message })
+
+const paginate = (query) => {
+  const pageNum = Math.max(1, Number.parseInt(query.page) || 1)
+  const limitNum = Math.max(1, Math.min(100, Number.parseInt(query.limit) || 20))
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum }
+}
+
+const toPagination = (pageNum, limitNum, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limitNum)
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+  }
+}
+
+// @desc    Commission rules (service, active=true|false)
+// @route   GET /api/payouts/commission-rules
+// @access  Admin (payments read)
+const getCommissionRules = async (req, res) => {
+  try {
+    const query = {}
+    if (req.query.service) query.service = req.query.service
+    if (req.query.active !== undefined) query.isActive = req.query.active === "true"
+
+    const rules = await CommissionRule.find(query).sort({ isActive: -1, service: 1, vehicleType: 1, validFrom: -1 })
+    res.status(200).json({
+      success: true,
+      data: rules,
+      defaultCommissionPercent: payoutsConfig.defaultCommissionPercent,
+    })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching commission rules")
+  }
+}
+
+// @desc    Commission that applies to a ride (service, vehicleType, at)
+// @route   GET /api/payouts/commission-rules/resolve
+// @access  Admin (payments read)
+const resolveCommission = async (req, res) => {
+  try {
+    const { service, vehicleType, at } = req.query
+    if (!service) {
+      return res.status(400).json({ success: false, message: "service is required" })
+    }
+    const when = at ? new Date(at) : new Date()
+    if (Number.isNaN(when.getTime())) {
+      return res.status(400).json({ success: false, message: "at must be a valid date" })
+    }
+
+    const rule = await resolveCommissionRule(service, vehicleType, when)
+    res.status(200).json({ success: true, data: { ...toCommission(rule), rule } })
+  } catch (error) {
+    handlePayoutError(res, error, "Error resolving commission")
+  }
+}
+
+// @desc    Create commission rule; give validFrom / validUntil for a promotional period
+// @route   POST /api/payouts/commission-rules
+// @access  Admin (payments write)
+const createCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.create({
+      ...pickCommissionRuleFields(req.body),
+      createdBy: { id: String(req.admin._id), name: req.admin.name },
+    })
+    res.status(201).json({ success: true, message: "Commission rule created successfully", data: rule })
+  } catch (error) {
+    handlePayoutError(res, error, "Error creating commission rule")
+  }
+}
+
+// @desc    Update commission rule. Earnings already recorded keep the commission they were given.
+// @route   PUT /api/payouts/commission-rules/:id
+// @access  Admin (payments write)
+const updateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id)
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Commission rule not found" })
+    }
+
+    rule.set(pickCommissionRuleFields(req.body))
+    await rule.save()
+    res.status(200).json({ success: true, message: "Commission rule updated successfully", data: rule })
+  } catch (error) {
+    handlePayoutError(res, error, "Error updating commission rule")
+  }
+}
+
+// @desc    Deactivate commission rule (earnings keep referring to it)
+// @route   DELETE /api/payouts/commission-rules/:id
+// @access  Admin (payments write)
+const deactivateCommissionRule = async (req, res) => {
+  try {
+    const rule = await CommissionRule.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true })
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Commission rule not found" })
+    }
+    res.status(200).json({ success: true, message: "Commission rule deactivated", data: rule })
+  } catch (error) {
+    handlePayoutError(res, error, "Error deactivating commission rule")
+  }
+}
+
+// @desc    Deductions (driverId, type, settled=true|false, page, limit)
+// @route   GET /api/payouts/deductions
+// @access  Admin (payments read)
+const getDeductions = async (req, res) => {
+  try {
+    const { driverId, type, settled } = req.query
+    if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: "Invalid driver ID format" })
+    }
+    if (type && !DEDUCTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${DEDUCTION_TYPES.join(", ")}` })
+    }
+
+    const query = {}
+    if (driverId) query.driver = driverId
+    if (type) query.type = type
+    if (settled !== undefined) query.settlement = settled === "true" ? { $ne: null } : null
+
+    const { pageNum, limitNum, skip } = paginate(req.query)
+    const [deductions, totalItems] = await Promise.all([
+      DriverDeduction.find(query)
+        .sort({ effectiveAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate("driver", "name phone")
+        .populate("settlement", "reference status"),
+      DriverDeduction.countDocuments(query),
+    ])
+
+    res.status(200).json({ success: true, data: deductions, pagination: toPagination(pageNum, limitNum, totalItems) })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching deductions")
+  }
+}
+
+// @desc    Add a penalty to a driver's next settlement (driverId, amount, reason, rideId, effectiveAt)
+// @route   POST /api/payouts/penalties
+// @access  Admin (payments write)
+const addPenalty = async (req, res) => {
+  try {
+    const { driverId, amount, reason, rideId, effectiveAt } = req.body
+    const result = await createPenalty({ driverId, amount, reason, rideId, effectiveAt, admin: req.admin })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(201).json({ success: true, message: "Penalty added", data: result.deduction })
+  } catch (error) {
+    handlePayoutError(res, error, "Error adding penalty")
+  }
+}
+
+// @desc    Settlement batches without driver lines (status, page, limit)
+// @route   GET /api/payouts/settlements
+// @access  Admin (payments read)
+const getSettlements = async (req, res) => {
+  try {
+    const query = {}
+    if (req.query.status) query.status = req.query.status
+
+    const { pageNum, limitNum, skip } = paginate(req.query)
+    const [batches, totalItems] = await Promise.all([
+      SettlementBatch.find(query).select("-lines").sort({ periodStart: -1 }).skip(skip).limit(limitNum),
+      SettlementBatch.countDocuments(query),
+    ])
+
+    res.status(200).json({ success: true, data: batches, pagination: toPagination(pageNum, limitNum, totalItems) })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching settlements")
+  }
+}
+
+// @desc    Settlement batch with driver lines
+// @route   GET /api/payouts/settlements/:id
+// @access  Admin (payments read)
+const getSettlement = async (req, res) => {
+  try {
+    const batch = await SettlementBatch.findById(req.params.id)
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Settlement not found" })
+    }
+    res.status(200).json({ success: true, data: batch })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching settlement")
+  }
+}
+
+// @desc    Generate (or regenerate a draft of) the settlement for the week containing weekOf
+// @route   POST /api/payouts/settlements
+// @access  Admin (payments write)
+const createSettlement = async (req, res) => {
+  try {
+    const result = await generateSettlement({
+      weekOf: req.body.weekOf || undefined,
+      actor: { type: "admin", id: String(req.admin._id), name: req.admin.name },
+    })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(201).json({ success: true, message: "Settlement generated", data: result.batch })
+  } catch (error) {
+    handlePayoutError(res, error, "Error generating settlement")
+  }
+}
+
+// @desc    Approve settlement for payment
+// @route   POST /api/payouts/settlements/:id/approve
+// @access  Admin (payments write)
+const approveSettlementBatch = async (req, res) => {
+  try {
+    const result = await approveSettlement(req.params.id, req.admin)
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(200).json({ success: true, message: "Settlement approved", data: result.batch })
+  } catch (error) {
+    handlePayoutError(res, error, "Error approving settlement")
+  }
+}
+
+// @desc    Mark an approved settlement as paid (bankReference)
+// @route   POST /api/payouts/settlements/:id/paid
+// @access  Admin (payments write)
+const markSettlementBatchPaid = async (req, res) => {
+  try {
+    const result = await markSettlementPaid(req.params.id, { bankReference: req.body.bankReference, admin: req.admin })
+    if (!result.success) return sendServiceError(res, result)
+
+    res.status(200).json({ success: true, message: "Settlement marked as paid", data: result.batch })
+  } catch (error) {
+    handlePayoutError(res, error, "Error marking settlement as paid")
+  }
+}
+
+// @desc    Payout file of an approved settlement (format=csv|bank)
+// @route   GET /api/payouts/settlements/:id/payout-file
+// @access  Admin (payments read)
+const downloadPayoutFile = async (req, res) => {
+  try {
+    const format = req.query.format || "csv"
+    if (!["csv", "bank"].includes(format)) {
+      return res.status(400).json({ success: false, message: "format must be csv or bank" })
+    }
+
+    const batch = await SettlementBatch.findById(req.params.id)
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Settlement not found" })
+    }
+    if (batch.status === "draft") {
+      return res.status(409).json({ success: false, message: "Approve the settlement before downloading payout files" })
+    }
+
+    if (format === "bank") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8")
+      res.setHeader("Content-Disposition", `attachment; filename="${batch.reference}-bank-upload.txt"`)
+      return res.send(settlementToBankFile(batch))
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="${batch.reference}.csv"`)
+    res.send(settlementToCsv(batch))
+  } catch (error) {
+    handlePayoutError(res, error, "Error creating payout file")
+  }
+}
+
+// @desc    Driver earnings statement: per-ride earnings, deductions and settlements (from, to, page, limit)
+// @route   GET /api/driver/:id/earnings
+// @access  The driver / Admin (payments read)
+const getDriverEarnings = async (req, res) => {
+  try {
+    const result = await getDriverEarningsStatement(req.params.id, req.query)
+    if (!result.success) return sendServiceError(res, result)
+
+    const { success, pagination, ...data } = result
+    res.status(200).json({ success, data, pagination })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching driver earnings")
+  }
+}
+
+// @desc    Driver's payout bank account, account number masked
+// @route   GET /api/payouts/drivers/:driverId/bank-account
+// @access  Admin (payments read)
+const getDriverBankAccount = async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.driverId).select("name +bankAccount")
+    if (!driver) return res.status(404).json({ success: false, message: "Driver not found" })
+
+    const { _id, name, bankAccount = null } = driver.toJSON()
+    res.status(200).json({ success: true, data: { driverId: _id, name, bankAccount } })
+  } catch (error) {
+    handlePayoutError(res, error, "Error fetching driver bank account")
+  }
+}
+
+// @desc    Set the bank account settlements are paid to (accountHolderName, accountNumber, ifsc, bankName)
+// @route   PUT /api/payouts/drivers/:driverId/bank-account
+// @access  Admin (payments write)
+const updateDriverBankAccount = async (req, res) => {
+  try {
+    const { accountHolderName, accountNumber, ifsc, bankName } = req.body
+    if (!accountHolderName || !accountNumber || !ifsc) {
+      return res
+        .status(400)
+        .json({ success: false, message: "accountHolderName, accountNumber and ifsc are required" })
+    }
+
+    const driver = await Driver.findByIdAndUpdate(
+      req.params.driverId,
+      { $set: { bankAccount: { accountHolderName, accountNumber, ifsc, bankName } } },
+      { new: true, runValidators: true },
+    ).select("name +bankAccount")
+    if (!driver) return res.status(404).json({ success: false, message: "Driver not found" })
+
+    const { _id, name, bankAccount } = driver.toJSON()
+    res.status(200).json({ success: true, message: "Bank account updated", data: { driverId: _id, name, bankAccount } })
+  } catch (error) {
+    handlePayoutError(res, error, "Error updating driver bank account")
+  }
+}
+
+module.exports = {
+  getCommissionRules,
+  resolveCommission,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+  getDeductions,
+  addPenalty,
+  getSettlements,
+  getSettlement,
+  createSettlement,
+  approveSettlementBatch,
+  markSettlementBatchPaid,
+  downloadPayoutFile,
+  getDriverEarnings,
+  getDriverBankAccount,
+  updateDriverBankAccount,
+}
@@ -0,0 +1,243 @@
+const mongoose = require("mongoose")
+const Promotion = require("../models/Promotion")
+const PromotionRedemption = require("../models/PromotionRedemption")
+
+const PROMOTION_FIELDS = [
+  "code",
+  "name",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minFare",
+  "currency",
+  "validFrom",
+  "validUntil",
+  "usageLimit",
+  "perUserLimit",
+  "services",
+  "firstRideOnly",
+  "isActive",
+]
+
+const pickPromotionFields = (body) =>
+  PROMOTION_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handlePromotionError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid promotion ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: "A promotion with this code already exists" })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// Redemption totals per promotion: uses still counting and the discount given on charged rides
+const redemptionStats = async (promotionIds) => {
+  const stats = await PromotionRedemption.aggregate([
+    { $match: { promotion: { $in: promotionIds } } },
+    {
+      $group: {
+        _id: "$promotion",
+        applied: { $sum: { $cond: [{ $eq: ["$status", "applied"] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+        released: { $sum: { $cond: [{ $eq: ["$status", "released"] }, 1, 0] } },
+        totalDiscount: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$discount", 0] } },
+      },
+    },
+  ])
+  return new Map(stats.map(({ _id, ...rest }) => [String(_id), rest]))
+}
+
+// @desc    Promotions with redemption totals (status=active|inactive|expired, service, search, page, limit)
+// @route   GET /api/promotions
+// @access  Admin (settings read)
+const getPromotions = async (req, res) => {
+  try {
+    const { status, service, search, page = 1, limit = 20 } = req.query
+    const now = new Date()
+    const query = {}
+    if (status === "active") Object.assign(query, { isActive: true, validFrom: { $lte: now }, validUntil: { $gte: now } })
+    if (status === "inactive") query.isActive = false
+    if (status === "expired") query.validUntil = { $lt: now }
+    if (service) query.$or = [{ services: service }, { services: { $size: 0 } }]
+    if (search) query.code = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" }
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+    const [promotions, totalItems] = await Promise.all([
+      Promotion.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Promotion.countDocuments(query),
+    ])
+    const stats = await redemptionStats(promotions.map((promotion) => promotion._id))
+    const totalPages = Math.ceil(totalItems / limitNum)
+
+    res.status(200).json({
+      success: true,
+      data: promotions.map((promotion) => ({
+        ...promotion.toObject(),
+        redemptions: stats.get(String(promotion._id)) || { applied: 0, completed: 0, released: 0, totalDiscount: 0 },
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    })
+  } catch (error) {
+    handlePromotionError(res, error, "Error fetching promotions")
+  }
+}
+
+// @desc    Single promotion with redemption totals
+// @route   GET /api/promotions/:id
+// @access  Admin (settings read)
+const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" })
+    }
+
+    const stats = await redemptionStats([promotion._id])
+    res.status(200).json({
+      success: true,
+      data: {
+        ...promotion.toObject(),
+        redemptions: stats.get(String(promotion._id)) || { applied: 0, completed: 0, released: 0, totalDiscount: 0 },
+      },
+    })
+  } catch (error) {
+    handlePromotionError(res, error, "Error fetching promotion")
+  }
+}
+
+// @desc    Create promotion
+// @route   POST /api/promotions
+// @access  Admin (settings write)
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: { id: String(req.admin._id), name: req.admin.name },
+    })
+
+    res.status(201).json({ success: true, message: "Promotion created successfully", data: promotion })
+  } catch (error) {
+    handlePromotionError(res, error, "Error creating promotion")
+  }
+}
+
+// @desc    Update promotion. Rides already booked keep the terms they were booked under.
+// @route   PUT /api/promotions/:id
+// @access  Admin (settings write)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" })
+    }
+
+    // The code identifies redemptions already made
+    const fields = pickPromotionFields(req.body)
+    if (fields.code && promotion.redemptionCount > 0 && fields.code.toUpperCase() !== promotion.code) {
+      return res.status(409).json({ success: false, message: "The code of a promotion in use cannot be changed" })
+    }
+
+    promotion.set(fields)
+    await promotion.save()
+
+    res.status(200).json({ success: true, message: "Promotion updated successfully", data: promotion })
+  } catch (error) {
+    handlePromotionError(res, error, "Error updating promotion")
+  }
+}
+
+// @desc    Deactivate promotion (redemptions keep referring to it)
+// @route   DELETE /api/promotions/:id
+// @access  Admin (settings write)
+const deactivatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true })
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: "Promotion not found" })
+    }
+
+    res.status(200).json({ success: true, message: "Promotion deactivated", data: promotion })
+  } catch (error) {
+    handlePromotionError(res, error, "Error deactivating promotion")
+  }
+}
+
+// @desc    Redemptions of a promotion (status, page, limit)
+// @route   GET /api/promotions/:id/redemptions
+// @access  Admin (settings read)
+const getPromotionRedemptions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid promotion ID format" })
+    }
+    const { status, page = 1, limit = 20 } = req.query
+    const query = { promotion: req.params.id }
+    if (status) query.status = status
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+    const [redemptions, totalItems] = await Promise.all([
+      PromotionRedemption.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PromotionRedemption.countDocuments(query),
+    ])
+    const totalPages = Math.ceil(totalItems / limitNum)
+
+    res.status(200).json({
+      success: true,
+      data: redemptions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    })
+  } catch (error) {
+    handlePromotionError(res, error, "Error fetching promotion redemptions")
+  }
+}
+
+module.exports = {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+  getPromotionRedemptions,
+}
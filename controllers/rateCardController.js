@@ -0,0 +1,149 @@
+const RateCard = require("../models/RateCard")
+const pricingConfig = require("../config/pricing")
+const { findRateCard, calculateFare } = require("../services/fareService")
+
+const RATE_CARD_FIELDS = [
+  "service",
+  "vehicleType",
+  "currency",
+  "baseFare",
+  "perKm",
+  "perMinute",
+  "minimumFare",
+  "freeWaitingMinutes",
+  "waitingPerMinute",
+  "nightMultiplier",
+  "nightStartHour",
+  "nightEndHour",
+  "taxPercent",
+  "perStop",
+  "isActive",
+  "notes",
+]
+
+const pickRateCardFields = (body) =>
+  RATE_CARD_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handleRateCardError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid rate card ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: "A rate card for this service and vehicle type already exists",
+    })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// @desc    Stored rate cards plus the built-in defaults they override
+// @route   GET /api/rate-cards?service=
+// @access  Public
+exports.getRateCards = async (req, res) => {
+  try {
+    const { service } = req.query
+    const query = service ? { service } : {}
+    const rateCards = await RateCard.find(query).sort({ service: 1, vehicleType: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: rateCards.length,
+      data: rateCards,
+      defaults: pricingConfig.defaultRateCards,
+    })
+  } catch (error) {
+    handleRateCardError(res, error, "Error fetching rate cards")
+  }
+}
+
+// @desc    Rate card that applies to a service / vehicle type, with a sample fare
+// @route   GET /api/rate-cards/resolve?service=&vehicleType=&distanceKm=&durationMin=
+// @access  Public
+exports.resolveRateCard = async (req, res) => {
+  try {
+    const { service, vehicleType, distanceKm = 5, durationMin = 15 } = req.query
+    if (!service) {
+      return res.status(400).json({ success: false, message: "service is required" })
+    }
+
+    const rates = await findRateCard(service, vehicleType)
+    if (!rates) {
+      return res.status(404).json({ success: false, message: `No rate card configured for service ${service}` })
+    }
+
+    const sample = calculateFare(rates, {
+      distanceKm: Number.parseFloat(distanceKm) || 0,
+      durationMin: Number.parseFloat(durationMin) || 0,
+    })
+
+    res.status(200).json({ success: true, data: rates, sample })
+  } catch (error) {
+    handleRateCardError(res, error, "Error resolving rate card")
+  }
+}
+
+// @desc    Create rate card
+// @route   POST /api/rate-cards
+// @access  Admin (settings write)
+exports.createRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.create(pickRateCardFields(req.body))
+
+    res.status(201).json({ success: true, message: "Rate card created successfully", data: rateCard })
+  } catch (error) {
+    handleRateCardError(res, error, "Error creating rate card")
+  }
+}
+
+// @desc    Update rate card. Rides already quoted keep the rates they were quoted.
+// @route   PUT /api/rate-cards/:id
+// @access  Admin (settings write)
+exports.updateRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findByIdAndUpdate(req.params.id, pickRateCardFields(req.body), {
+      new: true,
+      runValidators: true,
+    })
+
+    if (!rateCard) {
+      return res.status(404).json({ success: false, message: "Rate card not found" })
+    }
+
+    res.status(200).json({ success: true, message: "Rate card updated successfully", data: rateCard })
+  } catch (error) {
+    handleRateCardError(res, error, "Error updating rate card")
+  }
+}
+
+// @desc    Delete rate card (the built-in default applies again)
+// @route   DELETE /api/rate-cards/:id
+// @access  Admin (settings write)
+exports.deleteRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findByIdAndDelete(req.params.id)
+
+    if (!rateCard) {
+      return res.status(404).json({ success: false, message: "Rate card not found" })
+    }
+
+    res.status(200).json({ success: true, message: "Rate card deleted successfully", data: rateCard })
+  } catch (error) {
+    handleRateCardError(res, error, "Error deleting rate card")
+  }
+}
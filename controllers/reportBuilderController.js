@@ -0,0 +1,244 @@
+const ReportDefinition = require("../models/ReportDefinition")
+const { builderFields, runReportDefinition } = require("../services/reportBuilderService")
+const { EXPORT_FORMATS, exportFilename, writeReportExport } = require("../services/reportExportService")
+
+const DEFINITION_FIELDS = [
+  "name",
+  "description",
+  "dimensions",
+  "metrics",
+  "filters",
+  "period",
+  "sort",
+  "limit",
+  "visibility",
+  "sharedWith",
+]
+
+const pickDefinitionFields = (body) =>
+  DEFINITION_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handleReportDefinitionError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid report definition ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+const paginationOf = (pageNum, limitNum, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limitNum)
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+  }
+}
+
+// Run a definition and answer with the report as JSON, or as a download when format is given
+const sendReport = async (res, definition, { format, ...periodOverrides }) => {
+  if (format && !EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    })
+  }
+
+  const result = await runReportDefinition(definition, periodOverrides)
+  if (!result.success) {
+    return res.status(result.statusCode).json({ success: false, message: result.message, errors: result.errors })
+  }
+  if (!format) return res.status(200).json({ success: true, data: result.report })
+
+  const { report } = result
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType)
+  res.setHeader("Content-Disposition", `attachment; filename="${exportFilename("custom", report, format)}"`)
+  res.setHeader("X-Report-Data-Source", report.dataSource)
+  await writeReportExport(res, { type: "custom", format, report })
+  res.end()
+}
+
+// Part of a download may already be sent: abort it so the client does not keep a truncated file
+const handleRunError = (res, error, message) => {
+  if (res.headersSent) {
+    console.error(`${message}:`, error)
+    return res.destroy(error)
+  }
+  handleReportDefinitionError(res, error, message)
+}
+
+// @desc    Dimensions, metrics and filters the report builder offers
+// @route   GET /api/reports/builder/fields
+// @access  Admin (payments read)
+const getReportBuilderFields = (req, res) => {
+  res.status(200).json({ success: true, data: builderFields() })
+}
+
+// @desc    Run a report definition without saving it (body: dimensions, metrics, filters,
+//          period, sort, limit). format=csv|xlsx|pdf downloads it.
+// @route   POST /api/reports/builder/run
+// @access  Admin (payments read)
+const runReportBuilder = async (req, res) => {
+  try {
+    await sendReport(res, req.body || {}, { format: req.query.format })
+  } catch (error) {
+    handleRunError(res, error, "Error running custom report")
+  }
+}
+
+// @desc    Saved reports the admin can see (scope=mine|shared|all, page, limit)
+// @route   GET /api/reports/builder/definitions
+// @access  Admin (payments read)
+const getReportDefinitions = async (req, res) => {
+  try {
+    const { scope = "all", page = 1, limit = 20 } = req.query
+    const adminId = String(req.admin._id)
+    const sharedWithAdmin = { "owner.id": { $ne: adminId }, $or: [{ visibility: "shared" }, { sharedWith: adminId }] }
+    const scopes = {
+      mine: { "owner.id": adminId },
+      shared: sharedWithAdmin,
+      // Super admins see every saved report
+      all: req.admin.role === "super_admin" ? {} : { $or: [{ "owner.id": adminId }, sharedWithAdmin] },
+    }
+    if (!scopes[scope]) {
+      return res.status(400).json({ success: false, message: "Invalid scope. Must be one of: mine, shared, all" })
+    }
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+    const [definitions, totalItems] = await Promise.all([
+      ReportDefinition.find(scopes[scope])
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ReportDefinition.countDocuments(scopes[scope]),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: definitions,
+      pagination: paginationOf(pageNum, limitNum, totalItems),
+    })
+  } catch (error) {
+    handleReportDefinitionError(res, error, "Error fetching report definitions")
+  }
+}
+
+// Saved report by id if the admin may see it (and change it, with edit); else answers 404 or 403 and returns null
+const findDefinition = async (req, res, { edit = false } = {}) => {
+  const definition = await ReportDefinition.findById(req.params.id)
+  if (!definition || !definition.canView(req.admin)) {
+    res.status(404).json({ success: false, message: "Report definition not found" })
+    return null
+  }
+  if (edit && !definition.canEdit(req.admin)) {
+    res.status(403).json({ success: false, message: "Only the owner can change this report definition" })
+    return null
+  }
+  return definition
+}
+
+// @desc    Single saved report
+// @route   GET /api/reports/builder/definitions/:id
+// @access  Admin (payments read)
+const getReportDefinition = async (req, res) => {
+  try {
+    const definition = await findDefinition(req, res)
+    if (!definition) return
+
+    res.status(200).json({ success: true, data: definition })
+  } catch (error) {
+    handleReportDefinitionError(res, error, "Error fetching report definition")
+  }
+}
+
+// @desc    Save a report definition, owned by the admin
+// @route   POST /api/reports/builder/definitions
+// @access  Admin (payments write)
+const createReportDefinition = async (req, res) => {
+  try {
+    const definition = await ReportDefinition.create({
+      ...pickDefinitionFields(req.body),
+      owner: { id: String(req.admin._id), name: req.admin.name },
+    })
+
+    res.status(201).json({ success: true, message: "Report definition saved successfully", data: definition })
+  } catch (error) {
+    handleReportDefinitionError(res, error, "Error saving report definition")
+  }
+}
+
+// @desc    Update a saved report, including who it is shared with (visibility, sharedWith). Owner only.
+// @route   PUT /api/reports/builder/definitions/:id
+// @access  Admin (payments write)
+const updateReportDefinition = async (req, res) => {
+  try {
+    const definition = await findDefinition(req, res, { edit: true })
+    if (!definition) return
+
+    definition.set(pickDefinitionFields(req.body))
+    await definition.save()
+
+    res.status(200).json({ success: true, message: "Report definition updated successfully", data: definition })
+  } catch (error) {
+    handleReportDefinitionError(res, error, "Error updating report definition")
+  }
+}
+
+// @desc    Delete a saved report. Owner only.
+// @route   DELETE /api/reports/builder/definitions/:id
+// @access  Admin (payments write)
+const deleteReportDefinition = async (req, res) => {
+  try {
+    const definition = await findDefinition(req, res, { edit: true })
+    if (!definition) return
+
+    await definition.deleteOne()
+    res.status(200).json({ success: true, message: "Report definition deleted" })
+  } catch (error) {
+    handleReportDefinitionError(res, error, "Error deleting report definition")
+  }
+}
+
+// @desc    Run a saved report. timeRange, startDate, endDate, tz, weekStart and interval
+//          override its period for this run; format=csv|xlsx|pdf downloads it.
+// @route   GET /api/reports/builder/definitions/:id/run
+// @access  Admin (payments read)
+const runSavedReportDefinition = async (req, res) => {
+  try {
+    const definition = await findDefinition(req, res)
+    if (!definition) return
+
+    await sendReport(res, definition.toObject(), req.query)
+  } catch (error) {
+    handleRunError(res, error, "Error running report definition")
+  }
+}
+
+module.exports = {
+  getReportBuilderFields,
+  runReportBuilder,
+  getReportDefinitions,
+  getReportDefinition,
+  createReportDefinition,
+  updateReportDefinition,
+  deleteReportDefinition,
+  runSavedReportDefinition,
+}
@@ -0,0 +1,238 @@
+const mongoose = require("mongoose")
+const ReportSubscription = require("../models/ReportSubscription")
+const ReportSubscriptionRun = require("../models/ReportSubscriptionRun")
+const {
+  cancelDeliveries,
+  rescheduleSubscription,
+  deliverSubscription,
+} = require("../services/reportSubscriptionService")
+
+const SUBSCRIPTION_FIELDS = ["name", "report", "filters", "format", "schedule", "timezone", "recipients", "isActive"]
+
+const pickSubscriptionFields = (body) =>
+  SUBSCRIPTION_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handleReportSubscriptionError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid report subscription ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+const paginationOf = (pageNum, limitNum, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limitNum)
+  return {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+  }
+}
+
+// @desc    Report subscriptions (report, isActive, page, limit)
+// @route   GET /api/reports/subscriptions
+// @access  Admin (payments read)
+const getReportSubscriptions = async (req, res) => {
+  try {
+    const { report, isActive, page = 1, limit = 20 } = req.query
+    const query = {}
+    if (report) query.report = report
+    if (isActive !== undefined) query.isActive = isActive === "true"
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+    const [subscriptions, totalItems] = await Promise.all([
+      ReportSubscription.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ReportSubscription.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: subscriptions,
+      pagination: paginationOf(pageNum, limitNum, totalItems),
+    })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error fetching report subscriptions")
+  }
+}
+
+// @desc    Single report subscription
+// @route   GET /api/reports/subscriptions/:id
+// @access  Admin (payments read)
+const getReportSubscription = async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.findById(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Report subscription not found" })
+    }
+
+    res.status(200).json({ success: true, data: subscription })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error fetching report subscription")
+  }
+}
+
+// @desc    Create report subscription and queue its first delivery
+// @route   POST /api/reports/subscriptions
+// @access  Admin (payments write)
+const createReportSubscription = async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.create({
+      ...pickSubscriptionFields(req.body),
+      createdBy: { id: String(req.admin._id), name: req.admin.name },
+    })
+    await rescheduleSubscription(req.app.get("jobScheduler"), subscription)
+
+    res.status(201).json({
+      success: true,
+      message: "Report subscription created successfully",
+      data: await ReportSubscription.findById(subscription._id),
+    })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error creating report subscription")
+  }
+}
+
+// @desc    Update report subscription. The queued delivery is replaced by one on the new schedule.
+// @route   PUT /api/reports/subscriptions/:id
+// @access  Admin (payments write)
+const updateReportSubscription = async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.findById(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Report subscription not found" })
+    }
+
+    subscription.set(pickSubscriptionFields(req.body))
+    await subscription.save()
+    await rescheduleSubscription(req.app.get("jobScheduler"), subscription)
+
+    res.status(200).json({
+      success: true,
+      message: "Report subscription updated successfully",
+      data: await ReportSubscription.findById(subscription._id),
+    })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error updating report subscription")
+  }
+}
+
+// @desc    Delete report subscription, its queued delivery and its run history
+// @route   DELETE /api/reports/subscriptions/:id
+// @access  Admin (payments write)
+const deleteReportSubscription = async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.findById(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Report subscription not found" })
+    }
+
+    await cancelDeliveries(req.app.get("jobScheduler"), subscription._id)
+    await ReportSubscriptionRun.deleteMany({ subscription: subscription._id })
+    await subscription.deleteOne()
+
+    res.status(200).json({ success: true, message: "Report subscription deleted" })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error deleting report subscription")
+  }
+}
+
+// @desc    Send the report now, e.g. to test a subscription. Optional body.recipients
+//          replaces the subscription's recipients for this send only. Does not move the schedule.
+// @route   POST /api/reports/subscriptions/:id/send
+// @access  Admin (payments write)
+const sendReportSubscriptionNow = async (req, res) => {
+  try {
+    const subscription = await ReportSubscription.findById(req.params.id)
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: "Report subscription not found" })
+    }
+
+    let { recipients } = req.body || {}
+    if (recipients !== undefined) {
+      recipients = (Array.isArray(recipients) ? recipients : [recipients]).map((email) =>
+        String(email).trim().toLowerCase(),
+      )
+      const invalid = recipients.filter((email) => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+      if (recipients.length === 0 || invalid.length > 0) {
+        return res.status(400).json({ success: false, message: "Recipients must be email addresses", errors: invalid })
+      }
+    }
+
+    const run = await deliverSubscription(subscription, {
+      trigger: "manual",
+      requestedBy: { id: String(req.admin._id), name: req.admin.name },
+      recipients,
+    })
+
+    if (run.status === "failed") {
+      return res.status(502).json({ success: false, message: "Report could not be sent", error: run.error, data: run })
+    }
+    res.status(200).json({ success: true, message: `Report sent to ${run.recipients.join(", ")}`, data: run })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error sending report subscription")
+  }
+}
+
+// @desc    Run history of a report subscription, newest first (status, page, limit)
+// @route   GET /api/reports/subscriptions/:id/runs
+// @access  Admin (payments read)
+const getReportSubscriptionRuns = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid report subscription ID format" })
+    }
+    const { status, page = 1, limit = 20 } = req.query
+    const query = { subscription: req.params.id }
+    if (status) query.status = status
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+    const [runs, totalItems] = await Promise.all([
+      ReportSubscriptionRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ReportSubscriptionRun.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: runs,
+      pagination: paginationOf(pageNum, limitNum, totalItems),
+    })
+  } catch (error) {
+    handleReportSubscriptionError(res, error, "Error fetching report subscription runs")
+  }
+}
+
+module.exports = {
+  getReportSubscriptions,
+  getReportSubscription,
+  createReportSubscription,
+  updateReportSubscription,
+  deleteReportSubscription,
+  sendReportSubscriptionNow,
+  getReportSubscriptionRuns,
+}
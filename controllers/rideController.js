@@ -1,34 +1,1176 @@
-const Ride = require('../models/Ride2');
+const path = require("path")
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const RideEvent = require("../models/RideEvent")
+const Driver = require("../models/TRdriverModel")
+const Zone = require("../models/Zone")
+const User = require("../models/User")
+const { getAllowedTransitions } = require("../utils/rideStateMachine")
+const { toPlace, fromPoint } = require("../utils/geo")
+const { checkPlaceAllowed } = require("../services/zoneService")
+const { estimateFare } = require("../services/fareService")
+const { validateScheduledPickup, scheduleRideJobs } = require("../services/rideScheduleService")
+const { buildStops, summariseStops, updateStopStatus } = require("../services/rideStopService")
+const {
+  getRequirements,
+  isDropStop,
+  issueDeliveryOtp,
+  submitProofOfDelivery,
+} = require("../services/proofOfDeliveryService")
+const {
+  getChatParticipant,
+  toChatPayload,
+  sendChatMessage,
+  listChatMessages,
+  markChatReceipts,
+  moderateChatMessage,
+} = require("../services/rideChatService")
+const {
+  validatePromotion,
+  applyPromotionToFare,
+  toRidePromotion,
+  redeemPromotion,
+  releasePromotion,
+} = require("../services/promotionService")
+const { generateRideReceipt } = require("../services/receiptService")
+const { postFareAdjustment, checkWalletBalance } = require("../services/walletService")
+const { recordCashCollection } = require("../services/cashService")
+const { hasPermission } = require("../middlewares/adminAuthMiddleware")
+const { getRatingTags, submitRideRating, listLowRatedRides } = require("../services/ratingService")
+const {
+  getCancellationReasons,
+  resolveCancellationReason,
+  evaluateCancellationPolicy,
+} = require("../services/cancellationService")
+const { changeRideStatus } = require("../services/rideStatusService")
+const { emitRideStatusUpdate } = require("../utils/rideRooms")
+const {
+  resolveActor,
+  canOperateRide,
+  recordRideEvent,
+  recordLocationCheckpoint,
+  buildEventQuery,
+  validateEventFilters,
+  queryRideEvents,
+  eventsToCsv,
+} = require("../services/rideEventService")
 
+// Upper bound for a single timeline export
+const MAX_EXPORT_EVENTS = 10000
 
+// Map known error types to HTTP responses
+const handleRideError = (res, error, message) => {
+  if (error.name === "InvalidTransitionError") {
+    return res.status(error.statusCode || 409).json({
+      success: false,
+      message: error.message,
+      from: error.from,
+      to: error.to,
+      allowed: error.allowed,
+    })
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid ride ID format",
+    })
+  }
+
+  if (error.name === "ValidationError") {
+    const validationErrors = Object.values(error.errors).map((err) => err.message)
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors,
+    })
+  }
+
+  console.error(`${message}:`, error)
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  })
+}
+
+// Surge multiplier at a pickup place (1x when surge pricing is not running)
+const getSurgeAt = async (req, place) => {
+  const surgeService = req.app.get("surgeService")
+  if (!surgeService) return { multiplier: 1, source: "none" }
+  return surgeService.getMultiplierAt(place && place.location)
+}
+
+// @desc    List rides, optionally filtered by status
+// @route   GET /api/rides
 exports.getRides = async (req, res) => {
   try {
-    const status = req.query.status;
-    const rides = status ? await Ride.find({ status }) : await Ride.find();
-    res.json(rides);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    const { status, zone, scheduled } = req.query
+    const query = status ? { status } : {}
+
+    // scheduled=true: advance bookings only, scheduled=false: immediate rides only
+    if (scheduled === "true") query.scheduledFor = { $exists: true }
+    if (scheduled === "false") query.scheduledFor = { $exists: false }
+
+    // Rides picked up inside a zone
+    if (zone && zone !== "all") {
+      const zoneDoc = await Zone.findById(zone).select("geometry")
+      if (!zoneDoc) return res.status(404).json({ success: false, message: "Zone not found" })
+      query["pickup.location"] = { $geoWithin: { $geometry: zoneDoc.geometry } }
+    }
+
+    const rides = await Ride.find(query).sort({ createdAt: -1 })
+    res.json(rides)
+  } catch (error) {
+    handleRideError(res, error, "Failed to fetch rides")
   }
-};
+}
 
-exports.getRideLogs = async (req, res) => {
+// Rider of a new booking. Signed-in customers always book for themselves; other
+// requests (admins booking for a customer, older clients) name the rider in the body.
+// Returns null when the customer's account no longer exists.
+const resolveBookingRider = async (req, user) => {
+  if (!req.user) return user
+  const account = await User.findById(req.user.userId).select("name")
+  return account ? { _id: account._id, name: account.name } : null
+}
+
+// @desc    Create a ride. New rides always start in "requested". Promo codes and wallet
+//          payments need the rider's customer token, or an admin with bookings.write.
+// @route   POST /api/rides
+exports.createRide = async (req, res) => {
   try {
-    const logs = await RideLog.find({ rideId: req.params.rideId });
-    res.json(logs);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    const {
+      service,
+      type,
+      user,
+      driver,
+      pickup,
+      drop,
+      stops,
+      rideTime,
+      distanceKm,
+      durationMin,
+      scheduledFor,
+      promoCode,
+      paymentMethod,
+    } = req.body
+
+    const rider = await resolveBookingRider(req, user)
+    if (req.user && !rider) {
+      return res.status(401).json({ success: false, message: "Customer account not found" })
+    }
+    // Per-customer promo limits and wallet charges only hold when the customer is not chosen by the client
+    const bookedByStaff = hasPermission(req.admin, "bookings", "write")
+    if (promoCode && !req.user && !bookedByStaff) {
+      return res.status(401).json({ success: false, message: "Sign in to use a promo code" })
+    }
+    if (paymentMethod === "wallet" && !req.user && !bookedByStaff) {
+      return res.status(401).json({ success: false, message: "Sign in to pay from your wallet" })
+    }
+
+    // Advance bookings: dispatch starts shortly before the pickup time instead of now
+    let schedule = null
+    if (scheduledFor) {
+      schedule = validateScheduledPickup(service, scheduledFor)
+      if (schedule.error) {
+        return res.status(400).json({ success: false, message: schedule.error })
+      }
+    }
+
+    // Multi-stop rides: pickup and drop are taken from the first and last stop
+    let route = null
+    if (stops !== undefined) {
+      route = buildStops(service, stops)
+      if (route.error) {
+        return res.status(400).json({ success: false, message: route.error })
+      }
+    }
+
+    const ride = new Ride({
+      service,
+      type,
+      user: rider,
+      driver,
+      pickup: route ? toPlace(route.stops[0]) : toPlace(pickup),
+      drop: route ? toPlace(route.stops[route.stops.length - 1]) : toPlace(drop),
+      stops: route ? route.stops : undefined,
+      rideTime: schedule ? schedule.scheduledFor : rideTime ? new Date(rideTime) : new Date(),
+      scheduledFor: schedule ? schedule.scheduledFor : undefined,
+      distanceKm: distanceKm !== undefined ? Number.parseFloat(distanceKm) : undefined,
+      durationMin: durationMin !== undefined ? Number.parseFloat(durationMin) : undefined,
+      paymentMethod,
+      status: "requested",
+    })
+
+    // Zones may forbid pickups / drop-offs (airports, restricted and no-service areas).
+    // Every stop after the first counts as a drop-off.
+    const places = route
+      ? ride.stops.map((stop, index) => [index === 0 ? "pickup" : "drop", stop])
+      : [
+          ["pickup", ride.pickup],
+          ["drop", ride.drop],
+        ]
+    for (const [kind, place] of places) {
+      const check = await checkPlaceAllowed(place && place.location, kind)
+      if (!check.allowed) {
+        return res.status(422).json({ success: false, message: check.message, zone: check.zone })
+      }
+    }
+
+    // The fare is always quoted by the server; client-sent amounts are ignored.
+    // No ride is booked without a quote.
+    // Surge is locked in at booking; today's demand says nothing about a later pickup.
+    const surge = schedule ? { multiplier: 1, source: "none" } : await getSurgeAt(req, ride.pickup)
+    ride.surge = surge
+    const estimate = await estimateFare({ ...ride.toObject(), distanceKm, durationMin, surgeMultiplier: surge.multiplier })
+    if (!estimate.fare) {
+      return res.status(400).json({ success: false, message: estimate.error })
+    }
+    ride.fareEstimate = estimate.fare
+    ride.amount = estimate.fare.total
+
+    // Promo codes are checked against the quote and used up with the booking
+    let promotion = null
+    if (promoCode) {
+      const promo = await validatePromotion(promoCode, {
+        service: ride.service,
+        userId: ride.user && ride.user._id,
+        fareTotal: ride.fareEstimate.total,
+        at: ride.rideTime,
+      })
+      if (!promo.success) {
+        return res.status(promo.statusCode).json({ success: false, message: promo.message })
+      }
+      promotion = promo
+    }
+
+    // Wallet rides are only booked when the wallet covers the quote
+    if (ride.paymentMethod === "wallet") {
+      const quoted = promotion
+        ? applyPromotionToFare(ride.fareEstimate.toObject(), promotion.promotion, promotion.discount).total
+        : ride.fareEstimate.total
+      const shortfall = await checkWalletBalance(ride.user._id, quoted)
+      if (shortfall) {
+        return res.status(shortfall.statusCode).json({ success: false, message: shortfall.message })
+      }
+    }
+
+    // Deliveries get a recipient OTP that the driver collects at handoff
+    const recipientOtp = issueDeliveryOtp(ride)
+
+    if (promotion) {
+      const redeemed = await redeemPromotion(promotion.promotion, {
+        userId: ride.user._id,
+        rideId: ride._id,
+        service: ride.service,
+        discount: promotion.discount,
+        currency: ride.fareEstimate.currency,
+      })
+      if (!redeemed.success) {
+        return res.status(redeemed.statusCode).json({ success: false, message: redeemed.message })
+      }
+      ride.fareEstimate = applyPromotionToFare(ride.fareEstimate.toObject(), promotion.promotion, promotion.discount)
+      ride.amount = ride.fareEstimate.total
+      ride.promotion = toRidePromotion(promotion.promotion, promotion.discount)
+    }
+
+    try {
+      await ride.save()
+    } catch (error) {
+      if (promotion) await releasePromotion(ride)
+      throw error
+    }
+
+    await recordRideEvent({
+      ride,
+      type: "ride_created",
+      actor: resolveActor(req),
+      message: schedule
+        ? `Ride scheduled (${ride.service}) for ${ride.scheduledFor.toISOString()}`
+        : `Ride requested (${ride.service})`,
+      after: {
+        status: ride.status,
+        amount: ride.amount,
+        pickup: ride.pickup,
+        drop: ride.drop,
+        scheduledFor: ride.scheduledFor,
+        promoCode: ride.promotion && ride.promotion.code,
+      },
+    })
+
+    const io = req.app.get("io")
+    io.emit("newRide", ride) // Broadcast new ride to all clients
+
+    const jobScheduler = req.app.get("jobScheduler")
+    if (schedule && jobScheduler) {
+      await scheduleRideJobs(jobScheduler, ride)
+    } else if (!schedule) {
+      // Start looking for a driver without holding up the response
+      const dispatchService = req.app.get("dispatchService")
+      if (dispatchService) {
+        dispatchService.dispatchRide(ride._id).catch((error) => console.error("❌ Error dispatching ride:", error))
+      }
+    }
+
+    // The OTP is only ever shown to the customer who booked. Multi-stop
+    // deliveries have one per drop stop: [{ stopId, sequence, otp }].
+    if (recipientOtp) {
+      io.to(`user:${ride.user._id}`).emit("deliveryOtp", { rideId: ride._id, otp: recipientOtp })
+      return res.status(201).json({ ...ride.toJSON(), recipientOtp })
+    }
+
+    res.status(201).json(ride)
+  } catch (error) {
+    handleRideError(res, error, "Failed to save ride")
+  }
+}
+
+// @desc    Itemised fare estimate for a prospective ride
+// @route   POST /api/rides/estimate
+exports.estimateRideFare = async (req, res) => {
+  try {
+    const { service, type, pickup, drop, stops, distanceKm, durationMin, rideTime, promoCode } = req.body
+
+    if (!service || !type) {
+      return res.status(400).json({ success: false, message: "service and type are required" })
+    }
+    const when = rideTime ? new Date(rideTime) : new Date()
+    if (isNaN(when.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid rideTime" })
+    }
+
+    let route = null
+    if (stops !== undefined) {
+      route = buildStops(service, stops)
+      if (route.error) {
+        return res.status(400).json({ success: false, message: route.error })
+      }
+    }
+
+    const pickupPlace = route ? toPlace(route.stops[0]) : toPlace(pickup)
+    const surge = await getSurgeAt(req, pickupPlace)
+    const result = await estimateFare({
+      service,
+      type,
+      pickup: pickupPlace,
+      drop: route ? toPlace(route.stops[route.stops.length - 1]) : toPlace(drop),
+      stops: route ? route.stops : undefined,
+      distanceKm,
+      durationMin,
+      rideTime: when,
+      surgeMultiplier: surge.multiplier,
+    })
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error })
+    }
+
+    // An invalid code does not stop the quote; the rider sees why it was not applied
+    if (promoCode) {
+      const promo = await validatePromotion(promoCode, {
+        service,
+        userId: req.user && req.user.userId,
+        fareTotal: result.fare.total,
+        at: when,
+      })
+      if (!promo.success) {
+        return res.json({ success: true, data: result.fare, surge, promotion: { applied: false, message: promo.message } })
+      }
+      return res.json({
+        success: true,
+        data: applyPromotionToFare(result.fare, promo.promotion, promo.discount),
+        surge,
+        promotion: { applied: true, code: promo.promotion.code, discount: promo.discount },
+      })
+    }
+
+    res.json({ success: true, data: result.fare, surge })
+  } catch (error) {
+    handleRideError(res, error, "Error estimating fare")
   }
-};
+}
 
+// @desc    Get a single ride
+// @route   GET /api/rides/:id
+exports.getRide = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) {
+      return res.status(404).json({ success: false, message: "Ride not found" })
+    }
+    res.json(ride)
+  } catch (error) {
+    handleRideError(res, error, "Failed to fetch ride")
+  }
+}
+
+// @desc    Move a ride to a new status, enforcing the lifecycle state machine
+// @route   PUT /api/rides/:id/status
 exports.updateRideStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const ride = await Ride.findByIdAndUpdate(req.params.rideId, { status }, { new: true });
-    if (!ride) return res.status(404).json({ error: "Ride not found" });
+    const { status, reasonCode, note, cashCollected } = req.body
+    const result = await changeRideStatus(req.params.id, status, {
+      actor: resolveActor(req),
+      reasonCode,
+      note,
+      cashCollected,
+      app: req.app,
+    })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+    if (result.cashCollection && !result.cashCollection.success) {
+      console.warn(`⚠️ Cash for ride ${result.ride._id} not recorded: ${result.cashCollection.message}`)
+    }
+
+    emitRideStatusUpdate(req.app.get("io"), result.ride)
+
+    res.json(result.ride)
+  } catch (error) {
+    handleRideError(res, error, "Error updating ride status")
+  }
+}
+
+// @desc    Cancellation reasons, optionally only those available to one actor type
+// @route   GET /api/rides/cancellation-reasons?actor=rider|driver|admin|system
+exports.getCancellationReasons = async (req, res) => {
+  const reasons = getCancellationReasons(req.query.actor)
+  res.json({ success: true, count: reasons.length, data: reasons })
+}
+
+// @desc    Fee and driver compensation if the ride were cancelled now
+// @route   GET /api/rides/:id/cancellation-quote?actor=&reasonCode=
+exports.getCancellationQuote = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) {
+      return res.status(404).json({ success: false, message: "Ride not found" })
+    }
+    if (!getAllowedTransitions(ride.status).includes("cancelled")) {
+      return res.status(409).json({ success: false, message: `A ${ride.status} ride cannot be cancelled` })
+    }
+
+    const actorType = req.query.actor || "rider"
+    const { reason, error } = resolveCancellationReason(actorType, req.query.reasonCode)
+    if (error) {
+      return res.status(400).json({ success: false, message: error })
+    }
+
+    res.json({
+      success: true,
+      data: { reasonCode: reason.code, ...evaluateCancellationPolicy(ride, { actorType, reason }) },
+    })
+  } catch (error) {
+    handleRideError(res, error, "Error calculating cancellation fee")
+  }
+}
+
+// @desc    Stops of a multi-stop ride with per-stop status, timestamps and progress
+// @route   GET /api/rides/:id/stops
+exports.getRideStops = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) {
+      return res.status(404).json({ success: false, message: "Ride not found" })
+    }
+
+    res.json({ success: true, rideId: ride._id, status: ride.status, data: summariseStops(ride) })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching ride stops")
+  }
+}
+
+// @desc    Mark a stop as arrived, done or failed (driver app)
+// @route   PUT /api/rides/:id/stops/:stopId/status
+exports.updateRideStopStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body
+    const result = await updateStopStatus(req.params.id, req.params.stopId, status, {
+      actor: resolveActor(req),
+      reason,
+      io: req.app.get("io"),
+    })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.json({ success: true, data: result.stop, stops: summariseStops(result.ride) })
+  } catch (error) {
+    handleRideError(res, error, "Error updating stop status")
+  }
+}
+
+// @desc    Capture proof of delivery (multipart: photo file plus otp, recipientName, lat, lng, notes).
+//          Multi-stop deliveries take one per drop stop (stopId). Assigned driver only.
+// @route   POST /api/rides/:id/proof-of-delivery
+exports.submitProofOfDelivery = async (req, res) => {
+  try {
+    const { stopId, otp, recipientName, lat, lng, notes } = req.body
+    const result = await submitProofOfDelivery(req.params.id, {
+      stopId,
+      otp,
+      recipientName,
+      lat,
+      lng,
+      notes,
+      photo: req.file,
+      actor: resolveActor(req),
+    })
+    if (!result.success) {
+      const { success, statusCode, ...details } = result
+      return res.status(statusCode).json({ success: false, ...details })
+    }
+
+    const io = req.app.get("io")
+    io.to("rides").emit("proofOfDeliveryCaptured", {
+      rideId: result.ride._id,
+      stopId: result.stop ? result.stop._id : undefined,
+      locationMismatch: result.proof.locationMismatch,
+      timestamp: new Date().toISOString(),
+    })
+
+    res.status(201).json({ success: true, message: "Proof of delivery captured", data: result.proof })
+  } catch (error) {
+    handleRideError(res, error, "Error saving proof of delivery")
+  }
+}
+
+// Captured proof held by a ride or one of its drop stops, as shown to admins
+const toProofPayload = (ride, holder, photoUrl) => {
+  const proof = holder.proofOfDelivery.toJSON()
+  return {
+    ...proof,
+    location: fromPoint(holder.proofOfDelivery.location),
+    photoUrl: proof.photo ? photoUrl : undefined,
+    requirements: getRequirements(ride.service),
+    otpAttempts: holder.deliveryOtp ? holder.deliveryOtp.attempts : 0,
+  }
+}
+
+const hasCapturedProof = (holder) => Boolean(holder.proofOfDelivery && holder.proofOfDelivery.capturedAt)
+
+// @desc    Proof of delivery of a ride, for dispute handling. Multi-stop deliveries
+//          answer with the proof of every drop stop that has one.
+// @route   GET /api/rides/:id/proof-of-delivery
+exports.getProofOfDelivery = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id).select("+deliveryOtp +stops.deliveryOtp")
+    if (!ride) {
+      return res.status(404).json({ success: false, message: "Ride not found" })
+    }
+
+    const photoUrl = `/api/rides/${ride._id}/proof-of-delivery/photo`
+    const hasStops = Boolean(ride.stops && ride.stops.length > 0)
+    const provenStops = hasStops ? ride.stops.filter((stop) => isDropStop(stop) && hasCapturedProof(stop)) : []
+    if (hasStops ? provenStops.length === 0 : !hasCapturedProof(ride)) {
+      return res.status(404).json({ success: false, message: "No proof of delivery captured for this ride" })
+    }
+
+    res.json({
+      success: true,
+      data: hasStops
+        ? provenStops.map((stop) => ({
+            stopId: stop._id,
+            sequence: stop.sequence,
+            address: stop.address,
+            status: stop.status,
+            ...toProofPayload(ride, stop, `${photoUrl}?stopId=${stop._id}`),
+          }))
+        : toProofPayload(ride, ride, photoUrl),
+      ride: { _id: ride._id, service: ride.service, status: ride.status, drop: ride.drop, driver: ride.driver },
+    })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching proof of delivery")
+  }
+}
+
+// @desc    Handoff photo of a proof of delivery (stopId for a drop stop of a multi-stop delivery)
+// @route   GET /api/rides/:id/proof-of-delivery/photo?stopId=
+exports.getProofOfDeliveryPhoto = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    const { stopId } = req.query
+    const holder = ride && stopId ? (ride.stops || []).find((stop) => String(stop._id) === String(stopId)) : ride
+    const photo = holder && holder.proofOfDelivery && holder.proofOfDelivery.photo
+    if (!photo || !photo.path) {
+      return res.status(404).json({ success: false, message: "No proof of delivery photo for this ride" })
+    }
+
+    res.type(photo.mimeType || "image/jpeg")
+    res.sendFile(path.resolve(photo.path), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: "Photo file is no longer available" })
+      }
+    })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching proof of delivery photo")
+  }
+}
+
+// @desc    Receipt of a completed ride as PDF (default) or HTML; generated on first request if missing
+//          Only for the ride's rider (customer token) or admins with bookings.read.
+// @route   GET /api/rides/:id/receipt?format=pdf|html&download=true
+exports.getRideReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || "pdf"
+    if (!["pdf", "html"].includes(format)) {
+      return res.status(400).json({ success: false, message: "format must be pdf or html" })
+    }
+    if (!req.admin && !req.user) {
+      return res.status(401).json({ success: false, message: "Authentication required" })
+    }
+
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+    const isRider = req.user && ride.user && String(ride.user._id) === String(req.user.userId)
+    if (!isRider && !hasPermission(req.admin, "bookings", "read")) {
+      return res.status(403).json({ success: false, message: "Only the rider or an admin can view this receipt" })
+    }
+
+    const result = await generateRideReceipt(ride._id)
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    const { receipt } = result
+    if (req.query.download === "true") {
+      res.attachment(`${receipt.number}.${format}`)
+    }
+    res.type(format === "pdf" ? "application/pdf" : "text/html")
+    res.sendFile(path.resolve(format === "pdf" ? receipt.pdfPath : receipt.htmlPath))
+  } catch (error) {
+    handleRideError(res, error, "Error fetching ride receipt")
+  }
+}
+
+// @desc    Ride timeline with filters (type, actorType, actorId, from, to) and pagination
+// @route   GET /api/rides/:id/logs
+exports.getRideLogs = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    const filterError = validateEventFilters(req.query)
+    if (filterError) return res.status(400).json({ success: false, message: filterError })
+
+    const { page, limit, ...filters } = req.query
+    const result = await queryRideEvents({ ...filters, rideId: ride._id }, { page, limit })
+
+    res.json({ success: true, rideId: ride._id, ...result })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching ride logs")
+  }
+}
+
+// Send a list of events as a JSON or CSV attachment
+const sendEventExport = (res, events, format, filename) => {
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8")
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`)
+    return res.send(eventsToCsv(events))
+  }
+
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.json"`)
+  return res.json({ exportedAt: new Date().toISOString(), count: events.length, events })
+}
+
+// @desc    Export a ride timeline for dispute handling
+// @route   GET /api/rides/:id/logs/export?format=json|csv
+exports.exportRideLogs = async (req, res) => {
+  try {
+    const { format = "json" } = req.query
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ success: false, message: "Invalid format. Must be one of: json, csv" })
+    }
+
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    const filterError = validateEventFilters(req.query)
+    if (filterError) return res.status(400).json({ success: false, message: filterError })
+
+    const events = await RideEvent.find(buildEventQuery({ ...req.query, rideId: ride._id }))
+      .sort({ occurredAt: 1, _id: 1 })
+      .limit(MAX_EXPORT_EVENTS)
+      .lean()
+
+    sendEventExport(res, events, format, `ride-${ride._id}-timeline`)
+  } catch (error) {
+    handleRideError(res, error, "Error exporting ride logs")
+  }
+}
+
+// @desc    Search events across all rides (support tooling)
+// @route   GET /api/rides/events?rideId=&type=&actorType=&actorId=&from=&to=&page=&limit=
+exports.searchRideEvents = async (req, res) => {
+  try {
+    const filterError = validateEventFilters(req.query)
+    if (filterError) return res.status(400).json({ success: false, message: filterError })
+
+    const { page, limit, ...filters } = req.query
+    const result = await queryRideEvents(filters, { page, limit })
+
+    res.json({ success: true, ...result })
+  } catch (error) {
+    handleRideError(res, error, "Error searching ride events")
+  }
+}
+
+// @desc    Export events across rides
+// @route   GET /api/rides/events/export?format=json|csv
+exports.exportRideEvents = async (req, res) => {
+  try {
+    const { format = "json" } = req.query
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ success: false, message: "Invalid format. Must be one of: json, csv" })
+    }
+
+    const filterError = validateEventFilters(req.query)
+    if (filterError) return res.status(400).json({ success: false, message: filterError })
+
+    const events = await RideEvent.find(buildEventQuery(req.query))
+      .sort({ occurredAt: 1, _id: 1 })
+      .limit(MAX_EXPORT_EVENTS)
+      .lean()
+
+    sendEventExport(res, events, format, `ride-events-${Date.now()}`)
+  } catch (error) {
+    handleRideError(res, error, "Error exporting ride events")
+  }
+}
+
+// @desc    Assign (or reassign) a driver. A requested ride becomes accepted.
+// @route   PUT /api/rides/:id/driver
+exports.assignDriver = async (req, res) => {
+  try {
+    const { driverId } = req.body
+    if (!driverId || !mongoose.Types.ObjectId.isValid(driverId)) {
+      return res.status(400).json({ success: false, message: "A valid driverId is required" })
+    }
+
+    const [ride, driver] = await Promise.all([Ride.findByIdOrLegacyId(req.params.id), Driver.findById(driverId)])
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+    if (!driver) return res.status(404).json({ success: false, message: "Driver not found" })
+
+    const before = ride.driver && ride.driver._id ? { driverId: ride.driver._id, driverName: ride.driver.name } : null
+    const driverSet = { driver: { _id: driver._id, name: driver.name } }
+    const actor = resolveActor(req)
+    let updated
+
+    if (ride.status === "requested") {
+      const result = await Ride.transitionStatus(ride._id, "accepted", { set: driverSet })
+      updated = result.ride
+      await recordRideEvent({
+        ride: updated,
+        type: "status_change",
+        actor,
+        message: `Status changed from ${result.previousStatus} to accepted`,
+        before: { status: result.previousStatus },
+        after: { status: "accepted" },
+      })
+    } else if (ride.status === "accepted") {
+      updated = await Ride.findOneAndUpdate({ _id: ride._id, status: "accepted" }, { $set: driverSet }, { new: true })
+      if (!updated) {
+        return res.status(409).json({ success: false, message: "Ride status changed, please retry" })
+      }
+    } else {
+      return res.status(409).json({
+        success: false,
+        message: `A driver cannot be assigned to a ride that is ${ride.status}`,
+      })
+    }
+
+    await recordRideEvent({
+      ride: updated,
+      type: "driver_assignment",
+      actor,
+      message: before ? `Driver changed from ${before.driverName} to ${driver.name}` : `Driver ${driver.name} assigned`,
+      before,
+      after: { driverId: driver._id, driverName: driver.name },
+    })
+
+    const dispatchService = req.app.get("dispatchService")
+    if (dispatchService) {
+      await dispatchService.cancelDispatch(updated._id, "Driver assigned manually")
+    }
+
+    const io = req.app.get("io")
+    io.emit("rideDriverAssigned", { rideId: updated._id, driver: updated.driver, ride: updated })
+
+    res.json(updated)
+  } catch (error) {
+    handleRideError(res, error, "Error assigning driver")
+  }
+}
+
+// @desc    Adjust the charged amount of a ride
+// @route   PATCH /api/rides/:id/fare
+exports.adjustFare = async (req, res) => {
+  try {
+    const { amount, reason } = req.body
+    const newAmount = Number.parseFloat(amount)
+
+    if (isNaN(newAmount) || newAmount < 0) {
+      return res.status(400).json({ success: false, message: "Amount must be a number of 0 or more" })
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: "A reason is required for fare adjustments" })
+    }
+
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    const previousAmount = ride.amount
+    ride.amount = newAmount
+    // Keep the charged breakdown adding up to the amount
+    if (ride.fare && ride.fare.total !== undefined) {
+      ride.fare.items.push({
+        code: "adjustment",
+        label: `Adjustment: ${String(reason).trim()}`,
+        amount: Math.round((newAmount - ride.fare.total) * 100) / 100,
+      })
+      ride.fare.total = newAmount
+    }
+    await ride.save()
+
+    // A ride already charged on the ledger is charged or refunded the difference
+    const actor = resolveActor(req)
+    const adjustmentId = new mongoose.Types.ObjectId()
+    let ledger = null
+    if (ride.fare && ride.fare.total !== undefined) {
+      ledger = await postFareAdjustment(ride, { adjustmentId, reason: String(reason).trim(), actor })
+      if (!ledger.success) console.error(`❌ Fare adjustment of ride ${ride._id} not posted: ${ledger.message}`)
+    }
+
+    await recordRideEvent({
+      ride,
+      type: "fare_adjustment",
+      actor,
+      message: `Fare adjusted from ${previousAmount} to ${newAmount}: ${String(reason).trim()}`,
+      before: { amount: previousAmount },
+      after: { amount: newAmount },
+      data: {
+        reason: String(reason).trim(),
+        adjustmentId,
+        ledgerTransaction: ledger && ledger.transaction ? ledger.transaction._id : undefined,
+      },
+    })
+
+    res.json(ride)
+  } catch (error) {
+    handleRideError(res, error, "Error adjusting fare")
+  }
+}
+
+// @desc    Record an admin action or note on a ride timeline
+// @route   POST /api/rides/:id/notes
+exports.addAdminNote = async (req, res) => {
+  try {
+    const { message, action } = req.body
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ success: false, message: "Message is required" })
+    }
+
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    const actor = resolveActor(req)
+    const event = await recordRideEvent({
+      ride,
+      type: "admin_action",
+      actor,
+      message: String(message).trim(),
+      data: action ? { action } : undefined,
+    })
+
+    res.status(201).json({ success: true, data: event })
+  } catch (error) {
+    handleRideError(res, error, "Error saving ride note")
+  }
+}
+
+// @desc    Record a location checkpoint reported by the driver app
+// @route   POST /api/rides/:id/checkpoints
+exports.addCheckpoint = async (req, res) => {
+  try {
+    const { lat, lng, address } = req.body
+    const latitude = Number.parseFloat(lat)
+    const longitude = Number.parseFloat(lng)
+
+    if (isNaN(latitude) || isNaN(longitude)) {
+      return res.status(400).json({ success: false, message: "Valid latitude and longitude are required" })
+    }
+
+    const actor = resolveActor(req)
+    if (!["driver", "admin"].includes(actor.type)) {
+      return res.status(401).json({ success: false, message: "Sign in as the ride's driver or an admin" })
+    }
+
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+    if (!canOperateRide(ride, actor)) {
+      return res.status(403).json({ success: false, message: "Only the assigned driver or an admin can add checkpoints" })
+    }
+
+    ride.currentLocation = { lat: latitude, lng: longitude, address, updatedAt: new Date() }
+    await ride.save()
+
+    const event = await recordLocationCheckpoint(
+      ride._id,
+      { lat: latitude, lng: longitude, address },
+      actor,
+      { force: true },
+    )
+
+    res.status(201).json({ success: true, data: event })
+  } catch (error) {
+    handleRideError(res, error, "Error saving checkpoint")
+  }
+}
+
+// @desc    Feedback tags for ratings, optionally for one direction (byRider | byDriver)
+// @route   GET /api/rides/rating-tags?direction=
+exports.getRatingTags = async (req, res) => {
+  res.json({ success: true, data: getRatingTags(req.query.direction) })
+}
+
+// @desc    Rate the other side of a completed ride (score, comment, tags).
+//          Riders and drivers authenticate with their token.
+// @route   POST /api/rides/:id/rating
+exports.rateRide = async (req, res) => {
+  try {
+    const { score, comment, tags } = req.body
+    const result = await submitRideRating(req.params.id, {
+      requester: { user: req.user, driver: req.driver },
+      score,
+      comment,
+      tags,
+      io: req.app.get("io"),
+    })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.status(201).json({ success: true, data: result.rating, subjectRating: result.subjectRating })
+  } catch (error) {
+    handleRideError(res, error, "Error saving rating")
+  }
+}
+
+// @desc    Record the cash collected on a completed cash ride (amount, note). The ride's
+//          driver reports it with their token; admins with payments.write can correct it.
+// @route   POST /api/rides/:id/cash-collection
+exports.recordRideCashCollection = async (req, res) => {
+  try {
+    if (req.admin && !hasPermission(req.admin, "payments", "write")) {
+      return res.status(403).json({ success: false, message: "Permission denied: payments.write is required" })
+    }
+    if (!req.admin && !req.driver) {
+      return res.status(401).json({ success: false, message: "Sign in as the ride's driver to record its cash" })
+    }
+
+    const { amount, note } = req.body
+    const actor = resolveActor(req)
+    const driverId = req.driver ? String(req.driver._id) : undefined
+    const result = await recordCashCollection(req.params.id, { amount, driverId, note, actor, io: req.app.get("io") })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    await recordRideEvent({
+      ride: result.ride,
+      type: "cash_collection",
+      actor,
+      message: `Cash collected recorded: ${result.ride.cashCollection.collected}`,
+      data: { cashCollection: result.ride.cashCollection },
+    })
+
+    res.status(201).json({
+      success: true,
+      data: { cashCollection: result.ride.cashCollection, entry: result.entry, driverCash: result.status },
+    })
+  } catch (error) {
+    handleRideError(res, error, "Error recording cash collection")
+  }
+}
+
+// @desc    Low-rated rides for review (direction, threshold, driverId, userId, tag, from, to, page, limit)
+// @route   GET /api/rides/low-rated
+exports.getLowRatedRides = async (req, res) => {
+  try {
+    const result = await listLowRatedRides(req.query)
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.json(result)
+  } catch (error) {
+    handleRideError(res, error, "Error fetching low-rated rides")
+  }
+}
+
+// Ride and chat identity of the requester: support admins, drivers and customers by their token
+const loadChatAccess = async (req, res) => {
+  const ride = await Ride.findByIdOrLegacyId(req.params.id)
+  if (!ride) {
+    res.status(404).json({ success: false, message: "Ride not found" })
+    return null
+  }
+  const participant = getChatParticipant(ride, {
+    admin: req.admin,
+    user: req.user,
+    driver: req.driver,
+  })
+  if (!participant) {
+    res.status(403).json({ success: false, message: "Only the rider, the assigned driver and support can use this chat" })
+    return null
+  }
+  return { ride, participant }
+}
+
+// @desc    Chat history of a ride, newest first (page, limit, before)
+// @route   GET /api/rides/:id/chat
+exports.getChatMessages = async (req, res) => {
+  try {
+    const access = await loadChatAccess(req, res)
+    if (!access) return
+
+    const result = await listChatMessages(access.ride, access.participant, req.query)
+    res.json({ success: true, ...result })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching chat messages")
+  }
+}
+
+// @desc    Send a chat message to the ride's chat room
+// @route   POST /api/rides/:id/chat
+exports.addChatMessage = async (req, res) => {
+  try {
+    const access = await loadChatAccess(req, res)
+    if (!access) return
+
+    const result = await sendChatMessage({
+      ...access,
+      text: req.body.text !== undefined ? req.body.text : req.body.message,
+      clientMessageId: req.body.clientMessageId,
+      io: req.app.get("io"),
+    })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.status(result.duplicate ? 200 : 201).json({ success: true, data: toChatPayload(result.message, access.participant) })
+  } catch (error) {
+    handleRideError(res, error, "Error saving chat message")
+  }
+}
+
+// @desc    Mark chat messages as delivered or read
+// @route   POST /api/rides/:id/chat/receipts
+exports.addChatReceipts = async (req, res) => {
+  try {
+    const access = await loadChatAccess(req, res)
+    if (!access) return
+
+    const { type = "read", messageIds, upTo } = req.body
+    const result = await markChatReceipts({ ...access, type, messageIds, upTo, io: req.app.get("io") })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.json({ success: true, type, messageIds: result.messageIds })
+  } catch (error) {
+    handleRideError(res, error, "Error saving chat receipts")
+  }
+}
+
+// @desc    Flag, unflag, hide or unhide a chat message (support)
+// @route   PATCH /api/rides/:id/chat/:messageId/moderation
+exports.moderateChatMessage = async (req, res) => {
+  try {
+    const access = await loadChatAccess(req, res)
+    if (!access) return
+
+    const { action, reason } = req.body
+    const result = await moderateChatMessage({
+      ...access,
+      messageId: req.params.messageId,
+      action,
+      reason,
+      io: req.app.get("io"),
+    })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+
+    res.json({ success: true, data: toChatPayload(result.message, access.participant) })
+  } catch (error) {
+    handleRideError(res, error, "Error moderating chat message")
+  }
+}
+
+// @desc    Start (or retry) automatic driver matching for a requested ride
+// @route   POST /api/rides/:id/dispatch
+exports.dispatchRide = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    if (ride.status !== "requested") {
+      return res.status(409).json({ success: false, message: `Only requested rides can be dispatched, ride is ${ride.status}` })
+    }
+    if (ride.dispatch && ride.dispatch.status === "searching") {
+      return res.status(409).json({ success: false, message: "Ride is already being dispatched" })
+    }
+
+    const dispatchService = req.app.get("dispatchService")
+    const offer = await dispatchService.dispatchRide(ride._id)
+    const updated = await Ride.findById(ride._id)
+
+    res.json({ success: true, data: { dispatch: updated.dispatch, offer } })
+  } catch (error) {
+    handleRideError(res, error, "Error dispatching ride")
+  }
+}
+
+// @desc    Offers made for a ride, in the order they were made
+// @route   GET /api/rides/:id/offers
+exports.getRideOffers = async (req, res) => {
+  try {
+    const ride = await Ride.findByIdOrLegacyId(req.params.id)
+    if (!ride) return res.status(404).json({ success: false, message: "Ride not found" })
+
+    const offers = await req.app.get("dispatchService").getRideOffers(ride._id)
+
+    res.json({ success: true, rideId: ride._id, dispatch: ride.dispatch, data: offers })
+  } catch (error) {
+    handleRideError(res, error, "Error fetching ride offers")
+  }
+}
+
+// @desc    Driver accepts or declines an offer (REST alternative to the socket event).
+//          The driver is the one signed in with the driver token.
+// @route   POST /api/rides/:id/offers/:offerId/respond
+exports.respondToOffer = async (req, res) => {
+  try {
+    const { accept, reason } = req.body
+    if (typeof accept !== "boolean") {
+      return res.status(400).json({ success: false, message: "accept must be true or false" })
+    }
+
+    const result = await req.app.get("dispatchService").respondToOffer(req.params.offerId, {
+      driverId: String(req.driver._id),
+      accept,
+      reason,
+      channel: "rest",
+    })
+
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({ success: false, message: result.message })
+    }
 
-    await RideLog.create({ rideId: ride._id, action: `Status updated to ${status}` });
-    res.json(ride);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.json({ success: true, status: result.status, data: result.ride || result.offer })
+  } catch (error) {
+    handleRideError(res, error, "Error responding to offer")
   }
-};
+}
@@ -0,0 +1,150 @@
+const mongoose = require("mongoose")
+const SurgeOverride = require("../models/SurgeOverride")
+const Zone = require("../models/Zone")
+const surgeConfig = require("../config/surge")
+const { toPoint } = require("../utils/geo")
+const { resolveActor } = require("../services/rideEventService")
+
+const handleSurgeError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// @desc    Current surge map (every zone and surging grid cell)
+// @route   GET /api/surge
+// @access  Public
+exports.getSurgeMap = async (req, res) => {
+  try {
+    const surgeService = req.app.get("surgeService")
+
+    res.status(200).json({ success: true, data: surgeService.getSurgeMap() })
+  } catch (error) {
+    handleSurgeError(res, error, "Error fetching surge map")
+  }
+}
+
+// @desc    Multiplier that would apply to a pickup at a point
+// @route   GET /api/surge/quote?lat=&lng=
+// @access  Public
+exports.getSurgeQuote = async (req, res) => {
+  try {
+    const point = toPoint(req.query.lat, req.query.lng)
+    if (!point) {
+      return res.status(400).json({ success: false, message: "Valid lat and lng query parameters are required" })
+    }
+
+    const surge = await req.app.get("surgeService").getMultiplierAt(point)
+
+    res.status(200).json({ success: true, data: surge })
+  } catch (error) {
+    handleSurgeError(res, error, "Error fetching surge quote")
+  }
+}
+
+// @desc    Recompute multipliers now instead of waiting for the next run
+// @route   POST /api/surge/recompute
+// @access  Admin (settings write)
+exports.recomputeSurge = async (req, res) => {
+  try {
+    const map = await req.app.get("surgeService").refresh()
+
+    res.status(200).json({ success: true, data: map })
+  } catch (error) {
+    handleSurgeError(res, error, "Error recomputing surge")
+  }
+}
+
+// @desc    Surge overrides, active ones first
+// @route   GET /api/surge/overrides?active=true
+// @access  Public
+exports.getOverrides = async (req, res) => {
+  try {
+    const query = req.query.active === "true" ? { isActive: true } : {}
+    const overrides = await SurgeOverride.find(query)
+      .populate("zone", "name type")
+      .sort({ isActive: -1, createdAt: -1 })
+
+    res.status(200).json({ success: true, count: overrides.length, data: overrides })
+  } catch (error) {
+    handleSurgeError(res, error, "Error fetching surge overrides")
+  }
+}
+
+// @desc    Set a manual multiplier for a zone or grid cell
+// @route   POST /api/surge/overrides
+// @access  Admin (settings write)
+exports.createOverride = async (req, res) => {
+  try {
+    const { zoneId, cellId, multiplier, reason, startsAt, expiresAt } = req.body
+
+    const value = Number.parseFloat(multiplier)
+    if (isNaN(value) || value < 1 || value > surgeConfig.maxOverrideMultiplier) {
+      return res.status(400).json({
+        success: false,
+        message: `Multiplier must be between 1 and ${surgeConfig.maxOverrideMultiplier}`,
+      })
+    }
+
+    if (zoneId) {
+      if (!mongoose.Types.ObjectId.isValid(zoneId) || !(await Zone.exists({ _id: zoneId }))) {
+        return res.status(404).json({ success: false, message: "Zone not found" })
+      }
+    } else if (cellId && !/^-?\d+:-?\d+$/.test(String(cellId))) {
+      return res.status(400).json({ success: false, message: "cellId must look like <row>:<col> as in the surge map" })
+    }
+
+    const actor = resolveActor(req)
+    const override = await SurgeOverride.create({
+      zone: zoneId || undefined,
+      cellId: zoneId ? undefined : cellId,
+      multiplier: value,
+      reason,
+      startsAt: startsAt ? new Date(startsAt) : undefined,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy: { id: actor.id, name: actor.name },
+    })
+
+    // Apply it right away
+    await req.app.get("surgeService").refresh()
+
+    res.status(201).json({ success: true, message: "Surge override created", data: override })
+  } catch (error) {
+    handleSurgeError(res, error, "Error creating surge override")
+  }
+}
+
+// @desc    End an override; the computed multiplier applies again
+// @route   DELETE /api/surge/overrides/:id
+// @access  Admin (settings write)
+exports.endOverride = async (req, res) => {
+  try {
+    const override = await SurgeOverride.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { isActive: false, expiresAt: new Date() },
+      { new: true },
+    )
+
+    if (!override) {
+      return res.status(404).json({ success: false, message: "Active surge override not found" })
+    }
+
+    await req.app.get("surgeService").refresh()
+
+    res.status(200).json({ success: true, message: "Surge override ended", data: override })
+  } catch (error) {
+    handleSurgeError(res, error, "Error ending surge override")
+  }
+}
@@ -0,0 +1,158 @@
+const {
+  getWallet,
+  getWalletStatement,
+  topUpWallet,
+  refundToWallet,
+  creditPromo,
+} = require("../services/walletService")
+const { hasPermission } = require("../middlewares/adminAuthMiddleware")
+
+const handleWalletError = (res, error, message) => {
+  console.error(`${message}:`, error)
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// Riders may use their own wallet; admins need the payments permission.
+// Sends the error response and returns false when access is denied.
+const authorizeWalletAccess = (req, res, action, { allowSelf = true } = {}) => {
+  if (req.admin) {
+    if (hasPermission(req.admin, "payments", action)) return true
+    res.status(403).json({ success: false, message: `Permission denied: payments.${action} is required` })
+    return false
+  }
+  if (allowSelf && req.user && String(req.user.userId) === String(req.params.userId)) return true
+  res.status(req.user ? 403 : 401).json({
+    success: false,
+    message: req.user ? "You can only access your own wallet" : "Authentication required",
+  })
+  return false
+}
+
+const requestActor = (req) =>
+  req.admin
+    ? { type: "admin", id: String(req.admin._id), name: req.admin.name }
+    : { type: "rider", id: String(req.user.userId), name: req.user.name }
+
+const idempotencyKeyOf = (req) => req.header("Idempotency-Key") || req.body.idempotencyKey
+
+const sendPostingResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.statusCode).json({ success: false, message: result.message })
+  }
+  // A repeated request gets the original posting back
+  res.status(result.duplicate ? 200 : 201).json({
+    success: true,
+    duplicate: result.duplicate,
+    data: { transaction: result.transaction, wallet: result.wallet },
+  })
+}
+
+// @desc    Wallet balance
+// @route   GET /api/wallets/:userId
+// @access  Rider (own wallet) or Admin (payments read)
+const getWalletBalance = async (req, res) => {
+  try {
+    if (!authorizeWalletAccess(req, res, "read")) return
+
+    const result = await getWallet(req.params.userId)
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+    res.status(200).json({ success: true, data: result.wallet })
+  } catch (error) {
+    handleWalletError(res, error, "Error fetching wallet")
+  }
+}
+
+// @desc    Wallet statement with running balance (from, to, page, limit)
+// @route   GET /api/wallets/:userId/statement
+// @access  Rider (own wallet) or Admin (payments read)
+const getStatement = async (req, res) => {
+  try {
+    if (!authorizeWalletAccess(req, res, "read")) return
+
+    const { from, to, page, limit } = req.query
+    for (const value of [from, to]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ success: false, message: "from and to must be valid dates" })
+      }
+    }
+
+    const result = await getWalletStatement(req.params.userId, { from, to, page, limit })
+    if (!result.success) {
+      return res.status(result.statusCode).json({ success: false, message: result.message })
+    }
+    const { success, pagination, ...data } = result
+    res.status(200).json({ success, data, pagination })
+  } catch (error) {
+    handleWalletError(res, error, "Error fetching wallet statement")
+  }
+}
+
+// @desc    Top up a wallet with money received outside the app (amount, reference of the
+//          payment). Send an Idempotency-Key header; retries with the same key post once.
+// @route   POST /api/wallets/:userId/topups
+// @access  Admin (payments write)
+const createTopUp = async (req, res) => {
+  try {
+    if (!authorizeWalletAccess(req, res, "write", { allowSelf: false })) return
+
+    const result = await topUpWallet(req.params.userId, {
+      amount: req.body.amount,
+      reference: req.body.reference,
+      idempotencyKey: idempotencyKeyOf(req),
+      actor: requestActor(req),
+    })
+    sendPostingResult(res, result)
+  } catch (error) {
+    handleWalletError(res, error, "Error topping up wallet")
+  }
+}
+
+// @desc    Refund to a wallet (amount, rideId, reason). Idempotency-Key header required.
+// @route   POST /api/wallets/:userId/refunds
+// @access  Admin (payments write)
+const createRefund = async (req, res) => {
+  try {
+    if (!authorizeWalletAccess(req, res, "write", { allowSelf: false })) return
+
+    const result = await refundToWallet(req.params.userId, {
+      amount: req.body.amount,
+      rideId: req.body.rideId,
+      reason: req.body.reason,
+      idempotencyKey: idempotencyKeyOf(req),
+      actor: requestActor(req),
+    })
+    sendPostingResult(res, result)
+  } catch (error) {
+    handleWalletError(res, error, "Error refunding to wallet")
+  }
+}
+
+// @desc    Promo credit to a wallet (amount, promoCode, reason). Idempotency-Key header required.
+// @route   POST /api/wallets/:userId/promo-credits
+// @access  Admin (payments write)
+const createPromoCredit = async (req, res) => {
+  try {
+    if (!authorizeWalletAccess(req, res, "write", { allowSelf: false })) return
+
+    const result = await creditPromo(req.params.userId, {
+      amount: req.body.amount,
+      promoCode: req.body.promoCode,
+      reason: req.body.reason,
+      idempotencyKey: idempotencyKeyOf(req),
+      actor: requestActor(req),
+    })
+    sendPostingResult(res, result)
+  } catch (error) {
+    handleWalletError(res, error, "Error crediting wallet")
+  }
+}
+
+module.exports = {
+  getWalletBalance,
+  getStatement,
+  createTopUp,
+  createRefund,
+  createPromoCredit,
+}
@@ -0,0 +1,244 @@
+const Zone = require("../models/Zone")
+const { ZONE_TYPES } = require("../models/Zone")
+const ZoneCrossing = require("../models/ZoneCrossing")
+const Driver = require("../models/TRdriverModel")
+const { isValidLatLng } = require("../utils/geo")
+
+const ZONE_FIELDS = ["name", "type", "description", "color", "geometry", "rules", "isActive"]
+
+const pickZoneFields = (body) =>
+  ZONE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field]
+    return data
+  }, {})
+
+const handleZoneError = (res, error, message) => {
+  console.error(`${message}:`, error)
+
+  if (error.name === "CastError") {
+    return res.status(400).json({ success: false, message: "Invalid zone ID format" })
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      errors: Object.values(error.errors).map((err) => err.message),
+    })
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: "A zone with this name already exists" })
+  }
+
+  // MongoDB rejects self-intersecting or otherwise invalid polygons when indexing them
+  if (error.code === 16755) {
+    return res.status(400).json({ success: false, message: "Zone geometry is not a valid polygon", error: error.message })
+  }
+
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
+// @desc    Get zones, optionally filtered by type / active state
+// @route   GET /api/zones?type=&isActive=
+// @access  Public
+exports.getZones = async (req, res) => {
+  try {
+    const { type, isActive } = req.query
+    const query = {}
+
+    if (type && type !== "all") {
+      query.type = { $in: String(type).split(",") }
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true"
+    }
+
+    const zones = await Zone.find(query).sort({ name: 1 })
+
+    res.status(200).json({ success: true, count: zones.length, data: zones })
+  } catch (error) {
+    handleZoneError(res, error, "Error fetching zones")
+  }
+}
+
+// @desc    Active zones containing a point
+// @route   GET /api/zones/lookup?lat=&lng=
+// @access  Public
+exports.lookupZones = async (req, res) => {
+  try {
+    const lat = Number.parseFloat(req.query.lat)
+    const lng = Number.parseFloat(req.query.lng)
+    if (!isValidLatLng(lat, lng)) {
+      return res.status(400).json({ success: false, message: "Valid lat and lng query parameters are required" })
+    }
+
+    const zones = await Zone.findContaining(lat, lng)
+
+    res.status(200).json({ success: true, count: zones.length, data: zones })
+  } catch (error) {
+    handleZoneError(res, error, "Error looking up zones")
+  }
+}
+
+// @desc    Get single zone
+// @route   GET /api/zones/:id
+// @access  Public
+exports.getZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id)
+    if (!zone) {
+      return res.status(404).json({ success: false, message: "Zone not found" })
+    }
+
+    res.status(200).json({ success: true, data: zone })
+  } catch (error) {
+    handleZoneError(res, error, "Error fetching zone")
+  }
+}
+
+// @desc    Create zone
+// @route   POST /api/zones
+// @access  Admin (settings write)
+exports.createZone = async (req, res) => {
+  try {
+    const data = pickZoneFields(req.body)
+    if (data.type && !ZONE_TYPES.includes(data.type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid zone type. Must be one of: " + ZONE_TYPES.join(", "),
+      })
+    }
+
+    const zone = await Zone.create(data)
+
+    const io = req.app.get("io")
+    io.emit("zoneCreated", zone)
+
+    res.status(201).json({ success: true, message: "Zone created successfully", data: zone })
+  } catch (error) {
+    handleZoneError(res, error, "Error creating zone")
+  }
+}
+
+// @desc    Update zone
+// @route   PUT /api/zones/:id
+// @access  Admin (settings write)
+exports.updateZone = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id)
+    if (!zone) {
+      return res.status(404).json({ success: false, message: "Zone not found" })
+    }
+
+    const { rules, ...fields } = pickZoneFields(req.body)
+    zone.set(fields)
+    if (rules) {
+      for (const [rule, value] of Object.entries(rules)) {
+        zone.set(`rules.${rule}`, value)
+      }
+    }
+    await zone.save()
+
+    const io = req.app.get("io")
+    io.emit("zoneUpdated", zone)
+
+    res.status(200).json({ success: true, message: "Zone updated successfully", data: zone })
+  } catch (error) {
+    handleZoneError(res, error, "Error updating zone")
+  }
+}
+
+// @desc    Delete zone
+// @route   DELETE /api/zones/:id
+// @access  Admin (settings write)
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findByIdAndDelete(req.params.id)
+    if (!zone) {
+      return res.status(404).json({ success: false, message: "Zone not found" })
+    }
+
+    // Drivers inside the zone no longer are; crossings are kept as history
+    await Driver.updateMany({ currentZones: zone._id }, { $pull: { currentZones: zone._id } })
+
+    const io = req.app.get("io")
+    io.emit("zoneDeleted", { zoneId: zone._id })
+
+    res.status(200).json({ success: true, message: "Zone deleted successfully", data: zone })
+  } catch (error) {
+    handleZoneError(res, error, "Error deleting zone")
+  }
+}
+
+// @desc    Drivers currently inside a zone
+// @route   GET /api/zones/:id/drivers?status=
+// @access  Public
+exports.getZoneDrivers = async (req, res) => {
+  try {
+    const zone = await Zone.findById(req.params.id).select("name type")
+    if (!zone) {
+      return res.status(404).json({ success: false, message: "Zone not found" })
+    }
+
+    const query = { currentZones: zone._id }
+    if (req.query.status && req.query.status !== "all") {
+      query.status = req.query.status
+    }
+    const drivers = await Driver.find(query).sort({ lastUpdate: -1 })
+
+    res.status(200).json({ success: true, zone, count: drivers.length, data: drivers })
+  } catch (error) {
+    handleZoneError(res, error, "Error fetching zone drivers")
+  }
+}
+
+// @desc    Enter/exit history of a zone with pagination
+// @route   GET /api/zones/:id/crossings?driverId=&direction=&from=&to=&page=&limit=
+// @access  Public
+exports.getZoneCrossings = async (req, res) => {
+  try {
+    const { driverId, direction, from, to, page = 1, limit = 50 } = req.query
+    const query = { zone: req.params.id }
+
+    if (driverId) query.driver = driverId
+    if (direction) {
+      if (!["enter", "exit"].includes(direction)) {
+        return res.status(400).json({ success: false, message: "direction must be enter or exit" })
+      }
+      query.direction = direction
+    }
+    if (from || to) {
+      query.occurredAt = {}
+      if (from) query.occurredAt.$gte = new Date(from)
+      if (to) query.occurredAt.$lte = new Date(to)
+    }
+
+    const pageNum = Math.max(1, Number.parseInt(page) || 1)
+    const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+
+    const [crossings, totalItems] = await Promise.all([
+      ZoneCrossing.find(query)
+        .sort({ occurredAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ZoneCrossing.countDocuments(query),
+    ])
+    const totalPages = Math.ceil(totalItems / limitNum)
+
+    res.status(200).json({
+      success: true,
+      data: crossings,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        itemsPerPage: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    })
+  } catch (error) {
+    handleZoneError(res, error, "Error fetching zone crossings")
+  }
+}
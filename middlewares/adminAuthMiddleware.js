@@ -0,0 +1,104 @@
+// Location: /middlewares/adminAuthMiddleware.js
+// Admin authentication (tokens from POST /api/admins/login) and permission checks
+// against the permissions stored on the admin
+
+const Admin = require("../models/adminModel")
+const { readBearerToken, decodeToken } = require("../utils/authTokens")
+const { findDriverByToken } = require("./driverAuthMiddleware")
+
+// Active admin for a token, or null
+const findAdminByToken = async (token) => {
+  const decoded = decodeToken(token)
+  if (!decoded || decoded.type !== "admin") return null
+  const admin = await Admin.findById(decoded.adminId).select("-password")
+  return admin && admin.status === "active" ? admin : null
+}
+
+const hasPermission = (admin, resource, action) =>
+  Boolean(
+    admin &&
+      (admin.role === "super_admin" ||
+        (admin.permissions && admin.permissions[resource] && admin.permissions[resource][action])),
+  )
+
+// Requires a valid admin token; sets req.admin
+const protectAdmin = async (req, res, next) => {
+  try {
+    const admin = await findAdminByToken(readBearerToken(req.header("Authorization")))
+    if (!admin) {
+      return res.status(401).json({ success: false, message: "Admin authentication required" })
+    }
+    req.admin = admin
+    next()
+  } catch (error) {
+    console.error("❌ Admin authentication error:", error)
+    res.status(500).json({ success: false, message: "Authentication failed", error: error.message })
+  }
+}
+
+// Use after protectAdmin, e.g. requirePermission("payments", "write")
+const requirePermission = (resource, action) => (req, res, next) => {
+  if (!req.admin) {
+    return res.status(401).json({ success: false, message: "Admin authentication required" })
+  }
+  if (!hasPermission(req.admin, resource, action)) {
+    return res.status(403).json({
+      success: false,
+      message: `Permission denied: ${resource}.${action} is required`,
+    })
+  }
+  next()
+}
+
+// Use after identifyRequester on /:id driver routes: the driver themselves with
+// their driver token, or an admin holding the permission
+const requireDriverSelfOrPermission = (resource, action) => (req, res, next) => {
+  if (req.driver && String(req.driver._id) === String(req.params.id)) return next()
+  if (req.admin) return requirePermission(resource, action)(req, res, next)
+  return res.status(req.driver ? 403 : 401).json({
+    success: false,
+    message: req.driver ? "Drivers can only see their own records" : "Authentication required",
+  })
+}
+
+// Use after protectAdmin for actions reserved to super admins, e.g. managing admins
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.admin) {
+    return res.status(401).json({ success: false, message: "Admin authentication required" })
+  }
+  if (req.admin.role !== "super_admin") {
+    return res.status(403).json({ success: false, message: "Permission denied: super admin role is required" })
+  }
+  next()
+}
+
+// Reads an admin, driver or customer token when one is sent, without requiring it.
+// Sets req.admin, req.driver or req.user (same shape as middlewares/authMiddleware.js).
+const identifyRequester = async (req, res, next) => {
+  try {
+    const token = readBearerToken(req.header("Authorization"))
+    const decoded = decodeToken(token)
+    if (decoded && decoded.type === "admin") {
+      const admin = await findAdminByToken(token)
+      if (admin) req.admin = admin
+    } else if (decoded && decoded.type === "driver") {
+      const driver = await findDriverByToken(token)
+      if (driver) req.driver = driver
+    } else if (decoded && decoded.userId) {
+      req.user = decoded
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  findAdminByToken,
+  hasPermission,
+  protectAdmin,
+  requirePermission,
+  requireSuperAdmin,
+  requireDriverSelfOrPermission,
+  identifyRequester,
+}
@@ -0,0 +1,32 @@
+// Location: /middlewares/driverAuthMiddleware.js
+// Driver authentication with tokens from POST /api/driver/login/verify-otp
+
+const Driver = require("../models/TRdriverModel")
+const { readBearerToken, decodeToken } = require("../utils/authTokens")
+
+// Driver for a token, or null
+const findDriverByToken = async (token) => {
+  const decoded = decodeToken(token)
+  if (!decoded || decoded.type !== "driver") return null
+  return Driver.findById(decoded.driverId)
+}
+
+// Requires a valid driver token; sets req.driver
+const protectDriver = async (req, res, next) => {
+  try {
+    const driver = await findDriverByToken(readBearerToken(req.header("Authorization")))
+    if (!driver) {
+      return res.status(401).json({ success: false, message: "Driver authentication required" })
+    }
+    req.driver = driver
+    next()
+  } catch (error) {
+    console.error("❌ Driver authentication error:", error)
+    res.status(500).json({ success: false, message: "Authentication failed", error: error.message })
+  }
+}
+
+module.exports = {
+  findDriverByToken,
+  protectDriver,
+}
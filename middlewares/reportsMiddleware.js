@@ -1,6 +1,15 @@
 // Location: /middleware/reportsMiddleware.js
 // Middleware for reports-specific functionality and validation
 
+const { isValidTimezone } = require("../utils/timezone")
+const {
+  REPORT_TIME_RANGES,
+  REPORT_INTERVALS,
+  parseWeekStart,
+  resolveReportPeriod,
+  bucketLimitError,
+} = require("../utils/reportsHelper")
+
 const validateDateRange = (req, res, next) => {
   const { startDate, endDate } = req.query
 
@@ -19,14 +28,19 @@ const validateDateRange = (req, res, next) => {
         message: "Start date cannot be after end date.",
       })
     }
+  }
 
-    // Limit date range to prevent performance issues
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24))
-    if (daysDiff > 365) {
-      return res.status(400).json({
-        message: "Date range cannot exceed 365 days.",
-      })
-    }
+  // Charts have one point per interval, so the range is limited per interval.
+  // Periods that do not resolve are answered by the other validators.
+  let period
+  try {
+    period = resolveReportPeriod(req.query)
+  } catch (error) {
+    return next()
+  }
+  const bucketError = bucketLimitError(period)
+  if (bucketError) {
+    return res.status(400).json({ message: bucketError })
   }
 
   next()
@@ -35,9 +49,34 @@ const validateDateRange = (req, res, next) => {
 const validateTimeRange = (req, res, next) => {
   const { timeRange } = req.query
 
-  if (timeRange && !["day", "week", "month"].includes(timeRange)) {
+  if (timeRange && !REPORT_TIME_RANGES.includes(timeRange)) {
+    return res.status(400).json({
+      message: `Invalid time range. Must be one of: ${REPORT_TIME_RANGES.join(", ")}.`,
+    })
+  }
+
+  next()
+}
+
+// Time zone (tz), first day of the week (weekStart) and chart buckets (interval) of reports
+const validateReportCalendar = (req, res, next) => {
+  const { tz, weekStart, interval } = req.query
+
+  if (tz && !isValidTimezone(tz)) {
+    return res.status(400).json({
+      message: "Invalid time zone. Use an IANA time zone such as Asia/Kolkata.",
+    })
+  }
+
+  if (weekStart && parseWeekStart(weekStart) === null) {
+    return res.status(400).json({
+      message: "Invalid week start. Use 0-6 (0 = Sunday) or a weekday name such as mon.",
+    })
+  }
+
+  if (interval && !REPORT_INTERVALS.includes(interval)) {
     return res.status(400).json({
-      message: "Invalid time range. Must be one of: day, week, month.",
+      message: `Invalid interval. Must be one of: ${REPORT_INTERVALS.join(", ")}.`,
     })
   }
 
@@ -64,5 +103,6 @@ const validateDriverFilter = (req, res, next) => {
 module.exports = {
   validateDateRange,
   validateTimeRange,
+  validateReportCalendar,
   validateDriverFilter,
 }
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose")
+
+const CHAT_ROLES = ["rider", "driver", "support", "system"]
+
+const participantSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: CHAT_ROLES,
+      required: true,
+    },
+    id: String,
+    name: String,
+  },
+  { _id: false },
+)
+
+const receiptSchema = new mongoose.Schema(
+  {
+    role: String,
+    id: String,
+    at: Date,
+  },
+  { _id: false },
+)
+
+// A message in the chat of one ride (services/rideChatService.js). Phone
+// numbers and emails are masked before the text is stored.
+const chatMessageSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    sender: {
+      type: participantSchema,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, "Message cannot be longer than 1000 characters"],
+    },
+    // Number of phone numbers / emails that were masked in the text
+    maskedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set by the client so a resent message is not stored twice
+    clientMessageId: String,
+    deliveredTo: [receiptSchema],
+    readBy: [receiptSchema],
+    moderation: {
+      flagged: {
+        type: Boolean,
+        default: false,
+      },
+      flagReason: String,
+      flaggedBy: participantSchema,
+      flaggedAt: Date,
+      // Hidden messages are only visible to support
+      hidden: {
+        type: Boolean,
+        default: false,
+      },
+      hideReason: String,
+      hiddenBy: participantSchema,
+      hiddenAt: Date,
+    },
+  },
+  { timestamps: true },
+)
+
+chatMessageSchema.index({ ride: 1, createdAt: -1 })
+chatMessageSchema.index(
+  { ride: 1, "sender.id": 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } },
+)
+chatMessageSchema.index({ "moderation.flagged": 1, createdAt: -1 })
+
+const ChatMessage = mongoose.model("ChatMessage", chatMessageSchema)
+
+module.exports = ChatMessage
+module.exports.CHAT_ROLES = CHAT_ROLES
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose")
+
+// Platform commission taken from a driver's fare (services/earningsService.js).
+// A rule may be limited to a service, a vehicle type and a date window; rules
+// with a window are promotional periods and win over the standing ones.
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+    },
+    description: String,
+    // Unset matches every service / vehicle type
+    service: {
+      type: String,
+      enum: ["Ride", "Food-Delivery", "Courier-Delivery"],
+    },
+    vehicleType: {
+      type: String,
+      trim: true,
+    },
+    // Percent of the fare before tax and promo discount
+    commissionPercent: {
+      type: Number,
+      required: [true, "Commission percent is required"],
+      min: 0,
+      max: 100,
+    },
+    // Fixed amount per ride on top of the percentage
+    flatFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    validFrom: Date,
+    validUntil: Date,
+    // Breaks ties between equally specific rules; higher wins
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      id: String,
+      name: String,
+    },
+  },
+  { timestamps: true },
+)
+
+commissionRuleSchema.index({ isActive: 1, service: 1 })
+
+commissionRuleSchema.pre("validate", function (next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom")
+  }
+  next()
+})
+
+module.exports = mongoose.model("CommissionRule", commissionRuleSchema)
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose")
+
+const OFFER_STATUSES = ["offered", "accepted", "declined", "expired", "cancelled"]
+
+// One offer of a ride to a driver, kept for dispatch analysis
+const dispatchOfferSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    driverName: String,
+    // 1 for the first driver offered, 2 for the fallback, ...
+    attempt: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    score: Number,
+    scoreBreakdown: {
+      distance: Number,
+      vehicle: Number,
+      battery: Number,
+      rating: Number,
+    },
+    distanceKm: Number,
+    candidatesConsidered: Number,
+    status: {
+      type: String,
+      enum: OFFER_STATUSES,
+      default: "offered",
+    },
+    offeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+    responseTimeMs: Number,
+    declineReason: String,
+    // Where the response came from (socket, rest, timeout, system)
+    responseChannel: String,
+  },
+  { timestamps: true },
+)
+
+dispatchOfferSchema.index({ ride: 1, attempt: 1 })
+dispatchOfferSchema.index({ driver: 1, status: 1 })
+dispatchOfferSchema.index({ status: 1, expiresAt: 1 })
+
+const DispatchOffer = mongoose.model("DispatchOffer", dispatchOfferSchema)
+
+module.exports = DispatchOffer
+module.exports.OFFER_STATUSES = OFFER_STATUSES
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+
+const CASH_ENTRY_TYPES = ["collection", "deposit", "handover", "adjustment", "settlement"]
+
+// One movement of the cash a driver holds (services/cashService.js): cash
+// collected on a ride (+), deposited or handed over (-), admin adjustments and
+// the amount netted against earnings in a weekly settlement.
+const driverCashEntrySchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: CASH_ENTRY_TYPES,
+      required: true,
+    },
+    // Signed change to the driver's cash in hand
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Cash in hand right after this entry
+    balanceAfter: Number,
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+    },
+    // Deposit slip / UTR number, or who received a handover
+    reference: String,
+    receivedBy: String,
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    recordedBy: {
+      type: {
+        type: String,
+      },
+      id: String,
+      name: String,
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Settlement whose net cash figure includes this entry
+    settlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+driverCashEntrySchema.index({ driver: 1, occurredAt: -1 })
+driverCashEntrySchema.index({ settlement: 1, occurredAt: 1 })
+driverCashEntrySchema.index({ type: 1, occurredAt: -1 })
+// One collection per ride, one settlement entry per driver and batch
+driverCashEntrySchema.index({ ride: 1 }, { unique: true, partialFilterExpression: { type: "collection" } })
+driverCashEntrySchema.index(
+  { settlement: 1, driver: 1 },
+  { unique: true, partialFilterExpression: { type: "settlement" } },
+)
+
+module.exports = mongoose.model("DriverCashEntry", driverCashEntrySchema)
+module.exports.CASH_ENTRY_TYPES = CASH_ENTRY_TYPES
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+
+const DEDUCTION_TYPES = ["penalty", "carry_forward", "other"]
+
+// Amount taken off a driver's next settlement: penalties added by admins and
+// balances carried over from an earlier week. A carried-over balance that was
+// owed to the driver is a negative amount.
+const driverDeductionSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: DEDUCTION_TYPES,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+    },
+    // Counts towards the first settlement whose period ends after this
+    effectiveAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Settlement that produced a carry_forward
+    sourceSettlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+    },
+    // Settlement the deduction was taken in
+    settlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      default: null,
+    },
+    createdBy: {
+      id: String,
+      name: String,
+    },
+  },
+  { timestamps: true },
+)
+
+driverDeductionSchema.index({ driver: 1, effectiveAt: -1 })
+driverDeductionSchema.index({ settlement: 1, effectiveAt: 1 })
+// One carry-forward per driver out of each settlement; other deductions have no source settlement
+driverDeductionSchema.index(
+  { sourceSettlement: 1, driver: 1 },
+  { unique: true, partialFilterExpression: { type: "carry_forward" } },
+)
+
+driverDeductionSchema.pre("validate", function (next) {
+  if (this.type !== "carry_forward" && !(this.amount > 0)) {
+    this.invalidate("amount", "Amount must be greater than 0")
+  }
+  next()
+})
+
+module.exports = mongoose.model("DriverDeduction", driverDeductionSchema)
+module.exports.DEDUCTION_TYPES = DEDUCTION_TYPES
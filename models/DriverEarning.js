@@ -0,0 +1,76 @@
+const mongoose = require("mongoose")
+
+// What a driver earned on one ride (services/earningsService.js): the fare, the
+// commission rule applied and the driver's share. Picked up by the weekly
+// settlement for its period (models/SettlementBatch.js).
+const driverEarningSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    driverName: String,
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    // "ride" for a completed ride, "cancellation_compensation" for the driver's
+    // part of a cancellation fee
+    type: {
+      type: String,
+      enum: ["ride", "cancellation_compensation"],
+      default: "ride",
+    },
+    service: String,
+    vehicleType: String,
+    paymentMethod: String,
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    fare: {
+      subtotal: Number,
+      tax: Number,
+      discount: Number,
+      total: Number,
+    },
+    commission: {
+      ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CommissionRule",
+      },
+      ruleName: String,
+      percent: Number,
+      flatFee: Number,
+      amount: Number,
+    },
+    // Owed to the driver for this ride
+    earning: {
+      type: Number,
+      required: true,
+    },
+    // Fare the driver took in cash and owes the platform
+    cashCollected: {
+      type: Number,
+      default: 0,
+    },
+    earnedAt: {
+      type: Date,
+      required: true,
+    },
+    settlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SettlementBatch",
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+driverEarningSchema.index({ ride: 1, type: 1 }, { unique: true })
+driverEarningSchema.index({ driver: 1, earnedAt: -1 })
+driverEarningSchema.index({ settlement: 1, earnedAt: 1 })
+
+module.exports = mongoose.model("DriverEarning", driverEarningSchema)
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+const pointSchema = require("./pointSchema")
+const { retentionDays } = require("../config/tracking")
+
+const LOCATION_SOURCES = ["rest", "socket", "simulator"]
+
+// One position ping of a driver. Stored in a MongoDB time-series collection
+// and removed automatically after the configured retention period.
+const driverLocationSchema = new mongoose.Schema(
+  {
+    recordedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    location: {
+      type: pointSchema,
+      required: true,
+    },
+    speed: Number,
+    batteryLevel: Number,
+    status: String,
+    tripId: String,
+    source: {
+      type: String,
+      enum: LOCATION_SOURCES,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "recordedAt",
+      metaField: "driver",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: Math.round(retentionDays * 24 * 60 * 60),
+    versionKey: false,
+  },
+)
+
+driverLocationSchema.index({ driver: 1, recordedAt: 1 })
+
+const DriverLocation = mongoose.model("DriverLocation", driverLocationSchema)
+
+module.exports = DriverLocation
+module.exports.LOCATION_SOURCES = LOCATION_SOURCES
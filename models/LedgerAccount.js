@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+
+// Side on which each account type grows
+const NORMAL_BALANCES = {
+  asset: "debit",
+  expense: "debit",
+  liability: "credit",
+  revenue: "credit",
+}
+
+// An account of the double-entry ledger: a rider wallet, a driver's earnings
+// or one of the platform accounts. balanceMinor (paise) is kept in step with
+// the entries posted to it and checked against them every night.
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    // e.g. "user:<id>:wallet", "driver:<id>:earnings", "platform:revenue"
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: String,
+    type: {
+      type: String,
+      enum: Object.keys(NORMAL_BALANCES),
+      required: true,
+    },
+    normalBalance: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    ownerType: {
+      type: String,
+      enum: ["user", "driver", "platform"],
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    balanceMinor: {
+      type: Number,
+      default: 0,
+    },
+    // Result of the last consistency check (services/ledgerService.js)
+    reconciliation: {
+      status: {
+        type: String,
+        enum: ["ok", "mismatch"],
+      },
+      ledgerBalanceMinor: Number,
+      differenceMinor: Number,
+      checkedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.id
+        return ret
+      },
+    },
+  },
+)
+
+ledgerAccountSchema.virtual("balance").get(function () {
+  return (this.balanceMinor || 0) / 100
+})
+
+ledgerAccountSchema.index({ "reconciliation.status": 1 })
+
+module.exports = mongoose.model("LedgerAccount", ledgerAccountSchema)
+module.exports.NORMAL_BALANCES = NORMAL_BALANCES
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+const immutablePlugin = require("./immutablePlugin")
+
+// One debit or credit line of a ledger transaction. deltaMinor is the change
+// (paise) the line makes to its account's balance: positive on the account's
+// normal side, negative on the other.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerTransaction",
+      required: true,
+      index: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerAccount",
+      required: true,
+    },
+    accountCode: {
+      type: String,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    deltaMinor: {
+      type: Number,
+      required: true,
+    },
+    type: String,
+    description: String,
+    postedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+)
+
+ledgerEntrySchema.index({ account: 1, postedAt: 1, _id: 1 })
+
+ledgerEntrySchema.plugin(immutablePlugin, { label: "Ledger entries" })
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema)
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose")
+const immutablePlugin = require("./immutablePlugin")
+
+const TRANSACTION_TYPES = [
+  "topup",
+  "ride_charge",
+  "refund",
+  "cancellation_fee",
+  "promo_credit",
+  "driver_earning",
+  "driver_penalty",
+  "driver_payout",
+  "cash_deposit",
+  "cash_settlement",
+  "adjustment",
+]
+
+// One balanced posting to the ledger. The entries themselves live in
+// LedgerEntry; the idempotency key makes a repeated posting a no-op.
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: TRANSACTION_TYPES,
+      required: true,
+      index: true,
+    },
+    description: String,
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    // Sum of the debit (= credit) side
+    amount: {
+      type: Number,
+      required: true,
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+    },
+    // Transaction this one corrects, for adjustments
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerTransaction",
+    },
+    reference: String,
+    actor: {
+      type: {
+        type: String,
+      },
+      id: String,
+      name: String,
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+    postedAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+  },
+  { timestamps: true },
+)
+
+ledgerTransactionSchema.plugin(immutablePlugin, { label: "Ledger transactions" })
+
+module.exports = mongoose.model("LedgerTransaction", ledgerTransactionSchema)
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES
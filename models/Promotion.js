@@ -0,0 +1,110 @@
+const mongoose = require("mongoose")
+
+const DISCOUNT_TYPES = ["percentage", "flat"]
+
+// Promo code of a discount campaign (services/promotionService.js).
+// redemptionCount counts rides currently holding the code; it goes down again
+// when such a ride is cancelled.
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Promo code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Promo codes are 3-32 letters, digits, - or _"],
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    description: String,
+    discountType: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: [true, "Discount type is required"],
+    },
+    // Percent of the fare for "percentage", an amount in `currency` for "flat"
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: 0,
+    },
+    // Upper bound of a percentage discount; unset means no cap
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Fares below this do not qualify
+    minFare: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+    },
+    validFrom: {
+      type: Date,
+      required: [true, "Start of the validity window is required"],
+    },
+    validUntil: {
+      type: Date,
+      required: [true, "End of the validity window is required"],
+    },
+    // Redemptions across all users; unset means unlimited
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Services the code applies to; empty means all
+    services: [
+      {
+        type: String,
+        enum: ["Ride", "Food-Delivery", "Courier-Delivery"],
+      },
+    ],
+    // Only for customers without a previous (not cancelled) ride
+    firstRideOnly: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      id: String,
+      name: String,
+    },
+  },
+  { timestamps: true },
+)
+
+promotionSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 })
+
+promotionSchema.pre("validate", function (next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom")
+  }
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage discount cannot exceed 100")
+  }
+  next()
+})
+
+module.exports = mongoose.model("Promotion", promotionSchema)
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES
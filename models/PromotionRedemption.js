@@ -0,0 +1,59 @@
+const mongoose = require("mongoose")
+
+const REDEMPTION_STATUSES = ["applied", "completed", "released"]
+
+// One use of a promo code by a customer for a ride. "applied" at booking,
+// "completed" with the final discount once the ride is charged, "released"
+// when the ride is cancelled and the use no longer counts.
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true,
+    },
+    // Running number of the customer's uses of this code (released ones
+    // included); the unique index stops two concurrent bookings taking the same slot
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    service: String,
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: String,
+    status: {
+      type: String,
+      enum: REDEMPTION_STATUSES,
+      default: "applied",
+      index: true,
+    },
+    completedAt: Date,
+    releasedAt: Date,
+  },
+  { timestamps: true },
+)
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1, sequence: 1 }, { unique: true })
+promotionRedemptionSchema.index({ promotion: 1, status: 1 })
+
+module.exports = mongoose.model("PromotionRedemption", promotionRedemptionSchema)
+module.exports.REDEMPTION_STATUSES = REDEMPTION_STATUSES
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// Pricing for one service / vehicle type combination. vehicleType "default"
+// applies to every vehicle type of the service without its own card.
+const rateCardSchema = new mongoose.Schema(
+  {
+    service: {
+      type: String,
+      enum: ["Ride", "Food-Delivery", "Courier-Delivery"],
+      required: [true, "Service is required"],
+    },
+    vehicleType: {
+      type: String,
+      trim: true,
+      default: "default",
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+      trim: true,
+    },
+    baseFare: { type: Number, required: true, min: 0 },
+    perKm: { type: Number, required: true, min: 0 },
+    perMinute: { type: Number, default: 0, min: 0 },
+    minimumFare: { type: Number, default: 0, min: 0 },
+    // Waiting at pickup is free for this many minutes, then charged per minute
+    freeWaitingMinutes: { type: Number, default: 3, min: 0 },
+    waitingPerMinute: { type: Number, default: 0, min: 0 },
+    // Applied to trips starting between nightStartHour and nightEndHour (local time, 0-23)
+    nightMultiplier: { type: Number, default: 1, min: 1 },
+    nightStartHour: { type: Number, default: 23, min: 0, max: 23 },
+    nightEndHour: { type: Number, default: 5, min: 0, max: 23 },
+    // Multi-stop trips: charged for every stop between the first pickup and the final drop
+    perStop: { type: Number, default: 0, min: 0 },
+    taxPercent: { type: Number, default: 0, min: 0, max: 100 },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+  },
+  { timestamps: true },
+)
+
+rateCardSchema.index({ service: 1, vehicleType: 1 }, { unique: true, collation: { locale: "en", strength: 2 } })
+
+module.exports = mongoose.model("RateCard", rateCardSchema)
@@ -0,0 +1,166 @@
+const mongoose = require("mongoose")
+const { RIDE_STATUSES } = require("../utils/rideStateMachine")
+const { REPORT_TIME_RANGES, REPORT_INTERVALS, resolveReportPeriod } = require("../utils/reportsHelper")
+
+// What the report builder (services/reportBuilderService.js) can group rides by
+// and sum up. Nothing else reaches the aggregation.
+const BUILDER_DIMENSIONS = ["date", "service", "driver", "vehicleType", "zone", "status"]
+const BUILDER_METRICS = ["rides", "revenue", "avgFare", "cancellationRate", "avgRating"]
+const BUILDER_FILTERS = ["service", "driver", "vehicleType", "zone", "status"]
+
+// Most dimensions in one report, and most rows a run returns
+const MAX_DIMENSIONS = 3
+const MAX_ROWS = 5000
+
+// Problems with a definition (dimensions, metrics, filters, period, sort, limit), as
+// messages; empty when it can run. Used for saved reports and for one-off runs.
+const definitionErrors = ({ dimensions = [], metrics = [], filters = {}, period = {}, sort = {}, limit } = {}) => {
+  const errors = []
+  const unknown = (values, known) => values.filter((value) => !known.includes(value))
+
+  if (!Array.isArray(dimensions) || !Array.isArray(metrics)) return ["dimensions and metrics must be lists"]
+  if (unknown(dimensions, BUILDER_DIMENSIONS).length > 0) {
+    errors.push(`Unknown dimensions: ${unknown(dimensions, BUILDER_DIMENSIONS).join(", ")}`)
+  }
+  if (new Set(dimensions).size !== dimensions.length) errors.push("Dimensions must not repeat")
+  if (dimensions.length > MAX_DIMENSIONS) errors.push(`At most ${MAX_DIMENSIONS} dimensions`)
+  if (metrics.length === 0) errors.push("At least one metric is required")
+  if (unknown(metrics, BUILDER_METRICS).length > 0) {
+    errors.push(`Unknown metrics: ${unknown(metrics, BUILDER_METRICS).join(", ")}`)
+  }
+  if (new Set(metrics).size !== metrics.length) errors.push("Metrics must not repeat")
+
+  for (const [filter, values] of Object.entries(filters || {})) {
+    if (!BUILDER_FILTERS.includes(filter)) {
+      errors.push(`Unknown filter: ${filter}`)
+    } else if (!Array.isArray(values) || values.some((value) => typeof value !== "string")) {
+      errors.push(`Filter ${filter} must be a list of values`)
+    } else if (filter === "driver" && values.some((value) => !mongoose.Types.ObjectId.isValid(value))) {
+      errors.push("Filter driver must list driver IDs")
+    } else if (filter === "status" && unknown(values, RIDE_STATUSES).length > 0) {
+      errors.push(`Filter status must list ride statuses: ${RIDE_STATUSES.join(", ")}`)
+    }
+  }
+
+  const { startDate, endDate } = period || {}
+  if (Boolean(startDate) !== Boolean(endDate)) errors.push("startDate and endDate go together")
+  try {
+    const { start, end } = resolveReportPeriod(period || {})
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) errors.push("Invalid startDate or endDate")
+    else if (start > end) errors.push("startDate cannot be after endDate")
+  } catch (error) {
+    errors.push(error.message)
+  }
+
+  if (sort && sort.by && ![...dimensions, ...metrics].includes(sort.by)) {
+    errors.push("sort.by must be one of the report's dimensions or metrics")
+  }
+  if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_ROWS)) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_ROWS}`)
+  }
+  return errors
+}
+
+// A custom report saved by an admin, e.g. revenue and average fare per service and
+// week for the last quarter. The owner can share it with every admin or with some.
+const reportDefinitionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Report name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    dimensions: [
+      {
+        type: String,
+        enum: BUILDER_DIMENSIONS,
+      },
+    ],
+    metrics: [
+      {
+        type: String,
+        enum: BUILDER_METRICS,
+      },
+    ],
+    // Values each dimension is limited to; an empty list does not filter
+    filters: Object.fromEntries(BUILDER_FILTERS.map((filter) => [filter, [{ type: String, trim: true }]])),
+    // Range and buckets, as the tz, timeRange, startDate, endDate, weekStart and
+    // interval parameters of the reports; a run can override them
+    period: {
+      timeRange: {
+        type: String,
+        enum: REPORT_TIME_RANGES,
+      },
+      startDate: String,
+      endDate: String,
+      tz: String,
+      weekStart: String,
+      interval: {
+        type: String,
+        enum: REPORT_INTERVALS,
+      },
+    },
+    // A dimension or metric of the report; by default the date, else the first metric
+    sort: {
+      by: String,
+      order: {
+        type: String,
+        enum: ["asc", "desc"],
+      },
+    },
+    limit: Number,
+    owner: {
+      id: {
+        type: String,
+        required: true,
+      },
+      name: String,
+    },
+    // private: the owner only; shared: every admin. sharedWith adds single admins to a private report.
+    visibility: {
+      type: String,
+      enum: ["private", "shared"],
+      default: "private",
+    },
+    sharedWith: {
+      type: [String],
+      validate: {
+        validator: (ids) => ids.every((id) => mongoose.Types.ObjectId.isValid(id)),
+        message: "sharedWith must list admin IDs",
+      },
+    },
+  },
+  { timestamps: true },
+)
+
+reportDefinitionSchema.index({ "owner.id": 1, updatedAt: -1 })
+reportDefinitionSchema.index({ visibility: 1, updatedAt: -1 })
+reportDefinitionSchema.index({ sharedWith: 1 })
+
+reportDefinitionSchema.pre("validate", function (next) {
+  const errors = definitionErrors(this.toObject())
+  if (errors.length > 0) this.invalidate("definition", errors.join("; "))
+  next()
+})
+
+reportDefinitionSchema.methods.canView = function (admin) {
+  const adminId = String(admin._id)
+  return this.canEdit(admin) || this.visibility === "shared" || (this.sharedWith || []).includes(adminId)
+}
+
+// Only the owner (or a super admin) changes, shares or deletes a report
+reportDefinitionSchema.methods.canEdit = function (admin) {
+  return admin.role === "super_admin" || this.owner.id === String(admin._id)
+}
+
+module.exports = mongoose.model("ReportDefinition", reportDefinitionSchema)
+module.exports.BUILDER_DIMENSIONS = BUILDER_DIMENSIONS
+module.exports.BUILDER_METRICS = BUILDER_METRICS
+module.exports.BUILDER_FILTERS = BUILDER_FILTERS
+module.exports.MAX_DIMENSIONS = MAX_DIMENSIONS
+module.exports.MAX_ROWS = MAX_ROWS
+module.exports.definitionErrors = definitionErrors
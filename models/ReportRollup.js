@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+
+const ROLLUP_GRANULARITIES = ["hour", "day"]
+
+// What rides are summarized by: every ride is in the "all" row of its bucket and
+// in one row per service, driver, pickup zone and (when cancelled) reason,
+// actor and stage. A pickup inside overlapping zones counts in each of them.
+const ROLLUP_DIMENSIONS = [
+  "all",
+  "service",
+  "driver",
+  "zone",
+  "cancellationReason",
+  "cancellationActor",
+  "cancellationStage",
+]
+
+// Summed figures of a rollup row. Status counts are the rides' current status;
+// revenue is the charged amount of completed rides.
+const ROLLUP_METRICS = [
+  "rides",
+  "requested",
+  "accepted",
+  "arrived",
+  "inProgress",
+  "completed",
+  "cancelled",
+  "revenue",
+  "surgeRevenue",
+  "surgedRides",
+  "promoCost",
+  "promoRides",
+  "cancellationFees",
+  "driverCompensation",
+  "ratingTotal",
+  "ratedRides",
+  "lowRatedRides",
+]
+
+// Rides of one local hour or day (config/reports.js timezone), bucketed by
+// rideTime, for one value of a dimension (services/rollupService.js)
+const reportRollupSchema = new mongoose.Schema(
+  {
+    granularity: {
+      type: String,
+      enum: ROLLUP_GRANULARITIES,
+      required: true,
+    },
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+    // Local date (YYYY-MM-DD) and, for hourly rows, local hour of the bucket
+    date: String,
+    hour: Number,
+    dimension: {
+      type: String,
+      enum: ROLLUP_DIMENSIONS,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    // Driver or zone name
+    label: String,
+    metrics: Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, { type: Number, default: 0 }])),
+  },
+  { timestamps: true },
+)
+
+reportRollupSchema.index({ dimension: 1, granularity: 1, bucketStart: 1, key: 1 }, { unique: true })
+reportRollupSchema.index({ bucketStart: 1 })
+
+module.exports = mongoose.model("ReportRollup", reportRollupSchema)
+module.exports.ROLLUP_GRANULARITIES = ROLLUP_GRANULARITIES
+module.exports.ROLLUP_DIMENSIONS = ROLLUP_DIMENSIONS
+module.exports.ROLLUP_METRICS = ROLLUP_METRICS
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose")
+const reportsConfig = require("../config/reports")
+const { isValidCron, nextCronRun } = require("../utils/cron")
+const { isValidTimezone } = require("../utils/timezone")
+const { REPORT_TIME_RANGES } = require("../utils/reportsHelper")
+
+const SUBSCRIPTION_REPORTS = ["earnings", "driver-performance", "rides-analysis", "summary"]
+const SUBSCRIPTION_FORMATS = ["csv", "xlsx", "pdf"]
+
+// A report emailed on a schedule (services/reportSubscriptionService.js), e.g.
+// the summary every morning at 8:00 ("0 8 * * *") or earnings on Mondays ("0 8 * * MON")
+const reportSubscriptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Subscription name is required"],
+      trim: true,
+    },
+    report: {
+      type: String,
+      enum: SUBSCRIPTION_REPORTS,
+      required: [true, "Report is required"],
+    },
+    // Query parameters of the report endpoint
+    filters: {
+      timeRange: {
+        type: String,
+        enum: REPORT_TIME_RANGES,
+      },
+      driverFilter: {
+        type: String,
+        default: "all",
+      },
+    },
+    format: {
+      type: String,
+      enum: SUBSCRIPTION_FORMATS,
+      default: "pdf",
+    },
+    // Five-field cron expression on the wall clock of `timezone` (utils/cron.js),
+    // which is also the time zone of the report's days and periods
+    schedule: {
+      type: String,
+      required: [true, "Schedule is required"],
+      trim: true,
+      validate: {
+        validator: isValidCron,
+        message: "Schedule must be a cron expression: minute hour day-of-month month day-of-week",
+      },
+    },
+    timezone: {
+      type: String,
+      default: () => reportsConfig.timezone,
+      validate: {
+        validator: isValidTimezone,
+        message: "Unknown time zone",
+      },
+    },
+    recipients: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Recipients must be email addresses"],
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Next scheduled delivery; unset while inactive
+    nextRunAt: Date,
+    lastRun: {
+      run: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ReportSubscriptionRun",
+      },
+      at: Date,
+      status: {
+        type: String,
+        enum: ["success", "failed"],
+      },
+      error: String,
+    },
+    createdBy: {
+      id: String,
+      name: String,
+    },
+  },
+  { timestamps: true },
+)
+
+reportSubscriptionSchema.pre("validate", function (next) {
+  if (!this.recipients || this.recipients.length === 0) {
+    this.invalidate("recipients", "At least one recipient is required")
+  }
+  if (this.filters && this.filters.driverFilter && this.filters.driverFilter !== "all") {
+    if (!mongoose.Types.ObjectId.isValid(this.filters.driverFilter)) {
+      this.invalidate("filters.driverFilter", 'driverFilter must be "all" or a driver ID')
+    }
+  }
+  // A valid expression can still name a date that never comes, such as 30 February
+  if (isValidCron(this.schedule) && isValidTimezone(this.timezone)) {
+    if (!nextCronRun(this.schedule, new Date(), this.timezone)) this.invalidate("schedule", "Schedule never runs")
+  }
+  next()
+})
+
+module.exports = mongoose.model("ReportSubscription", reportSubscriptionSchema)
+module.exports.SUBSCRIPTION_REPORTS = SUBSCRIPTION_REPORTS
+module.exports.SUBSCRIPTION_FORMATS = SUBSCRIPTION_FORMATS
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+// One delivery attempt of a report subscription: scheduled or sent by hand ("send now")
+const reportSubscriptionRunSchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportSubscription",
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      required: true,
+    },
+    // Scheduled time of the delivery, or when it was requested
+    scheduledFor: Date,
+    // Job attempt for scheduled deliveries; failed ones are retried
+    attempt: Number,
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledJob",
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "failed"],
+      default: "running",
+    },
+    report: String,
+    format: String,
+    recipients: [String],
+    // The attachment sent
+    filename: String,
+    size: Number,
+    dataSource: String,
+    messageId: String,
+    error: String,
+    requestedBy: {
+      id: String,
+      name: String,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    durationMs: Number,
+  },
+  { timestamps: true },
+)
+
+reportSubscriptionRunSchema.index({ subscription: 1, startedAt: -1 })
+
+module.exports = mongoose.model("ReportSubscriptionRun", reportSubscriptionRunSchema)
@@ -1,22 +1,550 @@
-const mongoose = require("mongoose");
-
-const rideSchema = new mongoose.Schema({
-  id: String,
-  riderId: String,
-  riderName: String,
-  driverId: String,
-  driverName: String,
-  status: String,
-  pickup: String,
-  drop: String,
-  time: String,
-  date: String,
-  price: String,
-  distance: String,
-  duration: String,
-  logs: Array,
-  currentLocation: Object,
-  chatMessages: Array,
-});
-
-module.exports = mongoose.model("Ride2", rideSchema);
+const mongoose = require("mongoose")
+const {
+  RIDE_STATUSES,
+  STATUS_TIMESTAMP_FIELDS,
+  assertTransition,
+} = require("../utils/rideStateMachine")
+const pointSchema = require("./pointSchema")
+const proofOfDeliveryConfig = require("../config/proofOfDelivery")
+const fareBreakdownSchema = require("./fareBreakdownSchema")
+const rideChanges = require("../utils/rideChanges")
+
+const placeSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      type: pointSchema,
+      default: undefined,
+    },
+  },
+  { _id: false },
+)
+
+// Post-ride rating given by one side of the ride (services/ratingService.js)
+const rideRatingSchema = new mongoose.Schema(
+  {
+    score: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    tags: [String],
+    ratedBy: {
+      id: String,
+      name: String,
+    },
+    ratedAt: Date,
+  },
+  { _id: false },
+)
+
+// Recipient OTP for deliveries, generated at booking. Only the hash is
+// stored; it is not loaded unless selected and never serialised.
+const deliveryOtpSchema = new mongoose.Schema(
+  {
+    hash: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    verifiedAt: Date,
+  },
+  { _id: false },
+)
+
+// Evidence captured at handoff (services/proofOfDeliveryService.js)
+const proofOfDeliverySchema = new mongoose.Schema(
+  {
+    otpVerified: Boolean,
+    recipientName: {
+      type: String,
+      trim: true,
+    },
+    photo: {
+      path: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    location: {
+      type: pointSchema,
+      default: undefined,
+    },
+    distanceFromDropMeters: Number,
+    // Handoff happened further from the drop point than allowed
+    locationMismatch: Boolean,
+    notes: String,
+    capturedBy: {
+      type: {
+        type: String,
+      },
+      id: String,
+      name: String,
+    },
+    capturedAt: Date,
+  },
+  { _id: false },
+)
+
+const isCaptured = (proof) => Boolean(proof && proof.capturedAt)
+
+// Single-drop deliveries need the ride's proof; multi-stop ones a proof for
+// every drop stop that was delivered (failed drops have none)
+const hasProofOfDelivery = (ride) =>
+  ride.stops && ride.stops.length > 0
+    ? ride.stops.every((stop) => stop.sequence === 0 || stop.status !== "done" || isCaptured(stop.proofOfDelivery))
+    : isCaptured(ride.proofOfDelivery)
+
+const STOP_STATUSES = ["pending", "arrived", "done", "failed"]
+
+// One stop of a multi-stop ride or delivery route, in visiting order.
+// The first stop is the pickup and the last one the final drop.
+const stopSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+  location: {
+    type: pointSchema,
+    default: undefined,
+  },
+  contact: {
+    name: {
+      type: String,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+  },
+  instructions: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: STOP_STATUSES,
+    default: "pending",
+  },
+  arrivedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  // Drop stops of deliveries: each recipient has their own OTP and proof
+  deliveryOtp: {
+    type: deliveryOtpSchema,
+    default: undefined,
+    select: false,
+  },
+  proofOfDelivery: {
+    type: proofOfDeliverySchema,
+    default: undefined,
+  },
+})
+
+const RideSchema = new mongoose.Schema(
+  {
+    service: {
+      type: String,
+      enum: ["Ride", "Food-Delivery", "Courier-Delivery"],
+      required: true,
+      index: true,
+    },
+    // Vehicle / product category requested by the rider (e.g. Car, Bike)
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    user: {
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      name: {
+        type: String,
+        required: true,
+      },
+    },
+    driver: {
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Driver",
+      },
+      name: {
+        type: String,
+      },
+    },
+    pickup: {
+      type: placeSchema,
+      default: undefined,
+    },
+    drop: {
+      type: placeSchema,
+      default: undefined,
+    },
+    // Ordered stops of a multi-stop ride; pickup and drop mirror the first and last stop
+    stops: {
+      type: [stopSchema],
+      default: undefined,
+    },
+    rideTime: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+    // Pickup time of a ride booked in advance; unset for immediate rides.
+    // rideTime holds the same value so reports bucket the ride by its pickup.
+    scheduledFor: {
+      type: Date,
+      index: true,
+    },
+    // Progress of the background jobs of a scheduled ride (services/rideScheduleService.js)
+    schedule: {
+      reminderSentAt: Date,
+      dispatchStartedAt: Date,
+      escalatedAt: Date,
+      escalationReason: String,
+    },
+    status: {
+      type: String,
+      enum: RIDE_STATUSES,
+      default: "requested",
+      index: true,
+    },
+    // Fare of the ride: the estimate at booking, replaced by the charged total on completion
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    fareEstimate: {
+      type: fareBreakdownSchema,
+      default: undefined,
+    },
+    // Fare actually charged, set when the ride completes (services/fareService.js)
+    fare: {
+      type: fareBreakdownSchema,
+      default: undefined,
+    },
+    // How the rider pays: wallet rides are charged to the rider's wallet on
+    // completion (services/walletService.js), cash is collected by the driver
+    paymentMethod: {
+      type: String,
+      enum: ["wallet", "cash"],
+      default: "wallet",
+    },
+    // Cash rides: what the driver reports collecting against the charged fare
+    // (services/cashService.js)
+    cashCollection: {
+      expected: Number,
+      collected: Number,
+      discrepancy: Number,
+      collectedAt: Date,
+      recordedBy: {
+        type: {
+          type: String,
+        },
+        id: String,
+        name: String,
+      },
+      note: String,
+    },
+    // Surge locked in at booking (services/surgeService.js); amount is the surge
+    // part of the charged fare, filled in on completion
+    surge: {
+      multiplier: {
+        type: Number,
+        default: 1,
+      },
+      source: String,
+      areaType: String,
+      areaId: String,
+      areaName: String,
+      overrideId: String,
+      amount: Number,
+    },
+    // Promo code applied at booking, with the terms it was booked under
+    // (services/promotionService.js). discount is the final one once charged.
+    promotion: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+      },
+      code: String,
+      discountType: String,
+      value: Number,
+      maxDiscount: Number,
+      discount: Number,
+      appliedAt: Date,
+      releasedAt: Date,
+    },
+    distanceKm: {
+      type: Number,
+      min: 0,
+    },
+    durationMin: {
+      type: Number,
+      min: 0,
+    },
+    currentLocation: {
+      lat: Number,
+      lng: Number,
+      address: String,
+      updatedAt: Date,
+    },
+    // Progress of automatic driver matching (see services/dispatchService.js)
+    dispatch: {
+      status: {
+        type: String,
+        enum: ["searching", "matched", "failed", "cancelled"],
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      startedAt: Date,
+      matchedAt: Date,
+      failedAt: Date,
+      failureReason: String,
+    },
+    // Who cancelled, why and at which stage, with the resulting fee
+    // (services/cancellationService.js)
+    cancellation: {
+      actor: {
+        type: {
+          type: String,
+          enum: ["rider", "driver", "admin", "system"],
+        },
+        id: String,
+        name: String,
+      },
+      reasonCode: String,
+      reasonLabel: String,
+      note: String,
+      stage: String,
+      cancelledAt: Date,
+      minutesSinceRequest: Number,
+      minutesSinceAccept: Number,
+      minutesSinceArrival: Number,
+      fee: Number,
+      driverCompensation: Number,
+      currency: String,
+      policyRule: String,
+      feeWaived: Boolean,
+    },
+    acceptedAt: Date,
+    arrivedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    statusHistory: [
+      {
+        _id: false,
+        status: String,
+        from: String,
+        changedAt: Date,
+      },
+    ],
+    // Chat before it moved to the ChatMessage collection; no longer written
+    chatMessages: [
+      {
+        _id: false,
+        sender: String,
+        message: String,
+        timestamp: Date,
+      },
+    ],
+    // Recipient OTP and handoff evidence of a single-drop delivery.
+    // Multi-stop deliveries keep them on each drop stop instead.
+    deliveryOtp: {
+      type: deliveryOtpSchema,
+      default: undefined,
+      select: false,
+    },
+    proofOfDelivery: {
+      type: proofOfDeliverySchema,
+      default: undefined,
+    },
+    // Stored receipt of a completed ride (services/receiptService.js)
+    receipt: {
+      number: String,
+      htmlPath: String,
+      pdfPath: String,
+      total: Number,
+      generatedAt: Date,
+      emailedTo: String,
+      emailedAt: Date,
+      emailError: String,
+    },
+    // byRider: the rider's rating of the driver, byDriver: the driver's rating of the rider
+    ratings: {
+      byRider: {
+        type: rideRatingSchema,
+        default: undefined,
+      },
+      byDriver: {
+        type: rideRatingSchema,
+        default: undefined,
+      },
+    },
+    // Original identifiers of documents imported by scripts/migrateRides.js
+    legacy: {
+      source: String,
+      id: String,
+      riderId: String,
+      driverId: String,
+      logs: Array,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      getters: true, // Apply getters when converting to JSON
+      transform: (doc, ret) => {
+        if (ret.deliveryOtp) delete ret.deliveryOtp.hash
+        for (const stop of ret.stops || []) {
+          if (stop.deliveryOtp) delete stop.deliveryOtp.hash
+        }
+        if (ret.receipt) {
+          delete ret.receipt.htmlPath
+          delete ret.receipt.pdfPath
+        }
+        return ret
+      },
+    },
+  },
+)
+
+RideSchema.index({ "pickup.location": "2dsphere" })
+RideSchema.index({ "driver._id": 1, rideTime: -1 })
+RideSchema.index({ "legacy.id": 1 }, { sparse: true })
+RideSchema.index({ "promotion.id": 1 }, { sparse: true })
+RideSchema.index({ paymentMethod: 1, status: 1, completedAt: -1 })
+RideSchema.index({ "ratings.byRider.score": 1, "ratings.byRider.ratedAt": -1 }, { sparse: true })
+RideSchema.index({ "ratings.byDriver.score": 1, "ratings.byDriver.ratedAt": -1 }, { sparse: true })
+
+// Record the initial status so the history always starts at creation
+RideSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.rideTime || new Date() })
+  }
+  next()
+})
+
+// Tell report rollups (services/rollupService.js) about writes to the fields
+// they summarize; writes that only touch other fields are not announced
+const ROLLUP_FIELDS = [
+  "status",
+  "amount",
+  "rideTime",
+  "service",
+  "driver",
+  "pickup",
+  "surge",
+  "promotion",
+  "cancellation",
+  "ratings",
+]
+
+const touchesRollupFields = (update) =>
+  Object.entries(update || {}).some(([key, value]) =>
+    key.startsWith("$")
+      ? touchesRollupFields(value)
+      : ROLLUP_FIELDS.some((field) => key === field || key.startsWith(`${field}.`)),
+  )
+
+RideSchema.pre("save", function (next) {
+  this.$locals.rollupChanged = this.isNew || ROLLUP_FIELDS.some((field) => this.isModified(field))
+  next()
+})
+
+RideSchema.post("save", function (doc) {
+  if (doc.$locals.rollupChanged) rideChanges.emit("change", doc._id)
+})
+
+RideSchema.post("findOneAndUpdate", function (doc) {
+  if (doc && touchesRollupFields(this.getUpdate())) rideChanges.emit("change", doc._id)
+})
+
+RideSchema.post("updateOne", function () {
+  const { _id: id } = this.getFilter()
+  if (id && touchesRollupFields(this.getUpdate())) rideChanges.emit("change", id)
+})
+
+// Look a ride up by ObjectId or by the id it had before migration
+RideSchema.statics.findByIdOrLegacyId = function (id) {
+  if (mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === String(id)) {
+    return this.findById(id)
+  }
+  return this.findOne({ "legacy.id": id })
+}
+
+const transitionError = (message, statusCode, ride, nextStatus) =>
+  Object.assign(new Error(message), { name: "InvalidTransitionError", statusCode, from: ride.status, to: nextStatus })
+
+// Move a ride to the next status through the state machine.
+// The update is guarded on the current status so two concurrent callers
+// cannot both apply a transition from the same state.
+// Returns null when the ride does not exist.
+RideSchema.statics.transitionStatus = async function (id, nextStatus, { set = {} } = {}) {
+  const ride = await this.findByIdOrLegacyId(id)
+  if (!ride) return null
+
+  const previousStatus = ride.status
+  assertTransition(previousStatus, nextStatus)
+
+  // Every stop of a multi-stop ride must be done or failed first
+  const hasOpenStops = ride.stops && ride.stops.some((stop) => !["done", "failed"].includes(stop.status))
+  if (nextStatus === "completed" && hasOpenStops) {
+    throw transitionError("Every stop must be done or failed before the ride can be completed", 422, ride, nextStatus)
+  }
+
+  // Deliveries can only be completed once the handoff has been proven
+  if (nextStatus === "completed" && proofOfDeliveryConfig.requirements[ride.service] && !hasProofOfDelivery(ride)) {
+    throw transitionError("Proof of delivery is required before this delivery can be completed", 422, ride, nextStatus)
+  }
+
+  // `set` may be a function of the current ride for fields that depend on it
+  const now = new Date()
+  const fields = typeof set === "function" ? set(ride, now) : set
+  const update = {
+    $set: { ...fields, status: nextStatus },
+    $push: { statusHistory: { status: nextStatus, from: previousStatus, changedAt: now } },
+  }
+  const timestampField = STATUS_TIMESTAMP_FIELDS[nextStatus]
+  if (timestampField) {
+    update.$set[timestampField] = now
+  }
+
+  const updated = await this.findOneAndUpdate({ _id: ride._id, status: previousStatus }, update, {
+    new: true,
+    runValidators: true,
+  })
+
+  if (!updated) {
+    throw transitionError("Ride status was changed by another request, please retry", 409, ride, nextStatus)
+  }
+
+  return { ride: updated, previousStatus }
+}
+
+module.exports = mongoose.model("Ride", RideSchema)
+module.exports.STOP_STATUSES = STOP_STATUSES
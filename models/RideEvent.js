@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+
+const RIDE_EVENT_TYPES = [
+  "ride_created",
+  "status_change",
+  "driver_assignment",
+  "dispatch",
+  "location_checkpoint",
+  "chat_message",
+  "fare_adjustment",
+  "admin_action",
+  "stop_update",
+  "rating",
+  "cash_collection",
+]
+
+const ACTOR_TYPES = ["rider", "driver", "admin", "system"]
+
+// Append-only timeline entry for a ride. Entries are never updated or deleted.
+const rideEventSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: RIDE_EVENT_TYPES,
+      required: true,
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: ACTOR_TYPES,
+        default: "system",
+      },
+      id: String,
+      name: String,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    data: mongoose.Schema.Types.Mixed,
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  },
+)
+
+rideEventSchema.index({ ride: 1, occurredAt: 1 })
+rideEventSchema.index({ type: 1, occurredAt: -1 })
+rideEventSchema.index({ "actor.type": 1, occurredAt: -1 })
+
+const rejectMutation = function (next) {
+  next(new Error("Ride events are append-only and cannot be modified or deleted"))
+}
+
+rideEventSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next)
+  next()
+})
+
+for (const operation of [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  rideEventSchema.pre(operation, rejectMutation)
+}
+
+const RideEvent = mongoose.model("RideEvent", rideEventSchema)
+
+module.exports = RideEvent
+module.exports.RIDE_EVENT_TYPES = RIDE_EVENT_TYPES
+module.exports.ACTOR_TYPES = ACTOR_TYPES
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose")
+
+// What a ride currently adds to the report rollups (services/rollupService.js).
+// When the ride changes, the difference to its new contribution is applied; the
+// version makes concurrent updates of the same ride apply one after the other.
+const rideRollupContributionSchema = new mongoose.Schema(
+  {
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ride",
+      required: true,
+      unique: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+    hourStart: Date,
+    dayStart: Date,
+    date: String,
+    hour: Number,
+    dimensions: [
+      {
+        _id: false,
+        dimension: String,
+        key: String,
+        label: String,
+      },
+    ],
+    metrics: mongoose.Schema.Types.Mixed,
+    // Zones containing the pickup, looked up again only when the pickup moves
+    pickupPoint: String,
+    zones: [
+      {
+        _id: false,
+        id: String,
+        name: String,
+      },
+    ],
+  },
+  { timestamps: true },
+)
+
+rideRollupContributionSchema.index({ dayStart: 1 })
+
+module.exports = mongoose.model("RideRollupContribution", rideRollupContributionSchema)
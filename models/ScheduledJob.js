@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+const JOB_STATUSES = ["pending", "running", "completed", "failed", "cancelled"]
+
+// A unit of background work that must run at a given time, even across
+// server restarts. Picked up by services/jobScheduler.js.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "pending",
+    },
+    // Scheduling the same key again replaces the pending job instead of adding one
+    uniqueKey: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: Number,
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    result: mongoose.Schema.Types.Mixed,
+    completedAt: Date,
+  },
+  { timestamps: true },
+)
+
+scheduledJobSchema.index({ status: 1, runAt: 1 })
+scheduledJobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true })
+scheduledJobSchema.index({ name: 1, "payload.rideId": 1 })
+scheduledJobSchema.index({ name: 1, "payload.subscriptionId": 1 })
+
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema)
+
+module.exports = ScheduledJob
+module.exports.JOB_STATUSES = JOB_STATUSES
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose")
+
+const bankAccountSchema = new mongoose.Schema(
+  {
+    accountHolderName: String,
+    accountNumber: String,
+    ifsc: String,
+    bankName: String,
+  },
+  { _id: false },
+)
+
+// One driver's figures in a settlement
+const settlementLineSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    driverName: String,
+    // Snapshot taken when the batch is generated; the payout file uses it
+    bankAccount: bankAccountSchema,
+    rides: Number,
+    grossFare: Number,
+    commission: Number,
+    // Ride earnings plus cancellation compensation
+    earnings: Number,
+    // Cash the driver still holds from COD rides: collections less deposits
+    // and handovers (models/DriverCashEntry.js)
+    cashCollected: Number,
+    penalties: Number,
+    // Balance carried in from earlier weeks (negative when owed to the driver)
+    carriedIn: Number,
+    otherDeductions: Number,
+    // earnings - cashCollected - penalties - carriedIn - otherDeductions
+    netAmount: Number,
+    payoutAmount: Number,
+    // Net amount not paid out this week (below the minimum, negative or no bank account)
+    carriedForward: Number,
+    holdReason: String,
+  },
+  { _id: false },
+)
+
+// Weekly settlement of driver earnings (services/settlementService.js).
+// draft -> approved (admin with payments.write) -> paid.
+const settlementBatchSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    timezone: String,
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["draft", "approved", "paid"],
+      default: "draft",
+      index: true,
+    },
+    lines: [settlementLineSchema],
+    totals: {
+      drivers: Number,
+      rides: Number,
+      grossFare: Number,
+      commission: Number,
+      earnings: Number,
+      cashCollected: Number,
+      penalties: Number,
+      payout: Number,
+      carriedForward: Number,
+    },
+    generatedAt: Date,
+    generatedBy: {
+      type: {
+        type: String,
+      },
+      id: String,
+      name: String,
+    },
+    approvedAt: Date,
+    approvedBy: {
+      id: String,
+      name: String,
+    },
+    paidAt: Date,
+    paidBy: {
+      id: String,
+      name: String,
+    },
+    bankReference: String,
+  },
+  { timestamps: true },
+)
+
+settlementBatchSchema.index({ periodStart: 1 }, { unique: true })
+
+module.exports = mongoose.model("SettlementBatch", settlementBatchSchema)
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose")
+
+// Manual multiplier set by an admin for a zone or a grid cell. While active it
+// replaces the computed multiplier of that area.
+const surgeOverrideSchema = new mongoose.Schema(
+  {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+    },
+    // Grid cell id as reported in the surge map (e.g. "1243:3350")
+    cellId: {
+      type: String,
+      trim: true,
+    },
+    multiplier: {
+      type: Number,
+      required: [true, "Multiplier is required"],
+      min: [1, "Multiplier cannot be below 1"],
+    },
+    reason: {
+      type: String,
+      required: [true, "A reason is required for surge overrides"],
+      trim: true,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Open-ended when not set
+    expiresAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      id: String,
+      name: String,
+    },
+  },
+  { timestamps: true },
+)
+
+surgeOverrideSchema.index({ isActive: 1, startsAt: 1, expiresAt: 1 })
+
+surgeOverrideSchema.pre("validate", function (next) {
+  if (Boolean(this.zone) === Boolean(this.cellId)) {
+    this.invalidate("zone", "An override targets either a zone or a grid cell")
+  }
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    this.invalidate("expiresAt", "expiresAt must be after startsAt")
+  }
+  next()
+})
+
+// Overrides in force at a given time
+surgeOverrideSchema.statics.findEffective = function (at = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: at },
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: at } }],
+  })
+}
+
+module.exports = mongoose.model("SurgeOverride", surgeOverrideSchema)
@@ -1,4 +1,56 @@
 const mongoose = require("mongoose")
+const pointSchema = require("./pointSchema")
+const { escapeRegExp } = require("lodash")
+const { toPoint, fromPoint } = require("../utils/geo")
+
+const EARTH_RADIUS_KM = 6378.1
+
+// Older callers still send {lat, lng}; store those as a GeoJSON point
+const castLocation = (value) => {
+  if (value && value.type !== "Point" && value.lat !== undefined && value.lng !== undefined) {
+    return toPoint(value.lat, value.lng)
+  }
+  return value
+}
+
+// Payout account of a driver
+const bankAccountSchema = new mongoose.Schema(
+  {
+    accountHolderName: {
+      type: String,
+      trim: true,
+    },
+    accountNumber: {
+      type: String,
+      trim: true,
+      match: [/^\d{9,18}$/, "Account number must be 9-18 digits"],
+    },
+    ifsc: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, "Invalid IFSC code"],
+    },
+    bankName: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false },
+)
+
+// One-time login code emailed to a driver (controllers/driverController.js), stored hashed
+const loginOtpSchema = new mongoose.Schema(
+  {
+    hash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false },
+)
 
 const driverSchema = new mongoose.Schema({
   name: {
@@ -45,10 +97,19 @@ const driverSchema = new mongoose.Schema({
     enum: ["active", "idle", "offline", "emergency"],
     default: "idle",
   },
+  // GeoJSON point ([lng, lat]); {lat, lng} input is converted on assignment
   location: {
-    lat: { type: Number, default: 0 },
-    lng: { type: Number, default: 0 },
+    type: pointSchema,
+    default: undefined,
+    set: castLocation,
   },
+  // Zones the driver is currently inside (maintained by services/zoneService.js)
+  currentZones: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+    },
+  ],
   speed: {
     type: Number,
     default: 0,
@@ -59,12 +120,18 @@ const driverSchema = new mongoose.Schema({
     min: 0,
     max: 100,
   },
+  // Rolling average of the last rated rides (services/ratingService.js)
   rating: {
     type: Number,
     default: 0,
     min: 0,
     max: 5,
   },
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingUpdatedAt: Date,
   completedTrips: {
     type: Number,
     default: 0,
@@ -89,6 +156,115 @@ const driverSchema = new mongoose.Schema({
   // File upload paths
   licensePhoto: String,
   panPhoto: String,
+  // Cash collected on COD rides and not yet deposited (services/cashService.js)
+  cashInHand: {
+    type: Number,
+    default: 0,
+  },
+  // Overrides the cash limit in config/cash.js for this driver
+  cashLimit: {
+    type: Number,
+    min: 0,
+  },
+  // Where weekly settlements are paid (services/settlementService.js).
+  // Only loaded when selected with "+bankAccount".
+  bankAccount: {
+    type: bankAccountSchema,
+    default: undefined,
+    select: false,
+  },
+  loginOtp: {
+    type: loginOtpSchema,
+    default: undefined,
+    select: false,
+  },
+}, {
+  toJSON: {
+    // Keep location.lat / location.lng in API responses for existing clients
+    transform: (doc, ret) => {
+      const position = fromPoint(ret.location)
+      if (position) ret.location = { ...ret.location, ...position }
+      // Only the last digits of the payout account leave the server
+      if (ret.bankAccount && ret.bankAccount.accountNumber) {
+        ret.bankAccount = { ...ret.bankAccount, accountNumber: `XXXX${ret.bankAccount.accountNumber.slice(-4)}` }
+      }
+      return ret
+    },
+  },
+})
+
+driverSchema.index({ location: "2dsphere" })
+driverSchema.index({ currentZones: 1 })
+
+// Plain {lat, lng} of the driver's position, or null when unknown
+driverSchema.virtual("position").get(function () {
+  return fromPoint(this.location)
 })
 
+driverSchema.methods.updateLocation = async function (lat, lng, speed) {
+  const location = toPoint(lat, lng)
+  if (!location) throw new Error("Valid latitude and longitude are required")
+
+  this.location = location
+  if (speed !== undefined && speed !== null && !isNaN(speed)) {
+    this.speed = Number.parseFloat(speed)
+  }
+  this.lastUpdate = new Date()
+  return this.save()
+}
+
+// Query conditions shared by the nearby and viewport searches
+const buildDriverFilters = ({ vehicleType, status, zone } = {}) => {
+  const query = {}
+  // Cast by hand: $geoNear queries bypass mongoose casting
+  if (zone && mongoose.Types.ObjectId.isValid(zone)) query.currentZones = new mongoose.Types.ObjectId(String(zone))
+  if (vehicleType) query.vehicleType = { $regex: `^${escapeRegExp(String(vehicleType))}$`, $options: "i" }
+  if (status && status !== "all") {
+    const statuses = String(status).split(",").map((s) => s.trim()).filter(Boolean)
+    query.status = statuses.length > 1 ? { $in: statuses } : statuses[0]
+  }
+  return query
+}
+
+// Drivers within radiusKm of a point, nearest first, with distanceKm set on each
+driverSchema.statics.findNearby = function ({ lat, lng, radiusKm, vehicleType, status, zone, limit = 50 }) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toPoint(lat, lng),
+        distanceField: "distanceMeters",
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: buildDriverFilters({ vehicleType, status, zone }),
+      },
+    },
+    { $limit: limit },
+    { $addFields: { distanceKm: { $round: [{ $divide: ["$distanceMeters", 1000] }, 3] } } },
+    // Aggregations ignore select: false
+    { $project: { distanceMeters: 0, bankAccount: 0, loginOtp: 0 } },
+  ])
+}
+
+// Drivers inside a map viewport given by its south-west and north-east corners
+driverSchema.statics.findInBounds = function ({ south, west, north, east, vehicleType, status, zone, limit = 500 }) {
+  const ring = [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+  ]
+  return this.find({
+    ...buildDriverFilters({ vehicleType, status, zone }),
+    location: { $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } } },
+  }).limit(limit)
+}
+
+// Query condition for drivers within radiusKm of a point (usable inside find())
+driverSchema.statics.withinRadius = function (lat, lng, radiusKm) {
+  return {
+    $geoWithin: { $centerSphere: [[Number.parseFloat(lng), Number.parseFloat(lat)], radiusKm / EARTH_RADIUS_KM] },
+  }
+}
+
 module.exports = mongoose.model("Driver", driverSchema)
@@ -32,7 +32,19 @@ const userSchema = new mongoose.Schema({
   isVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Rider rating given by drivers, rolling average of the last rated rides
+  rating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  ratingUpdatedAt: Date
 }, {
   timestamps: true
 });
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose")
+const { toPoint } = require("../utils/geo")
+
+const ZONE_TYPES = ["service-area", "airport", "restricted", "no-service", "custom"]
+
+// Zone types where riders cannot be picked up / dropped off unless a zone says otherwise
+const NO_PICKUP_TYPES = ["restricted", "no-service"]
+const NO_DROP_TYPES = ["no-service"]
+
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length === 2 &&
+  Number.isFinite(position[0]) &&
+  Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 &&
+  Math.abs(position[1]) <= 90
+
+// A closed ring of at least 4 positions (first and last identical)
+const isRing = (ring) =>
+  Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(isPosition) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1]
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing)
+
+// GeoJSON Polygon or MultiPolygon, coordinates are [lng, lat]
+const areaSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Polygon", "MultiPolygon"],
+      required: true,
+    },
+    coordinates: {
+      type: Array,
+      required: true,
+      validate: {
+        validator: function (coordinates) {
+          return this.type === "MultiPolygon"
+            ? Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon)
+            : isPolygon(coordinates)
+        },
+        message: "Zone coordinates must be closed rings of [lng, lat] positions (at least 4 per ring)",
+      },
+    },
+  },
+  { _id: false },
+)
+
+const zoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      unique: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ZONE_TYPES,
+      required: [true, "Zone type is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Map colour used by the dashboard
+    color: {
+      type: String,
+      trim: true,
+    },
+    geometry: {
+      type: areaSchema,
+      required: [true, "Zone geometry is required"],
+    },
+    // Rules other features consult for locations inside the zone
+    rules: {
+      allowPickup: {
+        type: Boolean,
+        default: function () {
+          return !NO_PICKUP_TYPES.includes(this.type)
+        },
+      },
+      allowDrop: {
+        type: Boolean,
+        default: function () {
+          return !NO_DROP_TYPES.includes(this.type)
+        },
+      },
+      surgeEnabled: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true },
+)
+
+zoneSchema.index({ geometry: "2dsphere" })
+
+// Active zones containing a point
+zoneSchema.statics.findContaining = function (lat, lng, filter = {}) {
+  return this.find({
+    isActive: true,
+    ...filter,
+    geometry: { $geoIntersects: { $geometry: toPoint(lat, lng) } },
+  })
+}
+
+const Zone = mongoose.model("Zone", zoneSchema)
+
+module.exports = Zone
+module.exports.ZONE_TYPES = ZONE_TYPES
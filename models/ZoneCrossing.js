@@ -0,0 +1,40 @@
+const mongoose = require("mongoose")
+const pointSchema = require("./pointSchema")
+
+// A driver entering or leaving a zone
+const zoneCrossingSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Driver",
+      required: true,
+    },
+    driverName: String,
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+      required: true,
+    },
+    zoneName: String,
+    zoneType: String,
+    direction: {
+      type: String,
+      enum: ["enter", "exit"],
+      required: true,
+    },
+    location: pointSchema,
+    tripId: String,
+    // Where the location update came from (rest, socket, simulator)
+    source: String,
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false },
+)
+
+zoneCrossingSchema.index({ zone: 1, occurredAt: -1 })
+zoneCrossingSchema.index({ driver: 1, occurredAt: -1 })
+
+module.exports = mongoose.model("ZoneCrossing", zoneCrossingSchema)
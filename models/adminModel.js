@@ -84,7 +84,7 @@ adminSchema.index({ name: "text", email: "text", role: "text" })
 // Hash password before saving
 adminSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(10)
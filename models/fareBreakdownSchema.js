@@ -0,0 +1,65 @@
+const mongoose = require("mongoose")
+
+// Itemised fare produced by services/fareService.js. Used for the estimate
+// shown at booking and for the fare actually charged on completion.
+const fareBreakdownSchema = new mongoose.Schema(
+  {
+    currency: String,
+    // Snapshot of the rates used, so the charged fare honours the quoted rates
+    rateCard: {
+      _id: false,
+      id: mongoose.Schema.Types.ObjectId,
+      source: String,
+      service: String,
+      vehicleType: String,
+      baseFare: Number,
+      perKm: Number,
+      perMinute: Number,
+      minimumFare: Number,
+      freeWaitingMinutes: Number,
+      waitingPerMinute: Number,
+      nightMultiplier: Number,
+      nightStartHour: Number,
+      nightEndHour: Number,
+      taxPercent: Number,
+      perStop: Number,
+    },
+    distanceKm: Number,
+    // Multi-stop trips: distance of every leg between consecutive stops
+    legs: [
+      {
+        _id: false,
+        from: Number,
+        to: Number,
+        distanceKm: Number,
+      },
+    ],
+    durationMin: Number,
+    waitingMin: Number,
+    isNight: Boolean,
+    surgeMultiplier: Number,
+    items: [
+      {
+        _id: false,
+        code: String,
+        label: String,
+        quantity: Number,
+        unit: String,
+        rate: Number,
+        amount: Number,
+      },
+    ],
+    subtotal: Number,
+    taxPercent: Number,
+    tax: Number,
+    // Promo discount taken off the total (services/promotionService.js)
+    promoCode: String,
+    totalBeforeDiscount: Number,
+    discount: Number,
+    total: Number,
+    calculatedAt: Date,
+  },
+  { _id: false },
+)
+
+module.exports = fareBreakdownSchema
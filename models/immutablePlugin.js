@@ -0,0 +1,33 @@
+// Mongoose plugin for append-only collections such as the ledger: documents
+// can be created but not changed or removed. Corrections are new documents.
+
+const UPDATE_AND_DELETE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]
+
+const immutableError = (label) => {
+  const error = new Error(`${label} are immutable; post a correcting entry instead`)
+  error.name = "ImmutableRecordError"
+  return error
+}
+
+const immutablePlugin = (schema, { label = "Records" } = {}) => {
+  schema.pre("save", function (next) {
+    next(this.isNew ? undefined : immutableError(label))
+  })
+  schema.pre(UPDATE_AND_DELETE_QUERIES, function (next) {
+    next(immutableError(label))
+  })
+  schema.pre("deleteOne", { document: true, query: false }, function (next) {
+    next(immutableError(label))
+  })
+}
+
+module.exports = immutablePlugin
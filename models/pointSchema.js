@@ -0,0 +1,23 @@
+const mongoose = require("mongoose")
+
+// GeoJSON point, coordinates are [lng, lat]. Shared by every model that is
+// queried geographically (rides, drivers, ...).
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length === 2 && v.every((n) => Number.isFinite(n)),
+        message: "Coordinates must be [lng, lat]",
+      },
+    },
+  },
+  { _id: false },
+)
+
+module.exports = pointSchema
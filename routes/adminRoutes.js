@@ -1,6 +1,7 @@
 const express = require("express")
 const router = express.Router()
 const {
+  loginAdmin,
   getAdmins,
   getAdminById,
   createAdmin,
@@ -8,6 +9,11 @@ const {
   deleteAdmin,
   updateAdminStatus,
 } = require("../controllers/adminController")
+const { protectAdmin, requireSuperAdmin } = require("../middlewares/adminAuthMiddleware")
+
+// Admin sign-in, returns a token for the admin-only APIs.
+// Registered before the debug logger so passwords are not logged.
+router.post("/login", loginAdmin)
 
 // Debug middleware to log all requests
 router.use((req, res, next) => {
@@ -20,6 +26,10 @@ router.use((req, res, next) => {
   next()
 })
 
+// Everything below manages admin accounts: super admins only.
+// The first one is created with scripts/createSuperAdmin.js.
+router.use(protectAdmin, requireSuperAdmin)
+
 // Routes for /api/admins
 router.route("/").get(getAdmins).post(createAdmin)
 
@@ -0,0 +1,26 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getDriversCash,
+  getDriverCashStatement,
+  createDeposit,
+  createHandover,
+  createAdjustment,
+  updateCashLimit,
+  getReconciliation,
+} = require("../controllers/cashController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Cash-on-delivery money held by drivers; collections are reported on the ride
+// (POST /api/rides/:id/cash-collection)
+router.use(protectAdmin)
+
+router.get("/reconciliation", requirePermission("payments", "read"), getReconciliation)
+router.get("/drivers", requirePermission("payments", "read"), getDriversCash)
+router.get("/drivers/:driverId", requirePermission("payments", "read"), getDriverCashStatement)
+router.post("/drivers/:driverId/deposits", requirePermission("payments", "write"), createDeposit)
+router.post("/drivers/:driverId/handovers", requirePermission("payments", "write"), createHandover)
+router.post("/drivers/:driverId/adjustments", requirePermission("payments", "write"), createAdjustment)
+router.put("/drivers/:driverId/limit", requirePermission("payments", "write"), updateCashLimit)
+
+module.exports = router
@@ -1,6 +1,8 @@
 const express = require("express")
 const Driverrouter = express.Router()
 const {
+  sendDriverLoginOtp,
+  verifyDriverLoginOtp,
   getAllDrivers,
   createDriver,
   deleteDriver,
@@ -8,14 +10,27 @@ const {
   getDriverStats,
   updateDriverLocation,
   getDriver,
+  getNearbyDrivers,
+  getDriverTrack,
+  replayDriverTrack,
   resetWithIndianNames,
   bulkKycVerification,
 } = require("../controllers/driverController")
+const { getDriverEarnings } = require("../controllers/payoutController")
+const { getDriverCashStatement } = require("../controllers/cashController")
+const { identifyRequester, requireDriverSelfOrPermission } = require("../middlewares/adminAuthMiddleware")
 const upload = require("../middlewares/upload")
 
+// Driver app login: an OTP is emailed, then exchanged for a driver token
+Driverrouter.post("/login", sendDriverLoginOtp)
+Driverrouter.post("/login/verify-otp", verifyDriverLoginOtp)
+
 // Stats route should come BEFORE /:id route to avoid conflicts
 Driverrouter.get("/stats", getDriverStats)
 
+// Proximity search, also before /:id
+Driverrouter.get("/nearby", getNearbyDrivers)
+
 // Reset route for development
 Driverrouter.post("/reset", resetWithIndianNames)
 
@@ -53,6 +68,16 @@ Driverrouter.put("/edit/:id", updateDriver)
 // Update driver location
 Driverrouter.patch("/:id/location", updateDriverLocation)
 
+// Location history
+Driverrouter.get("/:id/track", getDriverTrack)
+Driverrouter.post("/:id/track/replay", replayDriverTrack)
+
+// Earnings statement with weekly settlements
+Driverrouter.get("/:id/earnings", identifyRequester, requireDriverSelfOrPermission("payments", "read"), getDriverEarnings)
+
+// Cash in hand from cash rides, with deposits and handovers
+Driverrouter.get("/:id/cash", identifyRequester, requireDriverSelfOrPermission("payments", "read"), getDriverCashStatement)
+
 // Delete driver
 Driverrouter.delete("/delete/:id", deleteDriver)
 
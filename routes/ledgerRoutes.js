@@ -0,0 +1,19 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getAccounts,
+  getAccountStatement,
+  getTransactions,
+  checkConsistency,
+} = require("../controllers/ledgerController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Read-only view of the ledger for finance; money is moved through /api/wallets and ride postings
+router.use(protectAdmin)
+
+router.get("/accounts", requirePermission("payments", "read"), getAccounts)
+router.get("/accounts/:code/statement", requirePermission("payments", "read"), getAccountStatement)
+router.get("/transactions", requirePermission("payments", "read"), getTransactions)
+router.post("/consistency-check", requirePermission("payments", "write"), checkConsistency)
+
+module.exports = router
@@ -0,0 +1,54 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getCommissionRules,
+  resolveCommission,
+  createCommissionRule,
+  updateCommissionRule,
+  deactivateCommissionRule,
+  getDeductions,
+  addPenalty,
+  getSettlements,
+  getSettlement,
+  createSettlement,
+  approveSettlementBatch,
+  markSettlementBatchPaid,
+  downloadPayoutFile,
+  getDriverBankAccount,
+  updateDriverBankAccount,
+} = require("../controllers/payoutController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Commission rules, deductions and weekly settlements; drivers see their
+// figures through GET /api/driver/:id/earnings
+router.use(protectAdmin)
+
+router
+  .route("/commission-rules")
+  .get(requirePermission("payments", "read"), getCommissionRules)
+  .post(requirePermission("payments", "write"), createCommissionRule)
+router.get("/commission-rules/resolve", requirePermission("payments", "read"), resolveCommission)
+router
+  .route("/commission-rules/:id")
+  .put(requirePermission("payments", "write"), updateCommissionRule)
+  .delete(requirePermission("payments", "write"), deactivateCommissionRule)
+
+router.get("/deductions", requirePermission("payments", "read"), getDeductions)
+router.post("/penalties", requirePermission("payments", "write"), addPenalty)
+
+router
+  .route("/settlements")
+  .get(requirePermission("payments", "read"), getSettlements)
+  .post(requirePermission("payments", "write"), createSettlement)
+router.get("/settlements/:id", requirePermission("payments", "read"), getSettlement)
+router.post("/settlements/:id/approve", requirePermission("payments", "write"), approveSettlementBatch)
+router.post("/settlements/:id/paid", requirePermission("payments", "write"), markSettlementBatchPaid)
+router.get("/settlements/:id/payout-file", requirePermission("payments", "read"), downloadPayoutFile)
+
+// Bank details are kept off PUT /api/driver/edit/:id and only set here
+router
+  .route("/drivers/:driverId/bank-account")
+  .get(requirePermission("payments", "read"), getDriverBankAccount)
+  .put(requirePermission("payments", "write"), updateDriverBankAccount)
+
+module.exports = router
@@ -0,0 +1,27 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+  getPromotionRedemptions,
+} = require("../controllers/promotionController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Campaigns are managed by admins; codes are applied through /api/rides/estimate and POST /api/rides
+router.use(protectAdmin)
+
+router
+  .route("/")
+  .get(requirePermission("settings", "read"), getPromotions)
+  .post(requirePermission("settings", "write"), createPromotion)
+router
+  .route("/:id")
+  .get(requirePermission("settings", "read"), getPromotion)
+  .put(requirePermission("settings", "write"), updatePromotion)
+  .delete(requirePermission("settings", "write"), deactivatePromotion)
+router.get("/:id/redemptions", requirePermission("settings", "read"), getPromotionRedemptions)
+
+module.exports = router
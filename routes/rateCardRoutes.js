@@ -0,0 +1,20 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getRateCards,
+  resolveRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+} = require("../controllers/rateCardController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Rate cards set what every rider pays: admins with settings write only
+const canEditRateCards = [protectAdmin, requirePermission("settings", "write")]
+
+// Routes
+router.route("/").get(getRateCards).post(...canEditRateCards, createRateCard)
+router.route("/resolve").get(resolveRateCard)
+router.route("/:id").put(...canEditRateCards, updateRateCard).delete(...canEditRateCards, deleteRateCard)
+
+module.exports = router
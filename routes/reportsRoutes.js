@@ -4,6 +4,26 @@
 const express = require("express")
 const router = express.Router()
 const reportsController = require("../controllers/reportsController")
+const {
+  getReportSubscriptions,
+  getReportSubscription,
+  createReportSubscription,
+  updateReportSubscription,
+  deleteReportSubscription,
+  sendReportSubscriptionNow,
+  getReportSubscriptionRuns,
+} = require("../controllers/reportSubscriptionController")
+const {
+  getReportBuilderFields,
+  runReportBuilder,
+  getReportDefinitions,
+  getReportDefinition,
+  createReportDefinition,
+  updateReportDefinition,
+  deleteReportDefinition,
+  runSavedReportDefinition,
+} = require("../controllers/reportBuilderController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
 
 // Reports routes with real-time Socket.IO integration
 router.get("/earnings", reportsController.getEarningsReport)
@@ -11,4 +31,54 @@ router.get("/driver-performance", reportsController.getDriverPerformanceReport)
 router.get("/rides-analysis", reportsController.getRidesAnalysisReport)
 router.get("/summary", reportsController.getReportsSummary)
 
+// Reports emailed on a schedule (services/reportSubscriptionService.js)
+router
+  .route("/subscriptions")
+  .get(protectAdmin, requirePermission("payments", "read"), getReportSubscriptions)
+  .post(protectAdmin, requirePermission("payments", "write"), createReportSubscription)
+router
+  .route("/subscriptions/:id")
+  .get(protectAdmin, requirePermission("payments", "read"), getReportSubscription)
+  .put(protectAdmin, requirePermission("payments", "write"), updateReportSubscription)
+  .delete(protectAdmin, requirePermission("payments", "write"), deleteReportSubscription)
+router.post("/subscriptions/:id/send", protectAdmin, requirePermission("payments", "write"), sendReportSubscriptionNow)
+router.get("/subscriptions/:id/runs", protectAdmin, requirePermission("payments", "read"), getReportSubscriptionRuns)
+
+// Custom reports (services/reportBuilderService.js). Saved definitions belong to
+// the admin who saved them, who alone can change or share them.
+router.get("/builder/fields", protectAdmin, requirePermission("payments", "read"), getReportBuilderFields)
+router.post("/builder/run", protectAdmin, requirePermission("payments", "read"), runReportBuilder)
+router
+  .route("/builder/definitions")
+  .get(protectAdmin, requirePermission("payments", "read"), getReportDefinitions)
+  .post(protectAdmin, requirePermission("payments", "write"), createReportDefinition)
+router
+  .route("/builder/definitions/:id")
+  .get(protectAdmin, requirePermission("payments", "read"), getReportDefinition)
+  .put(protectAdmin, requirePermission("payments", "write"), updateReportDefinition)
+  .delete(protectAdmin, requirePermission("payments", "write"), deleteReportDefinition)
+router.get(
+  "/builder/definitions/:id/run",
+  protectAdmin,
+  requirePermission("payments", "read"),
+  runSavedReportDefinition,
+)
+
+// Report downloads (format=csv|xlsx|pdf) for finance
+router.get("/:type/export", protectAdmin, requirePermission("payments", "read"), reportsController.exportReport)
+
+// Rollups the reports read (services/rollupService.js)
+router.post(
+  "/rollups/rebuild",
+  protectAdmin,
+  requirePermission("settings", "write"),
+  reportsController.rebuildReportRollups,
+)
+router.get(
+  "/rollups/rebuild/:jobId",
+  protectAdmin,
+  requirePermission("settings", "read"),
+  reportsController.getReportRollupRebuild,
+)
+
 module.exports = router
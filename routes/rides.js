@@ -1,111 +1,115 @@
 const express = require("express");
-const Ride = require("../models/Ride");
 const router = express.Router();
-// const Ride = require("../models/Ride");
-
-
-
-router.get("/", async (req, res) => {
-  try {
-    const { status } = req.query;
-    const query = status ? { status } : {};
-    const rides = await Ride.find(query).sort({ createdAt: -1 });
-    res.json(rides);
-  } catch (err) {
-    console.error("Failed to fetch rides", err);
-    res.status(500).json({ error: "Failed to fetch rides" });
-  }
-});
-
-// Create new ride
-router.post("/", async (req, res) => {
-  try {
-    const ride = new Ride(req.body);
-    await ride.save();
-
-    const io = req.app.get("io");
-    io.emit("newRide", ride); // Broadcast new ride to all clients
-
-    res.status(201).json(ride);
-  } catch (err) {
-    res.status(400).json({ error: "Failed to save ride" });
-  }
-});
-
-// Update ride status
-// routes/rides.js
-router.put("/:id/status", async (req, res) => {
-  try {
-    const ride = await Ride.findOneAndUpdate(
-      { id: req.params.id },
-      { status: req.body.status },
-      { new: true }
-    );
-
-    if (!ride) {
-      return res.status(404).json({ message: "Ride not found" });
+const {
+  getRides,
+  createRide,
+  estimateRideFare,
+  getRide,
+  updateRideStatus,
+  getRideLogs,
+  exportRideLogs,
+  searchRideEvents,
+  exportRideEvents,
+  assignDriver,
+  adjustFare,
+  addAdminNote,
+  addCheckpoint,
+  getChatMessages,
+  addChatMessage,
+  addChatReceipts,
+  moderateChatMessage,
+  dispatchRide,
+  getRideOffers,
+  respondToOffer,
+  getCancellationReasons,
+  getCancellationQuote,
+  getRideStops,
+  updateRideStopStatus,
+  submitProofOfDelivery,
+  getProofOfDelivery,
+  getProofOfDeliveryPhoto,
+  getRatingTags,
+  rateRide,
+  getLowRatedRides,
+  getRideReceipt,
+  recordRideCashCollection,
+} = require("../controllers/rideController");
+const upload = require("../middlewares/upload");
+const { identifyRequester, protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware");
+const { protectDriver } = require("../middlewares/driverAuthMiddleware");
+
+router.get("/", getRides);
+
+// Create new ride. Customers book with their token; admins may book for a customer.
+router.post("/", identifyRequester, createRide);
+
+// Fare quote before booking; promo codes are checked for the signed-in customer
+router.post("/estimate", identifyRequester, estimateRideFare);
+
+// Cross-ride event search should come BEFORE /:id routes
+router.get("/events", protectAdmin, requirePermission("bookings", "read"), searchRideEvents);
+router.get("/events/export", protectAdmin, requirePermission("bookings", "read"), exportRideEvents);
+router.get("/cancellation-reasons", getCancellationReasons);
+router.get("/rating-tags", getRatingTags);
+router.get("/low-rated", protectAdmin, getLowRatedRides);
+
+router.get("/:id", getRide);
+
+// Update ride status (validated against the ride lifecycle). Needs the assigned driver's or an
+// admin token; riders may cancel their own rides with theirs.
+router.put("/:id/status", identifyRequester, updateRideStatus);
+
+// Fee a cancellation would incur right now
+router.get("/:id/cancellation-quote", getCancellationQuote);
+
+// Multi-stop rides. Stops are updated by the assigned driver or an admin.
+router.get("/:id/stops", getRideStops);
+router.put("/:id/stops/:stopId/status", identifyRequester, updateRideStopStatus);
+
+// Proof of delivery: the assigned driver captures it at handoff, admins review it for disputes
+router.post(
+  "/:id/proof-of-delivery",
+  protectDriver,
+  upload.single("photo"),
+  (error, req, res, next) => {
+    if (error) {
+      return upload.handleUploadError(error, req, res, next);
     }
-
-    const io = req.app.get("io");
-    io.emit("rideStatusUpdate", ride);
-
-    res.json(ride);
-  } catch (err) {
-    console.error("Error updating ride status:", err);
-    res.status(500).json({ message: "Error updating ride status" });
-  }
-});
-
-
-router.get("/:id/logs", async (req, res) => {
-  try {
-    const ride = await Ride.findOne({ id: req.params.id }); // or use _id
-    if (!ride) return res.status(404).json({ message: "Ride not found" });
-
-    // Return dummy logs for now
-    res.json([
-      { timestamp: new Date(), message: "Ride started" },
-      { timestamp: new Date(), message: "Ride in progress" },
-    ]);
-  } catch (err) {
-    console.error("Error fetching ride logs:", err);
-    res.status(500).json({ message: "Error fetching ride logs" });
-  }
-});
-
-
-// Save chat message to a ride
-router.post("/:id/chat", async (req, res) => {
-  const { sender, message } = req.body;
-
-  try {
-    const ride = await Ride.findOne({ id: req.params.id });
-    if (!ride) {
-      return res.status(404).json({ message: "Ride not found" });
-    }
-
-    const chat = {
-      sender,
-      message,
-      timestamp: new Date(),
-    };
-
-    ride.chatMessages.push(chat);
-    await ride.save();
-
-    // Emit chat message to all clients (optional)
-    const io = req.app.get("io");
-    io.emit("chatMessage", {
-      rideId: ride.id,
-      ...chat,
-    });
-
-    res.status(200).json(chat);
-  } catch (err) {
-    console.error("Error saving chat message:", err);
-    res.status(500).json({ message: "Error saving chat message" });
-  }
-});
-
+    next();
+  },
+  submitProofOfDelivery
+);
+router.get("/:id/proof-of-delivery", protectAdmin, getProofOfDelivery);
+router.get("/:id/proof-of-delivery/photo", protectAdmin, getProofOfDeliveryPhoto);
+
+// Receipt of a completed ride (?format=pdf|html), for its rider or an admin
+router.get("/:id/receipt", identifyRequester, getRideReceipt);
+
+// Cash rides: the driver reports the cash taken, admins can correct it
+router.post("/:id/cash-collection", identifyRequester, recordRideCashCollection);
+
+// Driver assignment and admin adjustments
+router.put("/:id/driver", protectAdmin, requirePermission("bookings", "write"), assignDriver);
+router.patch("/:id/fare", protectAdmin, requirePermission("payments", "write"), adjustFare);
+router.post("/:id/notes", protectAdmin, requirePermission("bookings", "write"), addAdminNote);
+
+// Automatic dispatch: admins start it and follow the offers, drivers answer their own
+router.post("/:id/dispatch", protectAdmin, requirePermission("bookings", "write"), dispatchRide);
+router.get("/:id/offers", protectAdmin, requirePermission("bookings", "read"), getRideOffers);
+router.post("/:id/offers/:offerId/respond", protectDriver, respondToOffer);
+
+// Ride timeline: admins read it, the assigned driver or an admin adds checkpoints
+router.get("/:id/logs", protectAdmin, requirePermission("bookings", "read"), getRideLogs);
+router.get("/:id/logs/export", protectAdmin, requirePermission("bookings", "read"), exportRideLogs);
+router.post("/:id/checkpoints", identifyRequester, addCheckpoint);
+
+// Post-ride rating: riders and drivers authenticate with their token
+router.post("/:id/rating", identifyRequester, rateRide);
+
+// Ride chat: rider, driver and support authenticate with their token
+router.get("/:id/chat", identifyRequester, getChatMessages);
+router.post("/:id/chat", identifyRequester, addChatMessage);
+router.post("/:id/chat/receipts", identifyRequester, addChatReceipts);
+router.patch("/:id/chat/:messageId/moderation", protectAdmin, moderateChatMessage);
 
 module.exports = router;
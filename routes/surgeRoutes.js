@@ -0,0 +1,23 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getSurgeMap,
+  getSurgeQuote,
+  recomputeSurge,
+  getOverrides,
+  createOverride,
+  endOverride,
+} = require("../controllers/surgeController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Recomputing and overriding surge changes what riders pay: admins with settings write only
+const canEditSurge = [protectAdmin, requirePermission("settings", "write")]
+
+// Routes
+router.route("/").get(getSurgeMap)
+router.route("/quote").get(getSurgeQuote)
+router.route("/recompute").post(...canEditSurge, recomputeSurge)
+router.route("/overrides").get(getOverrides).post(...canEditSurge, createOverride)
+router.route("/overrides/:id").delete(...canEditSurge, endOverride)
+
+module.exports = router
@@ -0,0 +1,21 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getWalletBalance,
+  getStatement,
+  createTopUp,
+  createRefund,
+  createPromoCredit,
+} = require("../controllers/walletController")
+const { identifyRequester } = require("../middlewares/adminAuthMiddleware")
+
+// Riders read their own wallet with a customer token; admins need payments permissions
+router.use(identifyRequester)
+
+router.get("/:userId", getWalletBalance)
+router.get("/:userId/statement", getStatement)
+router.post("/:userId/topups", createTopUp)
+router.post("/:userId/refunds", createRefund)
+router.post("/:userId/promo-credits", createPromoCredit)
+
+module.exports = router
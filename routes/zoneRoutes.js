@@ -0,0 +1,25 @@
+const express = require("express")
+const router = express.Router()
+const {
+  getZones,
+  lookupZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  getZoneDrivers,
+  getZoneCrossings,
+} = require("../controllers/zoneController")
+const { protectAdmin, requirePermission } = require("../middlewares/adminAuthMiddleware")
+
+// Zone changes restrict pickups and reprice rides: admins with settings write only
+const canEditZones = [protectAdmin, requirePermission("settings", "write")]
+
+// Routes
+router.route("/").get(getZones).post(...canEditZones, createZone)
+router.route("/lookup").get(lookupZones)
+router.route("/:id").get(getZone).put(...canEditZones, updateZone).delete(...canEditZones, deleteZone)
+router.route("/:id/drivers").get(getZoneDrivers)
+router.route("/:id/crossings").get(getZoneCrossings)
+
+module.exports = router
@@ -0,0 +1,51 @@
+// Location: /scripts/createSuperAdmin.js
+// Creates the first super admin. Managing admins (/api/admins) needs a super
+// admin token, so the first account cannot be created through the API.
+//
+// Usage: node scripts/createSuperAdmin.js --email=<email> --name=<name>
+// The password is read from SUPER_ADMIN_PASSWORD so it stays out of the shell history.
+// Does nothing when a super admin already exists.
+
+require("dotenv").config()
+const mongoose = require("mongoose")
+const Admin = require("../models/adminModel")
+
+const argument = (name) => {
+  const match = process.argv.find((arg) => arg.startsWith(`--${name}=`))
+  return match ? match.slice(name.length + 3) : undefined
+}
+
+const run = async () => {
+  const email = argument("email")
+  const name = argument("name") || "Super Admin"
+  const password = process.env.SUPER_ADMIN_PASSWORD
+  if (!email || !password) {
+    console.error("❌ --email and the SUPER_ADMIN_PASSWORD environment variable are required")
+    return false
+  }
+
+  await mongoose.connect(process.env.MONGODB_URL)
+  console.log("✅ Database connected")
+
+  const existing = await Admin.findOne({ role: "super_admin" }).select("email")
+  if (existing) {
+    console.log(`👤 A super admin already exists (${existing.email}), nothing to do`)
+    await mongoose.disconnect()
+    return true
+  }
+
+  const admin = await Admin.create({ name, email, password, role: "super_admin", status: "active" })
+  console.log(`👤 Super admin ${admin.email} created`)
+  await mongoose.disconnect()
+
+  return true
+}
+
+if (require.main === module) {
+  run()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error("❌ Creating the super admin failed:", error)
+      process.exit(1)
+    })
+}
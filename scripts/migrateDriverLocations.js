@@ -0,0 +1,60 @@
+// Location: /scripts/migrateDriverLocations.js
+// One-off migration that converts driver locations from {lat, lng} to GeoJSON points
+// and then builds the 2dsphere index (which cannot be built while old documents remain).
+// Drivers still at the old {lat: 0, lng: 0} default have no known position, so their location is removed.
+//
+// Usage: node scripts/migrateDriverLocations.js [--dry-run]
+// The script is idempotent: drivers that already have a GeoJSON location are not touched.
+
+require("dotenv").config()
+const mongoose = require("mongoose")
+const Driver = require("../models/TRdriverModel")
+const { toPoint } = require("../utils/geo")
+
+const DRY_RUN = process.argv.includes("--dry-run")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URL, { autoIndex: false })
+  console.log(`✅ Database connected${DRY_RUN ? " (dry run, nothing will be written)" : ""}`)
+
+  const stats = { scanned: 0, converted: 0, cleared: 0, failed: 0 }
+  const collection = mongoose.connection.db.collection(Driver.collection.collectionName)
+  const cursor = collection.find({ location: { $exists: true }, "location.type": { $exists: false } })
+
+  for await (const doc of cursor) {
+    stats.scanned++
+    const { lat, lng } = doc.location || {}
+    const point = lat || lng ? toPoint(lat, lng) : null
+    const update = point ? { $set: { location: point } } : { $unset: { location: "" } }
+
+    try {
+      if (!DRY_RUN) {
+        await collection.updateOne({ _id: doc._id }, update)
+      }
+      if (point) stats.converted++
+      else stats.cleared++
+    } catch (error) {
+      stats.failed++
+      console.error(`❌ Could not convert location of driver ${doc._id}:`, error.message)
+    }
+  }
+
+  if (!DRY_RUN && stats.failed === 0) {
+    await Driver.createIndexes()
+    console.log("🗺️ Driver 2dsphere index is in place")
+  }
+
+  console.log("📊 Migration summary:", JSON.stringify(stats, null, 2))
+  await mongoose.disconnect()
+
+  return stats.failed === 0
+}
+
+if (require.main === module) {
+  run()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error("❌ Driver location migration failed:", error)
+      process.exit(1)
+    })
+}
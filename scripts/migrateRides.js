@@ -0,0 +1,274 @@
+// Location: /scripts/migrateRides.js
+// One-off migration that converts rides from the two legacy collections into the canonical Ride model:
+//   - "rides"  (old Ride1 schema: status "pending", amount possibly stored as string) - converted in place
+//   - "ride2s" (old Ride2 schema: every field a string, pickup/drop as addresses) - copied into "rides"
+//
+// Usage: node scripts/migrateRides.js [--dry-run]
+// The script is idempotent: converted rides are left unchanged and ride2s documents
+// that were already copied (same _id) are skipped.
+
+require("dotenv").config()
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const { RIDE_STATUSES } = require("../utils/rideStateMachine")
+const { toPoint } = require("../utils/geo")
+
+const DRY_RUN = process.argv.includes("--dry-run")
+
+// Old status values -> canonical lifecycle status
+const STATUS_MAP = {
+  pending: "requested",
+  requested: "requested",
+  searching: "requested",
+  scheduled: "requested",
+  accepted: "accepted",
+  assigned: "accepted",
+  confirmed: "accepted",
+  arrived: "arrived",
+  "in-progress": "in-progress",
+  in_progress: "in-progress",
+  inprogress: "in-progress",
+  ongoing: "in-progress",
+  active: "in-progress",
+  started: "in-progress",
+  completed: "completed",
+  complete: "completed",
+  done: "completed",
+  finished: "completed",
+  cancelled: "cancelled",
+  canceled: "cancelled",
+}
+
+const mapStatus = (status) => {
+  if (!status) return "requested"
+  const key = String(status).trim().toLowerCase()
+  return STATUS_MAP[key] || (RIDE_STATUSES.includes(key) ? key : "requested")
+}
+
+// "₹1,250.50" / "$12" / "12.5" -> 1250.5 / 12 / 12.5
+const parseMoney = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : 0
+  if (!value) return 0
+  const parsed = Number.parseFloat(String(value).replace(/[^0-9.-]/g, ""))
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0
+}
+
+// "5.2 km" / "15 mins" -> 5.2 / 15
+const parseNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined
+  if (!value) return undefined
+  const parsed = Number.parseFloat(String(value).replace(/[^0-9.-]/g, ""))
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined
+}
+
+const parseDate = (...candidates) => {
+  for (const candidate of candidates) {
+    if (!candidate) continue
+    const date = candidate instanceof Date ? candidate : new Date(candidate)
+    if (!isNaN(date.getTime())) return date
+  }
+  return undefined
+}
+
+const toObjectId = (value) => {
+  if (value && mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === String(value)) {
+    return new mongoose.Types.ObjectId(value)
+  }
+  return undefined
+}
+
+const toPlace = (value) => {
+  if (!value) return undefined
+  if (typeof value === "string") return { address: value.trim() }
+  const place = {}
+  if (value.address) place.address = String(value.address).trim()
+  if (value.type === "Point" && Array.isArray(value.coordinates)) {
+    place.location = toPoint(value.coordinates[1], value.coordinates[0])
+  } else if (value.location && value.location.type === "Point") {
+    place.location = value.location
+  } else if (value.lat !== undefined && value.lng !== undefined) {
+    place.location = toPoint(value.lat, value.lng)
+  }
+  if (!place.location) delete place.location
+  return Object.keys(place).length > 0 ? place : undefined
+}
+
+const toCurrentLocation = (value) => {
+  if (!value || value.lat === undefined || value.lng === undefined) return undefined
+  return {
+    lat: Number.parseFloat(value.lat),
+    lng: Number.parseFloat(value.lng),
+    address: value.address,
+    updatedAt: parseDate(value.updatedAt),
+  }
+}
+
+// Convert a document from the old Ride1 schema ("rides" collection).
+// Returns the $set needed, or null when the document is already canonical.
+const convertRide1Document = (doc) => {
+  const set = {}
+
+  const status = mapStatus(doc.status)
+  if (status !== doc.status) set.status = status
+
+  if (typeof doc.amount !== "number") set.amount = parseMoney(doc.amount)
+
+  if (!(doc.rideTime instanceof Date)) {
+    set.rideTime = parseDate(doc.rideTime, doc.createdAt, doc._id.getTimestamp())
+  }
+
+  for (const field of ["pickup", "drop"]) {
+    if (typeof doc[field] === "string" || (doc[field] && doc[field].lat !== undefined)) {
+      set[field] = toPlace(doc[field])
+    }
+  }
+
+  const history = Array.isArray(doc.statusHistory) ? doc.statusHistory : []
+  const convertedHistory = history.map((entry) => ({
+    status: mapStatus(entry.status),
+    ...(entry.from ? { from: mapStatus(entry.from) } : {}),
+    changedAt: parseDate(entry.changedAt),
+  }))
+  if (history.length === 0) {
+    convertedHistory.push({ status, changedAt: set.rideTime || doc.rideTime })
+  }
+  if (JSON.stringify(convertedHistory) !== JSON.stringify(history)) set.statusHistory = convertedHistory
+
+  return Object.keys(set).length > 0 ? set : null
+}
+
+// Build a canonical ride from an old Ride2 document ("ride2s" collection)
+const convertRide2Document = (doc) => {
+  const status = mapStatus(doc.status)
+  const rideTime = parseDate(
+    doc.date && doc.time ? `${doc.date} ${doc.time}` : null,
+    doc.date,
+    doc._id.getTimestamp(),
+  )
+  const riderId = toObjectId(doc.riderId)
+  const driverId = toObjectId(doc.driverId)
+
+  const ride = {
+    _id: doc._id,
+    service: "Ride",
+    type: "Standard",
+    user: {
+      _id: riderId || new mongoose.Types.ObjectId(),
+      name: doc.riderName || "Unknown Rider",
+    },
+    pickup: toPlace(doc.pickup),
+    drop: toPlace(doc.drop),
+    rideTime,
+    status,
+    amount: parseMoney(doc.price),
+    distanceKm: parseNumber(doc.distance),
+    durationMin: parseNumber(doc.duration),
+    currentLocation: toCurrentLocation(doc.currentLocation),
+    statusHistory: [{ status, changedAt: rideTime }],
+    chatMessages: (Array.isArray(doc.chatMessages) ? doc.chatMessages : []).map((chat) => ({
+      sender: chat.sender,
+      message: chat.message,
+      timestamp: parseDate(chat.timestamp),
+    })),
+    legacy: {
+      source: "ride2s",
+      id: doc.id ? String(doc.id) : undefined,
+      riderId: doc.riderId ? String(doc.riderId) : undefined,
+      driverId: doc.driverId ? String(doc.driverId) : undefined,
+      logs: Array.isArray(doc.logs) ? doc.logs : [],
+    },
+  }
+
+  if (driverId || doc.driverName) {
+    ride.driver = { _id: driverId, name: doc.driverName }
+  }
+
+  return ride
+}
+
+const migrateRide1Collection = async (stats) => {
+  const cursor = Ride.collection.find({})
+
+  for await (const doc of cursor) {
+    stats.rides.scanned++
+    try {
+      const set = convertRide1Document(doc)
+      if (!set) continue
+
+      // Validate the converted document before writing it back
+      await Ride.hydrate({ ...doc, ...set }).validate()
+
+      if (!DRY_RUN) {
+        await Ride.collection.updateOne({ _id: doc._id }, { $set: set })
+      }
+      stats.rides.converted++
+    } catch (error) {
+      stats.rides.failed++
+      console.error(`❌ Could not convert ride ${doc._id}:`, error.message)
+    }
+  }
+}
+
+const migrateRide2Collection = async (stats) => {
+  const collections = await mongoose.connection.db.listCollections({ name: "ride2s" }).toArray()
+  if (collections.length === 0) {
+    console.log("ℹ️ No ride2s collection found, skipping")
+    return
+  }
+
+  const cursor = mongoose.connection.db.collection("ride2s").find({})
+
+  for await (const doc of cursor) {
+    stats.ride2s.scanned++
+    try {
+      if (await Ride.exists({ _id: doc._id })) {
+        stats.ride2s.skipped++
+        continue
+      }
+
+      const ride = new Ride(convertRide2Document(doc))
+      await ride.validate()
+
+      if (!toObjectId(doc.riderId)) {
+        console.warn(`⚠️ Ride2 ${doc._id} has no valid rider id ("${doc.riderId}"), generated a placeholder`)
+      }
+
+      if (!DRY_RUN) {
+        await ride.save()
+      }
+      stats.ride2s.copied++
+    } catch (error) {
+      stats.ride2s.failed++
+      console.error(`❌ Could not copy ride2 ${doc._id}:`, error.message)
+    }
+  }
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URL)
+  console.log(`✅ Database connected${DRY_RUN ? " (dry run, nothing will be written)" : ""}`)
+
+  const stats = {
+    rides: { scanned: 0, converted: 0, failed: 0 },
+    ride2s: { scanned: 0, copied: 0, skipped: 0, failed: 0 },
+  }
+
+  await migrateRide1Collection(stats)
+  await migrateRide2Collection(stats)
+
+  console.log("📊 Migration summary:", JSON.stringify(stats, null, 2))
+  await mongoose.disconnect()
+
+  return stats.rides.failed + stats.ride2s.failed === 0
+}
+
+if (require.main === module) {
+  run()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error("❌ Ride migration failed:", error)
+      process.exit(1)
+    })
+}
+
+module.exports = { convertRide1Document, convertRide2Document, mapStatus, parseMoney }
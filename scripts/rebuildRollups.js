@@ -0,0 +1,49 @@
+// Location: /scripts/rebuildRollups.js
+// Builds the report rollups (services/rollupService.js) from the rides, e.g. to
+// backfill history after deploying them. Defaults to every day since the first ride.
+//
+// Usage: node scripts/rebuildRollups.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD]
+// Rerunning is safe: each local day is recomputed from scratch.
+
+require("dotenv").config()
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const { rebuildRollups } = require("../services/rollupService")
+
+const argument = (name) => {
+  const match = process.argv.find((arg) => arg.startsWith(`--${name}=`))
+  return match ? match.slice(name.length + 3) : undefined
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URL)
+  console.log("✅ Database connected")
+
+  const first = await Ride.findOne().sort({ rideTime: 1 }).select("rideTime")
+  const from = argument("from") || (first && first.rideTime)
+  const to = argument("to") || new Date()
+  if (!from) {
+    console.log("📊 No rides, nothing to build")
+    await mongoose.disconnect()
+    return true
+  }
+
+  const result = await rebuildRollups({ from, to })
+  if (!result.success) {
+    console.error(`❌ ${result.message}`)
+  } else {
+    console.log("📊 Rollup rebuild summary:", JSON.stringify(result, null, 2))
+  }
+  await mongoose.disconnect()
+
+  return result.success
+}
+
+if (require.main === module) {
+  run()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error("❌ Rollup rebuild failed:", error)
+      process.exit(1)
+    })
+}
@@ -503,16 +503,40 @@ const dashboardController = require("./controllers/dashboardController")
 const db = require("./config/db")
 
 // Import models for change streams
-const Ride = require("./models/Ride1")
+const Ride = require("./models/Ride")
 const Driver = require("./models/TRdriverModel")
 const Admin = require("./models/adminModel")
 const Vehicle = require("./models/Vehicle") // Add Vehicle model
 
 
 const ReportsSocketService = require("./services/reportsSocketService")
-const { validateDateRange, validateTimeRange, validateDriverFilter } = require("./middlewares/reportsMiddleware")
+const DispatchService = require("./services/dispatchService")
+const TrackReplayService = require("./services/trackReplayService")
+const SurgeService = require("./services/surgeService")
+const JobScheduler = require("./services/jobScheduler")
+const { registerRideScheduleJobs } = require("./services/rideScheduleService")
+const { registerReceiptJobs } = require("./services/receiptService")
+const { registerLedgerJobs } = require("./services/ledgerService")
+const { registerWalletJobs } = require("./services/walletService")
+const { registerSettlementJobs } = require("./services/settlementService")
+const { registerRollupJobs, watchRideChanges } = require("./services/rollupService")
+const { registerReportSubscriptionJobs } = require("./services/reportSubscriptionService")
+const {
+  validateDateRange,
+  validateTimeRange,
+  validateReportCalendar,
+  validateDriverFilter,
+} = require("./middlewares/reportsMiddleware")
 const setupSocket = require("./socket") // Import our unified socket handler
 const driverRoutes = require("./routes/driverRoutes")
+const zoneRoutes = require("./routes/zoneRoutes")
+const rateCardRoutes = require("./routes/rateCardRoutes")
+const surgeRoutes = require("./routes/surgeRoutes")
+const promotionRoutes = require("./routes/promotionRoutes")
+const walletRoutes = require("./routes/walletRoutes")
+const ledgerRoutes = require("./routes/ledgerRoutes")
+const payoutRoutes = require("./routes/payoutRoutes")
+const cashRoutes = require("./routes/cashRoutes")
 
 // --- App & Server Setup ---
 const app = express()
@@ -623,13 +647,28 @@ app.get("/api/test", (req, res) => {
 
 // --- REST API Routes ---
 app.use("/api/auth", authRoutes)
-app.use("/api/dashboard", dashboardRoutes)
+app.use("/api/dashboard", validateReportCalendar, dashboardRoutes)
 app.use("/api/admins", adminRoutes)
-app.use("/api/reports", validateDateRange, validateTimeRange, validateDriverFilter, reportsRoutes)
+app.use(
+  "/api/reports",
+  validateDateRange,
+  validateTimeRange,
+  validateReportCalendar,
+  validateDriverFilter,
+  reportsRoutes,
+)
 app.use("/api/rides", ridesRoutes)
 app.use("/api/invoices", invoiceRoutes)
 app.use("/api/driver", driverRoutes)
 app.use("/api/vehicles", vehicleRoutes) // Add vehicle routes
+app.use("/api/zones", zoneRoutes)
+app.use("/api/rate-cards", rateCardRoutes)
+app.use("/api/surge", surgeRoutes)
+app.use("/api/promotions", promotionRoutes)
+app.use("/api/wallets", walletRoutes)
+app.use("/api/ledger", ledgerRoutes)
+app.use("/api/payouts", payoutRoutes)
+app.use("/api/cash", cashRoutes)
 
 // --- Enhanced WebSocket Logic ---
 io.on("connection", (socket) => {
@@ -1013,7 +1052,8 @@ setInterval(async () => {
 const setupChangeStreams = () => {
   try {
     // Enhanced change stream setup with reconnection logic
-    const setupModelChangeStream = (Model, modelName) => {
+    // hiddenFields are left out of the broadcast documents (secrets, private file paths)
+    const setupModelChangeStream = (Model, modelName, hiddenFields = []) => {
       let changeStream
       let isConnected = false
 
@@ -1031,7 +1071,11 @@ const setupChangeStreams = () => {
           console.log(`🔄 Setting up ${modelName} change stream...`)
 
           // Create new change stream with full document lookup
-          changeStream = Model.watch([], {
+          const pipeline =
+            hiddenFields.length > 0
+              ? [{ $project: Object.fromEntries(hiddenFields.map((field) => [`fullDocument.${field}`, 0])) }]
+              : []
+          changeStream = Model.watch(pipeline, {
             fullDocument: "updateLookup",
           })
 
@@ -1127,8 +1171,13 @@ const setupChangeStreams = () => {
 
     // Setup change streams for all models
     const cleanupFunctions = [
-      setupModelChangeStream(Ride, "Rides"),
-      setupModelChangeStream(Driver, "Drivers"),
+      setupModelChangeStream(Ride, "Rides", [
+        "deliveryOtp",
+        "stops.deliveryOtp",
+        "receipt.htmlPath",
+        "receipt.pdfPath",
+      ]),
+      setupModelChangeStream(Driver, "Drivers", ["bankAccount", "loginOtp"]),
       setupModelChangeStream(Admin, "Admins"),
       setupModelChangeStream(Vehicle, "Vehicles"),
     ]
@@ -1598,5 +1647,32 @@ app.set("io", io)
 const reportsSocketService = new ReportsSocketService(io)
 app.set("reportsSocketService", reportsSocketService)
 
+// Dispatch engine offering new rides to drivers
+const dispatchService = new DispatchService(io)
+app.set("dispatchService", dispatchService)
+
+// Replays of recorded driver tracks for investigations
+const trackReplayService = new TrackReplayService(io)
+app.set("trackReplayService", trackReplayService)
+
+// Demand-based surge multipliers, published on the "surge" room
+const surgeService = new SurgeService(io)
+app.set("surgeService", surgeService)
+
+// MongoDB-backed background jobs (scheduled ride reminders and dispatch)
+const jobScheduler = new JobScheduler()
+registerRideScheduleJobs(jobScheduler, { io, dispatchService })
+registerReceiptJobs(jobScheduler)
+registerWalletJobs(jobScheduler)
+registerLedgerJobs(jobScheduler, { io })
+registerSettlementJobs(jobScheduler)
+registerRollupJobs(jobScheduler)
+registerReportSubscriptionJobs(jobScheduler)
+app.set("jobScheduler", jobScheduler)
+jobScheduler.start()
+
+// Keep report rollups in step with ride writes
+watchRideChanges()
+
 // Initialize our unified socket handler
 const socketCleanup = setupSocket(io, app)
@@ -0,0 +1,86 @@
+// Location: /services/cancellationService.js
+// Structured ride cancellations: who cancelled, why, at which stage, and the
+// fee / driver compensation that follows from the policy in config/cancellation.js
+
+const cancellationConfig = require("../config/cancellation")
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const minutesSince = (from, at) => (from ? roundMoney(Math.max(0, (new Date(at) - new Date(from)) / 60000)) : null)
+
+const getCancellationReasons = (actorType, config = cancellationConfig) =>
+  actorType ? config.reasons.filter((reason) => reason.actors.includes(actorType)) : config.reasons
+
+// Reason for a cancellation by the given actor. Returns { reason } or { error }.
+// Without a code the generic "other" reason is used.
+const resolveCancellationReason = (actorType, reasonCode, config = cancellationConfig) => {
+  const code = reasonCode || "other"
+  const reason = config.reasons.find((candidate) => candidate.code === code)
+  if (!reason || !reason.actors.includes(actorType)) {
+    const allowed = getCancellationReasons(actorType, config).map((candidate) => candidate.code)
+    return { error: `Invalid cancellation reason "${code}" for ${actorType}. Must be one of: ${allowed.join(", ")}` }
+  }
+  return { reason }
+}
+
+const ruleMatches = (rule, { actorType, status, reasonCode, minutesSinceAccept, minutesSinceArrival }) =>
+  rule.actor === actorType &&
+  (!rule.statuses || rule.statuses.includes(status)) &&
+  (!rule.reasons || rule.reasons.includes(reasonCode)) &&
+  (!rule.minMinutesSinceAccept || (minutesSinceAccept ?? 0) >= rule.minMinutesSinceAccept) &&
+  (!rule.minMinutesSinceArrival || (minutesSinceArrival ?? 0) >= rule.minMinutesSinceArrival)
+
+// Fee and driver compensation for cancelling a ride now. Does not change the ride,
+// so it also serves as a quote before the rider confirms.
+const evaluateCancellationPolicy = (ride, { actorType, reason, at = new Date() }, config = cancellationConfig) => {
+  const timing = {
+    stage: ride.status,
+    minutesSinceRequest: minutesSince(ride.createdAt, at),
+    minutesSinceAccept: minutesSince(ride.acceptedAt, at),
+    minutesSinceArrival: minutesSince(ride.arrivedAt, at),
+  }
+
+  const rule = config.rules.find((candidate) =>
+    ruleMatches(candidate, { ...timing, actorType, status: ride.status, reasonCode: reason.code }),
+  )
+  const feeWaived = Boolean(rule && reason.waiveFee)
+  const fee = rule && !feeWaived ? roundMoney(rule.fee) : 0
+  // Nobody to compensate when no driver was assigned
+  const hasDriver = Boolean(ride.driver && ride.driver._id)
+  const driverCompensation = hasDriver ? roundMoney((fee * (rule ? rule.driverCompensationPercent || 0 : 0)) / 100) : 0
+
+  return {
+    ...timing,
+    fee,
+    driverCompensation,
+    currency: config.currency,
+    policyRule: rule ? rule.id : undefined,
+    feeWaived,
+  }
+}
+
+// Fields stored as ride.cancellation
+const buildCancellation = (ride, { actor, reason, note }, at = new Date(), config = cancellationConfig) => ({
+  actor: { type: actor.type, id: actor.id, name: actor.name },
+  reasonCode: reason.code,
+  reasonLabel: reason.label,
+  note: note ? String(note).trim() : undefined,
+  cancelledAt: at,
+  ...evaluateCancellationPolicy(ride, { actorType: actor.type, reason, at }, config),
+})
+
+// Ride.transitionStatus options that store the cancellation details along with
+// the status change. Returns { set } or { error } for an invalid reason.
+const cancellationUpdate = (actor, { reasonCode, note } = {}, config = cancellationConfig) => {
+  const { reason, error } = resolveCancellationReason(actor.type, reasonCode, config)
+  if (error) return { error }
+  return { set: (ride, at) => ({ cancellation: buildCancellation(ride, { actor, reason, note }, at, config) }) }
+}
+
+module.exports = {
+  getCancellationReasons,
+  resolveCancellationReason,
+  evaluateCancellationPolicy,
+  buildCancellation,
+  cancellationUpdate,
+}
@@ -0,0 +1,505 @@
+// Location: /services/cashService.js
+// Cash-on-delivery tracking. Drivers report the cash they collect on each cash
+// ride; admins record deposits and handovers. Every movement is a
+// DriverCashEntry and updates the driver's cashInHand, which dispatch checks
+// against the driver's cash limit.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const DriverCashEntry = require("../models/DriverCashEntry")
+const cashConfig = require("../config/cash")
+const { PLATFORM_ACCOUNTS, driverCashAccount, driverEarningsAccount, postTransaction } = require("./ledgerService")
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+const limitOf = (driver, config = cashConfig) =>
+  driver.cashLimit !== undefined && driver.cashLimit !== null ? driver.cashLimit : config.cashLimit
+
+// Cash in hand against the limit: ok, warning (near the limit) or over
+const getCashStatus = (driver, config = cashConfig) => {
+  const cashInHand = roundMoney(driver.cashInHand || 0)
+  const limit = limitOf(driver, config)
+  let state = "ok"
+  if (cashInHand >= limit) state = "over"
+  else if (cashInHand >= (limit * config.warnAtPercent) / 100) state = "warning"
+  return {
+    driverId: driver._id,
+    driverName: driver.name,
+    cashInHand,
+    limit,
+    available: roundMoney(Math.max(0, limit - cashInHand)),
+    state,
+    limitMode: config.limitMode,
+    blocked: config.limitMode === "block" && state === "over",
+  }
+}
+
+// Dispatch filter: drivers still under their cash limit (only in "block" mode)
+const cashLimitCandidateFilter = (config = cashConfig) =>
+  config.limitMode === "block"
+    ? { $expr: { $lt: [{ $ifNull: ["$cashInHand", 0] }, { $ifNull: ["$cashLimit", config.cashLimit] }] } }
+    : {}
+
+const notifyCashStatus = (io, status) => {
+  if (!io || status.state === "ok") return
+  io.to(`driver:${status.driverId}`).emit("driverCashLimit", status)
+  io.to("admins").emit("driverCashLimit", status)
+}
+
+// Add a movement and move the driver's balance with it
+const addCashEntry = async (driverId, entry, { io } = {}) => {
+  const driver = await Driver.findByIdAndUpdate(driverId, { $inc: { cashInHand: entry.amount } }, { new: true })
+  if (!driver) return null
+  const cashEntry = await DriverCashEntry.create({
+    ...entry,
+    driver: driver._id,
+    balanceAfter: roundMoney(driver.cashInHand),
+    currency: cashConfig.currency,
+  })
+  const status = getCashStatus(driver)
+  if (entry.amount > 0) notifyCashStatus(io, status)
+  return { entry: cashEntry, status }
+}
+
+// Cash a driver collected on a completed cash ride. Drivers report it once;
+// an admin can correct it later, which posts the difference as an adjustment.
+const recordCashCollection = async (rideId, { amount, driverId, note, actor, io }, config = cashConfig) => {
+  if (!mongoose.Types.ObjectId.isValid(rideId)) return fail(400, "Invalid ride ID format")
+  const collected = roundMoney(Number(amount))
+  if (!Number.isFinite(collected) || collected < 0) return fail(400, "amount must be zero or more")
+
+  const ride = await Ride.findById(rideId)
+  if (!ride) return fail(404, "Ride not found")
+  if (ride.paymentMethod !== "cash") return fail(409, "Only cash rides collect cash")
+  if (ride.status !== "completed") return fail(409, "Cash is recorded once the ride is completed")
+  if (!ride.driver || !ride.driver._id) return fail(409, "Ride has no driver")
+  const isAdmin = actor && actor.type === "admin"
+  if (!isAdmin && String(ride.driver._id) !== String(driverId)) {
+    return fail(403, "Only the ride's driver can record its cash")
+  }
+
+  const expected = ride.fare && ride.fare.total !== undefined ? ride.fare.total : ride.amount
+  const previous = ride.cashCollection && ride.cashCollection.collected
+  const hasPrevious = previous !== undefined && previous !== null
+  if (hasPrevious && !isAdmin) return fail(409, "Cash for this ride is already recorded")
+  if (hasPrevious && previous === collected) return { success: true, ride, entry: null }
+
+  const change = hasPrevious ? roundMoney(collected - previous) : collected
+  let result
+  try {
+    result = await addCashEntry(
+      ride.driver._id,
+      {
+        type: hasPrevious ? "adjustment" : "collection",
+        amount: change,
+        ride: ride._id,
+        note: hasPrevious ? note || `Collection corrected from ${previous} to ${collected}` : note,
+        recordedBy: actor,
+        occurredAt: new Date(),
+      },
+      { io },
+    )
+  } catch (error) {
+    // A concurrent report of the same ride; the first one stands
+    if (error.code === 11000) {
+      await Driver.updateOne({ _id: ride.driver._id }, { $inc: { cashInHand: -change } })
+      return fail(409, "Cash for this ride is already recorded")
+    }
+    throw error
+  }
+  if (!result) return fail(404, "Driver not found")
+
+  const discrepancy = roundMoney(collected - (expected || 0))
+  ride.cashCollection = {
+    expected,
+    collected,
+    discrepancy,
+    collectedAt: new Date(),
+    recordedBy: actor,
+    note,
+  }
+  await ride.save()
+
+  if (Math.abs(discrepancy) > config.discrepancyTolerance && io) {
+    io.to("admins").emit("cashDiscrepancy", {
+      rideId: ride._id,
+      driverId: ride.driver._id,
+      expected,
+      collected,
+      discrepancy,
+    })
+  }
+  return { success: true, ride, entry: result.entry, status: result.status }
+}
+
+const CASH_DEPOSIT_TYPES = ["deposit", "handover"]
+
+// Cash the driver paid in at a bank / hub (deposit) or gave to a person (handover)
+const recordCashDeposit = async (driverId, { type, amount, reference, receivedBy, note, occurredAt, actor }) => {
+  if (!CASH_DEPOSIT_TYPES.includes(type)) return fail(400, `type must be one of: ${CASH_DEPOSIT_TYPES.join(", ")}`)
+  if (!mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  const value = roundMoney(Number(amount))
+  if (!Number.isFinite(value) || value <= 0) return fail(400, "amount must be a positive number")
+  if (type === "handover" && !receivedBy) return fail(400, "receivedBy is required for a handover")
+  const at = occurredAt ? new Date(occurredAt) : new Date()
+  if (Number.isNaN(at.getTime())) return fail(400, "occurredAt must be a valid date")
+
+  const result = await addCashEntry(driverId, {
+    type,
+    amount: -value,
+    reference,
+    receivedBy,
+    note,
+    recordedBy: actor,
+    occurredAt: at,
+  })
+  if (!result) return fail(404, "Driver not found")
+
+  const posted = await postTransaction({
+    idempotencyKey: `cash:${result.entry._id}`,
+    type: "cash_deposit",
+    description: type === "handover" ? `Cash handed over to ${receivedBy}` : "Cash deposit",
+    entries: [
+      { account: PLATFORM_ACCOUNTS.cash, direction: "debit", amount: value },
+      { account: driverCashAccount(driverId), direction: "credit", amount: value },
+    ],
+    driver: driverId,
+    reference: reference || receivedBy,
+    metadata: { kind: type },
+    actor,
+  })
+  if (!posted.success) return posted
+
+  return { success: true, entry: result.entry, status: result.status }
+}
+
+// Admin correction of a driver's cash in hand (signed amount), e.g. after a count.
+// The ledger's driver cash account moves with it against platform revenue.
+const recordCashAdjustment = async (driverId, { amount, note, actor, io }) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  const value = roundMoney(Number(amount))
+  if (!Number.isFinite(value) || value === 0) return fail(400, "amount must be a non-zero number")
+  if (!note || !String(note).trim()) return fail(400, "A note explaining the adjustment is required")
+
+  const result = await addCashEntry(driverId, { type: "adjustment", amount: value, note, recordedBy: actor }, { io })
+  if (!result) return fail(404, "Driver not found")
+
+  const [cashSide, revenueSide] = value > 0 ? ["debit", "credit"] : ["credit", "debit"]
+  const posted = await postTransaction({
+    idempotencyKey: `cash:${result.entry._id}`,
+    type: "adjustment",
+    description: `Cash in hand adjusted: ${String(note).trim()}`,
+    entries: [
+      { account: driverCashAccount(driverId), direction: cashSide, amount: Math.abs(value) },
+      { account: PLATFORM_ACCOUNTS.revenue, direction: revenueSide, amount: Math.abs(value) },
+    ],
+    driver: driverId,
+    reference: note,
+    metadata: { kind: "cash_adjustment" },
+    actor,
+  })
+  if (!posted.success) return posted
+
+  return { success: true, entry: result.entry, status: result.status }
+}
+
+// Per-driver cash limit; null goes back to the limit in config/cash.js
+const setDriverCashLimit = async (driverId, cashLimit) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  const value = cashLimit === null ? null : roundMoney(Number(cashLimit))
+  if (value !== null && (!Number.isFinite(value) || value < 0)) return fail(400, "cashLimit must be zero or more, or null")
+
+  const update = value === null ? { $unset: { cashLimit: 1 } } : { $set: { cashLimit: value } }
+  const driver = await Driver.findByIdAndUpdate(driverId, update, { new: true }).select("name cashInHand cashLimit")
+  if (!driver) return fail(404, "Driver not found")
+
+  return { success: true, status: getCashStatus(driver) }
+}
+
+// Cash held that a settlement nets against the driver's earnings: it leaves the
+// cash in hand and the driver's payable in the ledger. Once per driver and batch.
+const recordCashSettlement = async (driverId, { amount, settlement, reference, actor }) => {
+  const value = roundMoney(Number(amount))
+  if (value === 0) return { success: true, entry: null }
+
+  const existing = await DriverCashEntry.findOne({ type: "settlement", settlement, driver: driverId })
+  let entry = existing
+  if (!existing) {
+    try {
+      const result = await addCashEntry(driverId, {
+        type: "settlement",
+        amount: -value,
+        reference,
+        note: `Netted against earnings in ${reference}`,
+        recordedBy: actor,
+        settlement,
+      })
+      if (!result) return fail(404, "Driver not found")
+      entry = result.entry
+    } catch (error) {
+      if (error.code !== 11000) throw error
+      await Driver.updateOne({ _id: driverId }, { $inc: { cashInHand: value } })
+      entry = await DriverCashEntry.findOne({ type: "settlement", settlement, driver: driverId })
+    }
+  }
+
+  const held = Math.abs(value)
+  const posted = await postTransaction({
+    idempotencyKey: `cash_settlement:${settlement}:${driverId}`,
+    type: "cash_settlement",
+    description: `Cash netted against earnings in ${reference}`,
+    entries: [
+      { account: driverEarningsAccount(driverId), direction: value > 0 ? "debit" : "credit", amount: held },
+      { account: driverCashAccount(driverId), direction: value > 0 ? "credit" : "debit", amount: held },
+    ],
+    driver: driverId,
+    reference,
+    actor,
+  })
+  if (!posted.success) return posted
+  return { success: true, entry }
+}
+
+// Cash status of one driver with their recent movements
+const getDriverCash = async (driverId, { from, to, page = 1, limit = 50 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  if ([from, to].some((value) => value && Number.isNaN(new Date(value).getTime()))) {
+    return fail(400, "from and to must be valid dates")
+  }
+  const driver = await Driver.findById(driverId).select("name cashInHand cashLimit")
+  if (!driver) return fail(404, "Driver not found")
+
+  const query = { driver: driver._id }
+  if (from || to) query.occurredAt = {}
+  if (from) query.occurredAt.$gte = new Date(from)
+  if (to) query.occurredAt.$lte = new Date(to)
+
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+  const [entries, totalItems] = await Promise.all([
+    DriverCashEntry.find(query)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("ride", "service status fare.total cashCollection"),
+    DriverCashEntry.countDocuments(query),
+  ])
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    success: true,
+    status: getCashStatus(driver),
+    entries,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+// Match completed cash rides against what drivers reported collecting, and
+// collections against deposits, per driver for a period. Rides with no report
+// or a collected amount off by more than the tolerance are listed as exceptions.
+const getCashReconciliation = async ({ from, to, driverId } = {}, config = cashConfig) => {
+  const end = to ? new Date(to) : new Date()
+  const start = from ? new Date(from) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000)
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return fail(400, "from and to must be valid dates")
+  if (driverId && !mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  const driverFilter = driverId ? new mongoose.Types.ObjectId(driverId) : null
+
+  const rideMatch = { paymentMethod: "cash", status: "completed", completedAt: { $gte: start, $lte: end } }
+  if (driverFilter) rideMatch["driver._id"] = driverFilter
+  const entryMatch = { occurredAt: { $gte: start, $lte: end } }
+  if (driverFilter) entryMatch.driver = driverFilter
+
+  const tolerance = config.discrepancyTolerance
+  const expectedAmount = { $ifNull: ["$fare.total", { $ifNull: ["$amount", 0] }] }
+  const isUnreported = { $eq: [{ $ifNull: ["$cashCollection.collected", null] }, null] }
+  const isMismatch = {
+    $and: [
+      { $not: [isUnreported] },
+      { $gt: [{ $abs: { $subtract: ["$cashCollection.collected", expectedAmount] } }, tolerance] },
+    ],
+  }
+
+  const [rideTotals, entryTotals, exceptions] = await Promise.all([
+    Ride.aggregate([
+      { $match: rideMatch },
+      {
+        $group: {
+          _id: "$driver._id",
+          driverName: { $last: "$driver.name" },
+          codRides: { $sum: 1 },
+          expectedCash: { $sum: expectedAmount },
+          reportedCash: { $sum: { $ifNull: ["$cashCollection.collected", 0] } },
+          unreportedRides: { $sum: { $cond: [isUnreported, 1, 0] } },
+          unreportedCash: { $sum: { $cond: [isUnreported, expectedAmount, 0] } },
+          mismatchedRides: { $sum: { $cond: [isMismatch, 1, 0] } },
+        },
+      },
+    ]),
+    DriverCashEntry.aggregate([
+      { $match: entryMatch },
+      { $group: { _id: { driver: "$driver", type: "$type" }, amount: { $sum: "$amount" }, count: { $sum: 1 } } },
+    ]),
+    Ride.aggregate([
+      { $match: rideMatch },
+      { $match: { $expr: { $or: [isUnreported, isMismatch] } } },
+      { $sort: { completedAt: -1 } },
+      { $limit: 200 },
+      {
+        $project: {
+          driverId: "$driver._id",
+          driverName: "$driver.name",
+          service: 1,
+          completedAt: 1,
+          expected: expectedAmount,
+          collected: "$cashCollection.collected",
+          discrepancy: "$cashCollection.discrepancy",
+          issue: { $cond: [isUnreported, "not_reported", "amount_mismatch"] },
+        },
+      },
+    ]),
+  ])
+
+  const drivers = new Map()
+  const lineFor = (id, name) => {
+    const key = String(id)
+    if (!drivers.has(key)) {
+      drivers.set(key, {
+        driverId: id,
+        driverName: name,
+        codRides: 0,
+        expectedCash: 0,
+        reportedCash: 0,
+        unreportedRides: 0,
+        unreportedCash: 0,
+        mismatchedRides: 0,
+        collected: 0,
+        deposited: 0,
+        handedOver: 0,
+        adjustments: 0,
+        settled: 0,
+      })
+    }
+    return drivers.get(key)
+  }
+  for (const { _id, driverName, ...totals } of rideTotals) Object.assign(lineFor(_id, driverName), totals)
+  const entryFields = {
+    collection: "collected",
+    deposit: "deposited",
+    handover: "handedOver",
+    adjustment: "adjustments",
+    settlement: "settled",
+  }
+  for (const { _id, amount } of entryTotals) {
+    // Outflows are stored as negative movements; report them as positive amounts
+    const field = entryFields[_id.type]
+    lineFor(_id.driver)[field] += ["deposit", "handover", "settlement"].includes(_id.type) ? -amount : amount
+  }
+
+  const profiles = await Driver.find({ _id: { $in: [...drivers.values()].map((line) => line.driverId) } }).select(
+    "name cashInHand cashLimit",
+  )
+  const profilesById = new Map(profiles.map((driver) => [String(driver._id), driver]))
+
+  const lines = [...drivers.values()].map((line) => {
+    const profile = profilesById.get(String(line.driverId))
+    const rounded = Object.fromEntries(
+      Object.entries(line).map(([key, value]) => [key, typeof value === "number" ? roundMoney(value) : value]),
+    )
+    return {
+      ...rounded,
+      driverName: (profile && profile.name) || line.driverName,
+      // Rides without a report have nothing in the cash balance yet
+      collectionGap: roundMoney(line.expectedCash - line.reportedCash),
+      netCashMovement: roundMoney(line.collected + line.adjustments - line.deposited - line.handedOver - line.settled),
+      cashInHand: profile ? getCashStatus(profile, config).cashInHand : null,
+      cashState: profile ? getCashStatus(profile, config).state : null,
+    }
+  })
+  lines.sort((a, b) => (b.cashInHand || 0) - (a.cashInHand || 0))
+
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + (line[field] || 0), 0))
+  return {
+    success: true,
+    period: { from: start, to: end },
+    summary: {
+      drivers: lines.length,
+      codRides: lines.reduce((total, line) => total + line.codRides, 0),
+      expectedCash: sum("expectedCash"),
+      reportedCash: sum("reportedCash"),
+      collectionGap: sum("collectionGap"),
+      unreportedRides: lines.reduce((total, line) => total + line.unreportedRides, 0),
+      mismatchedRides: lines.reduce((total, line) => total + line.mismatchedRides, 0),
+      deposited: sum("deposited"),
+      handedOver: sum("handedOver"),
+      settled: sum("settled"),
+      cashInHand: sum("cashInHand"),
+      driversOverLimit: lines.filter((line) => line.cashState === "over").length,
+    },
+    drivers: lines,
+    exceptions,
+  }
+}
+
+// Drivers holding cash, most first (state=warning|over to narrow down)
+const listDriverCash = async ({ state, page = 1, limit = 50 } = {}, config = cashConfig) => {
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+  const limitExpr = { $ifNull: ["$cashLimit", config.cashLimit] }
+  const cashExpr = { $ifNull: ["$cashInHand", 0] }
+  const query = { cashInHand: { $ne: 0, $exists: true } }
+  if (state === "over") query.$expr = { $gte: [cashExpr, limitExpr] }
+  if (state === "warning") {
+    query.$expr = {
+      $and: [
+        { $gte: [cashExpr, { $multiply: [limitExpr, config.warnAtPercent / 100] }] },
+        { $lt: [cashExpr, limitExpr] },
+      ],
+    }
+  }
+
+  const [drivers, totalItems] = await Promise.all([
+    Driver.find(query)
+      .select("name phone cashInHand cashLimit")
+      .sort({ cashInHand: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Driver.countDocuments(query),
+  ])
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    data: drivers.map((driver) => ({ ...getCashStatus(driver, config), phone: driver.phone })),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+module.exports = {
+  CASH_DEPOSIT_TYPES,
+  getCashStatus,
+  cashLimitCandidateFilter,
+  recordCashCollection,
+  recordCashDeposit,
+  recordCashAdjustment,
+  recordCashSettlement,
+  setDriverCashLimit,
+  getDriverCash,
+  getCashReconciliation,
+  listDriverCash,
+}
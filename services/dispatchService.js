@@ -0,0 +1,540 @@
+// Location: /services/dispatchService.js
+// Matches requested rides to the best eligible driver and offers them in turn
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const DispatchOffer = require("../models/DispatchOffer")
+const dispatchConfig = require("../config/dispatch")
+const { calculateDistance } = require("../utils/locationSimulator")
+const { fromPoint } = require("../utils/geo")
+const { recordRideEvent } = require("./rideEventService")
+const { escalateScheduledRide } = require("./rideScheduleService")
+const { getCashStatus, cashLimitCandidateFilter } = require("./cashService")
+const { rideRooms, emitRideStatusUpdate } = require("../utils/rideRooms")
+const { readSocketToken } = require("../utils/authTokens")
+const { findDriverByToken } = require("../middlewares/driverAuthMiddleware")
+
+const normalise = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+
+// How well a driver's vehicle fits a ride: 1 = perfect, 0 = cannot serve it.
+// When the ride asks for a specific vehicle type only that type qualifies,
+// otherwise any vehicle allowed for the service qualifies, preferred types scoring higher.
+const vehicleCompatibility = (ride, vehicleType, config = dispatchConfig) => {
+  const driverType = normalise(vehicleType)
+  const requestedType = normalise(ride.type)
+  const knownTypes = Object.values(config.serviceVehicleTypes).flat().map(normalise)
+
+  if (knownTypes.includes(requestedType)) {
+    return driverType === requestedType ? 1 : 0
+  }
+
+  const allowed = (config.serviceVehicleTypes[ride.service] || []).map(normalise)
+  const index = allowed.indexOf(driverType)
+  if (index === -1) return 0
+  return 1 - index / (allowed.length * 2)
+}
+
+// Rank eligible drivers for a ride, best first. Drivers that cannot serve
+// the ride (vehicle, battery, distance) are left out.
+const rankCandidates = (ride, drivers, config = dispatchConfig) => {
+  const pickup = ride.pickup ? fromPoint(ride.pickup.location) : null
+  const { weights } = config
+  const ranked = []
+
+  for (const driver of drivers) {
+    const vehicle = vehicleCompatibility(ride, driver.vehicleType, config)
+    if (vehicle === 0) continue
+
+    const batteryLevel = driver.batteryLevel ?? 0
+    if (batteryLevel < config.minBatteryLevel) continue
+
+    let distanceKm = null
+    let distance = 0
+    if (pickup) {
+      const position = fromPoint(driver.location)
+      if (!position) continue
+      distanceKm = calculateDistance(pickup.lat, pickup.lng, position.lat, position.lng)
+      if (distanceKm > config.searchRadiusKm) continue
+      distance = 1 - distanceKm / config.searchRadiusKm
+    }
+
+    const scoreBreakdown = {
+      distance,
+      vehicle,
+      battery: batteryLevel / 100,
+      rating: (driver.rating || 0) / 5,
+    }
+    const score =
+      weights.distance * scoreBreakdown.distance +
+      weights.vehicle * scoreBreakdown.vehicle +
+      weights.battery * scoreBreakdown.battery +
+      weights.rating * scoreBreakdown.rating
+
+    ranked.push({
+      driver,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+      score: Math.round(score * 1000) / 1000,
+      scoreBreakdown,
+    })
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || (a.distanceKm ?? 0) - (b.distanceKm ?? 0))
+}
+
+class DispatchService {
+  constructor(io, config = dispatchConfig) {
+    this.io = io
+    this.config = config
+    this.offerTimers = new Map()
+    this.setupSocketHandlers()
+
+    // Offers that were open when the server stopped still need their timeouts
+    if (mongoose.connection.readyState === 1) {
+      this.recoverOpenOffers()
+    } else {
+      mongoose.connection.once("open", () => this.recoverOpenOffers())
+    }
+  }
+
+  setupSocketHandlers() {
+    this.io.on("connection", (socket) => {
+      // Driver apps register with their driver token (the event's token, else the
+      // handshake one) to receive offers in their own room. The room is the one of
+      // the signed-in driver, whatever driverId is sent.
+      socket.on("registerDriver", async ({ driverId, token } = {}) => {
+        try {
+          const driver = await findDriverByToken(readSocketToken(socket, token))
+          if (!driver) {
+            socket.emit("driverRegistrationError", { message: "A valid driver token is required" })
+            return
+          }
+          if (driverId && String(driverId) !== String(driver._id)) {
+            socket.emit("driverRegistrationError", { message: "Token does not belong to this driver" })
+            return
+          }
+
+          socket.join(`driver:${driver._id}`)
+          socket.data.driverId = String(driver._id)
+          socket.emit("driverRegistered", { driverId: driver._id, timestamp: new Date().toISOString() })
+          console.log(`🚕 Driver ${driver._id} registered on socket ${socket.id}`)
+
+          // Re-send an offer the driver may have missed while reconnecting
+          const openOffer = await DispatchOffer.findOne({
+            driver: driver._id,
+            status: "offered",
+            expiresAt: { $gt: new Date() },
+          })
+          if (openOffer) {
+            const ride = await Ride.findById(openOffer.ride)
+            if (ride) socket.emit("rideOffer", this.buildOfferPayload(openOffer, ride))
+          }
+        } catch (error) {
+          console.error("❌ Error registering driver:", error)
+          socket.emit("driverRegistrationError", { message: "Failed to register driver" })
+        }
+      })
+
+      // Answers count only for the driver registered on this socket
+      socket.on("rideOfferResponse", async ({ offerId, accept, reason } = {}) => {
+        if (!socket.data.driverId) {
+          socket.emit("rideOfferResult", { offerId, success: false, message: "Register as a driver first" })
+          return
+        }
+        try {
+          const result = await this.respondToOffer(offerId, {
+            driverId: socket.data.driverId,
+            accept: accept === true || accept === "true",
+            reason,
+            channel: "socket",
+          })
+          socket.emit("rideOfferResult", { offerId, ...result })
+        } catch (error) {
+          console.error("❌ Error handling offer response:", error)
+          socket.emit("rideOfferResult", { offerId, success: false, message: "Failed to process offer response" })
+        }
+      })
+    })
+  }
+
+  buildOfferPayload(offer, ride) {
+    return {
+      offerId: offer._id,
+      rideId: ride._id,
+      service: ride.service,
+      type: ride.type,
+      pickup: ride.pickup,
+      drop: ride.drop,
+      amount: ride.amount,
+      distanceKm: offer.distanceKm,
+      attempt: offer.attempt,
+      expiresAt: offer.expiresAt,
+      timestamp: new Date().toISOString(),
+    }
+  }
+
+  // Start matching a requested ride. Returns the first offer, or null when
+  // the ride is not requested or is already being dispatched.
+  async dispatchRide(rideId) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: rideId, status: "requested", "dispatch.status": { $ne: "searching" } },
+      {
+        $set: {
+          "dispatch.status": "searching",
+          "dispatch.attempts": 0,
+          "dispatch.startedAt": new Date(),
+          "dispatch.failedAt": null,
+          "dispatch.failureReason": null,
+        },
+      },
+      { new: true },
+    )
+    if (!ride) return null
+
+    console.log(`🧭 Dispatch started for ride ${ride._id}`)
+    await recordRideEvent({
+      ride,
+      type: "dispatch",
+      actor: { type: "system", name: "dispatch" },
+      message: "Driver search started",
+    })
+
+    return this.offerNext(ride._id)
+  }
+
+  // Offer the ride to the best driver that has not been asked yet in this round
+  async offerNext(rideId) {
+    const ride = await Ride.findById(rideId)
+    if (!ride || ride.status !== "requested" || !ride.dispatch || ride.dispatch.status !== "searching") {
+      return null
+    }
+
+    const attempts = ride.dispatch.attempts || 0
+    if (attempts >= this.config.maxAttempts) {
+      return this.failDispatch(ride, `No driver accepted after ${attempts} offers`)
+    }
+
+    const now = new Date()
+    const [alreadyOffered, busyDrivers] = await Promise.all([
+      DispatchOffer.distinct("driver", { ride: ride._id, offeredAt: { $gte: ride.dispatch.startedAt } }),
+      DispatchOffer.distinct("driver", { status: "offered", expiresAt: { $gt: now } }),
+    ])
+
+    const candidateQuery = {
+      isOnline: true,
+      status: "idle",
+      kycStatus: "Verified",
+      _id: { $nin: [...alreadyOffered, ...busyDrivers] },
+      // Drivers over their cash limit get nothing until they deposit (block mode)
+      ...cashLimitCandidateFilter(),
+    }
+    const pickup = ride.pickup ? fromPoint(ride.pickup.location) : null
+    if (pickup) {
+      candidateQuery.location = Driver.withinRadius(pickup.lat, pickup.lng, this.config.searchRadiusKm)
+    }
+    const drivers = await Driver.find(candidateQuery)
+
+    const ranked = rankCandidates(ride, drivers, this.config)
+    if (ranked.length === 0) {
+      return this.failDispatch(ride, attempts > 0 ? "No more eligible drivers" : "No eligible drivers available")
+    }
+
+    // Claim the attempt so concurrent callers cannot offer the same ride twice
+    const claimed = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: "requested", "dispatch.status": "searching", "dispatch.attempts": attempts },
+      { $inc: { "dispatch.attempts": 1 } },
+      { new: true },
+    )
+    if (!claimed) return null
+
+    const best = ranked[0]
+    const offer = await DispatchOffer.create({
+      ride: ride._id,
+      driver: best.driver._id,
+      driverName: best.driver.name,
+      attempt: claimed.dispatch.attempts,
+      score: best.score,
+      scoreBreakdown: best.scoreBreakdown,
+      distanceKm: best.distanceKm,
+      candidatesConsidered: ranked.length,
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + this.config.offerTimeoutMs),
+    })
+
+    this.scheduleExpiry(offer)
+    this.io.to(`driver:${best.driver._id}`).emit("rideOffer", this.buildOfferPayload(offer, ride))
+    // Warn mode: the offer goes out, but the driver and admins hear about the cash held
+    const cashStatus = getCashStatus(best.driver)
+    if (cashStatus.state === "over") {
+      this.io.to(`driver:${best.driver._id}`).emit("driverCashLimit", cashStatus)
+      this.io.to("admins").emit("driverCashLimit", { ...cashStatus, rideId: ride._id })
+    }
+    this.io.to("admins").emit("dispatchOffer", {
+      rideId: ride._id,
+      offerId: offer._id,
+      driverId: best.driver._id,
+      driverName: best.driver.name,
+      attempt: offer.attempt,
+      timestamp: new Date().toISOString(),
+    })
+
+    console.log(`📨 Ride ${ride._id} offered to ${best.driver.name} (attempt ${offer.attempt}, score ${best.score})`)
+    await recordRideEvent({
+      ride,
+      type: "dispatch",
+      actor: { type: "system", name: "dispatch" },
+      message: `Offered to ${best.driver.name} (attempt ${offer.attempt})`,
+      data: { offerId: offer._id, driverId: best.driver._id, score: best.score, distanceKm: best.distanceKm },
+    })
+
+    return offer
+  }
+
+  scheduleExpiry(offer) {
+    this.clearTimer(offer._id)
+    const delay = Math.max(0, new Date(offer.expiresAt).getTime() - Date.now())
+    const timer = setTimeout(() => {
+      this.expireOffer(offer._id).catch((error) => console.error("❌ Error expiring offer:", error))
+    }, delay)
+    if (typeof timer.unref === "function") timer.unref()
+    this.offerTimers.set(String(offer._id), timer)
+  }
+
+  clearTimer(offerId) {
+    const key = String(offerId)
+    if (this.offerTimers.has(key)) {
+      clearTimeout(this.offerTimers.get(key))
+      this.offerTimers.delete(key)
+    }
+  }
+
+  async expireOffer(offerId) {
+    this.clearTimer(offerId)
+    const now = new Date()
+    const offer = await DispatchOffer.findOneAndUpdate(
+      { _id: offerId, status: "offered" },
+      { $set: { status: "expired", respondedAt: now, responseChannel: "timeout" } },
+      { new: true },
+    )
+    if (!offer) return
+
+    offer.responseTimeMs = now - offer.offeredAt
+    await DispatchOffer.updateOne({ _id: offer._id }, { $set: { responseTimeMs: offer.responseTimeMs } })
+
+    this.io.to(`driver:${offer.driver}`).emit("rideOfferExpired", { offerId: offer._id, rideId: offer.ride })
+    await recordRideEvent({
+      ride: offer.ride,
+      type: "dispatch",
+      actor: { type: "system", name: "dispatch" },
+      message: `Offer to ${offer.driverName} expired`,
+      data: { offerId: offer._id, driverId: offer.driver },
+    })
+
+    await this.offerNext(offer.ride)
+  }
+
+  // Handle a driver's answer to an offer
+  async respondToOffer(offerId, { driverId, accept, reason, channel = "rest" } = {}) {
+    if (!offerId || !mongoose.Types.ObjectId.isValid(offerId)) {
+      return { success: false, statusCode: 400, message: "Invalid offer ID" }
+    }
+
+    if (!driverId) return { success: false, statusCode: 400, message: "driverId is required" }
+
+    const offer = await DispatchOffer.findById(offerId)
+    if (!offer) return { success: false, statusCode: 404, message: "Offer not found" }
+
+    if (String(offer.driver) !== String(driverId)) {
+      return { success: false, statusCode: 403, message: "This offer was made to another driver" }
+    }
+
+    if (offer.status !== "offered") {
+      return { success: false, statusCode: 409, message: `Offer is already ${offer.status}` }
+    }
+
+    const now = new Date()
+    if (offer.expiresAt <= now) {
+      await this.expireOffer(offer._id)
+      return { success: false, statusCode: 409, message: "Offer has expired" }
+    }
+
+    const responded = await DispatchOffer.findOneAndUpdate(
+      { _id: offer._id, status: "offered" },
+      {
+        $set: {
+          status: accept ? "accepted" : "declined",
+          respondedAt: now,
+          responseTimeMs: now - offer.offeredAt,
+          declineReason: accept ? undefined : reason,
+          responseChannel: channel,
+        },
+      },
+      { new: true },
+    )
+    if (!responded) {
+      return { success: false, statusCode: 409, message: "Offer was already answered" }
+    }
+    this.clearTimer(offer._id)
+
+    if (!accept) {
+      await recordRideEvent({
+        ride: offer.ride,
+        type: "dispatch",
+        actor: { type: "driver", id: String(offer.driver), name: offer.driverName },
+        message: `Offer declined by ${offer.driverName}${reason ? `: ${reason}` : ""}`,
+        data: { offerId: offer._id },
+      })
+      await this.offerNext(offer.ride)
+      return { success: true, status: "declined", offer: responded }
+    }
+
+    return this.assignAcceptedOffer(responded)
+  }
+
+  async assignAcceptedOffer(offer) {
+    const driver = await Driver.findById(offer.driver)
+    if (!driver) {
+      await DispatchOffer.updateOne({ _id: offer._id }, { $set: { status: "cancelled", declineReason: "Driver removed" } })
+      await this.offerNext(offer.ride)
+      return { success: false, statusCode: 404, message: "Driver not found" }
+    }
+
+    let result
+    try {
+      result = await Ride.transitionStatus(offer.ride, "accepted", {
+        set: {
+          driver: { _id: driver._id, name: driver.name },
+          "dispatch.status": "matched",
+          "dispatch.matchedAt": new Date(),
+        },
+      })
+    } catch (error) {
+      if (error.name !== "InvalidTransitionError") throw error
+      result = null
+    }
+
+    if (!result) {
+      await DispatchOffer.updateOne(
+        { _id: offer._id },
+        { $set: { status: "cancelled", declineReason: "Ride no longer available" } },
+      )
+      return { success: false, statusCode: 409, message: "Ride is no longer available" }
+    }
+
+    const { ride, previousStatus } = result
+    await Driver.findByIdAndUpdate(driver._id, {
+      status: "active",
+      tripId: String(ride._id),
+      passenger: ride.user && ride.user.name,
+      destination: ride.drop && ride.drop.address,
+      lastUpdate: new Date(),
+    })
+
+    const actor = { type: "driver", id: String(driver._id), name: driver.name }
+    await recordRideEvent({
+      ride,
+      type: "status_change",
+      actor,
+      message: `Status changed from ${previousStatus} to accepted`,
+      before: { status: previousStatus },
+      after: { status: "accepted" },
+    })
+    await recordRideEvent({
+      ride,
+      type: "driver_assignment",
+      actor,
+      message: `Driver ${driver.name} accepted the ride (attempt ${offer.attempt})`,
+      after: { driverId: driver._id, driverName: driver.name },
+      data: { offerId: offer._id, responseTimeMs: offer.responseTimeMs },
+    })
+
+    this.io.to(`driver:${driver._id}`).emit("rideAssigned", ride)
+    this.io.to(rideRooms(ride)).emit("rideDriverAssigned", { rideId: ride._id, driver: ride.driver, ride })
+    emitRideStatusUpdate(this.io, ride)
+    console.log(`✅ Ride ${ride._id} accepted by ${driver.name}`)
+
+    return { success: true, status: "accepted", offer, ride }
+  }
+
+  async failDispatch(ride, reason) {
+    const updated = await Ride.findOneAndUpdate(
+      { _id: ride._id, "dispatch.status": "searching" },
+      { $set: { "dispatch.status": "failed", "dispatch.failedAt": new Date(), "dispatch.failureReason": reason } },
+      { new: true },
+    )
+    if (!updated) return null
+
+    console.warn(`⚠️ Dispatch failed for ride ${ride._id}: ${reason}`)
+    await recordRideEvent({
+      ride,
+      type: "dispatch",
+      actor: { type: "system", name: "dispatch" },
+      message: `Driver search failed: ${reason}`,
+    })
+    this.io.to("dashboard").emit("dispatchFailed", {
+      rideId: ride._id,
+      reason,
+      attempts: updated.dispatch.attempts,
+      timestamp: new Date().toISOString(),
+    })
+
+    // Someone booked this ahead of time, so ops need to step in
+    if (updated.scheduledFor) {
+      await escalateScheduledRide(this.io, updated, reason)
+    }
+
+    return null
+  }
+
+  // Withdraw open offers for a ride, e.g. when it is cancelled or assigned manually
+  async cancelDispatch(rideId, reason = "Ride no longer requested") {
+    const openOffers = await DispatchOffer.find({ ride: rideId, status: "offered" })
+
+    for (const offer of openOffers) {
+      this.clearTimer(offer._id)
+      const cancelled = await DispatchOffer.findOneAndUpdate(
+        { _id: offer._id, status: "offered" },
+        { $set: { status: "cancelled", declineReason: reason, respondedAt: new Date(), responseChannel: "system" } },
+      )
+      if (cancelled) {
+        this.io.to(`driver:${offer.driver}`).emit("rideOfferCancelled", { offerId: offer._id, rideId, reason })
+      }
+    }
+
+    await Ride.updateOne({ _id: rideId, "dispatch.status": "searching" }, { $set: { "dispatch.status": "cancelled" } })
+  }
+
+  async getRideOffers(rideId) {
+    return DispatchOffer.find({ ride: rideId }).sort({ offeredAt: 1 })
+  }
+
+  async recoverOpenOffers() {
+    try {
+      const openOffers = await DispatchOffer.find({ status: "offered" })
+      openOffers.forEach((offer) => this.scheduleExpiry(offer))
+      if (openOffers.length > 0) {
+        console.log(`🧭 Recovered ${openOffers.length} open dispatch offers`)
+      }
+    } catch (error) {
+      console.error("❌ Error recovering open dispatch offers:", error)
+    }
+  }
+}
+
+// A finished (completed or cancelled) ride frees its driver for the next offer.
+// Only a driver still on this ride is reset, so one who moved on is left alone.
+const releaseRideDriver = (ride) => {
+  if (!ride.driver || !ride.driver._id) return null
+  return Driver.updateOne(
+    { _id: ride.driver._id, tripId: String(ride._id) },
+    { $set: { status: "idle", lastUpdate: new Date() }, $unset: { tripId: "", passenger: "", destination: "" } },
+  )
+}
+
+module.exports = DispatchService
+module.exports.releaseRideDriver = releaseRideDriver
+module.exports.rankCandidates = rankCandidates
+module.exports.vehicleCompatibility = vehicleCompatibility
@@ -0,0 +1,212 @@
+// Location: /services/earningsService.js
+// Per-ride driver earnings. The platform keeps a commission on the fare before
+// tax (the tax and any promo discount are the platform's); the rest is owed to
+// the driver. Which commission applies comes from CommissionRule, falling back
+// to config.defaultCommissionPercent.
+
+const mongoose = require("mongoose")
+const CommissionRule = require("../models/CommissionRule")
+const DriverEarning = require("../models/DriverEarning")
+const DriverDeduction = require("../models/DriverDeduction")
+const SettlementBatch = require("../models/SettlementBatch")
+const payoutsConfig = require("../config/payouts")
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+// Promotional (dated) rules beat standing ones, then a service match beats a
+// vehicle type match beats a catch-all; priority and recency break ties
+const ruleScore = (rule) =>
+  (rule.validFrom || rule.validUntil ? 4 : 0) + (rule.service ? 2 : 0) + (rule.vehicleType ? 1 : 0)
+
+const resolveCommissionRule = async (service, vehicleType, at = new Date()) => {
+  const when = new Date(at)
+  const candidates = await CommissionRule.find({
+    isActive: true,
+    service: { $in: [service, null] },
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: when } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gte: when } }] },
+    ],
+  }).lean()
+
+  const matching = candidates.filter(
+    (rule) => !rule.vehicleType || (vehicleType && sameText(rule.vehicleType, vehicleType)),
+  )
+  matching.sort(
+    (a, b) =>
+      ruleScore(b) - ruleScore(a) ||
+      (b.priority || 0) - (a.priority || 0) ||
+      new Date(b.createdAt) - new Date(a.createdAt),
+  )
+  return matching[0] || null
+}
+
+const toCommission = (rule, config = payoutsConfig) =>
+  rule
+    ? { ruleId: rule._id, ruleName: rule.name, percent: rule.commissionPercent, flatFee: rule.flatFee || 0 }
+    : { ruleId: null, ruleName: "Default", percent: config.defaultCommissionPercent, flatFee: 0 }
+
+// Commission and driver earning for a fare base; the commission never exceeds the base
+const calculateEarning = (base, commission) => {
+  const amount = Math.min(base, roundMoney((base * commission.percent) / 100 + (commission.flatFee || 0)))
+  return { commission: { ...commission, amount }, earning: roundMoney(base - amount) }
+}
+
+// Earning of a completed ride, recorded once per ride
+const recordRideEarning = async (ride, config = payoutsConfig) => {
+  const existing = await DriverEarning.findOne({ ride: ride._id, type: "ride" })
+  if (existing) return existing
+
+  const fare = ride.fare || {}
+  const rule = await resolveCommissionRule(ride.service, ride.type, ride.completedAt || ride.updatedAt)
+  const { commission, earning } = calculateEarning(fare.subtotal || 0, toCommission(rule, config))
+
+  try {
+    return await DriverEarning.create({
+      driver: ride.driver._id,
+      driverName: ride.driver.name,
+      ride: ride._id,
+      type: "ride",
+      service: ride.service,
+      vehicleType: ride.type,
+      paymentMethod: ride.paymentMethod,
+      currency: fare.currency || config.currency,
+      fare: { subtotal: fare.subtotal, tax: fare.tax, discount: fare.discount || 0, total: fare.total },
+      commission,
+      earning,
+      cashCollected: ride.paymentMethod === "cash" ? fare.total || 0 : 0,
+      earnedAt: ride.completedAt || new Date(),
+    })
+  } catch (error) {
+    if (error.code === 11000) return DriverEarning.findOne({ ride: ride._id, type: "ride" })
+    throw error
+  }
+}
+
+// The driver's part of a cancellation fee; no commission is taken from it
+const recordCancellationCompensation = async (ride, config = payoutsConfig) => {
+  const compensation = (ride.cancellation && ride.cancellation.driverCompensation) || 0
+  if (!(compensation > 0) || !ride.driver || !ride.driver._id) return null
+
+  try {
+    return await DriverEarning.findOneAndUpdate(
+      { ride: ride._id, type: "cancellation_compensation" },
+      {
+        $setOnInsert: {
+          driver: ride.driver._id,
+          driverName: ride.driver.name,
+          service: ride.service,
+          vehicleType: ride.type,
+          paymentMethod: ride.paymentMethod,
+          currency: (ride.cancellation && ride.cancellation.currency) || config.currency,
+          commission: { ruleId: null, ruleName: "Cancellation compensation", percent: 0, flatFee: 0, amount: 0 },
+          earning: compensation,
+          cashCollected: 0,
+          earnedAt: ride.cancelledAt || ride.cancellation.cancelledAt || new Date(),
+        },
+      },
+      { new: true, upsert: true },
+    )
+  } catch (error) {
+    if (error.code === 11000) return DriverEarning.findOne({ ride: ride._id, type: "cancellation_compensation" })
+    throw error
+  }
+}
+
+// A driver's earnings, deductions and settlements in a period, with totals.
+// Returns { success: false, statusCode, message } on bad input.
+const getDriverEarningsStatement = async (driverId, { from, to, page = 1, limit = 50 } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId)) {
+    return { success: false, statusCode: 400, message: "Invalid driver ID format" }
+  }
+  for (const value of [from, to]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return { success: false, statusCode: 400, message: "from and to must be valid dates" }
+    }
+  }
+
+  const driver = new mongoose.Types.ObjectId(driverId)
+  const period = {}
+  if (from) period.$gte = new Date(from)
+  if (to) period.$lte = new Date(to)
+  const earningsQuery = { driver, ...(from || to ? { earnedAt: period } : {}) }
+  const deductionsQuery = { driver, ...(from || to ? { effectiveAt: period } : {}) }
+
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+
+  const [totals, earnings, totalItems, deductions, settlements] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: earningsQuery },
+      {
+        $group: {
+          _id: null,
+          rides: { $sum: { $cond: [{ $eq: ["$type", "ride"] }, 1, 0] } },
+          grossFare: { $sum: { $ifNull: ["$fare.subtotal", 0] } },
+          commission: { $sum: { $ifNull: ["$commission.amount", 0] } },
+          earnings: { $sum: "$earning" },
+          cashCollected: { $sum: "$cashCollected" },
+        },
+      },
+    ]),
+    DriverEarning.find(earningsQuery)
+      .sort({ earnedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate("settlement", "reference status"),
+    DriverEarning.countDocuments(earningsQuery),
+    DriverDeduction.find(deductionsQuery).sort({ effectiveAt: -1 }).populate("settlement", "reference status"),
+    SettlementBatch.find({
+      "lines.driver": driver,
+      ...(from ? { periodEnd: { $gt: new Date(from) } } : {}),
+      ...(to ? { periodStart: { $lte: new Date(to) } } : {}),
+    })
+      .sort({ periodStart: -1 })
+      .select("reference periodStart periodEnd status approvedAt paidAt bankReference lines.$"),
+  ])
+
+  const summary = totals[0] || { rides: 0, grossFare: 0, commission: 0, earnings: 0, cashCollected: 0 }
+  delete summary._id
+  const deductionTotal = (type) =>
+    roundMoney(deductions.filter((item) => item.type === type).reduce((sum, item) => sum + item.amount, 0))
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    success: true,
+    summary: {
+      ...Object.fromEntries(Object.entries(summary).map(([key, value]) => [key, roundMoney(value)])),
+      penalties: deductionTotal("penalty"),
+      otherDeductions: deductionTotal("other"),
+      paidOut: roundMoney(
+        settlements
+          .filter((batch) => batch.status === "paid")
+          .reduce((sum, batch) => sum + (batch.lines[0] ? batch.lines[0].payoutAmount : 0), 0),
+      ),
+    },
+    earnings,
+    deductions,
+    settlements: settlements.map((batch) => {
+      const { lines, ...rest } = batch.toObject()
+      return { ...rest, line: lines[0] || null }
+    }),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+module.exports = {
+  resolveCommissionRule,
+  toCommission,
+  calculateEarning,
+  recordRideEarning,
+  recordCancellationCompensation,
+  getDriverEarningsStatement,
+}
@@ -0,0 +1,323 @@
+// Location: /services/fareService.js
+// Fare engine: picks the rate card for a ride and turns distance, time and
+// waiting into an itemised fare
+
+const { escapeRegExp } = require("lodash")
+const Ride = require("../models/Ride")
+const RateCard = require("../models/RateCard")
+const pricingConfig = require("../config/pricing")
+const { calculateDistance } = require("../utils/locationSimulator")
+const { fromPoint } = require("../utils/geo")
+const { calculateDiscount, applyPromotionToFare, completeRedemption } = require("./promotionService")
+
+const RATE_FIELDS = [
+  "baseFare",
+  "perKm",
+  "perMinute",
+  "minimumFare",
+  "freeWaitingMinutes",
+  "waitingPerMinute",
+  "nightMultiplier",
+  "nightStartHour",
+  "nightEndHour",
+  "taxPercent",
+  "perStop",
+]
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const toRateSnapshot = (card, source, service, vehicleType) => {
+  const snapshot = { id: card._id, source, service, vehicleType, currency: card.currency || "INR" }
+  for (const field of RATE_FIELDS) snapshot[field] = card[field] ?? 0
+  return snapshot
+}
+
+// Rate card for a service and vehicle type. Stored cards win over the
+// defaults in config/pricing.js, and an exact vehicle type wins over "default".
+const findRateCard = async (service, vehicleType, config = pricingConfig) => {
+  const typePattern = vehicleType ? new RegExp(`^${escapeRegExp(String(vehicleType).trim())}$`, "i") : null
+  const stored = await RateCard.find({
+    service,
+    isActive: true,
+    vehicleType: typePattern ? { $in: [typePattern, "default"] } : "default",
+  })
+  const storedCard =
+    stored.find((card) => typePattern && typePattern.test(card.vehicleType) && card.vehicleType !== "default") ||
+    stored.find((card) => card.vehicleType === "default")
+  if (storedCard) return toRateSnapshot(storedCard, "database", service, storedCard.vehicleType)
+
+  const defaults = config.defaultRateCards[service]
+  if (!defaults) return null
+  const defaultType =
+    Object.keys(defaults).find((type) => typePattern && type !== "default" && typePattern.test(type)) || "default"
+  return toRateSnapshot(defaults[defaultType], "default", service, defaultType)
+}
+
+// Local hour of a date in the pricing time zone
+const localHour = (date, timezone) =>
+  Number.parseInt(
+    new Intl.DateTimeFormat("en-GB", { hour: "2-digit", hourCycle: "h23", timeZone: timezone }).format(date),
+  )
+
+const isNightTime = (date, rates, timezone) => {
+  if (!rates.nightMultiplier || rates.nightMultiplier <= 1) return false
+  const hour = localHour(date, timezone)
+  const { nightStartHour: start, nightEndHour: end } = rates
+  // The window usually wraps midnight (e.g. 23 -> 5)
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end
+}
+
+// Itemised fare for the given rates. Order of application:
+// base + distance + time + waiting + extra stops -> surge -> night surcharge -> minimum fare -> tax.
+const calculateFare = (
+  rates,
+  { distanceKm = 0, durationMin = 0, waitingMin = 0, extraStops = 0, legs, at = new Date(), surgeMultiplier = 1 } = {},
+  config = pricingConfig,
+) => {
+  const items = []
+  const addItem = (item) => items.push({ ...item, amount: roundMoney(item.amount) })
+
+  addItem({ code: "base", label: "Base fare", amount: rates.baseFare })
+  addItem({
+    code: "distance",
+    label: "Distance",
+    quantity: roundMoney(distanceKm),
+    unit: "km",
+    rate: rates.perKm,
+    amount: distanceKm * rates.perKm,
+  })
+  if (rates.perMinute > 0) {
+    addItem({
+      code: "time",
+      label: "Ride time",
+      quantity: roundMoney(durationMin),
+      unit: "min",
+      rate: rates.perMinute,
+      amount: durationMin * rates.perMinute,
+    })
+  }
+
+  const chargeableWaiting = Math.max(0, waitingMin - (rates.freeWaitingMinutes || 0))
+  if (chargeableWaiting > 0 && rates.waitingPerMinute > 0) {
+    addItem({
+      code: "waiting",
+      label: `Waiting (after ${rates.freeWaitingMinutes} free min)`,
+      quantity: roundMoney(chargeableWaiting),
+      unit: "min",
+      rate: rates.waitingPerMinute,
+      amount: chargeableWaiting * rates.waitingPerMinute,
+    })
+  }
+
+  if (extraStops > 0 && rates.perStop > 0) {
+    addItem({
+      code: "stops",
+      label: "Additional stops",
+      quantity: extraStops,
+      unit: "stop",
+      rate: rates.perStop,
+      amount: extraStops * rates.perStop,
+    })
+  }
+
+  const sumItems = () => roundMoney(items.reduce((sum, item) => sum + item.amount, 0))
+
+  if (surgeMultiplier > 1) {
+    addItem({
+      code: "surge",
+      label: `Surge (x${surgeMultiplier})`,
+      rate: surgeMultiplier,
+      amount: sumItems() * (surgeMultiplier - 1),
+    })
+  }
+
+  const isNight = isNightTime(new Date(at), rates, config.timezone)
+  if (isNight) {
+    addItem({
+      code: "night",
+      label: `Night charge (x${rates.nightMultiplier})`,
+      rate: rates.nightMultiplier,
+      amount: sumItems() * (rates.nightMultiplier - 1),
+    })
+  }
+
+  if (sumItems() < rates.minimumFare) {
+    addItem({ code: "minimum_fare", label: "Minimum fare adjustment", amount: rates.minimumFare - sumItems() })
+  }
+
+  const subtotal = sumItems()
+  const tax = roundMoney((subtotal * (rates.taxPercent || 0)) / 100)
+
+  return {
+    currency: rates.currency,
+    rateCard: rates,
+    distanceKm: roundMoney(distanceKm),
+    durationMin: roundMoney(durationMin),
+    waitingMin: roundMoney(waitingMin),
+    legs: legs && legs.length > 0 ? legs : undefined,
+    isNight,
+    surgeMultiplier: surgeMultiplier > 1 ? surgeMultiplier : 1,
+    items,
+    subtotal,
+    taxPercent: rates.taxPercent || 0,
+    tax,
+    total: roundMoney(subtotal + tax),
+    calculatedAt: new Date(),
+  }
+}
+
+// Road distance (km) between two GeoJSON points, approximated from the straight line
+const estimateDistanceKm = (fromLocation, toLocation, config = pricingConfig) => {
+  const from = fromPoint(fromLocation)
+  const to = fromPoint(toLocation)
+  if (!from || !to) return null
+  return calculateDistance(from.lat, from.lng, to.lat, to.lng) * config.roadDistanceFactor
+}
+
+// Legs between consecutive stops of a multi-stop trip. Distance is null for a
+// leg when either end has no coordinates.
+const estimateRouteLegs = (stops, config = pricingConfig) =>
+  stops.slice(1).map((stop, index) => {
+    const distance = estimateDistanceKm(stops[index].location, stop.location, config)
+    return { from: index, to: index + 1, distanceKm: distance === null ? null : roundMoney(distance) }
+  })
+
+// Stops beyond the first pickup and the final drop
+const countExtraStops = (stops) => (stops && stops.length > 2 ? stops.length - 2 : 0)
+
+// Quote for a ride that has not happened yet. Distance / duration from the
+// client are used when given, otherwise derived from the pickup and drop points,
+// or from every leg when the ride has stops. Returns { error } when the trip
+// length cannot be worked out.
+const estimateFare = async (
+  { service, type, pickup, drop, stops, distanceKm, durationMin, rideTime, surgeMultiplier },
+  config = pricingConfig,
+) => {
+  const rates = await findRateCard(service, type, config)
+  if (!rates) return { error: `No rate card configured for service ${service}` }
+
+  const legs = stops && stops.length > 1 ? estimateRouteLegs(stops, config) : undefined
+  let distance = distanceKm !== undefined && distanceKm !== null ? Number.parseFloat(distanceKm) : null
+  if ((distance === null || isNaN(distance)) && legs) {
+    distance = legs.some((leg) => leg.distanceKm === null) ? null : legs.reduce((sum, leg) => sum + leg.distanceKm, 0)
+  } else if (distance === null || isNaN(distance)) {
+    distance = estimateDistanceKm(pickup && pickup.location, drop && drop.location, config)
+  }
+  if (distance === null || isNaN(distance) || distance < 0) {
+    return {
+      error: legs
+        ? "Coordinates for every stop, or distanceKm, are required to estimate the fare"
+        : "Pickup and drop coordinates, or distanceKm, are required to estimate the fare",
+    }
+  }
+
+  let duration = durationMin !== undefined && durationMin !== null ? Number.parseFloat(durationMin) : null
+  if (duration === null || isNaN(duration) || duration < 0) {
+    duration = (distance / config.averageSpeedKmh) * 60
+  }
+
+  return {
+    fare: calculateFare(
+      rates,
+      {
+        distanceKm: distance,
+        durationMin: duration,
+        extraStops: countExtraStops(stops),
+        legs,
+        at: rideTime || new Date(),
+        surgeMultiplier,
+      },
+      config,
+    ),
+  }
+}
+
+const minutesBetween = (start, end) => (start && end ? Math.max(0, (new Date(end) - new Date(start)) / 60000) : null)
+
+// Fare actually charged for a completed ride: measured time and waiting, the
+// distance between the ride's own coordinates (client-sent distances only when
+// there are none), and the rates and surge quoted at booking when there was a quote
+const calculateChargedFare = async (ride, config = pricingConfig) => {
+  const estimate = ride.fareEstimate
+  const rates =
+    estimate && estimate.rateCard && estimate.rateCard.service
+      ? { ...(estimate.rateCard.toObject ? estimate.rateCard.toObject() : estimate.rateCard), currency: estimate.currency }
+      : await findRateCard(ride.service, ride.type, config)
+  if (!rates) return null
+
+  const legs = ride.stops && ride.stops.length > 1 ? estimateRouteLegs(ride.stops, config) : undefined
+  const routeDistance =
+    legs && legs.every((leg) => leg.distanceKm !== null) ? legs.reduce((sum, leg) => sum + leg.distanceKm, 0) : null
+  const distanceKm =
+    routeDistance ??
+    estimateDistanceKm(ride.pickup && ride.pickup.location, ride.drop && ride.drop.location, config) ??
+    (estimate && estimate.distanceKm) ??
+    ride.distanceKm ??
+    0
+  const durationMin =
+    minutesBetween(ride.startedAt, ride.completedAt) ?? ride.durationMin ?? (estimate && estimate.durationMin) ?? 0
+  const waitingMin = minutesBetween(ride.arrivedAt, ride.startedAt) ?? 0
+
+  const surgeMultiplier = (ride.surge && ride.surge.multiplier) || 1
+
+  return calculateFare(
+    rates,
+    {
+      distanceKm,
+      durationMin,
+      waitingMin,
+      extraStops: countExtraStops(ride.stops),
+      legs,
+      at: ride.startedAt || ride.rideTime,
+      surgeMultiplier,
+    },
+    config,
+  )
+}
+
+// Store the charged fare on a ride that just completed. The amount becomes the
+// fare total. Only the first call per ride has an effect.
+const chargeCompletedRide = async (ride) => {
+  try {
+    let fare = await calculateChargedFare(ride)
+    if (!fare) return ride
+
+    // The promo booked with the ride applies to the charged total on its original terms
+    const hasPromotion = Boolean(ride.promotion && ride.promotion.code && !ride.promotion.releasedAt)
+    if (hasPromotion) {
+      fare = applyPromotionToFare(fare, ride.promotion, calculateDiscount(ride.promotion, fare.total))
+    }
+
+    const surgeItem = fare.items.find((item) => item.code === "surge")
+    const updated = await Ride.findOneAndUpdate(
+      { _id: ride._id, status: "completed", "fare.total": { $exists: false } },
+      {
+        $set: {
+          fare,
+          amount: fare.total,
+          distanceKm: fare.distanceKm,
+          durationMin: fare.durationMin,
+          // Surge revenue is reported separately by finance
+          "surge.amount": surgeItem ? surgeItem.amount : 0,
+          ...(hasPromotion ? { "promotion.discount": fare.discount } : {}),
+        },
+      },
+      { new: true },
+    )
+    if (updated && hasPromotion) await completeRedemption(updated, fare.discount)
+    return updated || ride
+  } catch (error) {
+    console.error(`❌ Failed to calculate the charged fare for ride ${ride._id}:`, error.message)
+    return ride
+  }
+}
+
+module.exports = {
+  findRateCard,
+  calculateFare,
+  estimateDistanceKm,
+  estimateRouteLegs,
+  estimateFare,
+  calculateChargedFare,
+  chargeCompletedRide,
+}
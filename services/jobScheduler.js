@@ -0,0 +1,167 @@
+// Location: /services/jobScheduler.js
+// Runs named background jobs at a given time. Jobs live in MongoDB, so they
+// survive restarts, and are claimed atomically so only one server runs each.
+
+const os = require("os")
+const mongoose = require("mongoose")
+const ScheduledJob = require("../models/ScheduledJob")
+const jobsConfig = require("../config/jobs")
+
+class JobScheduler {
+  constructor(config = jobsConfig) {
+    this.config = config
+    this.handlers = new Map()
+    this.recurring = new Map()
+    this.workerId = `${os.hostname()}:${process.pid}`
+    this.interval = null
+    this.polling = false
+  }
+
+  // handler(payload, job) -> result stored on the job; throw to retry
+  register(name, handler) {
+    this.handlers.set(name, handler)
+    return this
+  }
+
+  // Run a job over and over. nextRunAt(after) returns the first run time after a
+  // date. Each occurrence is a job of its own, so past runs stay as history; the
+  // next one is queued when an occurrence finishes and on start when none is queued.
+  registerRecurring(name, nextRunAt, handler) {
+    this.recurring.set(name, nextRunAt)
+    return this.register(name, handler)
+  }
+
+  scheduleNextOccurrence(name, after = new Date()) {
+    const runAt = this.recurring.get(name)(after)
+    return this.schedule(name, runAt, {}, { uniqueKey: `${name}@${runAt.toISOString()}` })
+  }
+
+  async ensureRecurringScheduled() {
+    for (const name of this.recurring.keys()) {
+      const queued = await ScheduledJob.exists({ name, status: { $in: ["pending", "running"] } })
+      if (!queued) await this.scheduleNextOccurrence(name)
+    }
+  }
+
+  // Add a job. With a uniqueKey, a job that has not started yet is moved to the
+  // new time and payload instead of adding a second one.
+  async schedule(name, runAt, payload = {}, { uniqueKey, maxAttempts } = {}) {
+    const fields = {
+      name,
+      runAt: new Date(runAt),
+      payload,
+      status: "pending",
+      attempts: 0,
+      maxAttempts: maxAttempts || this.config.maxAttempts,
+    }
+
+    if (!uniqueKey) return ScheduledJob.create(fields)
+
+    return ScheduledJob.findOneAndUpdate(
+      { uniqueKey },
+      { $set: { ...fields, uniqueKey }, $unset: { lastError: "", result: "", completedAt: "", lockedAt: "", lockedBy: "" } },
+      { new: true, upsert: true, setDefaultsOnInsert: true },
+    )
+  }
+
+  // Cancel pending jobs matching a filter, e.g. { "payload.rideId": id }
+  async cancel(filter) {
+    const result = await ScheduledJob.updateMany(
+      { ...filter, status: "pending" },
+      { $set: { status: "cancelled", completedAt: new Date() } },
+    )
+    return result.modifiedCount
+  }
+
+  start() {
+    if (this.interval) return this
+
+    const begin = () => {
+      this.interval = setInterval(() => this.poll(), this.config.pollIntervalMs)
+      if (typeof this.interval.unref === "function") this.interval.unref()
+      this.ensureRecurringScheduled()
+        .catch((error) => console.error("❌ Error scheduling recurring jobs:", error))
+        .finally(() => this.poll())
+      console.log(`⏰ Job scheduler started (${this.handlers.size} job types)`)
+    }
+    if (mongoose.connection.readyState === 1) {
+      begin()
+    } else {
+      mongoose.connection.once("open", begin)
+    }
+    return this
+  }
+
+  stop() {
+    clearInterval(this.interval)
+    this.interval = null
+  }
+
+  // Take the next due job: pending ones whose time has come, or running ones
+  // whose worker went away before finishing
+  claimNext() {
+    const now = new Date()
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: { $in: Array.from(this.handlers.keys()) },
+        $or: [
+          { status: "pending", runAt: { $lte: now } },
+          { status: "running", lockedAt: { $lte: new Date(now.getTime() - this.config.lockTimeoutMs) } },
+        ],
+      },
+      { $set: { status: "running", lockedAt: now, lockedBy: this.workerId }, $inc: { attempts: 1 } },
+      { new: true, sort: { runAt: 1 } },
+    )
+  }
+
+  async poll() {
+    if (this.polling) return
+    this.polling = true
+    try {
+      let job
+      while ((job = await this.claimNext())) {
+        await this.run(job)
+      }
+    } catch (error) {
+      console.error("❌ Error polling scheduled jobs:", error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.name)
+    try {
+      const result = await handler(job.payload || {}, job)
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { status: "completed", completedAt: new Date(), result }, $unset: { lockedAt: "", lockedBy: "" } },
+      )
+    } catch (error) {
+      const maxAttempts = job.maxAttempts || this.config.maxAttempts
+      const retry = job.attempts < maxAttempts
+      console.error(`❌ Job ${job.name} (${job._id}) failed on attempt ${job.attempts}:`, error.message)
+
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: retry
+            ? {
+                status: "pending",
+                runAt: new Date(Date.now() + this.config.retryDelayMs * 2 ** (job.attempts - 1)),
+                lastError: error.message,
+              }
+            : { status: "failed", completedAt: new Date(), lastError: error.message },
+          $unset: { lockedAt: "", lockedBy: "" },
+        },
+      )
+    }
+
+    if (this.recurring.has(job.name)) {
+      const finished = await ScheduledJob.exists({ _id: job._id, status: { $in: ["completed", "failed"] } })
+      if (finished) await this.scheduleNextOccurrence(job.name)
+    }
+  }
+}
+
+module.exports = JobScheduler
@@ -0,0 +1,349 @@
+// Location: /services/ledgerService.js
+// Double-entry ledger: accounts, balanced idempotent postings, statements and
+// the nightly check that stored balances still equal the sum of their entries.
+// Amounts are rupees with two decimals; balances are kept in paise (minor units)
+// so sums are exact.
+
+const mongoose = require("mongoose")
+const LedgerAccount = require("../models/LedgerAccount")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const LedgerEntry = require("../models/LedgerEntry")
+const walletConfig = require("../config/wallet")
+const { nextDailyRun } = require("../utils/timezone")
+
+const { NORMAL_BALANCES } = LedgerAccount
+const { TRANSACTION_TYPES } = LedgerTransaction
+
+const CONSISTENCY_CHECK_JOB = "ledger.consistencyCheck"
+
+const toMinor = (amount) => Math.round(Number(amount) * 100)
+const fromMinor = (minor) => minor / 100
+
+const PLATFORM_ACCOUNTS = {
+  cash: { code: "platform:cash", name: "Cash and bank", type: "asset", ownerType: "platform" },
+  revenue: { code: "platform:revenue", name: "Fare and fee revenue", type: "revenue", ownerType: "platform" },
+  tax: { code: "platform:tax", name: "Tax collected", type: "liability", ownerType: "platform" },
+  promotions: { code: "platform:promotions", name: "Promotion cost", type: "expense", ownerType: "platform" },
+  driverCosts: { code: "platform:driver_costs", name: "Driver earnings cost", type: "expense", ownerType: "platform" },
+}
+
+const walletAccount = (userId) => ({
+  code: `user:${userId}:wallet`,
+  name: "Rider wallet",
+  type: "liability",
+  ownerType: "user",
+  ownerId: userId,
+})
+
+const driverEarningsAccount = (driverId) => ({
+  code: `driver:${driverId}:earnings`,
+  name: "Driver earnings payable",
+  type: "liability",
+  ownerType: "driver",
+  ownerId: driverId,
+})
+
+// Cash of the platform that a driver collected on cash rides and still holds
+const driverCashAccount = (driverId) => ({
+  code: `driver:${driverId}:cash`,
+  name: "Driver cash in hand",
+  type: "asset",
+  ownerType: "driver",
+  ownerId: driverId,
+})
+
+// Account for a spec, created on first use
+const ensureAccount = (spec, config = walletConfig) =>
+  LedgerAccount.findOneAndUpdate(
+    { code: spec.code },
+    {
+      $setOnInsert: {
+        ...spec,
+        normalBalance: NORMAL_BALANCES[spec.type],
+        currency: config.currency,
+        balanceMinor: 0,
+      },
+    },
+    { new: true, upsert: true },
+  )
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+// Rider wallets are never overdrawn
+const mayGoNegative = (account) => account.ownerType !== "user"
+
+// Thrown inside a posting to roll it back when an account may not go below zero
+const insufficientBalanceError = (account, amountMinor) => {
+  const error = new Error(`${account.name} balance does not cover ${fromMinor(amountMinor)}`)
+  error.name = "InsufficientBalanceError"
+  return error
+}
+
+// Post a balanced transaction. entries: [{ account: spec, direction, amount }];
+// zero-amount lines are dropped. Posting the same idempotencyKey again returns
+// the first transaction with duplicate: true. A posting that would take a rider
+// wallet below zero is not made (402).
+// Returns { success, transaction, entries, duplicate } or { success: false, statusCode, message }.
+const postTransaction = async (
+  { idempotencyKey, type, description, entries, ride, user, driver, reversalOf, reference, actor, metadata, postedAt },
+  config = walletConfig,
+) => {
+  if (!idempotencyKey) return fail(400, "idempotencyKey is required")
+  if (!TRANSACTION_TYPES.includes(type)) return fail(400, `type must be one of: ${TRANSACTION_TYPES.join(", ")}`)
+
+  const lines = (entries || []).filter((entry) => toMinor(entry.amount) !== 0)
+  if (lines.some((entry) => !(toMinor(entry.amount) > 0) || !["debit", "credit"].includes(entry.direction))) {
+    return fail(400, "Every entry needs a positive amount and a direction of debit or credit")
+  }
+  const sideTotal = (direction) =>
+    lines.filter((entry) => entry.direction === direction).reduce((sum, entry) => sum + toMinor(entry.amount), 0)
+  const debitMinor = sideTotal("debit")
+  if (lines.length < 2 || debitMinor !== sideTotal("credit")) {
+    return fail(400, "A transaction needs at least two entries and equal debits and credits")
+  }
+
+  const existing = await LedgerTransaction.findOne({ idempotencyKey })
+  if (existing) return { success: true, transaction: existing, duplicate: true }
+
+  const accounts = []
+  for (const entry of lines) accounts.push(await ensureAccount(entry.account, config))
+
+  // The transaction, its entries and the balance changes are written in one database
+  // transaction (MongoDB runs as a replica set here, as the change streams need):
+  // an interrupted posting leaves nothing behind, so a retry with the same key
+  // posts it again instead of finding half of it. Balances that may not go below
+  // zero are only decremented while they cover the amount.
+  const session = await mongoose.startSession()
+  try {
+    let posting
+    await session.withTransaction(async () => {
+      const existing = await LedgerTransaction.findOne({ idempotencyKey }).session(session)
+      if (existing) {
+        posting = { transaction: existing, duplicate: true }
+        return
+      }
+
+      const [transaction] = await LedgerTransaction.create(
+        [
+          {
+            idempotencyKey,
+            type,
+            description,
+            currency: config.currency,
+            amount: fromMinor(debitMinor),
+            ride,
+            user,
+            driver,
+            reversalOf,
+            reference,
+            actor,
+            metadata,
+            postedAt: postedAt || new Date(),
+          },
+        ],
+        { session },
+      )
+      const posted = await LedgerEntry.insertMany(
+        lines.map((entry, index) => {
+          const account = accounts[index]
+          const amountMinor = toMinor(entry.amount)
+          return {
+            transaction: transaction._id,
+            account: account._id,
+            accountCode: account.code,
+            direction: entry.direction,
+            amount: fromMinor(amountMinor),
+            deltaMinor: entry.direction === account.normalBalance ? amountMinor : -amountMinor,
+            type,
+            description: entry.description || description,
+            postedAt: transaction.postedAt,
+          }
+        }),
+        { session },
+      )
+      for (const [index, entry] of posted.entries()) {
+        const account = accounts[index]
+        const guarded = entry.deltaMinor < 0 && !mayGoNegative(account)
+        const { matchedCount } = await LedgerAccount.updateOne(
+          { _id: entry.account, ...(guarded ? { balanceMinor: { $gte: -entry.deltaMinor } } : {}) },
+          { $inc: { balanceMinor: entry.deltaMinor } },
+          { session },
+        )
+        if (matchedCount === 0) throw insufficientBalanceError(account, -entry.deltaMinor)
+      }
+      posting = { transaction, entries: posted, duplicate: false }
+    })
+    return { success: true, ...posting }
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: true, transaction: await LedgerTransaction.findOne({ idempotencyKey }), duplicate: true }
+    }
+    if (error.name === "InsufficientBalanceError") return fail(402, error.message)
+    throw error
+  } finally {
+    await session.endSession()
+  }
+}
+
+const getAccountByCode = (code) => LedgerAccount.findOne({ code })
+
+// Entries of an account in a period with the running balance after each one.
+// Returns null when the account does not exist.
+const getStatement = async (code, { from, to, page = 1, limit = 50 } = {}) => {
+  const account = await getAccountByCode(code)
+  if (!account) return null
+
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(200, Number.parseInt(limit) || 50))
+  const inPeriod = { account: account._id }
+  if (from || to) inPeriod.postedAt = {}
+  if (from) inPeriod.postedAt.$gte = new Date(from)
+  if (to) inPeriod.postedAt.$lte = new Date(to)
+
+  const sumDeltas = async (match, stages = []) => {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: match },
+      ...stages,
+      { $group: { _id: null, total: { $sum: "$deltaMinor" } } },
+    ])
+    return result ? result.total : 0
+  }
+  const skip = (pageNum - 1) * limitNum
+
+  const [openingMinor, periodMinor, beforePageMinor, entries, totalItems] = await Promise.all([
+    from ? sumDeltas({ account: account._id, postedAt: { $lt: new Date(from) } }) : 0,
+    sumDeltas(inPeriod),
+    skip > 0 ? sumDeltas(inPeriod, [{ $sort: { postedAt: 1, _id: 1 } }, { $limit: skip }]) : 0,
+    LedgerEntry.find(inPeriod)
+      .sort({ postedAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate("transaction", "type description reference ride idempotencyKey"),
+    LedgerEntry.countDocuments(inPeriod),
+  ])
+
+  let runningMinor = openingMinor + beforePageMinor
+  const lines = entries.map((entry) => {
+    runningMinor += entry.deltaMinor
+    return {
+      _id: entry._id,
+      postedAt: entry.postedAt,
+      type: entry.type,
+      description: entry.description,
+      direction: entry.direction,
+      amount: entry.amount,
+      change: fromMinor(entry.deltaMinor),
+      balanceAfter: fromMinor(runningMinor),
+      transaction: entry.transaction,
+    }
+  })
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    account,
+    openingBalance: fromMinor(openingMinor),
+    closingBalance: fromMinor(openingMinor + periodMinor),
+    entries: lines,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+// Compare every account's stored balance with the sum of its entries and look
+// for transactions whose entries do not balance. Mismatches are flagged on the
+// account and returned.
+const runConsistencyCheck = async () => {
+  const checkedAt = new Date()
+  const sums = await LedgerEntry.aggregate([{ $group: { _id: "$account", total: { $sum: "$deltaMinor" } } }])
+  const ledgerBalances = new Map(sums.map((sum) => [String(sum._id), sum.total]))
+
+  const mismatches = []
+  let accountsChecked = 0
+  for await (const account of LedgerAccount.find().cursor()) {
+    accountsChecked += 1
+    const ledgerBalanceMinor = ledgerBalances.get(String(account._id)) || 0
+    const differenceMinor = (account.balanceMinor || 0) - ledgerBalanceMinor
+    const status = differenceMinor === 0 ? "ok" : "mismatch"
+    await LedgerAccount.updateOne(
+      { _id: account._id },
+      { $set: { reconciliation: { status, ledgerBalanceMinor, differenceMinor, checkedAt } } },
+    )
+    if (status === "mismatch") {
+      mismatches.push({
+        accountId: account._id,
+        code: account.code,
+        storedBalance: fromMinor(account.balanceMinor || 0),
+        ledgerBalance: fromMinor(ledgerBalanceMinor),
+        difference: fromMinor(differenceMinor),
+      })
+    }
+  }
+
+  const unbalanced = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: "$transaction",
+        debits: { $sum: { $cond: [{ $eq: ["$direction", "debit"] }, "$amount", 0] } },
+        credits: { $sum: { $cond: [{ $eq: ["$direction", "credit"] }, "$amount", 0] } },
+      },
+    },
+    { $match: { $expr: { $gt: [{ $abs: { $subtract: ["$debits", "$credits"] } }, 0.005] } } },
+  ])
+
+  return {
+    checkedAt,
+    accountsChecked,
+    mismatches,
+    unbalancedTransactions: unbalanced.map((item) => ({
+      transactionId: item._id,
+      debits: item.debits,
+      credits: item.credits,
+    })),
+  }
+}
+
+// Nightly consistency check; mismatches are pushed to the admin dashboard
+const registerLedgerJobs = (scheduler, { io } = {}, config = walletConfig) => {
+  scheduler.registerRecurring(
+    CONSISTENCY_CHECK_JOB,
+    (after) => nextDailyRun(after, config.consistencyCheck),
+    async () => {
+      const result = await runConsistencyCheck()
+      if (result.mismatches.length > 0 || result.unbalancedTransactions.length > 0) {
+        const { mismatches, unbalancedTransactions } = result
+        console.error(
+          `❌ Ledger check: ${mismatches.length} account(s) off, ${unbalancedTransactions.length} unbalanced transaction(s)`,
+        )
+        if (io) io.to("admins").emit("ledgerMismatch", result)
+      }
+      return {
+        accountsChecked: result.accountsChecked,
+        mismatches: result.mismatches.slice(0, 100),
+        unbalancedTransactions: result.unbalancedTransactions.slice(0, 100),
+      }
+    },
+  )
+  return scheduler
+}
+
+module.exports = {
+  CONSISTENCY_CHECK_JOB,
+  PLATFORM_ACCOUNTS,
+  toMinor,
+  fromMinor,
+  walletAccount,
+  driverEarningsAccount,
+  driverCashAccount,
+  ensureAccount,
+  postTransaction,
+  getAccountByCode,
+  getStatement,
+  runConsistencyCheck,
+  registerLedgerJobs,
+}
@@ -0,0 +1,106 @@
+// Location: /services/locationHistoryService.js
+// Writes driver location pings to the time-series history and reads tracks back
+
+const mongoose = require("mongoose")
+const DriverLocation = require("../models/DriverLocation")
+const trackingConfig = require("../config/tracking")
+const { fromPoint, simplifyPolyline, samplePoints, encodePolyline } = require("../utils/geo")
+
+const toHistoryEntry = (driver, source, recordedAt) => ({
+  recordedAt: recordedAt || driver.lastUpdate || new Date(),
+  driver: driver._id,
+  location: driver.location,
+  speed: driver.speed,
+  batteryLevel: driver.batteryLevel,
+  status: driver.status,
+  tripId: driver.tripId || undefined,
+  source,
+})
+
+const hasLocation = (driver) => Boolean(driver && driver.location && fromPoint(driver.location))
+
+// Record the current position of one or more drivers. Like the ride timeline,
+// history must never break the location update itself, so failures are swallowed.
+const recordDriverLocations = async (drivers, source) => {
+  const entries = drivers.filter(hasLocation).map((driver) => toHistoryEntry(driver, source))
+  if (entries.length === 0) return 0
+
+  try {
+    await DriverLocation.insertMany(entries, { ordered: false })
+    return entries.length
+  } catch (error) {
+    console.error(`❌ Failed to record ${entries.length} driver location(s) from ${source}:`, error.message)
+    return 0
+  }
+}
+
+const recordDriverLocation = (driver, source) => recordDriverLocations([driver], source)
+
+// Check a from/to window. Returns { from, to } or { error }.
+const parseTrackWindow = ({ from, to }, config = trackingConfig) => {
+  const end = to ? new Date(to) : new Date()
+  const maxWindowMs = config.maxTrackWindowHours * 60 * 60 * 1000
+  const start = from ? new Date(from) : new Date(end.getTime() - maxWindowMs)
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: "Invalid date format for from or to" }
+  }
+  if (start >= end) {
+    return { error: "from must be before to" }
+  }
+  if (end - start > maxWindowMs) {
+    return { error: `Track window cannot exceed ${config.maxTrackWindowHours} hours` }
+  }
+
+  return { from: start, to: end }
+}
+
+// Raw pings of a driver inside a window, oldest first
+const findDriverLocations = (driverId, from, to) =>
+  DriverLocation.find({
+    driver: new mongoose.Types.ObjectId(String(driverId)),
+    recordedAt: { $gte: from, $lte: to },
+  })
+    .sort({ recordedAt: 1 })
+    .select({ recordedAt: 1, location: 1, speed: 1, status: 1, tripId: 1, source: 1 })
+    .lean()
+
+const toTrackPoint = (entry) => ({
+  ...fromPoint(entry.location),
+  recordedAt: entry.recordedAt,
+  speed: entry.speed,
+  status: entry.status,
+  tripId: entry.tripId,
+})
+
+// Downsampled track of a driver: GPS jitter is removed with a line
+// simplification and the result is capped at maxPoints.
+const getDriverTrack = async (driverId, { from, to, toleranceMeters, maxPoints } = {}, config = trackingConfig) => {
+  const raw = await findDriverLocations(driverId, from, to)
+  const points = raw.map(toTrackPoint)
+
+  const simplified = samplePoints(
+    simplifyPolyline(points, toleranceMeters ?? config.simplifyToleranceMeters),
+    maxPoints ?? config.maxTrackPoints,
+  )
+
+  return {
+    from,
+    to,
+    totalPoints: points.length,
+    returnedPoints: simplified.length,
+    startedAt: points.length > 0 ? points[0].recordedAt : null,
+    endedAt: points.length > 0 ? points[points.length - 1].recordedAt : null,
+    points: simplified,
+    encodedPolyline: encodePolyline(simplified),
+  }
+}
+
+module.exports = {
+  recordDriverLocation,
+  recordDriverLocations,
+  parseTrackWindow,
+  findDriverLocations,
+  toTrackPoint,
+  getDriverTrack,
+}
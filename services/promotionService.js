@@ -0,0 +1,153 @@
+// Location: /services/promotionService.js
+// Promo codes: eligibility checks, discount calculation and redemptions.
+// The discount comes off the fare total (tax included) and is borne by the
+// platform, so it is reported as promo cost rather than lower driver earnings.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Promotion = require("../models/Promotion")
+const PromotionRedemption = require("../models/PromotionRedemption")
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const normaliseCode = (code) => (code ? String(code).trim().toUpperCase() : "")
+
+// Discount a promotion (or the snapshot of one stored on a ride) gives on an amount
+const calculateDiscount = (promotion, amount) => {
+  const total = Math.max(0, Number(amount) || 0)
+  let discount = promotion.discountType === "percentage" ? (total * promotion.value) / 100 : promotion.value
+  if (promotion.discountType === "percentage" && promotion.maxDiscount !== undefined && promotion.maxDiscount !== null) {
+    discount = Math.min(discount, promotion.maxDiscount)
+  }
+  return roundMoney(Math.min(discount, total))
+}
+
+// Fare with the discount taken off the total
+const applyPromotionToFare = (fare, promotion, discount) => ({
+  ...fare,
+  promoCode: promotion.code,
+  totalBeforeDiscount: fare.total,
+  discount,
+  total: roundMoney(Math.max(0, fare.total - discount)),
+})
+
+// What a ride keeps of the promotion, so later changes to the campaign do not
+// change the discount of rides already booked
+const toRidePromotion = (promotion, discount) => ({
+  id: promotion._id,
+  code: promotion.code,
+  discountType: promotion.discountType,
+  value: promotion.value,
+  maxDiscount: promotion.maxDiscount,
+  discount,
+  appliedAt: new Date(),
+})
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+const userRedemptionCounts = async (promotionId, userId) => {
+  const [total, active] = await Promise.all([
+    PromotionRedemption.countDocuments({ promotion: promotionId, user: userId }),
+    PromotionRedemption.countDocuments({ promotion: promotionId, user: userId, status: { $ne: "released" } }),
+  ])
+  return { total, active }
+}
+
+// Check a code for a booking without using it up.
+// Returns { success, promotion, discount } or { success: false, statusCode, message }.
+const validatePromotion = async (code, { service, userId, fareTotal, at = new Date() }) => {
+  const promoCode = normaliseCode(code)
+  if (!promoCode) return fail(400, "Promo code is required")
+
+  const promotion = await Promotion.findOne({ code: promoCode })
+  if (!promotion || !promotion.isActive) return fail(404, "This promo code does not exist")
+  if (at < promotion.validFrom) return fail(409, "This promo code is not valid yet")
+  if (at > promotion.validUntil) return fail(409, "This promo code has expired")
+  if (promotion.services.length > 0 && !promotion.services.includes(service)) {
+    return fail(409, `This promo code is only valid for: ${promotion.services.join(", ")}`)
+  }
+  if (promotion.usageLimit && promotion.redemptionCount >= promotion.usageLimit) {
+    return fail(409, "This promo code has been fully redeemed")
+  }
+  if (fareTotal < (promotion.minFare || 0)) {
+    return fail(409, `This promo code needs a fare of at least ${promotion.minFare} ${promotion.currency}`)
+  }
+
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return fail(400, "A customer is required to use a promo code")
+  if (promotion.firstRideOnly) {
+    const previousRide = await Ride.exists({ "user._id": userId, status: { $ne: "cancelled" } })
+    if (previousRide) return fail(409, "This promo code is only valid on your first ride")
+  }
+  const { active } = await userRedemptionCounts(promotion._id, userId)
+  if (active >= promotion.perUserLimit) return fail(409, "You have already used this promo code")
+
+  return { success: true, promotion, discount: calculateDiscount(promotion, fareTotal) }
+}
+
+// Record the use of a promotion by a ride. The global counter is only
+// incremented while below the limit, and the per-user sequence is unique, so
+// concurrent bookings cannot use a code more often than allowed.
+const redeemPromotion = async (promotion, { userId, rideId, service, discount, currency }) => {
+  const { total, active } = await userRedemptionCounts(promotion._id, userId)
+  if (active >= promotion.perUserLimit) return fail(409, "You have already used this promo code")
+
+  const withinLimit = promotion.usageLimit ? { $expr: { $lt: ["$redemptionCount", "$usageLimit"] } } : {}
+  const counted = await Promotion.findOneAndUpdate(
+    { _id: promotion._id, isActive: true, ...withinLimit },
+    { $inc: { redemptionCount: 1 } },
+    { new: true },
+  )
+  if (!counted) return fail(409, "This promo code has been fully redeemed")
+
+  try {
+    const redemption = await PromotionRedemption.create({
+      promotion: promotion._id,
+      code: promotion.code,
+      user: userId,
+      ride: rideId,
+      sequence: total + 1,
+      service,
+      discount,
+      currency,
+    })
+    return { success: true, redemption }
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { redemptionCount: -1 } })
+    if (error.code === 11000) return fail(409, "This promo code is already being used for another booking")
+    throw error
+  }
+}
+
+// Give the use back when the ride it was booked with is cancelled
+const releasePromotion = async (ride) => {
+  if (!ride.promotion || !ride.promotion.code) return null
+
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { ride: ride._id, status: "applied" },
+    { $set: { status: "released", releasedAt: new Date() } },
+    { new: true },
+  )
+  if (redemption) {
+    await Promotion.updateOne({ _id: redemption.promotion, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } })
+    await Ride.updateOne({ _id: ride._id }, { $set: { "promotion.releasedAt": redemption.releasedAt } })
+  }
+  return redemption
+}
+
+// Final discount of a ride that was charged
+const completeRedemption = (ride, discount) =>
+  PromotionRedemption.updateOne(
+    { ride: ride._id, status: "applied" },
+    { $set: { status: "completed", discount, completedAt: new Date() } },
+  )
+
+module.exports = {
+  normaliseCode,
+  calculateDiscount,
+  applyPromotionToFare,
+  toRidePromotion,
+  validatePromotion,
+  redeemPromotion,
+  releasePromotion,
+  completeRedemption,
+}
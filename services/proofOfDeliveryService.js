@@ -0,0 +1,210 @@
+// Location: /services/proofOfDeliveryService.js
+// Proof of delivery: the recipient OTP issued at booking and the evidence
+// (OTP, photo, recipient name, GPS position) captured by the driver at handoff.
+// Multi-stop deliveries have an OTP and a proof per drop stop.
+
+const crypto = require("crypto")
+const fs = require("fs")
+const Ride = require("../models/Ride")
+const proofOfDeliveryConfig = require("../config/proofOfDelivery")
+const { calculateDistance } = require("../utils/locationSimulator")
+const { toPoint, fromPoint } = require("../utils/geo")
+const { recordRideEvent, canOperateRide } = require("./rideEventService")
+
+// Keyed with a server secret: a leaked hash cannot be brute-forced over the few possible codes
+const hashOtp = (id, otp, config = proofOfDeliveryConfig) => {
+  const secret = config.otpSecret || process.env.JWT_SECRET
+  if (!secret) throw new Error("POD_OTP_SECRET or JWT_SECRET must be set to issue delivery OTPs")
+  return crypto.createHmac("sha256", secret).update(`${id}:${otp}`).digest("hex")
+}
+
+// deliveryOtp is not selected by default (see models/Ride.js)
+const OTP_FIELDS = "+deliveryOtp +stops.deliveryOtp"
+
+const getRequirements = (service, config = proofOfDeliveryConfig) => config.requirements[service] || null
+
+const isDropStop = (stop) => stop.sequence > 0
+
+// New recipient OTP on the ride, or on a drop stop. Sets the hash and returns the plain code.
+const issueOtp = (target, config) => {
+  const otp = String(crypto.randomInt(0, 10 ** config.otpLength)).padStart(config.otpLength, "0")
+  target.deliveryOtp = { hash: hashOtp(target._id, otp, config), attempts: 0 }
+  return otp
+}
+
+// New recipient OTPs for a delivery, set as hashes on the (unsaved) ride.
+// Returns the plain code, for multi-stop deliveries one { stopId, sequence, otp }
+// per drop stop, or null when the service needs no OTP.
+const issueDeliveryOtp = (ride, config = proofOfDeliveryConfig) => {
+  const requirements = getRequirements(ride.service, config)
+  if (!requirements || !requirements.otp) return null
+
+  if (ride.stops && ride.stops.length > 0) {
+    return ride.stops
+      .filter(isDropStop)
+      .map((stop) => ({ stopId: stop._id, sequence: stop.sequence, otp: issueOtp(stop, config) }))
+  }
+  return issueOtp(ride, config)
+}
+
+const checkOtp = (target, otp, config) => {
+  const expected = Buffer.from(target.deliveryOtp.hash, "hex")
+  const actual = Buffer.from(hashOtp(target._id, String(otp).trim(), config), "hex")
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+// Where the proof of a delivery goes: the ride itself, or its drop stop `stopId`
+// when the delivery has several stops. `filter` and `prefix` address it in updates.
+// Returns { target, filter, prefix } or { statusCode, message }.
+const findProofTarget = (ride, stopId) => {
+  if (!ride.stops || ride.stops.length === 0) {
+    return { target: ride, filter: (query) => ({ _id: ride._id, ...query }), prefix: "" }
+  }
+
+  if (!stopId) return { statusCode: 400, message: "stopId is required for deliveries with several stops" }
+  const stop = ride.stops.find((candidate) => String(candidate._id) === String(stopId))
+  if (!stop || !isDropStop(stop)) return { statusCode: 404, message: "Drop stop not found" }
+  if (["done", "failed"].includes(stop.status)) {
+    return { statusCode: 409, message: `Proof of delivery cannot be captured for a stop that is ${stop.status}` }
+  }
+  return {
+    target: stop,
+    filter: (query) => ({ _id: ride._id, stops: { $elemMatch: { _id: stop._id, ...query } } }),
+    prefix: "stops.$.",
+  }
+}
+
+// An uploaded photo that did not become part of a proof is not kept
+const discardUpload = (file) => {
+  if (file && file.path) fs.unlink(file.path, () => {})
+}
+
+// Validate and store the proof for a delivery that is under way, captured by its
+// assigned driver (`actor`); multi-stop deliveries take one per drop stop (stopId).
+// Returns { success, ride, proof, stop } or { success: false, statusCode, message, missing }.
+const submitProofOfDelivery = async (
+  rideId,
+  { stopId, otp, recipientName, lat, lng, notes, photo, actor },
+  config = proofOfDeliveryConfig,
+) => {
+  const fail = (statusCode, message, extra = {}) => {
+    discardUpload(photo)
+    return { success: false, statusCode, message, ...extra }
+  }
+
+  const ride = await Ride.findByIdOrLegacyId(rideId).select(OTP_FIELDS)
+  if (!ride) return fail(404, "Ride not found")
+  if (!actor || actor.type !== "driver" || !canOperateRide(ride, actor)) {
+    return fail(403, "Only the assigned driver can capture proof of delivery")
+  }
+
+  const requirements = getRequirements(ride.service, config)
+  if (!requirements) return fail(400, `${ride.service} rides do not take a proof of delivery`)
+  if (!["arrived", "in-progress"].includes(ride.status)) {
+    return fail(409, `Proof of delivery cannot be captured while the ride is ${ride.status}`)
+  }
+
+  const { target, filter, prefix, statusCode, message } = findProofTarget(ride, stopId)
+  if (!target) return fail(statusCode, message)
+  const stop = target === ride ? undefined : target
+  if (target.proofOfDelivery && target.proofOfDelivery.capturedAt) {
+    return fail(409, "Proof of delivery has already been captured")
+  }
+
+  const location = toPoint(lat, lng)
+  const name = recipientName ? String(recipientName).trim() : ""
+  const missing = [
+    requirements.otp && !otp && "otp",
+    requirements.photo && !photo && "photo",
+    requirements.recipientName && !name && "recipientName",
+    requirements.location && !location && "location",
+  ].filter(Boolean)
+  if (missing.length > 0) {
+    return fail(400, `Missing proof of delivery: ${missing.join(", ")}`, { missing })
+  }
+
+  let otpVerified = false
+  if (otp && target.deliveryOtp && target.deliveryOtp.hash) {
+    // Every entry takes an attempt up front, so parallel guesses cannot pass the limit.
+    // A correct code gives it back with the proof below.
+    const attemptsPath = `${prefix}deliveryOtp.attempts`
+    const counted = await Ride.findOneAndUpdate(
+      filter({ "deliveryOtp.attempts": { $lt: config.maxOtpAttempts } }),
+      { $inc: { [attemptsPath]: 1 } },
+      { new: true },
+    ).select(OTP_FIELDS)
+    if (!counted) return fail(429, "Too many wrong OTP attempts. Please contact support.")
+    if (!checkOtp(target, otp, config)) {
+      const attempts = (stop ? counted.stops.id(stop._id) : counted).deliveryOtp.attempts
+      return fail(422, "Recipient OTP does not match", { attemptsLeft: Math.max(0, config.maxOtpAttempts - attempts) })
+    }
+    otpVerified = true
+  } else if (requirements.otp) {
+    return fail(409, "No recipient OTP was issued for this delivery")
+  }
+
+  const drop = stop ? fromPoint(stop.location) : ride.drop ? fromPoint(ride.drop.location) : null
+  const position = fromPoint(location)
+  const distanceFromDropMeters =
+    drop && position ? Math.round(calculateDistance(drop.lat, drop.lng, position.lat, position.lng) * 1000) : undefined
+
+  const now = new Date()
+  const proof = {
+    otpVerified,
+    recipientName: name || undefined,
+    photo: photo
+      ? { path: photo.path, originalName: photo.originalname, mimeType: photo.mimetype, size: photo.size }
+      : undefined,
+    location: location || undefined,
+    distanceFromDropMeters,
+    locationMismatch:
+      distanceFromDropMeters !== undefined ? distanceFromDropMeters > config.maxDistanceFromDropMeters : undefined,
+    notes: notes ? String(notes).trim() : undefined,
+    capturedBy: actor,
+    capturedAt: now,
+  }
+
+  const update = { $set: { [`${prefix}proofOfDelivery`]: proof } }
+  if (otpVerified) {
+    update.$set[`${prefix}deliveryOtp.verifiedAt`] = now
+    update.$inc = { [`${prefix}deliveryOtp.attempts`]: -1 }
+  }
+  const updated = await Ride.findOneAndUpdate(
+    filter({ "proofOfDelivery.capturedAt": { $exists: false } }),
+    update,
+    { new: true },
+  )
+  if (!updated) return fail(409, "Proof of delivery has already been captured")
+
+  const updatedStop = stop ? updated.stops.id(stop._id) : undefined
+  await recordRideEvent({
+    ride: updated,
+    type: "admin_action",
+    actor,
+    message:
+      `Proof of delivery captured${stop ? ` at stop ${stop.sequence + 1}` : ""}` +
+      (name ? ` (received by ${name})` : "") +
+      (proof.locationMismatch ? `, ${distanceFromDropMeters} m from the drop point` : ""),
+    data: {
+      stopId: stop ? stop._id : undefined,
+      otpVerified,
+      hasPhoto: Boolean(photo),
+      distanceFromDropMeters,
+      locationMismatch: proof.locationMismatch,
+    },
+  })
+
+  return {
+    success: true,
+    ride: updated,
+    stop: updatedStop,
+    proof: (updatedStop || updated).proofOfDelivery,
+  }
+}
+
+module.exports = {
+  getRequirements,
+  isDropStop,
+  issueDeliveryOtp,
+  submitProofOfDelivery,
+}
@@ -0,0 +1,215 @@
+// Location: /services/ratingService.js
+// Post-ride ratings in both directions with feedback tags. Every new rating
+// recalculates the rated driver's or rider's score over their last rated rides.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const User = require("../models/User")
+const ratingsConfig = require("../config/ratings")
+const { recordRideEvent } = require("./rideEventService")
+
+// byRider: the rider rates the driver, byDriver: the driver rates the rider
+const RATING_DIRECTIONS = ["byRider", "byDriver"]
+
+const roundRating = (value) => Math.round(value * 100) / 100
+
+const getRatingTags = (direction, config = ratingsConfig) => (direction ? config.tags[direction] || [] : config.tags)
+
+// Which side of the ride the requester rates from, or null when they took no
+// part in it. user and driver come from verified tokens (req.user / req.driver).
+const getRatingDirection = (ride, { user, driver } = {}) => {
+  if (user && user.userId && ride.user && String(ride.user._id) === String(user.userId)) {
+    return { direction: "byRider", rater: { id: String(user.userId), name: ride.user.name } }
+  }
+  if (driver && ride.driver && ride.driver._id && String(ride.driver._id) === String(driver._id)) {
+    return { direction: "byDriver", rater: { id: String(driver._id), name: ride.driver.name } }
+  }
+  return null
+}
+
+// Normalise score, comment and tags. Returns { rating } or { error }.
+const buildRating = (direction, { score, comment, tags }, config = ratingsConfig) => {
+  const value = Number(score)
+  if (!Number.isInteger(value) || value < config.minScore || value > config.maxScore) {
+    return { error: `score must be a whole number from ${config.minScore} to ${config.maxScore}` }
+  }
+
+  const text = comment ? String(comment).trim() : ""
+  if (text.length > config.maxCommentLength) {
+    return { error: `Comments cannot be longer than ${config.maxCommentLength} characters` }
+  }
+
+  const requested = tags === undefined || tags === null ? [] : Array.isArray(tags) ? tags : [tags]
+  const allowed = getRatingTags(direction, config).map((tag) => tag.code)
+  const unknown = requested.filter((tag) => !allowed.includes(tag))
+  if (unknown.length > 0) {
+    return { error: `Unknown feedback tags: ${unknown.join(", ")}. Must be among: ${allowed.join(", ")}` }
+  }
+
+  return { rating: { score: value, comment: text || undefined, tags: [...new Set(requested)] } }
+}
+
+// Average score of the last N rides rated in one direction for a driver or rider
+const rollingAverage = async (direction, subjectField, subjectId, config = ratingsConfig) => {
+  const scoreField = `ratings.${direction}.score`
+  const [result] = await Ride.aggregate([
+    { $match: { [subjectField]: new mongoose.Types.ObjectId(subjectId), [scoreField]: { $exists: true } } },
+    { $sort: { [`ratings.${direction}.ratedAt`]: -1 } },
+    { $limit: config.rollingWindowRides },
+    { $group: { _id: null, average: { $avg: `$${scoreField}` }, count: { $sum: 1 } } },
+  ])
+  return result ? { rating: roundRating(result.average), ratingCount: result.count } : { rating: 0, ratingCount: 0 }
+}
+
+const recalculateDriverRating = async (driverId, config = ratingsConfig) => {
+  const { rating, ratingCount } = await rollingAverage("byRider", "driver._id", driverId, config)
+  await Driver.updateOne({ _id: driverId }, { $set: { rating, ratingCount, ratingUpdatedAt: new Date() } })
+  return { rating, ratingCount }
+}
+
+const recalculateRiderRating = async (userId, config = ratingsConfig) => {
+  const { rating, ratingCount } = await rollingAverage("byDriver", "user._id", userId, config)
+  await User.updateOne({ _id: userId }, { $set: { rating, ratingCount, ratingUpdatedAt: new Date() } })
+  return { rating, ratingCount }
+}
+
+// Store the rating one side gives the other after a completed ride. Each side
+// rates a ride once. Returns { success, ride, rating, subjectRating } or
+// { success: false, statusCode, message }.
+const submitRideRating = async (rideId, { requester, score, comment, tags, io }, config = ratingsConfig) => {
+  const ride = await Ride.findByIdOrLegacyId(rideId)
+  if (!ride) return { success: false, statusCode: 404, message: "Ride not found" }
+
+  const side = getRatingDirection(ride, requester)
+  if (!side) return { success: false, statusCode: 403, message: "Only the rider and the driver of a ride can rate it" }
+  const { direction, rater } = side
+
+  if (ride.status !== "completed") {
+    return { success: false, statusCode: 409, message: `A ${ride.status} ride cannot be rated` }
+  }
+  if (direction === "byRider" && !(ride.driver && ride.driver._id)) {
+    return { success: false, statusCode: 409, message: "This ride has no driver to rate" }
+  }
+  const completedAt = ride.completedAt || ride.updatedAt
+  if (Date.now() - new Date(completedAt).getTime() > config.ratingWindowDays * 24 * 60 * 60 * 1000) {
+    return { success: false, statusCode: 409, message: `Rides can only be rated within ${config.ratingWindowDays} days` }
+  }
+
+  const { rating, error } = buildRating(direction, { score, comment, tags }, config)
+  if (error) return { success: false, statusCode: 400, message: error }
+
+  const now = new Date()
+  const field = `ratings.${direction}`
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, [field]: { $exists: false } },
+    { $set: { [field]: { ...rating, ratedBy: rater, ratedAt: now } } },
+    { new: true, runValidators: true },
+  )
+  if (!updated) return { success: false, statusCode: 409, message: "You have already rated this ride" }
+
+  const subjectRating =
+    direction === "byRider"
+      ? await recalculateDriverRating(updated.driver._id, config)
+      : await recalculateRiderRating(updated.user._id, config)
+
+  await recordRideEvent({
+    ride: updated,
+    type: "rating",
+    actor: { type: direction === "byRider" ? "rider" : "driver", id: rater.id, name: rater.name },
+    message:
+      `${direction === "byRider" ? "Rider rated the driver" : "Driver rated the rider"} ${rating.score}/${config.maxScore}` +
+      (rating.tags.length > 0 ? ` (${rating.tags.join(", ")})` : ""),
+    data: { direction, ...rating, subjectRating },
+  })
+
+  if (io) {
+    const payload = {
+      rideId: updated._id,
+      direction,
+      score: rating.score,
+      tags: rating.tags,
+      lowRated: rating.score <= config.lowRatingThreshold,
+      timestamp: now.toISOString(),
+    }
+    if (direction === "byRider") {
+      io.to(`driver:${updated.driver._id}`).emit("rideRated", { ...payload, driverRating: subjectRating.rating })
+    } else {
+      io.to(`user:${updated.user._id}`).emit("rideRated", payload)
+    }
+    io.to("rides").emit("rideRated", payload)
+  }
+
+  return { success: true, ride: updated, rating: updated.ratings[direction], subjectRating }
+}
+
+// Rides rated at or below a threshold, newest rating first, for review
+const listLowRatedRides = async (
+  { direction = "byRider", threshold, driverId, userId, tag, from, to, page = 1, limit = 20 } = {},
+  config = ratingsConfig,
+) => {
+  if (!RATING_DIRECTIONS.includes(direction)) {
+    return { success: false, statusCode: 400, message: `direction must be one of: ${RATING_DIRECTIONS.join(", ")}` }
+  }
+  const maxScore = threshold !== undefined && threshold !== "" ? Number(threshold) : config.lowRatingThreshold
+  if (!Number.isFinite(maxScore)) return { success: false, statusCode: 400, message: "Invalid threshold" }
+
+  const field = `ratings.${direction}`
+  const query = { [`${field}.score`]: { $lte: maxScore } }
+  if (driverId) {
+    if (!mongoose.Types.ObjectId.isValid(driverId)) return { success: false, statusCode: 400, message: "Invalid driverId" }
+    query["driver._id"] = driverId
+  }
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) return { success: false, statusCode: 400, message: "Invalid userId" }
+    query["user._id"] = userId
+  }
+  if (tag) query[`${field}.tags`] = tag
+  if (from || to) {
+    const ratedAt = {}
+    if (from) ratedAt.$gte = new Date(from)
+    if (to) ratedAt.$lte = new Date(to)
+    if (Object.values(ratedAt).some((date) => isNaN(date.getTime()))) {
+      return { success: false, statusCode: 400, message: "Invalid from / to date" }
+    }
+    query[`${field}.ratedAt`] = ratedAt
+  }
+
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 20))
+
+  const [rides, totalItems] = await Promise.all([
+    Ride.find(query)
+      .select("service type status user driver pickup drop amount completedAt ratings")
+      .sort({ [`${field}.ratedAt`]: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Ride.countDocuments(query),
+  ])
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    success: true,
+    data: rides,
+    filters: { direction, threshold: maxScore },
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+module.exports = {
+  RATING_DIRECTIONS,
+  getRatingTags,
+  getRatingDirection,
+  buildRating,
+  recalculateDriverRating,
+  recalculateRiderRating,
+  submitRideRating,
+  listLowRatedRides,
+}
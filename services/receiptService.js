@@ -0,0 +1,350 @@
+// Location: /services/receiptService.js
+// Itemised receipts for completed rides. Rendered to HTML and PDF in-process,
+// stored under config.storageDir and emailed to the rider by a background job.
+
+const fs = require("fs")
+const path = require("path")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const User = require("../models/User")
+const transporter = require("../config/mailer")
+const receiptsConfig = require("../config/receipts")
+const PdfDocument = require("../utils/pdfDocument")
+const { recordRideEvent } = require("./rideEventService")
+
+const RECEIPT_JOB = "ride.receipt"
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  )
+
+const formatMoney = (amount, currency) => {
+  const value = (Number(amount) || 0).toFixed(2)
+  return currency === "INR" || !currency ? `₹${value}` : `${currency} ${value}`
+}
+
+const formatDate = (date, config = receiptsConfig) =>
+  date ? new Date(date).toLocaleString("en-IN", { timeZone: config.timezone, dateStyle: "medium", timeStyle: "short" }) : "-"
+
+const formatDuration = (minutes) => {
+  if (minutes === null || minutes === undefined) return "-"
+  const rounded = Math.round(minutes)
+  return rounded >= 60 ? `${Math.floor(rounded / 60)} h ${rounded % 60} min` : `${rounded} min`
+}
+
+const receiptNumber = (ride, at, config = receiptsConfig) => {
+  const day = new Date(at).toISOString().slice(0, 10).replace(/-/g, "")
+  return `${config.numberPrefix}-${day}-${String(ride._id).slice(-6).toUpperCase()}`
+}
+
+// Everything printed on a receipt, taken from the charged fare (or the
+// estimate for rides completed before fares were charged)
+const buildReceipt = (ride, { driver, user } = {}, config = receiptsConfig) => {
+  const fare = ride.fare || ride.fareEstimate || {}
+  const currency = fare.currency || "INR"
+  const items = (fare.items || []).map((item) => ({
+    code: item.code,
+    label: item.label,
+    detail:
+      item.quantity !== undefined && item.quantity !== null && item.rate !== undefined
+        ? `${item.quantity} ${item.unit || ""} x ${formatMoney(item.rate, currency)}`.replace(/\s+x/, " x")
+        : "",
+    amount: item.amount,
+  }))
+  const surgeItem = items.find((item) => item.code === "surge")
+  const issuedAt = (ride.receipt && ride.receipt.generatedAt) || new Date()
+
+  return {
+    number: (ride.receipt && ride.receipt.number) || receiptNumber(ride, ride.completedAt || issuedAt, config),
+    issuedAt,
+    company: config.company,
+    rideId: String(ride._id),
+    service: ride.service,
+    vehicleClass: ride.type,
+    rider: { name: (user && user.name) || ride.user.name, email: user && user.email },
+    driver: {
+      name: (driver && driver.name) || (ride.driver && ride.driver.name) || "-",
+      vehicle: driver && driver.vehicle,
+      vehicleType: driver && driver.vehicleType,
+      licensePlate: driver && driver.licensePlate,
+      rating: driver && driver.ratingCount > 0 ? driver.rating : undefined,
+    },
+    route: {
+      stops:
+        ride.stops && ride.stops.length > 0
+          ? ride.stops.map((stop) => stop.address || "-")
+          : [ride.pickup && ride.pickup.address, ride.drop && ride.drop.address].map((address) => address || "-"),
+      startedAt: ride.startedAt,
+      completedAt: ride.completedAt,
+      distanceKm: fare.distanceKm ?? ride.distanceKm,
+      durationMin: fare.durationMin ?? ride.durationMin,
+      waitingMin: fare.waitingMin,
+    },
+    fare: {
+      currency,
+      items,
+      surgeMultiplier: fare.surgeMultiplier || 1,
+      surgeAmount: surgeItem ? surgeItem.amount : 0,
+      subtotal: fare.subtotal ?? ride.amount,
+      taxPercent: fare.taxPercent || 0,
+      tax: fare.tax || 0,
+      promoCode: fare.promoCode,
+      discount: fare.discount || 0,
+      total: fare.total ?? ride.amount,
+    },
+  }
+}
+
+const renderReceiptHtml = (receipt) => {
+  const { fare, route, driver } = receipt
+  const money = (amount) => escapeHtml(formatMoney(amount, fare.currency))
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 14px; margin: 24px 0 8px; color: #555; text-transform: uppercase; letter-spacing: 0.05em; }
+  .muted { color: #777; font-size: 12px; }
+  .total { font-size: 28px; font-weight: bold; margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { text-align: left; font-weight: normal; color: #555; padding: 4px 0; }
+  td { text-align: right; padding: 4px 0; }
+  .items td.detail { text-align: left; color: #777; font-size: 12px; }
+  .sum th, .sum td { border-top: 1px solid #ddd; font-weight: bold; }
+  ol { padding-left: 20px; margin: 0; }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(receipt.company.name)}</h1>
+  <div class="muted">${escapeHtml(receipt.company.address)}${receipt.company.taxId ? ` &middot; GSTIN ${escapeHtml(receipt.company.taxId)}` : ""}</div>
+  <p class="muted">Receipt ${escapeHtml(receipt.number)} &middot; ${escapeHtml(formatDate(receipt.issuedAt))}</p>
+  <div class="total">${money(fare.total)}</div>
+  <p>Thanks for riding with us, ${escapeHtml(receipt.rider.name)}.</p>
+
+  <h2>Fare</h2>
+  <table class="items">
+    ${fare.items
+      .map(
+        (item) =>
+          `<tr><th>${escapeHtml(item.label)}</th><td class="detail">${escapeHtml(item.detail)}</td><td>${money(item.amount)}</td></tr>`,
+      )
+      .join("\n    ")}
+    <tr class="sum"><th>Subtotal</th><td></td><td>${money(fare.subtotal)}</td></tr>
+    <tr><th>Tax (${escapeHtml(fare.taxPercent)}%)</th><td></td><td>${money(fare.tax)}</td></tr>
+    ${fare.discount > 0 ? `<tr><th>Promo discount (${escapeHtml(fare.promoCode)})</th><td></td><td>-${money(fare.discount)}</td></tr>` : ""}
+    <tr class="sum"><th>Total</th><td></td><td>${money(fare.total)}</td></tr>
+  </table>
+  ${fare.surgeMultiplier > 1 ? `<p class="muted">Surge pricing x${escapeHtml(fare.surgeMultiplier)} applied (${money(fare.surgeAmount)}).</p>` : ""}
+
+  <h2>Trip</h2>
+  <ol>${route.stops.map((stop) => `<li>${escapeHtml(stop)}</li>`).join("")}</ol>
+  <table>
+    ${row("Service", `${receipt.service} (${receipt.vehicleClass})`)}
+    ${row("Started", formatDate(route.startedAt))}
+    ${row("Completed", formatDate(route.completedAt))}
+    ${row("Distance", route.distanceKm !== undefined && route.distanceKm !== null ? `${route.distanceKm} km` : "-")}
+    ${row("Duration", formatDuration(route.durationMin))}
+    ${route.waitingMin ? row("Waiting", formatDuration(route.waitingMin)) : ""}
+  </table>
+
+  <h2>Driver</h2>
+  <table>
+    ${row("Name", driver.name)}
+    ${driver.vehicle ? row("Vehicle", `${driver.vehicle}${driver.vehicleType ? ` (${driver.vehicleType})` : ""}`) : ""}
+    ${driver.licensePlate ? row("Registration", driver.licensePlate) : ""}
+    ${driver.rating !== undefined ? row("Rating", `${driver.rating} / 5`) : ""}
+  </table>
+
+  <p class="muted">Ride ${escapeHtml(receipt.rideId)}${receipt.company.supportEmail ? ` &middot; Questions? ${escapeHtml(receipt.company.supportEmail)}` : ""}</p>
+</body>
+</html>
+`
+}
+
+const renderReceiptPdf = (receipt) => {
+  const { fare, route, driver } = receipt
+  const money = (amount) => formatMoney(amount, fare.currency)
+  const doc = new PdfDocument()
+  const left = doc.margin
+  const width = doc.width - doc.margin * 2
+  let y = 60
+
+  doc.text(receipt.company.name, left, y, { size: 18, bold: true })
+  y += 16
+  const companyLine = [receipt.company.address, receipt.company.taxId && `GSTIN ${receipt.company.taxId}`].filter(Boolean).join(" | ")
+  if (companyLine) {
+    doc.text(companyLine, left, y, { size: 9, color: "#777777" })
+    y += 14
+  }
+  doc.text(`Receipt ${receipt.number} | ${formatDate(receipt.issuedAt)}`, left, y, { size: 9, color: "#777777" })
+  y += 36
+  doc.text(money(fare.total), left, y, { size: 26, bold: true })
+  y += 20
+  doc.text(`Thanks for riding with us, ${receipt.rider.name}.`, left, y, { size: 11 })
+
+  const heading = (title) => {
+    y += 30
+    doc.text(title.toUpperCase(), left, y, { size: 10, bold: true, color: "#555555" })
+    y += 8
+    doc.line(left, y, left + width, y, { color: "#dddddd" })
+    y += 16
+  }
+  const row = (label, value, { bold = false, detail } = {}) => {
+    doc.text(label, left, y, { size: 10, bold })
+    if (detail) doc.text(detail, left + 200, y, { size: 9, color: "#777777" })
+    doc.text(value, left, y, { size: 10, bold, align: "right", width })
+    y += 16
+  }
+
+  heading("Fare")
+  fare.items.forEach((item) => row(item.label, money(item.amount), { detail: item.detail }))
+  doc.line(left, y - 10, left + width, y - 10, { color: "#dddddd" })
+  y += 4
+  row("Subtotal", money(fare.subtotal), { bold: true })
+  row(`Tax (${fare.taxPercent}%)`, money(fare.tax))
+  if (fare.discount > 0) row(`Promo discount (${fare.promoCode})`, `-${money(fare.discount)}`)
+  row("Total", money(fare.total), { bold: true })
+  if (fare.surgeMultiplier > 1) {
+    doc.text(`Surge pricing x${fare.surgeMultiplier} applied (${money(fare.surgeAmount)}).`, left, y + 4, {
+      size: 9,
+      color: "#777777",
+    })
+    y += 12
+  }
+
+  heading("Trip")
+  route.stops.forEach((stop, index) => {
+    doc.wrapText(`${index + 1}. ${stop}`, width, 10).forEach((line) => {
+      doc.text(line, left, y, { size: 10 })
+      y += 14
+    })
+  })
+  y += 4
+  row("Service", `${receipt.service} (${receipt.vehicleClass})`)
+  row("Started", formatDate(route.startedAt))
+  row("Completed", formatDate(route.completedAt))
+  row("Distance", route.distanceKm !== undefined && route.distanceKm !== null ? `${route.distanceKm} km` : "-")
+  row("Duration", formatDuration(route.durationMin))
+  if (route.waitingMin) row("Waiting", formatDuration(route.waitingMin))
+
+  heading("Driver")
+  row("Name", driver.name)
+  if (driver.vehicle) row("Vehicle", `${driver.vehicle}${driver.vehicleType ? ` (${driver.vehicleType})` : ""}`)
+  if (driver.licensePlate) row("Registration", driver.licensePlate)
+  if (driver.rating !== undefined) row("Rating", `${driver.rating} / 5`)
+
+  const footer = [`Ride ${receipt.rideId}`, receipt.company.supportEmail && `Questions? ${receipt.company.supportEmail}`]
+  doc.text(footer.filter(Boolean).join(" | "), left, doc.height - 40, { size: 8, color: "#999999" })
+
+  return doc.toBuffer()
+}
+
+const receiptFilesExist = (ride) =>
+  Boolean(ride.receipt && ride.receipt.pdfPath && fs.existsSync(ride.receipt.pdfPath) && fs.existsSync(ride.receipt.htmlPath))
+
+// Render and store the receipt of a completed ride. Existing files are reused
+// unless `force` is set. Returns { success, ride, receipt } or { success: false, statusCode, message }.
+const generateRideReceipt = async (rideId, { force = false } = {}, config = receiptsConfig) => {
+  const ride = await Ride.findByIdOrLegacyId(rideId)
+  if (!ride) return { success: false, statusCode: 404, message: "Ride not found" }
+  if (ride.status !== "completed") {
+    return { success: false, statusCode: 409, message: `Receipts are only available for completed rides (ride is ${ride.status})` }
+  }
+  if (!force && receiptFilesExist(ride)) return { success: true, ride, receipt: ride.receipt }
+
+  const [driver, user] = await Promise.all([
+    ride.driver && ride.driver._id ? Driver.findById(ride.driver._id).select("name vehicle vehicleType licensePlate rating ratingCount") : null,
+    User.findById(ride.user._id).select("name email"),
+  ])
+  const receipt = buildReceipt(ride, { driver, user }, config)
+
+  await fs.promises.mkdir(config.storageDir, { recursive: true })
+  const basePath = path.join(config.storageDir, `receipt-${ride._id}`)
+  await fs.promises.writeFile(`${basePath}.html`, renderReceiptHtml(receipt), "utf8")
+  await fs.promises.writeFile(`${basePath}.pdf`, renderReceiptPdf(receipt))
+
+  const updated = await Ride.findByIdAndUpdate(
+    ride._id,
+    {
+      $set: {
+        "receipt.number": receipt.number,
+        "receipt.htmlPath": `${basePath}.html`,
+        "receipt.pdfPath": `${basePath}.pdf`,
+        "receipt.total": receipt.fare.total,
+        "receipt.generatedAt": receipt.issuedAt,
+      },
+    },
+    { new: true },
+  )
+
+  return { success: true, ride: updated, receipt: updated.receipt, data: receipt }
+}
+
+// Send the stored receipt to the rider: HTML as the body, PDF attached
+const emailRideReceipt = async (ride) => {
+  const user = await User.findById(ride.user._id).select("name email")
+  if (!user || !user.email) return { sent: false, reason: "Rider has no email address" }
+
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: `Your ${ride.service === "Ride" ? "ride" : "delivery"} receipt ${ride.receipt.number}`,
+      html: await fs.promises.readFile(ride.receipt.htmlPath, "utf8"),
+      attachments: [{ filename: `${ride.receipt.number}.pdf`, path: ride.receipt.pdfPath, contentType: "application/pdf" }],
+    })
+    await Ride.updateOne(
+      { _id: ride._id },
+      { $set: { "receipt.emailedTo": user.email, "receipt.emailedAt": new Date() }, $unset: { "receipt.emailError": "" } },
+    )
+    return { sent: true, to: user.email }
+  } catch (error) {
+    await Ride.updateOne({ _id: ride._id }, { $set: { "receipt.emailError": error.message } })
+    throw error
+  }
+}
+
+// Queue receipt generation for a ride that just completed
+const scheduleRideReceipt = (scheduler, ride) =>
+  scheduler.schedule(RECEIPT_JOB, new Date(), { rideId: ride._id }, { uniqueKey: `${RECEIPT_JOB}:${ride._id}` })
+
+const registerReceiptJobs = (scheduler, config = receiptsConfig) => {
+  scheduler.register(RECEIPT_JOB, async ({ rideId }) => {
+    const result = await generateRideReceipt(rideId, {}, config)
+    if (!result.success) return { skipped: true, reason: result.message }
+
+    let email = { sent: false, reason: "Receipt emails are disabled" }
+    if (config.emailOnCompletion && !result.ride.receipt.emailedAt) {
+      email = await emailRideReceipt(result.ride)
+    }
+
+    await recordRideEvent({
+      ride: result.ride,
+      type: "admin_action",
+      actor: { type: "system", name: "receipts" },
+      message: `Receipt ${result.receipt.number} generated${email.sent ? ` and emailed to ${email.to}` : ""}`,
+      data: { number: result.receipt.number, emailed: email.sent },
+    })
+    return { number: result.receipt.number, emailed: email.sent }
+  })
+
+  return scheduler
+}
+
+module.exports = {
+  RECEIPT_JOB,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  generateRideReceipt,
+  emailRideReceipt,
+  scheduleRideReceipt,
+  registerReceiptJobs,
+}
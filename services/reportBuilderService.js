@@ -0,0 +1,315 @@
+// Location: /services/reportBuilderService.js
+// Custom reports: rides grouped by up to three whitelisted dimensions (date,
+// service, driver, vehicle type, zone, status) with a few metrics each. A
+// definition (models/ReportDefinition.js) is checked against the whitelist and
+// compiled here into a fixed aggregation pipeline; no field name or operator
+// from the request reaches MongoDB. Zones are those of the ride's pickup, as
+// recorded for the rollups (models/RideRollupContribution.js). Custom reports
+// always read the rides, also in demo mode.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const RideRollupContribution = require("../models/RideRollupContribution")
+const { definitionErrors, BUILDER_FILTERS, MAX_DIMENSIONS, MAX_ROWS } = require("../models/ReportDefinition")
+const { RIDE_STATUSES } = require("../utils/rideStateMachine")
+const {
+  REPORT_TIME_RANGES,
+  REPORT_INTERVALS,
+  resolveReportPeriod,
+  bucketLimitError,
+  dateBucketKey,
+} = require("../utils/reportsHelper")
+
+// Rows a run returns when the definition sets no limit
+const DEFAULT_LIMIT = 1000
+
+// Groups an aggregation may return before folding into weeks or months
+const MAX_GROUPS = 20000
+
+const BUCKET_LABELS = { hour: "Hour", day: "Date", week: "Week starting", month: "Month" }
+
+// Group key of each dimension; driver and zone also carry a name. A ride without a
+// driver or zone is grouped as "unassigned" or "none".
+const DIMENSIONS = {
+  date: {
+    label: "Date",
+    group: (period) => ({
+      $dateToString: {
+        date: "$rideTime",
+        format: period.interval === "hour" ? "%Y-%m-%d %H:00" : "%Y-%m-%d",
+        timezone: period.timeZone,
+      },
+    }),
+  },
+  service: { label: "Service", group: () => "$service" },
+  driver: {
+    label: "Driver",
+    group: () => ({ $ifNull: [{ $toString: "$driver._id" }, "unassigned"] }),
+    name: { field: "$driver.name", missing: "Unassigned" },
+  },
+  vehicleType: { label: "Vehicle type", group: () => "$type" },
+  zone: {
+    label: "Zone",
+    group: () => ({ $ifNull: ["$zones.id", "none"] }),
+    name: { field: "$zones.name", missing: "No zone" },
+  },
+  status: { label: "Status", group: () => "$status" },
+}
+
+// Ride field each filter matches
+const FILTER_FIELDS = {
+  service: "service",
+  driver: "driver._id",
+  vehicleType: "type",
+  status: "status",
+  zone: "zones.id",
+}
+
+const isCompleted = { $eq: ["$status", "completed"] }
+
+// What every group sums; the metrics are computed from these
+const SUMS = {
+  rides: { $sum: 1 },
+  completed: { $sum: { $cond: [isCompleted, 1, 0] } },
+  cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } },
+  revenue: { $sum: { $cond: [isCompleted, { $ifNull: ["$amount", 0] }, 0] } },
+  ratingTotal: { $sum: { $ifNull: ["$ratings.byRider.score", 0] } },
+  ratedRides: { $sum: { $cond: [{ $gt: ["$ratings.byRider.score", 0] }, 1, 0] } },
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// Revenue and fares count completed rides only, as in the other reports
+const METRICS = {
+  rides: { label: "Rides", value: (sums) => sums.rides },
+  revenue: { label: "Revenue", value: (sums) => round(sums.revenue) },
+  avgFare: { label: "Average fare", value: (sums) => (sums.completed > 0 ? round(sums.revenue / sums.completed) : 0) },
+  cancellationRate: {
+    label: "Cancellation rate (%)",
+    value: (sums) => (sums.rides > 0 ? round((sums.cancelled / sums.rides) * 100, 1) : 0),
+  },
+  avgRating: {
+    label: "Average rating",
+    value: (sums) => (sums.ratedRides > 0 ? round(sums.ratingTotal / sums.ratedRides) : null),
+  },
+}
+
+const fail = (statusCode, message, errors) => ({ success: false, statusCode, message, errors })
+
+// A single filter value is taken as a list of one; empty lists are dropped
+const normalizeDefinition = (definition) => {
+  const filters = {}
+  for (const [filter, values] of Object.entries(definition.filters || {})) {
+    const list = Array.isArray(values) ? values : [values]
+    if (list.length > 0) filters[filter] = list
+  }
+  return {
+    name: definition.name,
+    dimensions: definition.dimensions || [],
+    metrics: definition.metrics || [],
+    filters,
+    period: definition.period || {},
+    sort: definition.sort || {},
+    limit: definition.limit,
+  }
+}
+
+// The saved period with a run's overrides; dates given for the run replace a saved
+// time range and the other way round
+const mergePeriod = (saved = {}, overrides = {}) => {
+  const given = Object.fromEntries(
+    ["timeRange", "startDate", "endDate", "tz", "weekStart", "interval"]
+      .filter((field) => overrides[field] !== undefined && overrides[field] !== "")
+      .map((field) => [field, overrides[field]]),
+  )
+  const period = { ...saved, ...given }
+  if (given.timeRange && !given.startDate) {
+    delete period.startDate
+    delete period.endDate
+  }
+  if (given.startDate) delete period.timeRange
+  return period
+}
+
+const filterMatch = (filter, values) => ({
+  [FILTER_FIELDS[filter]]: {
+    $in: filter === "driver" ? values.map((id) => new mongoose.Types.ObjectId(id)) : values,
+  },
+})
+
+// Rides of the period passing the filters, with `zones` when the report needs them
+const rideStages = ({ dimensions, filters }, period) => {
+  const match = { rideTime: { $gte: period.start, $lte: period.end } }
+  for (const filter of BUILDER_FILTERS) {
+    if (filter !== "zone" && filters[filter]) Object.assign(match, filterMatch(filter, filters[filter]))
+  }
+  const stages = [{ $match: match }]
+
+  if (dimensions.includes("zone") || filters.zone) {
+    stages.push(
+      {
+        $lookup: {
+          from: RideRollupContribution.collection.name,
+          localField: "_id",
+          foreignField: "ride",
+          as: "contribution",
+        },
+      },
+      { $addFields: { zones: { $ifNull: [{ $arrayElemAt: ["$contribution.zones", 0] }, []] } } },
+      { $project: { contribution: 0 } },
+    )
+  }
+  if (filters.zone) stages.push({ $match: filterMatch("zone", filters.zone) })
+  return stages
+}
+
+// One group per combination of dimension values. A ride in two zones is in both
+// zone groups, so the totals are summed separately.
+const groupStages = ({ dimensions, filters }, period) => {
+  const stages = []
+  if (dimensions.includes("zone")) {
+    stages.push({ $unwind: { path: "$zones", preserveNullAndEmptyArrays: true } })
+    if (filters.zone) stages.push({ $match: filterMatch("zone", filters.zone) })
+  }
+
+  const group = { _id: {} }
+  for (const dimension of dimensions) {
+    group._id[dimension] = DIMENSIONS[dimension].group(period)
+    if (DIMENSIONS[dimension].name) group[`${dimension}Name`] = { $last: DIMENSIONS[dimension].name.field }
+  }
+  Object.assign(group, SUMS)
+  stages.push({ $group: group }, { $limit: MAX_GROUPS + 1 })
+  return stages
+}
+
+// Days of weekly and monthly reports summed into their week or month
+const foldDates = (groups, period) => {
+  if (!groups.some((group) => group._id.date) || !["week", "month"].includes(period.interval)) return groups
+
+  const folded = new Map()
+  for (const group of groups) {
+    const id = { ...group._id, date: dateBucketKey(group._id.date, period.interval, period.weekStartsOn) }
+    const key = JSON.stringify(id)
+    if (!folded.has(key)) {
+      folded.set(key, { ...group, _id: id })
+      continue
+    }
+    const row = folded.get(key)
+    for (const sum of Object.keys(SUMS)) row[sum] += group[sum]
+  }
+  return [...folded.values()]
+}
+
+const toRow = (group, { dimensions, metrics }) => {
+  const row = {}
+  for (const dimension of dimensions) {
+    row[dimension] = group._id[dimension]
+    const { name } = DIMENSIONS[dimension]
+    if (name) row[`${dimension}Name`] = group[`${dimension}Name`] || name.missing
+  }
+  for (const metric of metrics) row[metric] = METRICS[metric].value(group)
+  return row
+}
+
+// Driver and zone rows sort by name; missing values (e.g. no rating) go last
+const sortValue = (row, by) => (DIMENSIONS[by] && DIMENSIONS[by].name ? row[`${by}Name`] : row[by])
+
+const sortRows = (rows, { dimensions, metrics, sort }) => {
+  const by = sort.by || (dimensions.includes("date") ? "date" : metrics[0])
+  const direction = (sort.order || (METRICS[by] ? "desc" : "asc")) === "asc" ? 1 : -1
+  return rows.sort((a, b) => {
+    const [left, right] = [sortValue(a, by), sortValue(b, by)]
+    if (left === right) return 0
+    if (left === null || left === undefined) return 1
+    if (right === null || right === undefined) return -1
+    return (typeof left === "number" ? left - right : String(left).localeCompare(String(right))) * direction
+  })
+}
+
+// Columns of the rows, in order; IDs are left out of PDFs
+const reportColumns = ({ dimensions, metrics }, period) => [
+  ...dimensions.flatMap((dimension) => {
+    if (dimension === "date") return [{ key: "date", label: BUCKET_LABELS[period.interval] || "Date" }]
+    if (!DIMENSIONS[dimension].name) return [{ key: dimension, label: DIMENSIONS[dimension].label }]
+    return [
+      { key: dimension, label: `${DIMENSIONS[dimension].label} ID`, pdf: false },
+      { key: `${dimension}Name`, label: DIMENSIONS[dimension].label },
+    ]
+  }),
+  ...metrics.map((metric) => ({ key: metric, label: METRICS[metric].label })),
+]
+
+// Run a definition (saved or not). periodOverrides replace parts of its period for
+// this run, e.g. another timeRange. Returns { success, report } or a failure with
+// statusCode, message and errors.
+const runReportDefinition = async (definition, periodOverrides = {}) => {
+  const normalized = normalizeDefinition(definition)
+  normalized.period = mergePeriod(normalized.period, periodOverrides)
+
+  const errors = definitionErrors(normalized)
+  if (errors.length > 0) return fail(400, "Invalid report definition", errors)
+
+  const period = resolveReportPeriod(normalized.period)
+  const bucketError = normalized.dimensions.includes("date") && bucketLimitError(period)
+  if (bucketError) return fail(400, "Invalid report definition", [bucketError])
+  const stages = rideStages(normalized, period)
+  const [groups, [totalSums]] = await Promise.all([
+    Ride.aggregate([...stages, ...groupStages(normalized, period)]).allowDiskUse(true),
+    Ride.aggregate([...stages, { $group: { _id: null, ...SUMS } }]).allowDiskUse(true),
+  ])
+  if (groups.length > MAX_GROUPS) {
+    return fail(400, "Too many groups: add filters, use fewer dimensions or a longer interval")
+  }
+
+  const rows = sortRows(
+    foldDates(groups, period).map((group) => toRow(group, normalized)),
+    normalized,
+  )
+  const limit = normalized.limit || DEFAULT_LIMIT
+  const sums = totalSums || Object.fromEntries(Object.keys(SUMS).map((sum) => [sum, 0]))
+
+  return {
+    success: true,
+    report: {
+      name: normalized.name || "Custom report",
+      definition: normalized,
+      columns: reportColumns(normalized, period),
+      rows: rows.slice(0, limit),
+      totals: Object.fromEntries(normalized.metrics.map((metric) => [metric, METRICS[metric].value(sums)])),
+      rowCount: rows.length,
+      truncated: rows.length > limit,
+      dateRange: { start: period.start, end: period.end },
+      timezone: period.timeZone,
+      filters: { timeRange: period.timeRange, interval: period.interval, weekStart: period.weekStartsOn },
+      hasData: sums.rides > 0,
+      timestamp: new Date().toISOString(),
+      dataSource: "database",
+      isSampleData: false,
+    },
+  }
+}
+
+// What the builder offers, for the report builder screen
+const builderFields = () => ({
+  dimensions: Object.entries(DIMENSIONS).map(([key, { label }]) => ({ key, label })),
+  metrics: Object.entries(METRICS).map(([key, { label }]) => ({ key, label })),
+  // Values are listed where the set is fixed; drivers and zones are IDs
+  filters: BUILDER_FILTERS.map((key) => ({
+    key,
+    label: DIMENSIONS[key].label,
+    ...(key === "service" ? { values: Ride.schema.path("service").enumValues } : {}),
+    ...(key === "status" ? { values: RIDE_STATUSES } : {}),
+  })),
+  timeRanges: REPORT_TIME_RANGES,
+  intervals: REPORT_INTERVALS,
+  maxDimensions: MAX_DIMENSIONS,
+  maxRows: MAX_ROWS,
+  defaultLimit: DEFAULT_LIMIT,
+})
+
+module.exports = {
+  METRICS,
+  DEFAULT_LIMIT,
+  builderFields,
+  runReportDefinition,
+}
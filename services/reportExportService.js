@@ -0,0 +1,532 @@
+// Location: /services/reportExportService.js
+// Report downloads. Each report (services/reportsService.js) is laid out as a
+// few tables and charts, then written as CSV (one section per table), XLSX (one
+// sheet per table) or PDF (charts, then the tables). Rows are written to the
+// output as they are produced instead of building the whole file first.
+
+const { Writable } = require("stream")
+const reportsConfig = require("../config/reports")
+const PdfDocument = require("../utils/pdfDocument")
+const XlsxWriter = require("../utils/xlsxWriter")
+const { toCsvRow } = require("../utils/csv")
+const { writeChunk } = require("../utils/streams")
+const { formatZonedDate } = require("../utils/timezone")
+const { fitText, barChart, lineChart, pieChart } = require("../utils/pdfCharts")
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  pdf: { contentType: "application/pdf" },
+}
+
+// CSV lines per write
+const CSV_BATCH_SIZE = 500
+
+// pdf: false leaves a column out of PDFs, where space is short
+const column = (header, value, { pdf = true } = {}) => ({
+  header,
+  value: typeof value === "function" ? value : (row) => row[value],
+  pdf,
+})
+
+const metricColumns = [column("Metric", "metric"), column("Value", "value")]
+
+// Header of the chart bucket column for each interval
+const BUCKET_HEADERS = { hour: "Hour", day: "Date", week: "Week starting", month: "Month" }
+
+// Rows in the bar chart of a custom report
+const CUSTOM_CHART_ROWS = 20
+
+// Time zone the report was built for (its tz parameter)
+const reportTimezone = (report) => report.timezone || reportsConfig.timezone
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleString("en-IN", { timeZone, dateStyle: "medium", timeStyle: "short" })
+
+// Tables and charts of each report. Chart specs are drawn by utils/pdfCharts.js.
+const REPORT_LAYOUTS = {
+  earnings: {
+    title: "Earnings report",
+    tables: (report) => {
+      const { summary, cancellations } = report
+      const breakdownColumns = (keyHeader, key) => [
+        column(keyHeader, key),
+        column("Cancellations", "count"),
+        column("Share (%)", "percentage"),
+        column("Fees", "fees"),
+        column("Driver compensation", "driverCompensation"),
+      ]
+      return [
+        {
+          title: "Summary",
+          columns: metricColumns,
+          rows: [
+            { metric: "Total earnings", value: summary.totalEarnings },
+            { metric: "Completed rides", value: summary.totalRides },
+            { metric: "Average fare", value: summary.avgEarningPerRide },
+            { metric: "Cancellation rate (%)", value: summary.cancellationRate },
+            { metric: "Surge revenue", value: summary.surgeRevenue },
+            { metric: "Surged rides", value: summary.surgedRides },
+            { metric: "Promo cost", value: summary.promoCost },
+            { metric: "Promo rides", value: summary.promoRides },
+            { metric: "Cancellations", value: cancellations.total },
+            { metric: "Cancellation fees", value: cancellations.totalFees },
+            { metric: "Driver compensation", value: cancellations.totalDriverCompensation },
+          ],
+        },
+        {
+          title: "Earnings",
+          columns: [
+            column(BUCKET_HEADERS[report.filters.interval] || "Date", "name"),
+            column("Earnings", "earnings"),
+            column("Completed rides", "rides"),
+            column("Cancellations", "cancellations"),
+            column("Average fare", "avgPerRide"),
+            column("Surge revenue", "surgeRevenue"),
+            column("Promo cost", "promoCost"),
+          ],
+          rows: report.chartData,
+        },
+        {
+          title: "Cancellations by reason",
+          columns: [column("Reason code", "reasonCode"), ...breakdownColumns("Reason", "label")],
+          rows: cancellations.byReason,
+        },
+        {
+          title: "Cancellations by actor",
+          columns: breakdownColumns("Cancelled by", "actor"),
+          rows: cancellations.byActor,
+        },
+        { title: "Cancellations by stage", columns: breakdownColumns("Stage", "stage"), rows: cancellations.byStage },
+      ]
+    },
+    charts: (report) => [
+      {
+        type: "bar",
+        title: `Earnings per ${report.filters.interval || "day"}`,
+        labels: report.chartData.map((point) => point.name),
+        values: report.chartData.map((point) => point.earnings),
+      },
+      {
+        type: "pie",
+        title: "Cancellations by reason",
+        slices: report.cancellations.byReason.map((reason) => ({ label: reason.label, value: reason.count })),
+      },
+    ],
+  },
+
+  "driver-performance": {
+    title: "Driver performance report",
+    tables: (report) => [
+      {
+        title: "Summary",
+        columns: metricColumns,
+        rows: [
+          { metric: "Drivers with rides", value: report.tableData.length },
+          { metric: "Rides", value: report.tableData.reduce((sum, driver) => sum + driver.rides, 0) },
+          {
+            metric: "Earnings",
+            value: Math.round(report.tableData.reduce((sum, driver) => sum + driver.earnings, 0) * 100) / 100,
+          },
+        ],
+      },
+      {
+        title: "Drivers",
+        columns: [
+          column("Driver ID", (driver) => String(driver.id), { pdf: false }),
+          column("Driver", "name"),
+          column("Rides", "rides"),
+          column("Completed", "completedRides"),
+          column("Cancelled", "cancelledRides"),
+          column("Earnings", "earnings"),
+          column("Average fare", "avgPerRide"),
+          column("Completion (%)", "completionRate"),
+          column("Cancellation (%)", "cancellationRate"),
+          column("Rating", "rating"),
+          column("Period rating", "avgRating"),
+          column("Low ratings", "lowRatedRides"),
+        ],
+        rows: report.tableData,
+      },
+    ],
+    charts: (report) => {
+      const top = report.tableData.slice(0, 15)
+      return [
+        {
+          type: "pie",
+          title: "Share of earnings",
+          slices: report.pieChartData.map((driver) => ({ label: driver.name, value: driver.earnings })),
+        },
+        {
+          type: "bar",
+          title: `Rides of the top ${top.length} earners`,
+          labels: top.map((driver) => driver.name),
+          values: top.map((driver) => driver.rides),
+        },
+      ]
+    },
+  },
+
+  "rides-analysis": {
+    title: "Rides analysis report",
+    tables: (report) => {
+      const { labels, data, earnings } = report.serviceDistribution
+      return [
+        {
+          title: "Rides",
+          columns: [
+            column(BUCKET_HEADERS[report.filters.interval] || "Period", "name"),
+            column("Rides", "rides"),
+            column("Completed", "completed"),
+            column("Cancelled", "cancelled"),
+            column("Pending", "pending"),
+            column("In progress", "inProgress"),
+          ],
+          rows: report.chartData,
+        },
+        {
+          title: "Services",
+          columns: [column("Service", "service"), column("Rides", "rides"), column("Earnings", "earnings")],
+          rows: labels.map((service, index) => ({ service, rides: data[index], earnings: earnings[index] })),
+        },
+      ]
+    },
+    charts: (report) => [
+      {
+        type: "line",
+        title: "Rides over time",
+        labels: report.chartData.map((point) => point.name),
+        series: [
+          { label: "Rides", values: report.chartData.map((point) => point.rides) },
+          { label: "Completed", values: report.chartData.map((point) => point.completed) },
+          { label: "Cancelled", values: report.chartData.map((point) => point.cancelled) },
+        ],
+      },
+      {
+        type: "pie",
+        title: "Rides by service",
+        slices: report.serviceDistribution.labels.map((label, index) => ({
+          label,
+          value: report.serviceDistribution.data[index],
+        })),
+      },
+    ],
+  },
+
+  summary: {
+    title: "Reports summary",
+    tables: (report) => [
+      {
+        title: "Summary",
+        columns: [...metricColumns, column("Change on previous period (%)", "change")],
+        rows: [
+          { metric: "Total earnings", value: report.totalEarnings, change: report.earningsChange },
+          { metric: "Total rides", value: report.totalRides, change: report.ridesChange },
+          { metric: "Average per ride", value: report.avgPerRide, change: report.avgPerRideChange },
+          { metric: "Cancellation rate (%)", value: report.cancellationRate, change: report.cancellationRateChange },
+        ],
+      },
+      {
+        title: "Top drivers",
+        columns: [
+          column("Driver ID", (driver) => String(driver.id), { pdf: false }),
+          column("Driver", "name"),
+          column("Completed rides", "rides"),
+          column("Earnings", "earnings"),
+        ],
+        rows: report.drivers,
+      },
+    ],
+    charts: (report) => [
+      {
+        type: "bar",
+        title: "Top drivers by earnings",
+        labels: report.drivers.map((driver) => driver.name),
+        values: report.drivers.map((driver) => driver.earnings),
+      },
+    ],
+  },
+
+  // Built by services/reportBuilderService.js from a report definition
+  custom: {
+    title: "Custom report",
+    // Saved reports are headed with their name
+    heading: (report) => report.name,
+    tables: (report) => {
+      const metricLabels = report.columns.filter((reportColumn) => reportColumn.key in report.totals)
+      return [
+        {
+          title: "Totals",
+          columns: metricColumns,
+          rows: metricLabels.map(({ key, label }) => ({ metric: label, value: report.totals[key] })),
+        },
+        {
+          title: report.name,
+          columns: report.columns.map(({ key, label, pdf }) => column(label, key, { pdf })),
+          rows: report.rows,
+        },
+      ]
+    },
+    // The first metric: over time when the report is by date only, else for the top rows
+    charts: (report) => {
+      const { dimensions, metrics } = report.definition
+      const metric = report.columns.find((reportColumn) => reportColumn.key === metrics[0])
+      if (dimensions.length === 1 && dimensions[0] === "date") {
+        return [
+          {
+            type: "line",
+            title: `${metric.label} per ${report.filters.interval}`,
+            labels: report.rows.map((row) => row.date),
+            series: [{ label: metric.label, values: report.rows.map((row) => row[metric.key] || 0) }],
+          },
+        ]
+      }
+      if (dimensions.length === 0) return []
+
+      const labelOf = (row) => dimensions.map((dimension) => row[`${dimension}Name`] || row[dimension]).join(" / ")
+      const rows = report.rows.slice(0, CUSTOM_CHART_ROWS)
+      return [
+        {
+          type: "bar",
+          title: `${metric.label} (first ${rows.length} rows)`,
+          labels: rows.map(labelOf),
+          values: rows.map((row) => row[metric.key] || 0),
+        },
+      ]
+    },
+  },
+}
+
+const reportHeading = (type, report) => {
+  const layout = REPORT_LAYOUTS[type]
+  return (layout.heading && layout.heading(report)) || layout.title
+}
+
+// What, when and from where, as the first table of every export
+const reportInfo = (type, report) => {
+  const timeZone = reportTimezone(report)
+  return {
+    title: "Report",
+    columns: [column("Field", "field"), column("Value", "value")],
+    rows: [
+      { field: "Report", value: reportHeading(type, report) },
+      { field: "From", value: formatDate(report.dateRange.start, timeZone) },
+      { field: "To", value: formatDate(report.dateRange.end, timeZone) },
+      { field: "Time zone", value: timeZone },
+      { field: "Data source", value: report.isSampleData ? "sample (demo mode)" : report.dataSource },
+      { field: "Generated at", value: formatDate(report.timestamp, timeZone) },
+    ],
+  }
+}
+
+const exportFilename = (type, report, format) => {
+  const timeZone = reportTimezone(report)
+  const from = formatZonedDate(report.dateRange.start, timeZone)
+  return `${type}-report-${from}-to-${formatZonedDate(report.dateRange.end, timeZone)}.${format}`
+}
+
+const cellValues = (table, row) => table.columns.map((tableColumn) => tableColumn.value(row))
+
+const writeCsv = async (output, tables) => {
+  for (const [index, table] of tables.entries()) {
+    const lines = [...(index > 0 ? [""] : []), toCsvRow([table.title]), toCsvRow(table.columns.map((c) => c.header))]
+    for (const row of table.rows) {
+      lines.push(toCsvRow(cellValues(table, row)))
+      if (lines.length >= CSV_BATCH_SIZE) await writeChunk(output, lines.splice(0).join("\r\n") + "\r\n")
+    }
+    if (lines.length) await writeChunk(output, lines.join("\r\n") + "\r\n")
+  }
+}
+
+const writeXlsx = async (output, tables) => {
+  const workbook = new XlsxWriter(output)
+  for (const table of tables) {
+    await workbook.addSheet(
+      table.title,
+      table.columns.map((c) => c.header),
+      (function* () {
+        for (const row of table.rows) yield cellValues(table, row)
+      })(),
+    )
+  }
+  await workbook.finish()
+}
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === "") return "-"
+  if (typeof value === "number") return value.toLocaleString("en-IN", { maximumFractionDigits: 2 })
+  return String(value)
+}
+
+// Rows measured when sizing table columns
+const PDF_MEASURE_ROWS = 200
+
+// Columns as wide as their content; numbers are never cut, long text and headers may be
+const columnWidths = (doc, columns, rows, width) => {
+  const sample = rows.slice(0, PDF_MEASURE_ROWS)
+  const natural = []
+  const minimum = []
+  for (const tableColumn of columns) {
+    const values = sample.map(tableColumn.value)
+    const valueWidth = Math.max(0, ...values.map((value) => doc.textWidth(formatCell(value), 8))) + 8
+    natural.push(Math.max(valueWidth, doc.textWidth(tableColumn.header, 8, true) + 8))
+    minimum.push(values.some((value) => typeof value === "number") ? valueWidth : Math.min(valueWidth, 60))
+  }
+
+  const sum = (list) => list.reduce((total, value) => total + value, 0)
+  if (sum(natural) <= width) return natural.map((value) => (value * width) / sum(natural))
+  const spare = width - sum(minimum)
+  if (spare <= 0) return minimum.map((value) => (value * width) / sum(minimum))
+  const wanted = sum(natural) - sum(minimum)
+  return minimum.map((value, index) => value + (spare * (natural[index] - value)) / wanted)
+}
+
+// Table with a shaded header row, continued on new pages with the header repeated
+const drawTable = (doc, table, top) => {
+  const columns = table.columns.filter((tableColumn) => tableColumn.pdf)
+  const left = doc.margin
+  const width = doc.width - doc.margin * 2
+  const bottom = doc.height - doc.margin - 20
+  const widths = columnWidths(doc, columns, table.rows, width)
+  const numeric = columns.map((tableColumn) =>
+    table.rows.slice(0, PDF_MEASURE_ROWS).some((row) => typeof tableColumn.value(row) === "number"),
+  )
+  const rowHeight = 14
+  let y = top
+
+  const drawRow = (values, { header = false } = {}) => {
+    if (header) doc.rect(left, y - 10, width, rowHeight, { fill: "#f3f4f6" })
+    let x = left
+    values.forEach((value, index) => {
+      const cellWidth = widths[index] - 6
+      doc.text(fitText(doc, header ? value : formatCell(value), cellWidth, 8), x + 3, y, {
+        size: 8,
+        bold: header,
+        align: numeric[index] ? "right" : "left",
+        width: cellWidth,
+      })
+      x += widths[index]
+    })
+    y += rowHeight
+  }
+  const drawHeader = () => drawRow(columns.map((tableColumn) => tableColumn.header), { header: true })
+
+  if (y + rowHeight * 3 > bottom) {
+    doc.addPage()
+    y = doc.margin + 10
+  }
+  doc.text(table.title, left, y, { size: 11, bold: true })
+  y += 18
+  drawHeader()
+
+  if (table.rows.length === 0) {
+    doc.text("No data for this period", left + 3, y, { size: 8, color: "#6b7280" })
+    return y + rowHeight + 12
+  }
+  for (const row of table.rows) {
+    if (y > bottom) {
+      doc.addPage()
+      y = doc.margin + 10
+      drawHeader()
+    }
+    drawRow(columns.map((tableColumn) => tableColumn.value(row)))
+    doc.line(left, y - rowHeight + 4, left + width, y - rowHeight + 4, { color: "#f3f4f6" })
+  }
+  return y + 12
+}
+
+const CHARTS = { bar: barChart, line: lineChart, pie: pieChart }
+
+const chartHasData = (chart) => {
+  if (chart.type === "pie") return chart.slices.some((slice) => slice.value > 0)
+  const values = chart.type === "line" ? chart.series.flatMap((line) => line.values) : chart.values
+  return values.some((value) => value > 0)
+}
+
+const buildPdf = (type, report, tables) => {
+  const layout = REPORT_LAYOUTS[type]
+  const doc = new PdfDocument()
+  const left = doc.margin
+  const width = doc.width - doc.margin * 2
+  const timeZone = reportTimezone(report)
+  let y = doc.margin + 10
+
+  doc.text(reportHeading(type, report), left, y, { size: 18, bold: true })
+  y += 18
+  doc.text(
+    `${formatDate(report.dateRange.start, timeZone)} - ${formatDate(report.dateRange.end, timeZone)} (${timeZone})`,
+    left,
+    y,
+    { size: 9, color: "#6b7280" },
+  )
+  y += 13
+  doc.text(`Generated ${formatDate(report.timestamp, timeZone)} | Data source: ${report.dataSource}`, left, y, {
+    size: 9,
+    color: "#6b7280",
+  })
+  if (report.isSampleData) {
+    y += 13
+    doc.text("Sample data (demo mode): these are not real figures.", left, y, { size: 9, bold: true, color: "#dc2626" })
+  }
+  y += 20
+
+  for (const chart of layout.charts(report)) {
+    // An empty chart is only its title and a note
+    const height = !chartHasData(chart) ? 40 : chart.type === "pie" ? 170 : 200
+    if (y + height > doc.height - doc.margin) {
+      doc.addPage()
+      y = doc.margin
+    }
+    if (height === 40) {
+      doc.text(chart.title, left, y + 10, { size: 11, bold: true })
+      doc.text("No data for this period", left, y + 28, { size: 9, color: "#6b7280" })
+    } else {
+      CHARTS[chart.type](doc, { ...chart, x: left, y, width, height })
+    }
+    y += height + 20
+  }
+
+  // The report info is printed in the heading above
+  for (const table of tables.slice(1)) y = drawTable(doc, table, y)
+
+  doc.pages.forEach((page, index) => {
+    doc.current = page
+    doc.text(`Page ${index + 1} of ${doc.pages.length}`, left, doc.height - 24, {
+      size: 8,
+      color: "#9ca3af",
+      align: "right",
+      width,
+    })
+  })
+  return doc
+}
+
+// Write a report as csv, xlsx or pdf to a writable stream, which is left open
+const writeReportExport = async (output, { type, format, report }) => {
+  const tables = [reportInfo(type, report), ...REPORT_LAYOUTS[type].tables(report)]
+
+  if (format === "csv") return writeCsv(output, tables)
+  if (format === "xlsx") return writeXlsx(output, tables)
+  for (const chunk of buildPdf(type, report, tables).chunks()) await writeChunk(output, chunk)
+}
+
+// The whole file in memory, for email attachments
+const renderReportExport = async (options) => {
+  const chunks = []
+  const collector = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    },
+  })
+  await writeReportExport(collector, options)
+  return Buffer.concat(chunks)
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  REPORT_LAYOUTS,
+  exportFilename,
+  writeReportExport,
+  renderReportExport,
+}
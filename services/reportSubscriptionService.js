@@ -0,0 +1,178 @@
+// Location: /services/reportSubscriptionService.js
+// Reports emailed on a schedule. Each subscription has one pending delivery job
+// in the job scheduler at a time; a delivery queues the next one before it runs,
+// so a failing report does not stop the schedule. Every attempt, scheduled or
+// sent by hand, is kept as a ReportSubscriptionRun.
+
+const ReportSubscription = require("../models/ReportSubscription")
+const ReportSubscriptionRun = require("../models/ReportSubscriptionRun")
+const ScheduledJob = require("../models/ScheduledJob")
+const transporter = require("../config/mailer")
+const { REPORT_BUILDERS } = require("./reportsService")
+const { EXPORT_FORMATS, REPORT_LAYOUTS, exportFilename, renderReportExport } = require("./reportExportService")
+const { nextCronRun } = require("../utils/cron")
+
+const REPORT_SUBSCRIPTION_JOB = "reports.subscription.deliver"
+const REPORT_SUBSCRIPTION_SYNC_JOB = "reports.subscriptions.sync"
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleString("en-IN", { timeZone, dateStyle: "medium", timeStyle: "short" })
+
+// Queue the delivery following `after`. Jobs carry the schedule they were queued
+// for, so one queued before the schedule changed is skipped when it comes up.
+const queueNextDelivery = async (scheduler, subscription, after = new Date()) => {
+  const runAt = nextCronRun(subscription.schedule, after, subscription.timezone)
+  if (!runAt) {
+    await ReportSubscription.updateOne({ _id: subscription._id }, { $unset: { nextRunAt: "" } })
+    return null
+  }
+
+  const job = await scheduler.schedule(
+    REPORT_SUBSCRIPTION_JOB,
+    runAt,
+    {
+      subscriptionId: String(subscription._id),
+      schedule: subscription.schedule,
+      timezone: subscription.timezone,
+      scheduledFor: runAt,
+    },
+    { uniqueKey: `reportSubscription:${subscription._id}@${runAt.toISOString()}` },
+  )
+  await ReportSubscription.updateOne({ _id: subscription._id }, { $set: { nextRunAt: runAt } })
+  return job
+}
+
+const cancelDeliveries = (scheduler, subscriptionId) =>
+  scheduler.cancel({ name: REPORT_SUBSCRIPTION_JOB, "payload.subscriptionId": String(subscriptionId) })
+
+// After a subscription is created, changed or paused: drop the queued delivery
+// and queue the next one if it is active
+const rescheduleSubscription = async (scheduler, subscription) => {
+  await cancelDeliveries(scheduler, subscription._id)
+  if (subscription.isActive) return queueNextDelivery(scheduler, subscription)
+
+  await ReportSubscription.updateOne({ _id: subscription._id }, { $unset: { nextRunAt: "" } })
+  return null
+}
+
+const deliveryEmail = (subscription, report, recipients, attachment) => {
+  const { timezone } = subscription
+  const title = REPORT_LAYOUTS[subscription.report].title
+  const period = `${formatDate(report.dateRange.start, timezone)} - ${formatDate(report.dateRange.end, timezone)}`
+
+  return {
+    from: process.env.EMAIL_USER,
+    to: recipients.join(", "),
+    subject: `${subscription.name}: ${title} (${period})`,
+    text:
+      `Attached is the ${title.toLowerCase()} for ${period} (${timezone}).\n` +
+      (report.isSampleData ? "\nThese are SAMPLE figures: reports are in demo mode.\n" : "") +
+      `\nYou receive this report on the schedule "${subscription.schedule}" (${timezone}) ` +
+      `of the "${subscription.name}" subscription.`,
+    attachments: [attachment],
+  }
+}
+
+// Build the report, render it and email it. Never throws: failures are recorded
+// on the returned run (status "failed", error).
+const deliverSubscription = async (subscription, { trigger, scheduledFor, job, requestedBy, recipients } = {}) => {
+  const to = recipients && recipients.length > 0 ? recipients : subscription.recipients
+  const run = await ReportSubscriptionRun.create({
+    subscription: subscription._id,
+    trigger,
+    scheduledFor: scheduledFor || new Date(),
+    job: job && job._id,
+    attempt: job && job.attempts,
+    report: subscription.report,
+    format: subscription.format,
+    recipients: to,
+    requestedBy,
+  })
+
+  try {
+    const filters = subscription.filters || {}
+    const report = await REPORT_BUILDERS[subscription.report]({
+      ...(filters.timeRange ? { timeRange: filters.timeRange } : {}),
+      driverFilter: filters.driverFilter || "all",
+      tz: subscription.timezone,
+    })
+    const content = await renderReportExport({ type: subscription.report, format: subscription.format, report })
+    const filename = exportFilename(subscription.report, report, subscription.format)
+
+    const info = await transporter.sendMail(
+      deliveryEmail(subscription, report, to, {
+        filename,
+        content,
+        contentType: EXPORT_FORMATS[subscription.format].contentType,
+      }),
+    )
+    run.set({
+      status: "success",
+      filename,
+      size: content.length,
+      dataSource: report.dataSource,
+      messageId: info.messageId,
+    })
+  } catch (error) {
+    console.error(`❌ Report subscription ${subscription._id} delivery failed:`, error.message)
+    run.set({ status: "failed", error: error.message })
+  }
+
+  run.finishedAt = new Date()
+  run.durationMs = run.finishedAt - run.startedAt
+  await run.save()
+  await ReportSubscription.updateOne(
+    { _id: subscription._id },
+    { $set: { lastRun: { run: run._id, at: run.finishedAt, status: run.status, error: run.error } } },
+  )
+  return run
+}
+
+// Subscriptions that should have a delivery queued but have none, e.g. after
+// their job was removed by hand or a reschedule failed half way
+const queueMissingDeliveries = async (scheduler) => {
+  const subscriptions = await ReportSubscription.find({ isActive: true })
+  let queued = 0
+  for (const subscription of subscriptions) {
+    const pending = await ScheduledJob.exists({
+      name: REPORT_SUBSCRIPTION_JOB,
+      "payload.subscriptionId": String(subscription._id),
+      status: { $in: ["pending", "running"] },
+    })
+    if (!pending && (await queueNextDelivery(scheduler, subscription))) queued += 1
+  }
+  return { checked: subscriptions.length, queued }
+}
+
+const registerReportSubscriptionJobs = (scheduler) => {
+  scheduler.register(REPORT_SUBSCRIPTION_JOB, async ({ subscriptionId, schedule, timezone, scheduledFor }, job) => {
+    const subscription = await ReportSubscription.findById(subscriptionId)
+    if (!subscription || !subscription.isActive) return { skipped: true, reason: "Subscription inactive or deleted" }
+    if (subscription.schedule !== schedule || subscription.timezone !== timezone) {
+      return { skipped: true, reason: "Schedule changed since this delivery was queued" }
+    }
+
+    await queueNextDelivery(scheduler, subscription)
+
+    const run = await deliverSubscription(subscription, { trigger: "schedule", scheduledFor, job })
+    // Failed deliveries are retried by the scheduler (which moves job.runAt); each attempt keeps its own run
+    if (run.status === "failed") throw new Error(run.error)
+    return { runId: run._id, recipients: run.recipients.length, filename: run.filename }
+  })
+
+  scheduler.registerRecurring(
+    REPORT_SUBSCRIPTION_SYNC_JOB,
+    (after) => nextCronRun("0 * * * *", after, "UTC"),
+    () => queueMissingDeliveries(scheduler),
+  )
+  return scheduler
+}
+
+module.exports = {
+  REPORT_SUBSCRIPTION_JOB,
+  queueNextDelivery,
+  cancelDeliveries,
+  rescheduleSubscription,
+  deliverSubscription,
+  registerReportSubscriptionJobs,
+}
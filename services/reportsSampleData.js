@@ -0,0 +1,423 @@
+// Location: /services/reportsSampleData.js
+// Generated rides for demoing the reports page without real data. Only used when
+// config/reports.js demoMode is on (REPORTS_DEMO_MODE=true); every function
+// returns the same shape as the matching aggregation in services/reportsService.js.
+
+const pricingConfig = require("../config/pricing")
+const { calculateFare } = require("./fareService")
+const cancellationConfig = require("../config/cancellation")
+const { evaluateCancellationPolicy } = require("./cancellationService")
+const ratingsConfig = require("../config/ratings")
+
+// Persistent sample data cache
+let sampleDataCache = {
+  rides: [],
+  drivers: [],
+  lastGenerated: null,
+  isInitialized: false,
+}
+
+// Cancellation details for a sample ride, priced with the real cancellation policy
+const generateSampleCancellation = (rideTime, driver) => {
+  const actorType = ["rider", "rider", "rider", "driver", "system"][Math.floor(Math.random() * 5)]
+  const reasons = cancellationConfig.reasons.filter((reason) => reason.actors.includes(actorType))
+  const reason = reasons[Math.floor(Math.random() * reasons.length)]
+  const stage = ["requested", "accepted", "arrived"][Math.floor(Math.random() * 3)]
+
+  const minutesAfter = (minutes) => new Date(rideTime.getTime() + minutes * 60 * 1000)
+  const ride = {
+    status: stage,
+    createdAt: rideTime,
+    driver: stage === "requested" ? undefined : { _id: driver.id },
+    acceptedAt: stage === "requested" ? undefined : minutesAfter(1),
+    arrivedAt: stage === "arrived" ? minutesAfter(8) : undefined,
+  }
+  const cancelledAt = minutesAfter(stage === "arrived" ? 8 + Math.random() * 10 : 1 + Math.random() * 10)
+
+  return {
+    actor: { type: actorType },
+    reasonCode: reason.code,
+    reasonLabel: reason.label,
+    cancelledAt,
+    ...evaluateCancellationPolicy(ride, { actorType, reason, at: cancelledAt }),
+  }
+}
+
+// Rider's rating of the driver for a sample ride; about 70% of rides get rated
+const generateSampleRating = (rideTime) => {
+  if (Math.random() > 0.7) return undefined
+  const score = [5, 5, 5, 5, 4, 4, 4, 3, 2, 1][Math.floor(Math.random() * 10)]
+  const tags = ratingsConfig.tags.byRider.filter((tag) => tag.positive === score >= 4)
+  return {
+    score,
+    tags: Math.random() < 0.5 ? [tags[Math.floor(Math.random() * tags.length)].code] : [],
+    ratedAt: new Date(rideTime.getTime() + 60 * 60 * 1000),
+  }
+}
+
+// Generate persistent sample data that stays consistent
+const generatePersistentSampleData = () => {
+  if (sampleDataCache.isInitialized && sampleDataCache.lastGenerated) {
+    const timeSinceGenerated = Date.now() - sampleDataCache.lastGenerated.getTime()
+    // Increase cache time to 24 hours instead of 1 hour
+    if (timeSinceGenerated < 24 * 60 * 60 * 1000) {
+      console.log("📊 Using existing sample data cache")
+      return sampleDataCache
+    }
+  }
+
+  console.log("📊 Generating new persistent sample data...")
+
+  const now = new Date()
+  const drivers = [
+    { id: "driver1", name: "John Smith" },
+    { id: "driver2", name: "Sarah Johnson" },
+    { id: "driver3", name: "Mike Wilson" },
+    { id: "driver4", name: "Emily Davis" },
+    { id: "driver5", name: "David Brown" },
+  ]
+
+  const services = Object.keys(pricingConfig.defaultRateCards)
+  const statuses = ["completed", "cancelled", "requested", "in-progress"]
+  const rides = []
+
+  // Generate rides for the last 30 days
+  for (let day = 0; day < 30; day++) {
+    const date = new Date(now)
+    date.setDate(date.getDate() - day)
+
+    // Generate 15-50 rides per day
+    const ridesPerDay = Math.floor(Math.random() * 35) + 15
+
+    for (let i = 0; i < ridesPerDay; i++) {
+      const rideTime = new Date(date)
+      rideTime.setHours(Math.floor(Math.random() * 24))
+      rideTime.setMinutes(Math.floor(Math.random() * 60))
+
+      const driver = drivers[Math.floor(Math.random() * drivers.length)]
+      const service = services[Math.floor(Math.random() * services.length)]
+
+      // 85% completion rate
+      const status =
+        Math.random() < 0.85
+          ? "completed"
+          : Math.random() < 0.1
+            ? "cancelled"
+            : Math.random() < 0.03
+              ? "requested"
+              : "in-progress"
+
+      // Price sample trips with the default rate cards so amounts match the fare engine
+      const distanceKm = 2 + Math.random() * 18
+      const fare = calculateFare(pricingConfig.defaultRateCards[service].default, {
+        distanceKm,
+        durationMin: (distanceKm / pricingConfig.averageSpeedKmh) * 60,
+        at: rideTime,
+      })
+
+      // Roughly one in ten completed sample trips used a flat ₹50 promo code
+      const promoDiscount = status === "completed" && Math.random() < 0.1 ? Math.min(50, fare.total) : 0
+      const amount = status === "completed" ? fare.total - promoDiscount : 0
+
+      rides.push({
+        _id: `ride_${day}_${i}`,
+        rideTime,
+        driver: {
+          _id: driver.id,
+          name: driver.name,
+        },
+        service,
+        status,
+        amount: Math.round(amount * 100) / 100,
+        createdAt: rideTime,
+        cancellation: status === "cancelled" ? generateSampleCancellation(rideTime, driver) : undefined,
+        ratings: status === "completed" ? { byRider: generateSampleRating(rideTime) } : undefined,
+        promotion: promoDiscount > 0 ? { code: "SAMPLE50", discount: promoDiscount } : undefined,
+      })
+    }
+  }
+
+  sampleDataCache = {
+    rides,
+    drivers,
+    lastGenerated: new Date(),
+    isInitialized: true,
+  }
+
+  console.log(`📊 Generated ${rides.length} sample rides`)
+  return sampleDataCache
+}
+
+// Same shape as the cancellation $facet for the sample rides
+const groupSampleCancellations = (cancelledRides) => {
+  const groupBy = (keyOf) => {
+    const groups = {}
+    cancelledRides.forEach((ride) => {
+      const key = keyOf(ride.cancellation || {})
+      if (!groups[key]) groups[key] = { _id: key, count: 0, fees: 0, driverCompensation: 0 }
+      groups[key].count += 1
+      groups[key].fees += (ride.cancellation && ride.cancellation.fee) || 0
+      groups[key].driverCompensation += (ride.cancellation && ride.cancellation.driverCompensation) || 0
+    })
+    return Object.values(groups).sort((a, b) => b.count - a.count)
+  }
+
+  return {
+    byReason: groupBy((cancellation) => cancellation.reasonCode || "unspecified"),
+    byActor: groupBy((cancellation) => (cancellation.actor && cancellation.actor.type) || "unknown"),
+    byStage: groupBy((cancellation) => cancellation.stage || "unknown"),
+  }
+}
+
+// Simulate database queries with sample data
+const simulateRideQuery = (matchQuery) => {
+  const sampleData = generatePersistentSampleData()
+
+  return sampleData.rides.filter((ride) => {
+    // Apply date filter
+    if (matchQuery.rideTime) {
+      const rideTime = new Date(ride.rideTime)
+      if (matchQuery.rideTime.$gte && rideTime < matchQuery.rideTime.$gte) return false
+      if (matchQuery.rideTime.$lte && rideTime > matchQuery.rideTime.$lte) return false
+    }
+
+    // Apply driver filter
+    if (matchQuery["driver._id"] && ride.driver._id !== matchQuery["driver._id"]) {
+      return false
+    }
+
+    // Apply status filter
+    if (matchQuery.status && ride.status !== matchQuery.status) {
+      return false
+    }
+
+    return true
+  })
+}
+
+// Earnings per bucket, period totals, cancellations per bucket and the cancellation breakdown.
+// bucketOf(rideTime) gives the chart bucket of a ride in the report's time zone.
+const sampleEarnings = ({ start, end, driverFilter = "all", bucketOf }) => {
+  const matchQuery = { rideTime: { $gte: start, $lte: end } }
+  if (driverFilter !== "all") matchQuery["driver._id"] = driverFilter
+
+  const allRides = simulateRideQuery(matchQuery)
+  const completedRides = allRides.filter((ride) => ride.status === "completed")
+
+  // Group by time period
+  const groupedData = {}
+  const cancellationGroupedData = {}
+
+  allRides.forEach((ride) => {
+    const key = bucketOf(new Date(ride.rideTime))
+
+    if (!groupedData[key]) {
+      groupedData[key] = {
+        totalEarnings: 0,
+        totalRides: 0,
+        surgeRevenue: 0,
+        surgedRides: 0,
+        promoCost: 0,
+        promoRides: 0,
+      }
+    }
+    if (!cancellationGroupedData[key]) {
+      cancellationGroupedData[key] = { totalRides: 0, cancelledRides: 0 }
+    }
+
+    if (ride.status === "completed") {
+      groupedData[key].totalEarnings += ride.amount
+      groupedData[key].totalRides += 1
+      if (ride.surge && ride.surge.multiplier > 1) {
+        groupedData[key].surgeRevenue += ride.surge.amount || 0
+        groupedData[key].surgedRides += 1
+      }
+      if (ride.promotion && ride.promotion.discount > 0) {
+        groupedData[key].promoCost += ride.promotion.discount
+        groupedData[key].promoRides += 1
+      }
+    }
+
+    cancellationGroupedData[key].totalRides += 1
+    if (ride.status === "cancelled") {
+      cancellationGroupedData[key].cancelledRides += 1
+    }
+  })
+
+  // Convert to aggregation format
+  const earningsData = Object.entries(groupedData)
+    .filter(([, data]) => data.totalRides > 0)
+    .map(([key, data]) => ({
+      _id: key,
+      totalEarnings: data.totalEarnings,
+      totalRides: data.totalRides,
+      avgEarningPerRide: data.totalEarnings / data.totalRides,
+      surgeRevenue: data.surgeRevenue,
+      surgedRides: data.surgedRides,
+      promoCost: data.promoCost,
+      promoRides: data.promoRides,
+    }))
+    .sort((a, b) => a._id.localeCompare(b._id))
+
+  const cancellationData = Object.entries(cancellationGroupedData)
+    .map(([key, data]) => ({
+      _id: key,
+      totalRides: data.totalRides,
+      cancelledRides: data.cancelledRides,
+    }))
+    .sort((a, b) => a._id.localeCompare(b._id))
+
+  // Summary stats
+  const totalEarnings = completedRides.reduce((sum, ride) => sum + ride.amount, 0)
+  const totalCompletedRides = completedRides.length
+  const surgedRides = completedRides.filter((ride) => ride.surge && ride.surge.multiplier > 1)
+  const promoRides = completedRides.filter((ride) => ride.promotion && ride.promotion.discount > 0)
+
+  const summaryStats =
+    totalCompletedRides > 0
+      ? [
+          {
+            _id: null,
+            totalEarnings,
+            totalRides: totalCompletedRides,
+            avgEarningPerRide: totalEarnings / totalCompletedRides,
+            surgeRevenue: surgedRides.reduce((sum, ride) => sum + (ride.surge.amount || 0), 0),
+            surgedRides: surgedRides.length,
+            promoCost: promoRides.reduce((sum, ride) => sum + ride.promotion.discount, 0),
+            promoRides: promoRides.length,
+          },
+        ]
+      : []
+
+  return {
+    earningsData,
+    summaryStats,
+    cancellationData,
+    cancellationBreakdown: groupSampleCancellations(allRides.filter((ride) => ride.status === "cancelled")),
+  }
+}
+
+// Per-driver ride counts, earnings and ratings, highest earning first
+const sampleDriverStats = ({ start, end }) => {
+  const sampleData = generatePersistentSampleData()
+  const filteredRides = simulateRideQuery({ rideTime: { $gte: start, $lte: end } })
+
+  // Group by driver
+  const driverGroups = {}
+  filteredRides.forEach((ride) => {
+    const driverId = ride.driver._id
+    if (!driverGroups[driverId]) {
+      driverGroups[driverId] = {
+        _id: driverId,
+        driverName: ride.driver.name,
+        totalRides: 0,
+        completedRides: 0,
+        cancelledRides: 0,
+        totalEarnings: 0,
+        ratingTotal: 0,
+        ratedRides: 0,
+        lowRatedRides: 0,
+      }
+    }
+
+    driverGroups[driverId].totalRides += 1
+    if (ride.status === "completed") {
+      driverGroups[driverId].completedRides += 1
+      driverGroups[driverId].totalEarnings += ride.amount
+    } else if (ride.status === "cancelled") {
+      driverGroups[driverId].cancelledRides += 1
+    }
+
+    const rating = ride.ratings && ride.ratings.byRider
+    if (rating) {
+      driverGroups[driverId].ratingTotal += rating.score
+      driverGroups[driverId].ratedRides += 1
+      if (rating.score <= ratingsConfig.lowRatingThreshold) driverGroups[driverId].lowRatedRides += 1
+    }
+  })
+
+  // Rolling rating over the last N rated sample rides of each driver
+  const rollingRating = (driverId) => {
+    const recent = sampleData.rides
+      .filter((ride) => ride.driver._id === driverId && ride.ratings && ride.ratings.byRider)
+      .sort((a, b) => b.ratings.byRider.ratedAt - a.ratings.byRider.ratedAt)
+      .slice(0, ratingsConfig.rollingWindowRides)
+    return {
+      rating: recent.length > 0 ? recent.reduce((sum, ride) => sum + ride.ratings.byRider.score, 0) / recent.length : null,
+      ratingCount: recent.length,
+    }
+  }
+
+  return Object.values(driverGroups)
+    .map((driver) => ({
+      ...driver,
+      ...rollingRating(driver._id),
+      avgRating: driver.ratedRides > 0 ? driver.ratingTotal / driver.ratedRides : null,
+      avgEarningPerRide: driver.completedRides > 0 ? driver.totalEarnings / driver.completedRides : 0,
+      completionRate: driver.totalRides > 0 ? (driver.completedRides / driver.totalRides) * 100 : 0,
+      cancellationRate: driver.totalRides > 0 ? (driver.cancelledRides / driver.totalRides) * 100 : 0,
+    }))
+    .sort((a, b) => b.totalEarnings - a.totalEarnings)
+}
+
+// Rides per bucket (bucketOf, as for sampleEarnings) by status, and rides and earnings per service
+const sampleRidesAnalysis = ({ start, end, bucketOf }) => {
+  const filteredRides = simulateRideQuery({ rideTime: { $gte: start, $lte: end } })
+
+  const timeline = {}
+  const services = {}
+  filteredRides.forEach((ride) => {
+    const key = bucketOf(new Date(ride.rideTime))
+    if (!timeline[key]) {
+      timeline[key] = { _id: key, totalRides: 0, completedRides: 0, cancelledRides: 0, pendingRides: 0, activeRides: 0 }
+    }
+    timeline[key].totalRides += 1
+    if (ride.status === "completed") timeline[key].completedRides += 1
+    else if (ride.status === "cancelled") timeline[key].cancelledRides += 1
+    else if (ride.status === "requested") timeline[key].pendingRides += 1
+    else timeline[key].activeRides += 1
+
+    if (!services[ride.service]) services[ride.service] = { _id: ride.service, count: 0, earnings: 0 }
+    services[ride.service].count += 1
+    if (ride.status === "completed") services[ride.service].earnings += ride.amount
+  })
+
+  return {
+    timeline: Object.values(timeline).sort((a, b) => a._id.localeCompare(b._id)),
+    services: Object.values(services).sort((a, b) => b.count - a.count),
+  }
+}
+
+// Ride counts and earnings of a period
+const samplePeriodTotals = ({ start, end }) => {
+  const rides = simulateRideQuery({ rideTime: { $gte: start, $lte: end } })
+  const completed = rides.filter((ride) => ride.status === "completed")
+
+  return {
+    totalRides: rides.length,
+    totalEarnings: completed.reduce((sum, ride) => sum + ride.amount, 0),
+    completedRides: completed.length,
+    cancelledRides: rides.filter((ride) => ride.status === "cancelled").length,
+  }
+}
+
+const getSampleDataCache = () => sampleDataCache
+
+const clearSampleDataCache = () => {
+  sampleDataCache = {
+    rides: [],
+    drivers: [],
+    lastGenerated: null,
+    isInitialized: false,
+  }
+}
+
+module.exports = {
+  generatePersistentSampleData,
+  sampleEarnings,
+  sampleDriverStats,
+  sampleRidesAnalysis,
+  samplePeriodTotals,
+  getSampleDataCache,
+  clearSampleDataCache,
+}
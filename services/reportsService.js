@@ -0,0 +1,498 @@
+// Location: /services/reportsService.js
+// Builds the admin reports (earnings, driver performance, rides analysis and
+// the summary) from the hourly and daily ride rollups (services/rollupService.js)
+// and the Driver collection. Sample data is only served in demo mode
+// (config/reports.js); every report states its dataSource. Periods and chart
+// buckets follow the report's time zone (tz, default config/reports.js timezone).
+// Used by controllers/reportsController.js and the report exports.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const cancellationConfig = require("../config/cancellation")
+const reportsConfig = require("../config/reports")
+const { sumRollups, totalRollups } = require("./rollupService")
+const {
+  calculatePercentageChange,
+  resolveReportPeriod,
+  bucketKeyOf,
+  generateDateRange,
+  fillMissingDataPoints,
+} = require("../utils/reportsHelper")
+const {
+  sampleEarnings,
+  sampleDriverStats,
+  sampleRidesAnalysis,
+  samplePeriodTotals,
+} = require("./reportsSampleData")
+
+// Where report figures come from: generated sample rides in demo mode, else the database
+const getDataSource = () => (reportsConfig.demoMode ? "sample" : "database")
+
+// Report bucket of a rollup group: "HH" for hours of the day, else the date, week or month key
+const bucketKey = (row) => (typeof row._id === "number" ? String(row._id).padStart(2, "0") : row._id)
+
+// sumRollups grouping for a chart interval
+const ROLLUP_GROUPS = { hour: "hour", day: "date", week: "week", month: "month" }
+
+// Time zone and week start of a period, as sumRollups options
+const rollupZone = (period) => ({ timezone: period.timeZone, weekStartsOn: period.weekStartsOn })
+
+// Bucket key of an instant in the period's time zone, for sample rides
+const sampleBucketOf = (period) => (date) => bucketKeyOf(date, period.interval, period.timeZone, period.weekStartsOn)
+
+// What the report covers, returned with every report
+const periodInfo = (period) => ({
+  timeRange: period.timeRange,
+  interval: period.interval,
+  weekStart: period.weekStartsOn,
+})
+
+// Earnings figures of summed rollups, named as in the earnings report
+const toEarnings = (row) => ({
+  totalEarnings: row.revenue,
+  totalRides: row.completed,
+  avgEarningPerRide: row.avgFare,
+  surgeRevenue: row.surgeRevenue,
+  surgedRides: row.surgedRides,
+  promoCost: row.promoCost,
+  promoRides: row.promoRides,
+})
+
+// Pipeline stages counting cancellations and their fees per value of a field
+const cancellationGroupStages = (field) => [
+  {
+    $group: {
+      _id: field,
+      count: { $sum: 1 },
+      fees: { $sum: "$fee" },
+      driverCompensation: { $sum: "$driverCompensation" },
+    },
+  },
+  { $sort: { count: -1 } },
+]
+
+// Cancellations by reason, by who cancelled and by the stage they happened at,
+// from the rollups. Rides cancelled before reasons were recorded count as "unspecified".
+const rollupCancellationBreakdown = async (from, to, zone) => {
+  const [byReason, byActor, byStage] = await Promise.all(
+    ["cancellationReason", "cancellationActor", "cancellationStage"].map(async (dimension) =>
+      (await sumRollups({ from, to, dimension, groupBy: "key", ...zone }))
+        .filter((row) => row.cancelled > 0)
+        .map((row) => ({
+          _id: row._id,
+          count: row.cancelled,
+          fees: row.cancellationFees,
+          driverCompensation: row.driverCompensation,
+        }))
+        .sort((a, b) => b.count - a.count),
+    ),
+  )
+  return { byReason, byActor, byStage }
+}
+
+// Same breakdown read from the rides, for one driver: the rollups do not split a
+// driver's cancellations by reason. Rides are indexed by driver and rideTime.
+const rideCancellationBreakdown = async (driverId, from, to) => {
+  const [breakdown = {}] = await Ride.aggregate([
+    {
+      $match: {
+        "driver._id": new mongoose.Types.ObjectId(driverId),
+        rideTime: { $gte: from, $lte: to },
+        status: "cancelled",
+      },
+    },
+    {
+      $project: {
+        reasonCode: { $ifNull: ["$cancellation.reasonCode", "unspecified"] },
+        actor: { $ifNull: ["$cancellation.actor.type", "unknown"] },
+        stage: { $ifNull: ["$cancellation.stage", "unknown"] },
+        fee: { $ifNull: ["$cancellation.fee", 0] },
+        driverCompensation: { $ifNull: ["$cancellation.driverCompensation", 0] },
+      },
+    },
+    {
+      $facet: {
+        byReason: cancellationGroupStages("$reasonCode"),
+        byActor: cancellationGroupStages("$actor"),
+        byStage: cancellationGroupStages("$stage"),
+      },
+    },
+  ])
+  return breakdown
+}
+
+// Cancellation breakdown for the earnings report, with reason labels and shares
+const formatCancellationBreakdown = ({ byReason = [], byActor = [], byStage = [] }, totalCancellations) => {
+  const round = (value) => Math.round((value || 0) * 100) / 100
+  const format = (keyName, labelOf) => (group) => ({
+    [keyName]: group._id,
+    ...(labelOf ? { label: labelOf(group._id) } : {}),
+    count: group.count,
+    percentage: totalCancellations > 0 ? Math.round((group.count / totalCancellations) * 100 * 10) / 10 : 0,
+    fees: round(group.fees),
+    driverCompensation: round(group.driverCompensation),
+  })
+  const reasonLabel = (code) => {
+    const reason = cancellationConfig.reasons.find((candidate) => candidate.code === code)
+    return reason ? reason.label : "Unspecified"
+  }
+
+  return {
+    total: totalCancellations,
+    totalFees: round(byActor.reduce((sum, group) => sum + (group.fees || 0), 0)),
+    totalDriverCompensation: round(byActor.reduce((sum, group) => sum + (group.driverCompensation || 0), 0)),
+    byReason: byReason.map(format("reasonCode", reasonLabel)),
+    byActor: byActor.map(format("actor")),
+    byStage: byStage.map(format("stage")),
+  }
+}
+
+// Period-over-period change in percent; a rise from zero counts as 100%
+const calculateChange = calculatePercentageChange
+
+// Earnings per chart bucket (hours of the day for timeRange "day", days, weeks or
+// months), with cancellations and their breakdown
+const buildEarningsReport = async ({ driverFilter = "all", ...query } = {}) => {
+  console.log(`📊 Getting earnings report with params:`, { driverFilter, ...query })
+
+  const period = resolveReportPeriod(query)
+  const { start, end, timeZone } = period
+  const zone = rollupZone(period)
+  const dataSource = getDataSource()
+
+  let earningsData = []
+  let summaryStats = []
+  let cancellationData = []
+  let cancellationBreakdown = {}
+
+  if (dataSource === "database") {
+    const driverRows = driverFilter !== "all" ? { dimension: "driver", keys: [driverFilter] } : {}
+    const range = { from: start, to: end, ...driverRows, ...zone }
+    const [series, totals, breakdown] = await Promise.all([
+      sumRollups({ ...range, groupBy: ROLLUP_GROUPS[period.interval] }),
+      totalRollups(range),
+      driverFilter === "all"
+        ? rollupCancellationBreakdown(start, end, zone)
+        : rideCancellationBreakdown(driverFilter, start, end),
+    ])
+
+    earningsData = series
+      .filter((row) => row.completed > 0)
+      .map((row) => ({ _id: bucketKey(row), ...toEarnings(row) }))
+    summaryStats = totals.completed > 0 ? [toEarnings(totals)] : []
+    cancellationData = series.map((row) => ({
+      _id: bucketKey(row),
+      totalRides: row.rides,
+      cancelledRides: row.cancelled,
+    }))
+    cancellationBreakdown = breakdown
+  } else {
+    ;({ earningsData, summaryStats, cancellationData, cancellationBreakdown } = sampleEarnings({
+      start,
+      end,
+      driverFilter,
+      bucketOf: sampleBucketOf(period),
+    }))
+  }
+
+  console.log(`📊 Earnings data points: ${earningsData.length}`)
+  console.log(`📊 Cancellation data points: ${cancellationData.length}`)
+
+  // Format chart data, one point per bucket of the period; buckets without rides are zero
+  const earningsByKey = new Map(earningsData.map((item) => [item._id, item]))
+  const cancellationsByKey = new Map(cancellationData.map((item) => [item._id, item]))
+  const bucketData = [...new Set([...earningsByKey.keys(), ...cancellationsByKey.keys()])].map((key) => ({
+    ...earningsByKey.get(key),
+    _id: key,
+    cancelledRides: (cancellationsByKey.get(key) || {}).cancelledRides || 0,
+  }))
+  const dateRange = generateDateRange(start, end, period.interval, timeZone, period.weekStartsOn)
+  const chartData = fillMissingDataPoints(bucketData, dateRange).map((point) => ({
+    name: point.name,
+    earnings: Math.round(point.earnings),
+    rides: point.rides,
+    cancellations: point.cancellations,
+    avgPerRide: Math.round((point.avgEarningPerRide || 0) * 100) / 100,
+    surgeRevenue: Math.round(point.surgeRevenue || 0),
+    promoCost: Math.round(point.promoCost || 0),
+  }))
+
+  // Always provide summary even if no data
+  const summary = summaryStats[0] || { totalEarnings: 0, totalRides: 0, avgEarningPerRide: 0 }
+  const totalCancellations = cancellationData.reduce((sum, item) => sum + (item.cancelledRides || 0), 0)
+  const totalAllRides = cancellationData.reduce((sum, item) => sum + (item.totalRides || 0), 0)
+  const cancellations = formatCancellationBreakdown(cancellationBreakdown, totalCancellations)
+
+  return {
+    chartData,
+    summary: {
+      totalEarnings: Math.round((summary.totalEarnings || 0) * 100) / 100,
+      totalRides: summary.totalRides || 0,
+      avgEarningPerRide: Math.round((summary.avgEarningPerRide || 0) * 100) / 100,
+      cancellationRate: totalAllRides > 0 ? Math.round((totalCancellations / totalAllRides) * 100 * 10) / 10 : 0,
+      surgeRevenue: Math.round((summary.surgeRevenue || 0) * 100) / 100,
+      surgedRides: summary.surgedRides || 0,
+      cancellationFees: cancellations.totalFees,
+      promoCost: Math.round((summary.promoCost || 0) * 100) / 100,
+      promoRides: summary.promoRides || 0,
+    },
+    cancellations,
+    dateRange: { start, end },
+    timezone: timeZone,
+    filters: { driverFilter, ...periodInfo(period) },
+    hasData: totalAllRides > 0,
+    timestamp: new Date().toISOString(),
+    dataSource,
+    isSampleData: dataSource === "sample",
+  }
+}
+
+// Rides, earnings, completion and ratings per driver, highest earners first
+const buildDriverPerformanceReport = async (query = {}) => {
+  console.log(`👥 Getting driver performance with params:`, query)
+
+  const period = resolveReportPeriod(query)
+  const { start, end } = period
+  const dataSource = getDataSource()
+  let driverStats = []
+
+  if (dataSource === "database") {
+    const rows = await sumRollups({ from: start, to: end, dimension: "driver", groupBy: "key", ...rollupZone(period) })
+    driverStats = rows
+      .map((row) => ({
+        _id: row._id,
+        driverName: row.label,
+        totalRides: row.rides,
+        completedRides: row.completed,
+        cancelledRides: row.cancelled,
+        totalEarnings: row.revenue,
+        avgEarningPerRide: row.avgFare,
+        avgRating: row.avgRating,
+        ratedRides: row.ratedRides,
+        lowRatedRides: row.lowRatedRides,
+        completionRate: row.rides > 0 ? (row.completed / row.rides) * 100 : 0,
+        cancellationRate: row.rides > 0 ? (row.cancelled / row.rides) * 100 : 0,
+      }))
+      .sort((a, b) => b.totalEarnings - a.totalEarnings)
+
+    // Current rolling rating of each driver, next to the average for the period
+    const drivers = await Driver.find({ _id: { $in: driverStats.map((driver) => driver._id) } }).select(
+      "rating ratingCount",
+    )
+    const driversById = new Map(drivers.map((driver) => [String(driver._id), driver]))
+    driverStats = driverStats.map((driver) => {
+      const profile = driversById.get(String(driver._id))
+      return { ...driver, rating: profile ? profile.rating : null, ratingCount: profile ? profile.ratingCount : 0 }
+    })
+  } else {
+    driverStats = sampleDriverStats({ start, end })
+  }
+
+  console.log(`👥 Driver stats found: ${driverStats.length}`)
+
+  const roundRating = (value) => (value !== null && value !== undefined ? Math.round(value * 100) / 100 : null)
+
+  // Format data for pie chart
+  const pieChartData = driverStats.map((driver) => ({
+    id: driver._id,
+    name: driver.driverName || "Unknown Driver",
+    earnings: Math.round((driver.totalEarnings || 0) * 100) / 100,
+    rides: driver.totalRides || 0,
+  }))
+
+  // Format data for table
+  const tableData = driverStats.map((driver) => ({
+    id: driver._id,
+    name: driver.driverName || "Unknown Driver",
+    rides: driver.totalRides || 0,
+    completedRides: driver.completedRides || 0,
+    cancelledRides: driver.cancelledRides || 0,
+    earnings: Math.round((driver.totalEarnings || 0) * 100) / 100,
+    avgPerRide: Math.round((driver.avgEarningPerRide || 0) * 100) / 100,
+    completionRate: Math.round((driver.completionRate || 0) * 10) / 10,
+    cancellationRate: Math.round((driver.cancellationRate || 0) * 10) / 10,
+    // rating: rolling rating over the driver's last rated rides, avgRating: rides in this period
+    rating: roundRating(driver.rating),
+    ratingCount: driver.ratingCount || 0,
+    avgRating: roundRating(driver.avgRating),
+    ratedRides: driver.ratedRides || 0,
+    lowRatedRides: driver.lowRatedRides || 0,
+  }))
+
+  return {
+    pieChartData,
+    tableData,
+    dateRange: { start, end },
+    timezone: period.timeZone,
+    filters: periodInfo(period),
+    hasData: tableData.length > 0,
+    timestamp: new Date().toISOString(),
+    dataSource,
+    isSampleData: dataSource === "sample",
+  }
+}
+
+// Rides by status per chart bucket (hours of the day for timeRange "day", days,
+// weeks or months), and rides per service
+const buildRidesAnalysisReport = async (query = {}) => {
+  const period = resolveReportPeriod(query)
+  const { start, end } = period
+  const zone = rollupZone(period)
+  const dataSource = getDataSource()
+  let timeline = []
+  let services = []
+
+  if (dataSource === "database") {
+    const [series, byService] = await Promise.all([
+      sumRollups({ from: start, to: end, groupBy: ROLLUP_GROUPS[period.interval], ...zone }),
+      sumRollups({ from: start, to: end, dimension: "service", groupBy: "key", ...zone }),
+    ])
+    timeline = series.map((row) => ({
+      _id: bucketKey(row),
+      totalRides: row.rides,
+      completedRides: row.completed,
+      cancelledRides: row.cancelled,
+      pendingRides: row.requested,
+      // Accepted, at pickup or on trip
+      activeRides: row.accepted + row.arrived + row.inProgress,
+    }))
+    services = byService
+      .map((row) => ({ _id: row._id, count: row.rides, earnings: row.revenue }))
+      .sort((a, b) => b.count - a.count)
+  } else {
+    ;({ timeline, services } = sampleRidesAnalysis({ start, end, bucketOf: sampleBucketOf(period) }))
+  }
+
+  // Format chart data, one point per bucket of the period
+  const dateRange = generateDateRange(start, end, period.interval, period.timeZone, period.weekStartsOn)
+  const chartData = fillMissingDataPoints(timeline, dateRange).map((point) => ({
+    name: point.name,
+    rides: point.rides,
+    completed: point.completedRides || 0,
+    cancelled: point.cancellations,
+    pending: point.pendingRides || 0,
+    inProgress: point.activeRides || 0,
+  }))
+
+  // Service distribution
+  const serviceData = {
+    labels: services.map((service) => service._id),
+    data: services.map((service) => service.count),
+    earnings: services.map((service) => Math.round(service.earnings * 100) / 100),
+  }
+
+  return {
+    chartData,
+    serviceDistribution: serviceData,
+    dateRange: { start, end },
+    timezone: period.timeZone,
+    filters: periodInfo(period),
+    hasData: timeline.some((bucket) => bucket.totalRides > 0),
+    timestamp: new Date().toISOString(),
+    dataSource,
+    isSampleData: dataSource === "sample",
+  }
+}
+
+// Current calendar period (day, week, month, quarter or fiscal year) so far against
+// the whole period before it, with the top drivers
+const buildReportsSummary = async ({ timeRange = "day", tz, weekStart } = {}) => {
+  console.log(`📊 Getting reports summary for timeRange: ${timeRange}`)
+
+  const period = resolveReportPeriod({ timeRange, tz, weekStart })
+  const zone = rollupZone(period)
+  const { start: currentStart, end: currentEnd, previous } = period
+  const { start: previousStart, end: previousEnd } = previous
+
+  console.log(`📊 Current period: ${currentStart.toISOString()} to ${currentEnd.toISOString()}`)
+  console.log(`📊 Previous period: ${previousStart.toISOString()} to ${previousEnd.toISOString()}`)
+
+  const dataSource = getDataSource()
+  let currentData = { totalRides: 0, totalEarnings: 0, completedRides: 0, cancelledRides: 0 }
+  let previousData = { totalRides: 0, totalEarnings: 0, completedRides: 0, cancelledRides: 0 }
+  let topDrivers = []
+
+  if (dataSource === "database") {
+    const [current, previous, drivers] = await Promise.all([
+      totalRollups({ from: currentStart, to: currentEnd, ...zone }),
+      totalRollups({ from: previousStart, to: previousEnd, ...zone }),
+      sumRollups({ from: currentStart, to: currentEnd, dimension: "driver", groupBy: "key", ...zone }),
+    ])
+    const periodData = (totals) => ({
+      totalRides: totals.rides,
+      totalEarnings: totals.revenue,
+      completedRides: totals.completed,
+      cancelledRides: totals.cancelled,
+    })
+
+    currentData = periodData(current)
+    previousData = periodData(previous)
+    // Highest earning drivers of the current period
+    topDrivers = drivers
+      .filter((driver) => driver.completed > 0)
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 5)
+      .map((driver) => ({ _id: driver._id, name: driver.label, rides: driver.completed, earnings: driver.revenue }))
+  } else {
+    currentData = samplePeriodTotals({ start: currentStart, end: currentEnd })
+    previousData = samplePeriodTotals({ start: previousStart, end: previousEnd })
+  }
+
+  console.log(`📊 Current period data:`, currentData)
+  console.log(`📊 Previous period data:`, previousData)
+
+  return {
+    totalEarnings: Math.round((currentData.totalEarnings || 0) * 100) / 100,
+    earningsChange: calculateChange(currentData.totalEarnings || 0, previousData.totalEarnings || 0),
+    totalRides: currentData.totalRides || 0,
+    ridesChange: calculateChange(currentData.totalRides || 0, previousData.totalRides || 0),
+    avgPerRide:
+      currentData.totalRides > 0 ? Math.round((currentData.totalEarnings / currentData.totalRides) * 100) / 100 : 0,
+    avgPerRideChange: calculateChange(
+      currentData.totalRides > 0 ? currentData.totalEarnings / currentData.totalRides : 0,
+      previousData.totalRides > 0 ? previousData.totalEarnings / previousData.totalRides : 0,
+    ),
+    cancellationRate:
+      currentData.totalRides > 0
+        ? Math.round((currentData.cancelledRides / currentData.totalRides) * 100 * 10) / 10
+        : 0,
+    cancellationRateChange: calculateChange(
+      currentData.totalRides > 0 ? (currentData.cancelledRides / currentData.totalRides) * 100 : 0,
+      previousData.totalRides > 0 ? (previousData.cancelledRides / previousData.totalRides) * 100 : 0,
+    ),
+    averageEarningPerRide:
+      currentData.totalRides > 0 ? Math.round((currentData.totalEarnings / currentData.totalRides) * 100) / 100 : 0,
+    drivers: topDrivers.map((driver) => ({
+      id: driver._id,
+      name: driver.name || "Unknown Driver",
+      rides: driver.rides,
+      earnings: Math.round(driver.earnings * 100) / 100,
+    })),
+    dateRange: { start: currentStart, end: currentEnd },
+    previousDateRange: { start: previousStart, end: previousEnd },
+    timezone: period.timeZone,
+    timestamp: new Date().toISOString(),
+    timeRange: timeRange,
+    weekStart: period.weekStartsOn,
+    dataSource,
+    isSampleData: dataSource === "sample",
+  }
+}
+
+// Report builders by the path of their endpoint under /api/reports
+const REPORT_BUILDERS = {
+  earnings: buildEarningsReport,
+  "driver-performance": buildDriverPerformanceReport,
+  "rides-analysis": buildRidesAnalysisReport,
+  summary: buildReportsSummary,
+}
+
+module.exports = {
+  REPORT_BUILDERS,
+  getDataSource,
+  buildEarningsReport,
+  buildDriverPerformanceReport,
+  buildRidesAnalysisReport,
+  buildReportsSummary,
+}
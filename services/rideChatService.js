@@ -0,0 +1,264 @@
+// Location: /services/rideChatService.js
+// Per-ride chat: who may take part, persisted messages with delivery and read
+// receipts, contact masking and support moderation. Sockets of the participants
+// share the room "ride:<id>:chat".
+
+const mongoose = require("mongoose")
+const ChatMessage = require("../models/ChatMessage")
+const { maskContactDetails } = require("../utils/contactMasking")
+const { recordRideEvent } = require("./rideEventService")
+
+const SUPPORT_ROLES = ["support", "super_admin"]
+const MAX_MESSAGE_LENGTH = 1000
+
+const chatRoom = (rideId) => `ride:${rideId}:chat`
+
+// Chat identity of a requester for a ride, or null when they may not take part.
+// admin, driver and user come from verified tokens (req.admin / req.driver /
+// req.user, or socketIdentity). Support admins may join any ride; riders and
+// drivers only their own.
+const getChatParticipant = (ride, { admin, user, driver } = {}) => {
+  if (admin && SUPPORT_ROLES.includes(admin.role)) {
+    return { role: "support", id: String(admin._id), name: admin.name }
+  }
+  if (user && user.userId && ride.user && String(ride.user._id) === String(user.userId)) {
+    return { role: "rider", id: String(user.userId), name: ride.user.name }
+  }
+  if (driver && ride.driver && ride.driver._id && String(ride.driver._id) === String(driver._id)) {
+    return { role: "driver", id: String(driver._id), name: ride.driver.name }
+  }
+  return null
+}
+
+// Message as seen by a participant. Moderation details are for support only,
+// and others never see the text of a hidden message.
+const toChatPayload = (message, participant) => {
+  const payload = {
+    _id: message._id,
+    rideId: message.ride,
+    sender: message.sender,
+    text: message.text,
+    maskedCount: message.maskedCount,
+    clientMessageId: message.clientMessageId,
+    deliveredTo: message.deliveredTo,
+    readBy: message.readBy,
+    createdAt: message.createdAt,
+  }
+  if (participant && participant.role === "support") {
+    payload.moderation = message.moderation
+  } else if (message.moderation && message.moderation.hidden) {
+    payload.text = null
+    payload.hidden = true
+  }
+  return payload
+}
+
+// Store a message and send it to the ride's chat room.
+// Returns { success, message, duplicate } or { success: false, statusCode, message }.
+const sendChatMessage = async ({ ride, participant, text, clientMessageId, io }) => {
+  const trimmed = typeof text === "string" ? text.trim() : ""
+  if (!trimmed) return { success: false, statusCode: 400, message: "Message text is required" }
+  if (trimmed.length > MAX_MESSAGE_LENGTH) {
+    return { success: false, statusCode: 400, message: `Messages cannot be longer than ${MAX_MESSAGE_LENGTH} characters` }
+  }
+
+  const masked = maskContactDetails(trimmed)
+  let message
+  try {
+    message = await ChatMessage.create({
+      ride: ride._id,
+      sender: participant,
+      text: masked.text,
+      maskedCount: masked.maskedCount,
+      clientMessageId: clientMessageId ? String(clientMessageId) : undefined,
+    })
+  } catch (error) {
+    // The client resent a message that was already stored
+    if (error.code === 11000 && clientMessageId) {
+      const existing = await ChatMessage.findOne({
+        ride: ride._id,
+        "sender.id": participant.id,
+        clientMessageId: String(clientMessageId),
+      })
+      if (existing) return { success: true, message: existing, duplicate: true }
+    }
+    throw error
+  }
+
+  await recordRideEvent({
+    ride,
+    type: "chat_message",
+    actor: { type: participant.role === "support" ? "admin" : participant.role, id: participant.id, name: participant.name },
+    message: `${participant.name || participant.role}: ${message.text}`,
+    data: { messageId: message._id, maskedCount: message.maskedCount },
+  })
+
+  if (io) io.to(chatRoom(ride._id)).emit("rideChatMessage", toChatPayload(message))
+
+  return { success: true, message, duplicate: false }
+}
+
+// Page of a ride's chat, newest first. `before` (a message date) allows
+// infinite scrolling; page / limit give the usual pagination.
+const listChatMessages = async (ride, participant, { page = 1, limit = 30, before } = {}) => {
+  const query = { ride: ride._id }
+  if (participant.role !== "support") query["moderation.hidden"] = { $ne: true }
+  if (before) {
+    const beforeDate = new Date(before)
+    if (!isNaN(beforeDate.getTime())) query.createdAt = { $lt: beforeDate }
+  }
+
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(100, Number.parseInt(limit) || 30))
+
+  const [messages, totalItems] = await Promise.all([
+    ChatMessage.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    ChatMessage.countDocuments(query),
+  ])
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    data: messages.map((message) => toChatPayload(message, participant)),
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+const countUnread = (ride, participant) =>
+  ChatMessage.countDocuments({
+    ride: ride._id,
+    "moderation.hidden": { $ne: true },
+    $nor: [{ "sender.role": participant.role, "sender.id": participant.id }],
+    readBy: { $not: { $elemMatch: { role: participant.role, id: participant.id } } },
+  })
+
+// Record that a participant received ("delivered") or read ("read") messages of
+// others: either the given messageIds or everything up to and including `upTo`.
+// Reading implies delivery. Returns the ids that changed.
+const markChatReceipts = async ({ ride, participant, type, messageIds, upTo, io }) => {
+  if (!["delivered", "read"].includes(type)) {
+    return { success: false, statusCode: 400, message: "type must be delivered or read" }
+  }
+
+  const query = {
+    ride: ride._id,
+    $nor: [{ "sender.role": participant.role, "sender.id": participant.id }],
+  }
+  if (Array.isArray(messageIds) && messageIds.length > 0) {
+    const validIds = messageIds.filter((id) => mongoose.Types.ObjectId.isValid(id))
+    query._id = { $in: validIds }
+  } else if (upTo) {
+    const upToDate = new Date(upTo)
+    if (isNaN(upToDate.getTime())) return { success: false, statusCode: 400, message: "Invalid upTo date" }
+    query.createdAt = { $lte: upToDate }
+  } else {
+    return { success: false, statusCode: 400, message: "messageIds or upTo is required" }
+  }
+
+  const at = new Date()
+  const receipt = { role: participant.role, id: participant.id, at }
+  const notYet = (field) => ({ [field]: { $not: { $elemMatch: { role: participant.role, id: participant.id } } } })
+
+  // Reading implies delivery
+  if (type === "read") {
+    await ChatMessage.updateMany({ ...query, ...notYet("deliveredTo") }, { $push: { deliveredTo: receipt } })
+  }
+  const field = type === "read" ? "readBy" : "deliveredTo"
+  const changedIds = (await ChatMessage.distinct("_id", { ...query, ...notYet(field) })).map(String)
+  if (changedIds.length > 0) {
+    await ChatMessage.updateMany({ _id: { $in: changedIds }, ...notYet(field) }, { $push: { [field]: receipt } })
+  }
+
+  if (io && changedIds.length > 0) {
+    io.to(chatRoom(ride._id)).emit("rideChatReceipt", {
+      rideId: ride._id,
+      type,
+      messageIds: changedIds,
+      by: { role: participant.role, id: participant.id, name: participant.name },
+      at: at.toISOString(),
+    })
+  }
+
+  return { success: true, messageIds: changedIds }
+}
+
+// Support moderation: flag / unflag marks a message for review, hide / unhide
+// removes it from everyone but support
+const MODERATION_ACTIONS = {
+  flag: (by, reason, at) => ({
+    "moderation.flagged": true,
+    "moderation.flagReason": reason,
+    "moderation.flaggedBy": by,
+    "moderation.flaggedAt": at,
+  }),
+  unflag: () => ({ "moderation.flagged": false }),
+  hide: (by, reason, at) => ({
+    "moderation.hidden": true,
+    "moderation.hideReason": reason,
+    "moderation.hiddenBy": by,
+    "moderation.hiddenAt": at,
+  }),
+  unhide: () => ({ "moderation.hidden": false }),
+}
+
+const moderateChatMessage = async ({ ride, messageId, participant, action, reason, io }) => {
+  if (!participant || participant.role !== "support") {
+    return { success: false, statusCode: 403, message: "Only support can moderate chat messages" }
+  }
+  const buildSet = MODERATION_ACTIONS[action]
+  if (!buildSet) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `action must be one of: ${Object.keys(MODERATION_ACTIONS).join(", ")}`,
+    }
+  }
+
+  const cleanReason = reason ? String(reason).trim() : undefined
+  const message = await ChatMessage.findOneAndUpdate(
+    { _id: messageId, ride: ride._id },
+    { $set: buildSet(participant, cleanReason, new Date()) },
+    { new: true, runValidators: true },
+  )
+  if (!message) return { success: false, statusCode: 404, message: "Chat message not found" }
+
+  await recordRideEvent({
+    ride,
+    type: "admin_action",
+    actor: { type: "admin", id: participant.id, name: participant.name },
+    message: `Chat message ${action}${cleanReason ? `: ${cleanReason}` : ""}`,
+    data: { messageId: message._id, action },
+  })
+
+  if (io) {
+    io.to(chatRoom(ride._id)).emit("rideChatModerated", {
+      rideId: ride._id,
+      messageId: message._id,
+      action,
+      hidden: message.moderation.hidden,
+      timestamp: new Date().toISOString(),
+    })
+  }
+
+  return { success: true, message }
+}
+
+module.exports = {
+  chatRoom,
+  getChatParticipant,
+  toChatPayload,
+  sendChatMessage,
+  listChatMessages,
+  countUnread,
+  markChatReceipts,
+  moderateChatMessage,
+}
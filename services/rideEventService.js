@@ -0,0 +1,185 @@
+// Location: /services/rideEventService.js
+// Writes and queries the append-only ride timeline (RideEvent collection)
+
+const mongoose = require("mongoose")
+const RideEvent = require("../models/RideEvent")
+const { ACTOR_TYPES, RIDE_EVENT_TYPES } = require("../models/RideEvent")
+const { toCsv } = require("../utils/csv")
+
+// Minimum gap between two stored location checkpoints of the same ride
+const CHECKPOINT_INTERVAL_MS = 60 * 1000
+const lastCheckpointAt = new Map()
+
+// Work out who performed a request from its authenticated admin, driver or
+// customer. Admins and drivers have tokens of their own, so customer tokens are
+// always riders whatever role the user record holds. Anything else is "system";
+// actors described by the client are never trusted.
+const resolveActor = (req) => {
+  if (req && req.admin) {
+    return { type: "admin", id: String(req.admin._id), name: req.admin.name }
+  }
+
+  if (req && req.driver) {
+    return { type: "driver", id: String(req.driver._id), name: req.driver.name }
+  }
+
+  if (req && req.user) {
+    return {
+      type: "rider",
+      id: req.user.userId ? String(req.user.userId) : undefined,
+      name: req.user.name,
+    }
+  }
+
+  return { type: "system" }
+}
+
+// Whether an actor may work a ride: its assigned driver, or any admin
+const canOperateRide = (ride, actor) => {
+  if (!ride || !actor) return false
+  if (actor.type === "admin") return true
+  if (actor.type === "driver") return Boolean(actor.id && ride.driver && String(ride.driver._id) === actor.id)
+  return false
+}
+
+// Append an event to a ride's timeline. Logging must never break the
+// action being logged, so failures are reported and swallowed.
+const recordRideEvent = async ({ ride, type, actor, message, before, after, data, occurredAt }) => {
+  try {
+    const rideId = ride && ride._id ? ride._id : ride
+    return await RideEvent.create({
+      ride: rideId,
+      type,
+      actor: actor || { type: "system" },
+      message,
+      before,
+      after,
+      data,
+      occurredAt: occurredAt || new Date(),
+    })
+  } catch (error) {
+    console.error(`❌ Failed to record ${type} event for ride ${ride && ride._id ? ride._id : ride}:`, error.message)
+    return null
+  }
+}
+
+// Store a location checkpoint, at most one per ride per CHECKPOINT_INTERVAL_MS
+const recordLocationCheckpoint = async (rideId, location, actor, { force = false } = {}) => {
+  const key = String(rideId)
+  const now = Date.now()
+  if (!force && lastCheckpointAt.has(key) && now - lastCheckpointAt.get(key) < CHECKPOINT_INTERVAL_MS) {
+    return null
+  }
+  lastCheckpointAt.set(key, now)
+
+  // Keep the throttle map from growing forever on long-running servers
+  if (lastCheckpointAt.size > 5000) {
+    for (const [id, at] of lastCheckpointAt) {
+      if (now - at > CHECKPOINT_INTERVAL_MS) lastCheckpointAt.delete(id)
+    }
+  }
+
+  return recordRideEvent({
+    ride: rideId,
+    type: "location_checkpoint",
+    actor,
+    message: location.address ? `Checkpoint at ${location.address}` : "Location checkpoint",
+    after: { lat: location.lat, lng: location.lng, address: location.address },
+  })
+}
+
+// Translate query-string filters into a RideEvent query
+const buildEventQuery = ({ rideId, type, actorType, actorId, from, to } = {}) => {
+  const query = {}
+
+  if (rideId) {
+    query.ride = rideId
+  }
+
+  if (type) {
+    const types = String(type)
+      .split(",")
+      .map((t) => t.trim())
+      .filter((t) => RIDE_EVENT_TYPES.includes(t))
+    if (types.length > 0) query.type = { $in: types }
+  }
+
+  if (actorType && ACTOR_TYPES.includes(actorType)) {
+    query["actor.type"] = actorType
+  }
+
+  if (actorId) {
+    query["actor.id"] = String(actorId)
+  }
+
+  if (from || to) {
+    query.occurredAt = {}
+    if (from) query.occurredAt.$gte = new Date(from)
+    if (to) query.occurredAt.$lte = new Date(to)
+  }
+
+  return query
+}
+
+const validateEventFilters = ({ rideId, from, to } = {}) => {
+  if (rideId && !mongoose.Types.ObjectId.isValid(rideId)) return "Invalid ride ID format"
+  if (from && isNaN(new Date(from).getTime())) return "Invalid 'from' date"
+  if (to && isNaN(new Date(to).getTime())) return "Invalid 'to' date"
+  return null
+}
+
+// Paginated, oldest-first timeline
+const queryRideEvents = async (filters, { page = 1, limit = 50 } = {}) => {
+  const query = buildEventQuery(filters)
+  const pageNum = Math.max(1, Number.parseInt(page) || 1)
+  const limitNum = Math.max(1, Math.min(500, Number.parseInt(limit) || 50))
+
+  const [events, totalItems] = await Promise.all([
+    RideEvent.find(query)
+      .sort({ occurredAt: 1, _id: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    RideEvent.countDocuments(query),
+  ])
+
+  const totalPages = Math.ceil(totalItems / limitNum)
+
+  return {
+    data: events,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1,
+    },
+  }
+}
+
+const eventsToCsv = (events) =>
+  toCsv(events, [
+    { header: "occurredAt", value: (e) => e.occurredAt },
+    { header: "rideId", value: (e) => String(e.ride) },
+    { header: "type", value: (e) => e.type },
+    { header: "actorType", value: (e) => e.actor && e.actor.type },
+    { header: "actorId", value: (e) => e.actor && e.actor.id },
+    { header: "actorName", value: (e) => e.actor && e.actor.name },
+    { header: "message", value: (e) => e.message },
+    { header: "before", value: (e) => e.before },
+    { header: "after", value: (e) => e.after },
+    { header: "data", value: (e) => e.data },
+  ])
+
+module.exports = {
+  CHECKPOINT_INTERVAL_MS,
+  resolveActor,
+  canOperateRide,
+  recordRideEvent,
+  recordLocationCheckpoint,
+  buildEventQuery,
+  validateEventFilters,
+  queryRideEvents,
+  eventsToCsv,
+}
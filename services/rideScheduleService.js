@@ -0,0 +1,174 @@
+// Location: /services/rideScheduleService.js
+// Rides booked in advance: validates the pickup time and drives the reminder,
+// dispatch and escalation jobs through the job scheduler
+
+const Ride = require("../models/Ride")
+const User = require("../models/User")
+const transporter = require("../config/mailer")
+const scheduledRidesConfig = require("../config/scheduledRides")
+const { recordRideEvent } = require("./rideEventService")
+
+const JOB_NAMES = {
+  reminder: "ride.reminder",
+  dispatch: "ride.dispatch",
+  escalationCheck: "ride.escalationCheck",
+}
+
+const minutesBefore = (date, minutes) => new Date(new Date(date).getTime() - minutes * 60 * 1000)
+
+// Check a requested pickup time. Returns { scheduledFor } or { error }.
+const validateScheduledPickup = (service, value, config = scheduledRidesConfig, now = new Date()) => {
+  const scheduledFor = new Date(value)
+  if (isNaN(scheduledFor.getTime())) return { error: "Invalid scheduledFor date" }
+
+  if (!config.allowedServices.includes(service)) {
+    return { error: `Scheduled bookings are only available for: ${config.allowedServices.join(", ")}` }
+  }
+  if (scheduledFor < new Date(now.getTime() + config.minAdvanceMinutes * 60 * 1000)) {
+    return { error: `Scheduled pickups must be at least ${config.minAdvanceMinutes} minutes ahead` }
+  }
+  if (scheduledFor > new Date(now.getTime() + config.maxAdvanceDays * 24 * 60 * 60 * 1000)) {
+    return { error: `Scheduled pickups can be at most ${config.maxAdvanceDays} days ahead` }
+  }
+
+  return { scheduledFor }
+}
+
+// Queue the reminder, dispatch and escalation check for a scheduled ride.
+// Scheduling again (e.g. after a time change) moves the existing jobs.
+const scheduleRideJobs = async (scheduler, ride, config = scheduledRidesConfig) => {
+  const payload = { rideId: String(ride._id) }
+  const jobs = [
+    [JOB_NAMES.reminder, config.reminderLeadMinutes],
+    [JOB_NAMES.dispatch, config.dispatchLeadMinutes],
+    [JOB_NAMES.escalationCheck, config.escalationLeadMinutes],
+  ]
+
+  return Promise.all(
+    jobs.map(([name, leadMinutes]) =>
+      scheduler.schedule(name, minutesBefore(ride.scheduledFor, leadMinutes), payload, {
+        uniqueKey: `ride:${ride._id}:${name}`,
+      }),
+    ),
+  )
+}
+
+const cancelRideJobs = (scheduler, rideId) =>
+  scheduler.cancel({ name: { $in: Object.values(JOB_NAMES) }, "payload.rideId": String(rideId) })
+
+// Alert the ops dashboard that a scheduled ride has no driver yet. Only the
+// first escalation per ride is recorded and broadcast.
+const escalateScheduledRide = async (io, ride, reason) => {
+  const escalated = await Ride.findOneAndUpdate(
+    { _id: ride._id, scheduledFor: { $exists: true }, "schedule.escalatedAt": { $exists: false } },
+    { $set: { "schedule.escalatedAt": new Date(), "schedule.escalationReason": reason } },
+    { new: true },
+  )
+  if (!escalated) return null
+
+  console.warn(`🚨 Scheduled ride ${ride._id} escalated: ${reason}`)
+  await recordRideEvent({
+    ride: escalated,
+    type: "dispatch",
+    actor: { type: "system", name: "scheduler" },
+    message: `Scheduled ride escalated to operations: ${reason}`,
+    data: { scheduledFor: escalated.scheduledFor },
+  })
+
+  if (io) {
+    io.to("dashboard").emit("scheduledRideEscalation", {
+      rideId: escalated._id,
+      service: escalated.service,
+      user: escalated.user,
+      pickup: escalated.pickup,
+      scheduledFor: escalated.scheduledFor,
+      reason,
+      timestamp: new Date().toISOString(),
+    })
+  }
+
+  return escalated
+}
+
+const sendRideReminder = async (io, ride) => {
+  const minutesLeft = Math.max(0, Math.round((new Date(ride.scheduledFor) - Date.now()) / 60000))
+  const reminder = {
+    rideId: ride._id,
+    service: ride.service,
+    scheduledFor: ride.scheduledFor,
+    pickup: ride.pickup && ride.pickup.address,
+    minutesLeft,
+  }
+
+  if (io) io.to(`user:${ride.user._id}`).emit("rideReminder", reminder)
+
+  const user = await User.findById(ride.user._id).select("email name")
+  if (user && user.email) {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: "Reminder: your scheduled pickup",
+      text:
+        `Hi ${user.name || ride.user.name},\n\n` +
+        `Your ${ride.service} booking is scheduled for ${new Date(ride.scheduledFor).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })}` +
+        (reminder.pickup ? ` from ${reminder.pickup}` : "") +
+        `.\nWe will start looking for a driver shortly before pickup.`,
+    })
+  }
+
+  return reminder
+}
+
+// Job handlers. A ride that is no longer waiting for a driver makes them no-ops.
+const registerRideScheduleJobs = (scheduler, { io, dispatchService }) => {
+  scheduler.register(JOB_NAMES.reminder, async ({ rideId }) => {
+    const ride = await Ride.findById(rideId)
+    if (!ride || !["requested", "accepted"].includes(ride.status)) return { skipped: true }
+
+    await sendRideReminder(io, ride)
+    await Ride.updateOne({ _id: ride._id }, { $set: { "schedule.reminderSentAt": new Date() } })
+    await recordRideEvent({
+      ride,
+      type: "admin_action",
+      actor: { type: "system", name: "scheduler" },
+      message: "Pickup reminder sent to rider",
+    })
+    return { sent: true }
+  })
+
+  scheduler.register(JOB_NAMES.dispatch, async ({ rideId }) => {
+    const ride = await Ride.findById(rideId)
+    if (!ride || ride.status !== "requested") return { skipped: true }
+
+    await Ride.updateOne({ _id: ride._id }, { $set: { "schedule.dispatchStartedAt": new Date() } })
+    if (!dispatchService) {
+      await escalateScheduledRide(io, ride, "Automatic dispatch is not running")
+      return { escalated: true }
+    }
+    await dispatchService.dispatchRide(ride._id)
+    return { dispatched: true }
+  })
+
+  scheduler.register(JOB_NAMES.escalationCheck, async ({ rideId }) => {
+    const ride = await Ride.findById(rideId)
+    if (!ride || ride.status !== "requested") return { skipped: true }
+
+    await escalateScheduledRide(io, ride, "No driver has accepted yet")
+    // Keep searching in case a driver has come online since the last round
+    if (dispatchService && (!ride.dispatch || ride.dispatch.status !== "searching")) {
+      await dispatchService.dispatchRide(ride._id)
+    }
+    return { escalated: true }
+  })
+
+  return scheduler
+}
+
+module.exports = {
+  JOB_NAMES,
+  validateScheduledPickup,
+  scheduleRideJobs,
+  cancelRideJobs,
+  escalateScheduledRide,
+  registerRideScheduleJobs,
+}
@@ -0,0 +1,128 @@
+// Location: /services/rideStatusService.js
+// Moves a ride to a new status and runs everything that follows from it: fare
+// charge, cash collection, timeline, dispatch, scheduled jobs, promo release,
+// receipt and ledger posting. Used by the REST API and the socket handler alike.
+
+const Ride = require("../models/Ride")
+const { RIDE_STATUSES } = require("../utils/rideStateMachine")
+const { chargeCompletedRide } = require("./fareService")
+const { cancelRideJobs } = require("./rideScheduleService")
+const { releasePromotion } = require("./promotionService")
+const { scheduleRideReceipt } = require("./receiptService")
+const { scheduleRideLedgerPosting } = require("./walletService")
+const { recordCashCollection } = require("./cashService")
+const { cancellationUpdate } = require("./cancellationService")
+const { releaseRideDriver } = require("./dispatchService")
+const { recordRideEvent, recordLocationCheckpoint, canOperateRide } = require("./rideEventService")
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+// Riders may cancel their own rides, on top of the ride's driver and admins
+const canCancel = (ride, actor) => {
+  if (actor.type === "rider") return Boolean(actor.id && ride.user && String(ride.user._id) === actor.id)
+  return canOperateRide(ride, actor)
+}
+
+// Change the status of a ride. `actor` is the authenticated requester (see
+// resolveActor): the assigned driver or an admin, or for cancellations also the
+// rider. Cancellations take reasonCode and note, completions of cash rides the
+// cashCollected amount.
+// Returns { success, ride, previousStatus, cashCollection } or a failure with
+// statusCode and message; lifecycle violations throw InvalidTransitionError.
+const changeRideStatus = async (rideId, status, { actor, reasonCode, note, cashCollected, app } = {}) => {
+  if (!status) return fail(400, `Status is required. Must be one of: ${RIDE_STATUSES.join(", ")}`)
+  // Drivers of cash rides can report the cash taken together with completion
+  if (cashCollected !== undefined && !(Number(cashCollected) >= 0)) {
+    return fail(400, "cashCollected must be zero or more")
+  }
+
+  const cancelling = status === "cancelled"
+  if (!actor || !["rider", "driver", "admin"].includes(actor.type)) {
+    return fail(401, cancelling ? "Sign in to cancel a ride" : "Sign in as the ride's driver or an admin")
+  }
+  const current = await Ride.findByIdOrLegacyId(rideId)
+  if (!current) return fail(404, "Ride not found")
+  if (cancelling ? !canCancel(current, actor) : !canOperateRide(current, actor)) {
+    return fail(
+      403,
+      cancelling
+        ? "Only the rider, the assigned driver or an admin can cancel this ride"
+        : "Only the assigned driver or an admin can change the status of this ride",
+    )
+  }
+
+  // Cancellations record who cancelled and why, and the fee that follows
+  let options = {}
+  if (cancelling) {
+    options = cancellationUpdate(actor, { reasonCode, note })
+    if (options.error) return fail(400, options.error)
+  }
+
+  const result = await Ride.transitionStatus(current._id, status, options)
+  if (!result) return fail(404, "Ride not found")
+
+  let { ride } = result
+  const { previousStatus } = result
+  const io = app && app.get("io")
+
+  if (ride.status === "completed") {
+    ride = await chargeCompletedRide(ride)
+  }
+  let cashCollection
+  if (ride.status === "completed" && ride.paymentMethod === "cash" && cashCollected !== undefined) {
+    const driverId = ride.driver && ride.driver._id
+    cashCollection = await recordCashCollection(ride._id, {
+      amount: cashCollected,
+      driverId,
+      actor: { type: "driver", id: driverId ? String(driverId) : undefined, name: ride.driver.name },
+      io,
+    })
+    if (cashCollection.success) ride = cashCollection.ride
+  }
+
+  await recordRideEvent({
+    ride,
+    type: "status_change",
+    actor,
+    message: `Status changed from ${previousStatus} to ${ride.status}`,
+    before: { status: previousStatus },
+    after: { status: ride.status, cancellation: ride.cancellation },
+  })
+  if (ride.currentLocation && ride.currentLocation.lat !== undefined) {
+    await recordLocationCheckpoint(ride._id, ride.currentLocation, actor, { force: true })
+  }
+
+  // Open offers are void once the ride leaves "requested"
+  const dispatchService = app && app.get("dispatchService")
+  if (dispatchService && previousStatus === "requested") {
+    await dispatchService.cancelDispatch(ride._id, `Ride ${ride.status}`)
+  }
+  // The driver can be offered rides again
+  if (["completed", "cancelled"].includes(ride.status)) {
+    await releaseRideDriver(ride)
+  }
+
+  // A cancelled advance booking needs no reminder or dispatch any more
+  const jobScheduler = app && app.get("jobScheduler")
+  if (jobScheduler && ride.scheduledFor && ride.status === "cancelled") {
+    await cancelRideJobs(jobScheduler, ride._id)
+  }
+  // The promo code can be used again
+  if (ride.status === "cancelled") {
+    await releasePromotion(ride)
+  }
+  // Receipt is rendered and emailed in the background
+  if (jobScheduler && ride.status === "completed") {
+    await scheduleRideReceipt(jobScheduler, ride)
+  }
+  // Fare, driver earning or cancellation fee go to the ledger in the background
+  if (jobScheduler && ["completed", "cancelled"].includes(ride.status)) {
+    await scheduleRideLedgerPosting(jobScheduler, ride)
+  }
+
+  return { success: true, ride, previousStatus, cashCollection }
+}
+
+module.exports = {
+  changeRideStatus,
+}
@@ -0,0 +1,176 @@
+// Location: /services/rideStopService.js
+// Multi-stop rides and delivery routes: builds the ordered stop list from a
+// request and moves single stops through pending -> arrived -> done / failed
+
+const Ride = require("../models/Ride")
+const stopsConfig = require("../config/stops")
+const { ACTIVE_RIDE_STATUSES } = require("../utils/rideStateMachine")
+const { toPlace, fromPoint } = require("../utils/geo")
+const { recordRideEvent, canOperateRide } = require("./rideEventService")
+const { getRequirements, isDropStop } = require("./proofOfDeliveryService")
+
+// Allowed next statuses of a stop; done and failed are final
+const STOP_TRANSITIONS = {
+  pending: ["arrived", "done", "failed"],
+  arrived: ["done", "failed"],
+  done: [],
+  failed: [],
+}
+
+const STOP_TIMESTAMP_FIELDS = {
+  arrived: "arrivedAt",
+  done: "completedAt",
+  failed: "failedAt",
+}
+
+const isFinishedStop = (stop) => stop.status === "done" || stop.status === "failed"
+
+// Normalise the stops of a booking request. Each stop accepts the same place
+// formats as pickup / drop plus contact and instructions. Returns { stops } or { error }.
+const buildStops = (service, input, config = stopsConfig) => {
+  if (!Array.isArray(input)) return { error: "stops must be an array" }
+  if (!config.allowedServices.includes(service)) {
+    return { error: `Multi-stop bookings are only available for: ${config.allowedServices.join(", ")}` }
+  }
+  if (input.length < 2 || input.length > config.maxStops) {
+    return { error: `A route needs between 2 and ${config.maxStops} stops` }
+  }
+
+  const stops = []
+  for (const [index, raw] of input.entries()) {
+    const place = toPlace(raw)
+    if (!place) return { error: `Stop ${index + 1} needs an address or coordinates` }
+
+    const contact = raw && typeof raw === "object" ? raw.contact || {} : {}
+    stops.push({
+      sequence: index,
+      ...place,
+      contact: { name: contact.name, phone: contact.phone },
+      instructions: raw && typeof raw === "object" ? raw.instructions : undefined,
+      status: "pending",
+    })
+  }
+
+  return { stops }
+}
+
+const toStopPayload = (stop) => ({
+  stopId: stop._id,
+  sequence: stop.sequence,
+  address: stop.address,
+  location: fromPoint(stop.location),
+  status: stop.status,
+  arrivedAt: stop.arrivedAt,
+  completedAt: stop.completedAt,
+  failedAt: stop.failedAt,
+  failureReason: stop.failureReason,
+})
+
+// Stop list of a ride with per-stop timestamps and route progress
+const summariseStops = (ride) => {
+  const stops = ride.stops || []
+  const nextStop = stops.find((stop) => !isFinishedStop(stop))
+  return {
+    total: stops.length,
+    done: stops.filter((stop) => stop.status === "done").length,
+    failed: stops.filter((stop) => stop.status === "failed").length,
+    nextStop: nextStop ? toStopPayload(nextStop) : null,
+    allStopsFinished: stops.length > 0 && !nextStop,
+    stops: stops.map(toStopPayload),
+  }
+}
+
+// Move one stop of a running ride to a new status, as its driver or an admin
+// (`actor`, see resolveActor). The driver, the rider and the rides room are told
+// about every change.
+// Returns { success, ride, stop } or { success: false, statusCode, message }.
+const updateStopStatus = async (rideId, stopId, status, { actor, reason, io } = {}) => {
+  if (!STOP_TIMESTAMP_FIELDS[status]) {
+    return { success: false, statusCode: 400, message: "status must be one of: arrived, done, failed" }
+  }
+
+  if (!actor || !["driver", "admin"].includes(actor.type)) {
+    return { success: false, statusCode: 401, message: "Sign in as the ride's driver or an admin" }
+  }
+
+  const ride = await Ride.findByIdOrLegacyId(rideId)
+  if (!ride) return { success: false, statusCode: 404, message: "Ride not found" }
+  if (!canOperateRide(ride, actor)) {
+    return { success: false, statusCode: 403, message: "Only the assigned driver or an admin can update stops" }
+  }
+  if (!ride.stops || ride.stops.length === 0) {
+    return { success: false, statusCode: 400, message: "This ride has no stops" }
+  }
+  if (!ACTIVE_RIDE_STATUSES.includes(ride.status)) {
+    return { success: false, statusCode: 409, message: `Stops cannot be updated while the ride is ${ride.status}` }
+  }
+
+  const stop = ride.stops.id(stopId)
+  if (!stop) return { success: false, statusCode: 404, message: "Stop not found" }
+
+  const allowed = STOP_TRANSITIONS[stop.status] || []
+  if (!allowed.includes(status)) {
+    return {
+      success: false,
+      statusCode: 409,
+      message:
+        allowed.length > 0
+          ? `Cannot change stop from "${stop.status}" to "${status}". Allowed: ${allowed.join(", ")}`
+          : `Stop is already ${stop.status}`,
+    }
+  }
+  // A delivery drop is only done once its handoff has been proven
+  const needsProof = status === "done" && isDropStop(stop) && getRequirements(ride.service)
+  if (needsProof && !(stop.proofOfDelivery && stop.proofOfDelivery.capturedAt)) {
+    return { success: false, statusCode: 422, message: "Proof of delivery is required before this stop is done" }
+  }
+
+  const now = new Date()
+  const set = { "stops.$.status": status, [`stops.$.${STOP_TIMESTAMP_FIELDS[status]}`]: now }
+  if (status === "failed") set["stops.$.failureReason"] = reason ? String(reason).trim() : undefined
+
+  // Only the request that still sees the old stop status wins
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, stops: { $elemMatch: { _id: stop._id, status: stop.status } } },
+    { $set: set },
+    { new: true },
+  )
+  if (!updated) {
+    return { success: false, statusCode: 409, message: "Stop was changed by another request, please retry" }
+  }
+
+  const updatedStop = updated.stops.id(stop._id)
+  await recordRideEvent({
+    ride: updated,
+    type: "stop_update",
+    actor,
+    message:
+      `Stop ${updatedStop.sequence + 1} (${updatedStop.address || "no address"}) ${stop.status} -> ${status}` +
+      (status === "failed" && reason ? `: ${reason}` : ""),
+    before: { stopId: stop._id, status: stop.status },
+    after: { stopId: stop._id, status },
+  })
+
+  if (io) {
+    const progress = summariseStops(updated)
+    const payload = {
+      rideId: updated._id,
+      stop: toStopPayload(updatedStop),
+      nextStop: progress.nextStop,
+      allStopsFinished: progress.allStopsFinished,
+      timestamp: now.toISOString(),
+    }
+    if (updated.driver && updated.driver._id) io.to(`driver:${updated.driver._id}`).emit("rideStopUpdated", payload)
+    io.to(`user:${updated.user._id}`).emit("rideStopUpdated", payload)
+    io.to("rides").emit("rideStopUpdated", payload)
+  }
+
+  return { success: true, ride: updated, stop: updatedStop }
+}
+
+module.exports = {
+  STOP_TRANSITIONS,
+  buildStops,
+  summariseStops,
+  updateStopStatus,
+}
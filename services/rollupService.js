@@ -0,0 +1,490 @@
+// Location: /services/rollupService.js
+// Hourly and daily report rollups (models/ReportRollup.js), so reports and the
+// dashboard sum a few summary rows instead of aggregating raw rides on every
+// request. Each ride remembers what it added (models/RideRollupContribution.js)
+// and a change to the ride applies only the difference. rebuildRollups
+// recomputes whole local days from the rides; a nightly job does so for the last
+// days to repair anything an incremental update missed. Rows are local hours and
+// days of config/reports.js timezone; sums for other time zones read the hourly
+// rows, or the rides themselves when the zone's hours do not line up.
+
+const Ride = require("../models/Ride")
+const Zone = require("../models/Zone")
+const ReportRollup = require("../models/ReportRollup")
+const RideRollupContribution = require("../models/RideRollupContribution")
+const reportsConfig = require("../config/reports")
+const ratingsConfig = require("../config/ratings")
+const rideChanges = require("../utils/rideChanges")
+const { dateBucketKey } = require("../utils/reportsHelper")
+const {
+  getZonedParts,
+  getTimezoneOffset,
+  startOfZonedDay,
+  startOfZonedHour,
+  addZonedDays,
+  nextDailyRun,
+} = require("../utils/timezone")
+
+const { ROLLUP_METRICS } = ReportRollup
+const ROLLUP_RECONCILE_JOB = "rollups.reconcile"
+const ROLLUP_REBUILD_JOB = "rollups.rebuild"
+
+// A ride update that keeps losing the race to newer ones gives up after this many tries
+const MAX_APPLY_ATTEMPTS = 5
+
+const STATUS_METRICS = {
+  requested: "requested",
+  accepted: "accepted",
+  arrived: "arrived",
+  "in-progress": "inProgress",
+  completed: "completed",
+  cancelled: "cancelled",
+}
+
+const ROLLUP_RIDE_FIELDS = [
+  "service",
+  "status",
+  "amount",
+  "rideTime",
+  "driver",
+  "pickup.location",
+  "surge.multiplier",
+  "surge.amount",
+  "promotion.discount",
+  "cancellation.actor.type",
+  "cancellation.reasonCode",
+  "cancellation.stage",
+  "cancellation.fee",
+  "cancellation.driverCompensation",
+  "ratings.byRider.score",
+].join(" ")
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+const pad = (value) => String(value).padStart(2, "0")
+
+// Figures one ride adds to each row it is in; zeros are left out
+const rideMetrics = (ride) => {
+  const metrics = { rides: 1 }
+  const add = (metric, value) => {
+    if (value) metrics[metric] = (metrics[metric] || 0) + value
+  }
+
+  add(STATUS_METRICS[ride.status], 1)
+  if (ride.status === "completed") {
+    add("revenue", ride.amount || 0)
+    if (ride.surge && ride.surge.multiplier > 1) {
+      add("surgeRevenue", ride.surge.amount || 0)
+      add("surgedRides", 1)
+    }
+    if (ride.promotion && ride.promotion.discount > 0) {
+      add("promoCost", ride.promotion.discount)
+      add("promoRides", 1)
+    }
+  }
+  if (ride.status === "cancelled" && ride.cancellation) {
+    add("cancellationFees", ride.cancellation.fee || 0)
+    add("driverCompensation", ride.cancellation.driverCompensation || 0)
+  }
+
+  const score = ride.ratings && ride.ratings.byRider && ride.ratings.byRider.score
+  if (score) {
+    add("ratingTotal", score)
+    add("ratedRides", 1)
+    if (score <= ratingsConfig.lowRatingThreshold) add("lowRatedRides", 1)
+  }
+  return metrics
+}
+
+// Zones containing the pickup; reused from the previous contribution while the pickup stays put
+const pickupZones = async (ride, previous) => {
+  const coordinates = ride.pickup && ride.pickup.location && ride.pickup.location.coordinates
+  const pickupPoint = coordinates && coordinates.length === 2 ? coordinates.join(",") : null
+
+  if (previous && previous.pickupPoint === pickupPoint) return { pickupPoint, zones: previous.zones || [] }
+  if (!pickupPoint) return { pickupPoint, zones: [] }
+
+  const zones = await Zone.findContaining(coordinates[1], coordinates[0]).select("name").lean()
+  return { pickupPoint, zones: zones.map((zone) => ({ id: String(zone._id), name: zone.name })) }
+}
+
+// Dimension values of a ride, given the zones containing its pickup
+const rideDimensions = (ride, zones) => {
+  const cancellation = ride.status === "cancelled" ? ride.cancellation || {} : null
+  return [
+    { dimension: "all", key: "all" },
+    { dimension: "service", key: ride.service },
+    ...(ride.driver && ride.driver._id
+      ? [{ dimension: "driver", key: String(ride.driver._id), label: ride.driver.name }]
+      : []),
+    ...zones.map((zone) => ({ dimension: "zone", key: zone.id, label: zone.name })),
+    ...(cancellation
+      ? [
+          { dimension: "cancellationReason", key: cancellation.reasonCode || "unspecified" },
+          { dimension: "cancellationActor", key: (cancellation.actor && cancellation.actor.type) || "unknown" },
+          { dimension: "cancellationStage", key: cancellation.stage || "unknown" },
+        ]
+      : []),
+  ]
+}
+
+// Buckets, dimension values and figures a ride adds to the rollups
+const buildContribution = async (ride, previous, config = reportsConfig) => {
+  const { timezone } = config
+  const local = getZonedParts(ride.rideTime, timezone)
+  const { pickupPoint, zones } = await pickupZones(ride, previous)
+
+  return {
+    hourStart: startOfZonedHour(ride.rideTime, timezone),
+    dayStart: startOfZonedDay(ride.rideTime, timezone),
+    date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+    hour: local.hour,
+    dimensions: rideDimensions(ride, zones),
+    metrics: rideMetrics(ride),
+    pickupPoint,
+    zones,
+  }
+}
+
+const rowId = (row) => `${row.dimension}|${row.granularity}|${new Date(row.bucketStart).getTime()}|${row.key}`
+
+// Add sign × a contribution's figures to its hourly and daily rows in `rows`
+const accumulate = (rows, contribution, sign) => {
+  if (!contribution) return rows
+
+  for (const { dimension, key, label } of contribution.dimensions) {
+    for (const granularity of ["hour", "day"]) {
+      const row = {
+        granularity,
+        bucketStart: granularity === "hour" ? contribution.hourStart : contribution.dayStart,
+        date: contribution.date,
+        ...(granularity === "hour" ? { hour: contribution.hour } : {}),
+        dimension,
+        key,
+      }
+      const id = rowId(row)
+      if (!rows.has(id)) rows.set(id, { ...row, metrics: {} })
+
+      const target = rows.get(id)
+      if (sign > 0 && label) target.label = label
+      for (const [metric, value] of Object.entries(contribution.metrics || {})) {
+        target.metrics[metric] = (target.metrics[metric] || 0) + sign * value
+      }
+    }
+  }
+  return rows
+}
+
+const applyRowDeltas = async (rows) => {
+  const operations = []
+  for (const row of rows.values()) {
+    const increments = Object.entries(row.metrics).filter(([, value]) => Math.abs(value) > 1e-9)
+    if (increments.length === 0) continue
+
+    const { granularity, bucketStart, dimension, key, date, hour, label } = row
+    operations.push({
+      updateOne: {
+        filter: { dimension, granularity, bucketStart, key },
+        update: {
+          $inc: Object.fromEntries(increments.map(([metric, value]) => [`metrics.${metric}`, value])),
+          $set: { date, ...(hour !== undefined ? { hour } : {}), ...(label ? { label } : {}) },
+        },
+        upsert: true,
+      },
+    })
+  }
+  if (operations.length > 0) await ReportRollup.bulkWrite(operations, { ordered: false })
+  return operations.length
+}
+
+// Bring the rollups in line with the current state of a ride. Only the update
+// that moves the ride's contribution from the version it read applies the
+// difference, so concurrent updates on several servers never double count.
+const applyRideRollup = async (rideId) => {
+  for (let attempt = 1; attempt <= MAX_APPLY_ATTEMPTS; attempt++) {
+    const [ride, previous] = await Promise.all([
+      Ride.findById(rideId).select(ROLLUP_RIDE_FIELDS).lean(),
+      RideRollupContribution.findOne({ ride: rideId }).lean(),
+    ])
+    if (!ride && !previous) return null
+
+    const next = ride ? await buildContribution(ride, previous) : null
+    let claimed = null
+    if (!previous) {
+      try {
+        claimed = await RideRollupContribution.create({ ride: rideId, ...next })
+      } catch (error) {
+        if (error.code !== 11000) throw error
+      }
+    } else if (next) {
+      claimed = await RideRollupContribution.findOneAndUpdate(
+        { _id: previous._id, version: previous.version },
+        { $set: next, $inc: { version: 1 } },
+        { new: true },
+      )
+    } else {
+      claimed = await RideRollupContribution.findOneAndDelete({ _id: previous._id, version: previous.version })
+    }
+
+    if (claimed) {
+      await applyRowDeltas(accumulate(accumulate(new Map(), previous, -1), next, 1))
+      return next
+    }
+  }
+  throw new Error(`Ride ${rideId} kept changing while its rollups were updated`)
+}
+
+// Updates of the same ride in this process run one after the other
+const inFlight = new Map()
+
+const queueRideRollup = (rideId) => {
+  const key = String(rideId)
+  const run = (inFlight.get(key) || Promise.resolve())
+    .then(() => applyRideRollup(key))
+    .catch((error) => console.error(`❌ Error updating report rollups of ride ${key}:`, error.message))
+  inFlight.set(key, run)
+  run.finally(() => {
+    if (inFlight.get(key) === run) inFlight.delete(key)
+  })
+  return run
+}
+
+let watching = false
+
+// Follow ride writes made in this process (see the hooks in models/Ride.js)
+const watchRideChanges = () => {
+  if (!watching) {
+    rideChanges.on("change", queueRideRollup)
+    watching = true
+  }
+}
+
+// Recompute the rollups of every local day touching [from, to] from the rides.
+// Each day's rows are replaced at once; a ride changing while its day is rebuilt
+// is corrected by the next rebuild of that day.
+// Returns { success: false, statusCode, message } on bad input.
+const rebuildRollups = async ({ from, to } = {}, config = reportsConfig) => {
+  const start = new Date(from)
+  const end = new Date(to)
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return fail(400, "from and to must be valid dates")
+  }
+  if (start > end) return fail(400, "from cannot be after to")
+
+  const { timezone } = config
+  const stats = { days: 0, rides: 0, rows: 0, moved: 0 }
+
+  for (let day = startOfZonedDay(start, timezone); day <= end; day = addZonedDays(day, 1, timezone)) {
+    const nextDay = addZonedDays(day, 1, timezone)
+    const previousContributions = await RideRollupContribution.find({ dayStart: day }).lean()
+    const previousByRide = new Map(previousContributions.map((item) => [String(item.ride), item]))
+    const rows = new Map()
+    const replacements = []
+
+    const rides = Ride.find({ rideTime: { $gte: day, $lt: nextDay } }).select(ROLLUP_RIDE_FIELDS).lean().cursor()
+    for await (const ride of rides) {
+      const previous = previousByRide.get(String(ride._id))
+      const contribution = await buildContribution(ride, previous, config)
+      accumulate(rows, contribution, 1)
+      replacements.push({
+        replaceOne: {
+          filter: { ride: ride._id },
+          replacement: { ride: ride._id, version: previous ? previous.version + 1 : 0, ...contribution },
+          upsert: true,
+        },
+      })
+      previousByRide.delete(String(ride._id))
+    }
+
+    await ReportRollup.deleteMany({ bucketStart: { $gte: day, $lt: nextDay } })
+    if (rows.size > 0) await ReportRollup.insertMany([...rows.values()], { ordered: false })
+    if (replacements.length > 0) await RideRollupContribution.bulkWrite(replacements, { ordered: false })
+
+    // Contributions still filed under this day belong to rides that moved to
+    // another day without being counted there; count them again from scratch
+    const moved = [...previousByRide.keys()]
+    if (moved.length > 0) {
+      await RideRollupContribution.deleteMany({ ride: { $in: moved }, dayStart: day })
+      await Promise.all(moved.map(queueRideRollup))
+    }
+
+    stats.days += 1
+    stats.rides += replacements.length
+    stats.rows += rows.size
+    stats.moved += moved.length
+  }
+
+  return { success: true, from: start, to: end, ...stats }
+}
+
+// Rollup rows covering [from, to] (to inclusive): daily rows for the local days
+// wholly inside the range, hourly rows for the partial days at either end.
+// The range is widened to whole local hours.
+const rangeFilter = (from, to, { timezone }) => {
+  const start = startOfZonedHour(from, timezone)
+  const endExclusive = new Date(new Date(to).getTime() + 1)
+
+  let firstDay = startOfZonedDay(start, timezone)
+  if (firstDay < start) firstDay = addZonedDays(firstDay, 1, timezone)
+  const lastDayEnd = startOfZonedDay(endExclusive, timezone)
+
+  if (firstDay >= lastDayEnd) return [{ granularity: "hour", bucketStart: { $gte: start, $lt: endExclusive } }]
+  return [
+    { granularity: "day", bucketStart: { $gte: firstDay, $lt: lastDayEnd } },
+    { granularity: "hour", bucketStart: { $gte: start, $lt: firstDay } },
+    { granularity: "hour", bucketStart: { $gte: lastDayEnd, $lt: endExclusive } },
+  ]
+}
+
+const emptyMetrics = () => Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, 0]))
+
+// Average fare and rider rating from summed figures
+const withAverages = (row) => ({
+  ...row,
+  avgFare: row.completed > 0 ? row.revenue / row.completed : 0,
+  avgRating: row.ratedRides > 0 ? row.ratingTotal / row.ratedRides : null,
+})
+
+// Whether hourly rows can be summed into the hours and days of a time zone over
+// [from, to]: its clock differs from the rollups' by whole hours (UTC and
+// Asia/Kolkata, 5:30 apart, do not line up)
+const rollupsAlignWith = (timeZone, from, to, config = reportsConfig) =>
+  [from, to].every((date) => (getTimezoneOffset(date, timeZone) - getTimezoneOffset(date, config.timezone)) % 60 === 0)
+
+const compareIds = (a, b) => (a._id < b._id ? -1 : a._id > b._id ? 1 : 0)
+
+// Same sums as sumRollups read from the rides in [from, to], for time zones the
+// rollups do not line up with. Reads every ride of the range.
+const sumRides = async ({ from, to, dimension, keys, groupBy, timeZone }) => {
+  const wanted = keys ? new Set(keys.map(String)) : null
+  const groups = new Map()
+
+  const rides = Ride.find({ rideTime: { $gte: new Date(from), $lte: new Date(to) } })
+    .select(ROLLUP_RIDE_FIELDS)
+    .lean()
+    .cursor()
+  for await (const ride of rides) {
+    const zones = dimension === "zone" ? (await pickupZones(ride)).zones : []
+    const values = rideDimensions(ride, zones).filter((value) => value.dimension === dimension)
+    for (const { key, label } of values) {
+      if (wanted && !wanted.has(key)) continue
+
+      const local = getZonedParts(ride.rideTime, timeZone)
+      const groupIds = { hour: local.hour, date: `${local.year}-${pad(local.month)}-${pad(local.day)}`, key }
+      const id = groupBy ? groupIds[groupBy] : null
+      if (!groups.has(id)) groups.set(id, { _id: id, ...emptyMetrics() })
+
+      const group = groups.get(id)
+      if (label) group.label = label
+      for (const [metric, value] of Object.entries(rideMetrics(ride))) group[metric] += value
+    }
+  }
+  return [...groups.values()].sort(compareIds)
+}
+
+// Rollup rows of [from, to] summed per group: hourly rows only for another time zone
+// (grouped by its hours and dates), daily and hourly rows for the rollups' own
+const aggregateRollups = async ({ from, to, dimension, keys, groupBy, timeZone }, config) => {
+  const ownZone = timeZone === config.timezone
+  let range
+  if (ownZone && groupBy !== "hour") {
+    range = rangeFilter(from, to, config)
+  } else {
+    const start = startOfZonedHour(from, timeZone)
+    range = [{ granularity: "hour", bucketStart: { $gte: start, $lt: new Date(new Date(to).getTime() + 1) } }]
+  }
+
+  const groupIds = ownZone
+    ? { hour: "$hour", date: "$date", key: "$key" }
+    : {
+        hour: { $hour: { date: "$bucketStart", timezone: timeZone } },
+        date: { $dateToString: { format: "%Y-%m-%d", date: "$bucketStart", timezone: timeZone } },
+        key: "$key",
+      }
+
+  return ReportRollup.aggregate([
+    { $match: { dimension, ...(keys ? { key: { $in: keys.map(String) } } : {}), $or: range } },
+    {
+      $group: {
+        _id: groupBy ? groupIds[groupBy] : null,
+        label: { $last: "$label" },
+        ...Object.fromEntries(ROLLUP_METRICS.map((metric) => [metric, { $sum: `$metrics.${metric}` }])),
+      },
+    },
+    { $sort: { _id: 1 } },
+  ])
+}
+
+// Daily sums folded into weeks (keyed by their first day) or months ("YYYY-MM")
+const foldDays = (rows, groupBy, weekStartsOn) => {
+  const groups = new Map()
+  for (const row of rows) {
+    const id = dateBucketKey(row._id, groupBy, weekStartsOn)
+    if (!groups.has(id)) groups.set(id, { _id: id, ...emptyMetrics() })
+    const group = groups.get(id)
+    for (const metric of ROLLUP_METRICS) group[metric] += row[metric] || 0
+  }
+  return [...groups.values()]
+}
+
+// Rollup figures of one dimension for [from, to], summed per group: "date" (local
+// day), "week" (local week, keyed by its first day), "month" ("YYYY-MM"), "hour"
+// (local hour of the day), "key" (dimension value, with its label) or null for a
+// single total. keys limits the dimension values. timezone defaults to the rollups'
+// (config/reports.js); weekStartsOn to the configured week start.
+const sumRollups = async (
+  { from, to, dimension = "all", keys, groupBy = null, timezone, weekStartsOn },
+  config = reportsConfig,
+) => {
+  const timeZone = timezone || config.timezone
+  const folded = groupBy === "week" || groupBy === "month"
+  const options = { from, to, dimension, keys, groupBy: folded ? "date" : groupBy, timeZone }
+
+  let rows = rollupsAlignWith(timeZone, from, to, config)
+    ? await aggregateRollups(options, config)
+    : await sumRides(options)
+  if (folded) rows = foldDays(rows, groupBy, weekStartsOn === undefined ? config.weekStartsOn : weekStartsOn)
+  return rows.map(withAverages)
+}
+
+// Single total of a dimension (default: all rides) for [from, to]
+const totalRollups = async (options, config = reportsConfig) => {
+  const [total] = await sumRollups({ ...options, groupBy: null }, config)
+  return total || withAverages({ _id: null, ...emptyMetrics() })
+}
+
+const registerRollupJobs = (scheduler, config = reportsConfig) => {
+  scheduler.register(ROLLUP_REBUILD_JOB, async (payload) => {
+    const result = await rebuildRollups(payload, config)
+    if (!result.success) throw new Error(result.message)
+    return result
+  })
+
+  scheduler.registerRecurring(
+    ROLLUP_RECONCILE_JOB,
+    (after) => nextDailyRun(after, config.rollups.reconcile),
+    async () => {
+      const to = new Date()
+      const from = addZonedDays(startOfZonedDay(to, config.timezone), -config.rollups.reconcileDays, config.timezone)
+      const result = await rebuildRollups({ from, to }, config)
+      if (result.moved > 0) console.log(`📊 Rollup reconcile recounted ${result.moved} ride(s) that changed day`)
+      return result
+    },
+  )
+  return scheduler
+}
+
+module.exports = {
+  ROLLUP_RECONCILE_JOB,
+  ROLLUP_REBUILD_JOB,
+  rideMetrics,
+  rollupsAlignWith,
+  buildContribution,
+  applyRideRollup,
+  queueRideRollup,
+  watchRideChanges,
+  rebuildRollups,
+  sumRollups,
+  totalRollups,
+  registerRollupJobs,
+}
@@ -0,0 +1,395 @@
+// Location: /services/settlementService.js
+// Weekly driver settlements. A batch collects the unsettled earnings and
+// deductions up to the end of its week, works out what each driver is owed and
+// goes draft -> approved -> paid. Approved batches produce the payout files:
+// a CSV for finance and a bulk NEFT / RTGS upload for the bank.
+
+const mongoose = require("mongoose")
+const Driver = require("../models/TRdriverModel")
+const DriverEarning = require("../models/DriverEarning")
+const DriverDeduction = require("../models/DriverDeduction")
+const DriverCashEntry = require("../models/DriverCashEntry")
+const SettlementBatch = require("../models/SettlementBatch")
+const payoutsConfig = require("../config/payouts")
+const { toCsv, toCsvRow } = require("../utils/csv")
+const { getZonedParts, startOfZonedWeek, addZonedDays, nextWeeklyRun } = require("../utils/timezone")
+const { PLATFORM_ACCOUNTS, driverEarningsAccount, postTransaction } = require("./ledgerService")
+const { recordCashSettlement } = require("./cashService")
+
+const WEEKLY_SETTLEMENT_JOB = "payouts.weeklySettlement"
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+const localDate = (date, timezone, separator = "") => {
+  const { year, month, day } = getZonedParts(date, timezone)
+  return [year, String(month).padStart(2, "0"), String(day).padStart(2, "0")].join(separator)
+}
+
+// Settlement week [periodStart, periodEnd) that contains a date
+const settlementPeriod = (weekOf, config = payoutsConfig) => {
+  const periodStart = startOfZonedWeek(weekOf, config.timezone, config.weekStartsOn)
+  return { periodStart, periodEnd: addZonedDays(periodStart, 7, config.timezone) }
+}
+
+const hasBankAccount = (driver) =>
+  Boolean(driver && driver.bankAccount && driver.bankAccount.accountNumber && driver.bankAccount.ifsc)
+
+// Net amount and how much of it is paid out this week
+const settleLine = (line, driver, config = payoutsConfig) => {
+  const netAmount = roundMoney(
+    line.earnings - line.cashCollected - line.penalties - line.carriedIn - line.otherDeductions,
+  )
+  let holdReason
+  if (netAmount <= 0) holdReason = "Nothing payable"
+  else if (netAmount < config.minimumPayout) holdReason = `Below minimum payout of ${config.minimumPayout}`
+  else if (!hasBankAccount(driver)) holdReason = "No bank account on file"
+
+  const payoutAmount = holdReason ? 0 : netAmount
+  return { ...line, netAmount, payoutAmount, carriedForward: roundMoney(netAmount - payoutAmount), holdReason }
+}
+
+const emptyLine = (driverId) => ({
+  driver: driverId,
+  rides: 0,
+  grossFare: 0,
+  commission: 0,
+  earnings: 0,
+  cashCollected: 0,
+  penalties: 0,
+  carriedIn: 0,
+  otherDeductions: 0,
+})
+
+const sumLines = (lines, field) => roundMoney(lines.reduce((sum, line) => sum + (line[field] || 0), 0))
+
+// Build (or rebuild, while still a draft) the batch for the week containing weekOf.
+// Unsettled earnings and deductions from before the week are swept in as well.
+const generateSettlement = async ({ weekOf = new Date(), actor } = {}, config = payoutsConfig) => {
+  const at = new Date(weekOf)
+  if (Number.isNaN(at.getTime())) return fail(400, "weekOf must be a valid date")
+  const { periodStart, periodEnd } = settlementPeriod(at, config)
+  if (periodEnd > new Date()) return fail(409, "The settlement week has not ended yet")
+
+  let batch = await SettlementBatch.findOne({ periodStart })
+  if (batch && batch.status !== "draft") return fail(409, `Settlement ${batch.reference} is already ${batch.status}`)
+  if (batch) {
+    await DriverEarning.updateMany({ settlement: batch._id }, { settlement: null })
+    await DriverDeduction.updateMany({ settlement: batch._id }, { settlement: null })
+    await DriverCashEntry.updateMany({ settlement: batch._id }, { settlement: null })
+  } else {
+    try {
+      batch = await SettlementBatch.create({
+        reference: `STL-${localDate(periodStart, config.timezone)}`,
+        periodStart,
+        periodEnd,
+        timezone: config.timezone,
+        currency: config.currency,
+      })
+    } catch (error) {
+      if (error.code === 11000) return fail(409, "This settlement is being generated already")
+      throw error
+    }
+  }
+
+  // Claim first, then total what was claimed, so records added meanwhile are
+  // either fully in this batch or left for the next one
+  await DriverEarning.updateMany({ settlement: null, earnedAt: { $lt: periodEnd } }, { settlement: batch._id })
+  await DriverDeduction.updateMany({ settlement: null, effectiveAt: { $lt: periodEnd } }, { settlement: batch._id })
+  await DriverCashEntry.updateMany({ settlement: null, occurredAt: { $lt: periodEnd } }, { settlement: batch._id })
+
+  const [earnings, deductions, cash] = await Promise.all([
+    DriverEarning.aggregate([
+      { $match: { settlement: batch._id } },
+      {
+        $group: {
+          _id: "$driver",
+          driverName: { $last: "$driverName" },
+          rides: { $sum: { $cond: [{ $eq: ["$type", "ride"] }, 1, 0] } },
+          grossFare: { $sum: { $ifNull: ["$fare.subtotal", 0] } },
+          commission: { $sum: { $ifNull: ["$commission.amount", 0] } },
+          earnings: { $sum: "$earning" },
+        },
+      },
+    ]),
+    DriverDeduction.aggregate([
+      { $match: { settlement: batch._id } },
+      { $group: { _id: { driver: "$driver", type: "$type" }, amount: { $sum: "$amount" } } },
+    ]),
+    // Cash still held: collections less deposits and handovers (services/cashService.js)
+    DriverCashEntry.aggregate([
+      { $match: { settlement: batch._id } },
+      { $group: { _id: "$driver", amount: { $sum: "$amount" } } },
+    ]),
+  ])
+
+  const lines = new Map()
+  const lineFor = (driverId) => {
+    const key = String(driverId)
+    if (!lines.has(key)) lines.set(key, emptyLine(driverId))
+    return lines.get(key)
+  }
+  for (const { _id, ...totals } of earnings) Object.assign(lineFor(_id), totals)
+  const deductionFields = { penalty: "penalties", carry_forward: "carriedIn", other: "otherDeductions" }
+  for (const { _id, amount } of deductions) lineFor(_id.driver)[deductionFields[_id.type]] += amount
+  for (const { _id, amount } of cash) lineFor(_id).cashCollected += amount
+
+  const drivers = await Driver.find({ _id: { $in: [...lines.values()].map((line) => line.driver) } }).select(
+    "name bankAccount",
+  )
+  const driversById = new Map(drivers.map((driver) => [String(driver._id), driver]))
+
+  batch.lines = [...lines.values()].map((line) => {
+    const driver = driversById.get(String(line.driver))
+    const rounded = Object.fromEntries(
+      Object.entries(line).map(([key, value]) => [key, typeof value === "number" ? roundMoney(value) : value]),
+    )
+    return settleLine(
+      {
+        ...rounded,
+        driverName: (driver && driver.name) || line.driverName,
+        bankAccount: hasBankAccount(driver) ? driver.bankAccount.toObject() : undefined,
+      },
+      driver,
+      config,
+    )
+  })
+  batch.totals = {
+    drivers: batch.lines.length,
+    rides: batch.lines.reduce((sum, line) => sum + line.rides, 0),
+    grossFare: sumLines(batch.lines, "grossFare"),
+    commission: sumLines(batch.lines, "commission"),
+    earnings: sumLines(batch.lines, "earnings"),
+    cashCollected: sumLines(batch.lines, "cashCollected"),
+    penalties: sumLines(batch.lines, "penalties"),
+    payout: sumLines(batch.lines, "payoutAmount"),
+    carriedForward: sumLines(batch.lines, "carriedForward"),
+  }
+  batch.generatedAt = new Date()
+  batch.generatedBy = actor
+  await batch.save()
+
+  return { success: true, batch }
+}
+
+// Lock the batch for payment. The cash a driver held is netted against the
+// earnings and whatever was not paid out is carried into the next week.
+const approveSettlement = async (batchId, admin) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) return fail(400, "Invalid settlement ID format")
+  const batch = await SettlementBatch.findOneAndUpdate(
+    { _id: batchId, status: "draft" },
+    { status: "approved", approvedAt: new Date(), approvedBy: { id: String(admin._id), name: admin.name } },
+    { new: true },
+  )
+  if (!batch) {
+    const existing = await SettlementBatch.findById(batchId).select("status")
+    return existing ? fail(409, `Settlement is already ${existing.status}`) : fail(404, "Settlement not found")
+  }
+
+  const actor = { type: "admin", id: String(admin._id), name: admin.name }
+  for (const line of batch.lines.filter((item) => item.cashCollected !== 0)) {
+    const result = await recordCashSettlement(line.driver, {
+      amount: line.cashCollected,
+      settlement: batch._id,
+      reference: batch.reference,
+      actor,
+    })
+    if (!result.success) return result
+  }
+
+  for (const line of batch.lines.filter((item) => item.carriedForward !== 0)) {
+    await DriverDeduction.updateOne(
+      { sourceSettlement: batch._id, driver: line.driver },
+      {
+        $setOnInsert: {
+          type: "carry_forward",
+          // Deducted next week: what the driver owes, or a negative for what is held back for them
+          amount: roundMoney(-line.carriedForward),
+          currency: batch.currency,
+          reason: `Carried forward from ${batch.reference}${line.holdReason ? ` (${line.holdReason})` : ""}`,
+          effectiveAt: batch.periodEnd,
+          createdBy: { id: String(admin._id), name: admin.name },
+        },
+      },
+      { upsert: true },
+    )
+  }
+
+  return { success: true, batch }
+}
+
+// Record the bank transfer of an approved batch and book the payouts in the ledger
+const markSettlementPaid = async (batchId, { bankReference, admin }) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) return fail(400, "Invalid settlement ID format")
+  const batch = await SettlementBatch.findById(batchId)
+  if (!batch) return fail(404, "Settlement not found")
+  if (batch.status !== "approved") return fail(409, "Only approved settlements can be marked as paid")
+
+  for (const line of batch.lines.filter((item) => item.payoutAmount > 0)) {
+    const result = await postTransaction({
+      idempotencyKey: `settlement:${batch._id}:driver:${line.driver}`,
+      type: "driver_payout",
+      description: `Payout ${batch.reference}`,
+      entries: [
+        { account: driverEarningsAccount(line.driver), direction: "debit", amount: line.payoutAmount },
+        { account: PLATFORM_ACCOUNTS.cash, direction: "credit", amount: line.payoutAmount },
+      ],
+      driver: line.driver,
+      reference: bankReference || batch.reference,
+      actor: { type: "admin", id: String(admin._id), name: admin.name },
+    })
+    if (!result.success) return result
+  }
+
+  batch.status = "paid"
+  batch.paidAt = new Date()
+  batch.paidBy = { id: String(admin._id), name: admin.name }
+  batch.bankReference = bankReference
+  await batch.save()
+  return { success: true, batch }
+}
+
+// Penalty taken off the driver's next settlement; booked against the driver's
+// earnings account straight away
+const createPenalty = async ({ driverId, amount, reason, rideId, effectiveAt, admin }, config = payoutsConfig) => {
+  if (!mongoose.Types.ObjectId.isValid(driverId)) return fail(400, "Invalid driver ID format")
+  if (rideId && !mongoose.Types.ObjectId.isValid(rideId)) return fail(400, "Invalid ride ID format")
+  if (!reason || !String(reason).trim()) return fail(400, "A reason is required")
+  const driver = await Driver.findById(driverId).select("name")
+  if (!driver) return fail(404, "Driver not found")
+
+  const deduction = await DriverDeduction.create({
+    driver: driver._id,
+    type: "penalty",
+    amount: roundMoney(Number(amount)),
+    currency: config.currency,
+    reason,
+    ride: rideId || undefined,
+    effectiveAt: effectiveAt ? new Date(effectiveAt) : new Date(),
+    createdBy: { id: String(admin._id), name: admin.name },
+  })
+
+  const posted = await postTransaction({
+    idempotencyKey: `deduction:${deduction._id}`,
+    type: "driver_penalty",
+    description: `Penalty: ${deduction.reason}`,
+    entries: [
+      { account: driverEarningsAccount(driver._id), direction: "debit", amount: deduction.amount },
+      { account: PLATFORM_ACCOUNTS.revenue, direction: "credit", amount: deduction.amount },
+    ],
+    driver: driver._id,
+    ride: deduction.ride,
+    reference: String(deduction._id),
+    actor: { type: "admin", id: String(admin._id), name: admin.name },
+  })
+  if (!posted.success) return posted
+
+  return { success: true, deduction }
+}
+
+const settlementToCsv = (batch) =>
+  toCsv(batch.lines, [
+    { header: "Settlement", value: () => batch.reference },
+    { header: "Driver ID", value: (line) => String(line.driver) },
+    { header: "Driver Name", value: (line) => line.driverName },
+    { header: "Account Holder", value: (line) => line.bankAccount && line.bankAccount.accountHolderName },
+    { header: "Account Number", value: (line) => line.bankAccount && line.bankAccount.accountNumber },
+    { header: "IFSC", value: (line) => line.bankAccount && line.bankAccount.ifsc },
+    { header: "Bank", value: (line) => line.bankAccount && line.bankAccount.bankName },
+    { header: "Rides", value: (line) => line.rides },
+    { header: "Gross Fare", value: (line) => line.grossFare.toFixed(2) },
+    { header: "Commission", value: (line) => line.commission.toFixed(2) },
+    { header: "Earnings", value: (line) => line.earnings.toFixed(2) },
+    { header: "Cash Held", value: (line) => line.cashCollected.toFixed(2) },
+    { header: "Penalties", value: (line) => line.penalties.toFixed(2) },
+    { header: "Carried In", value: (line) => line.carriedIn.toFixed(2) },
+    { header: "Other Deductions", value: (line) => line.otherDeductions.toFixed(2) },
+    { header: "Net Amount", value: (line) => line.netAmount.toFixed(2) },
+    { header: "Payout Amount", value: (line) => line.payoutAmount.toFixed(2) },
+    { header: "Carried Forward", value: (line) => line.carriedForward.toFixed(2) },
+    { header: "Hold Reason", value: (line) => line.holdReason },
+  ])
+
+// Bank upload fields allow letters, digits and spaces only
+const bankText = (value, length) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, length)
+
+// Bulk NEFT / RTGS upload in the common Indian corporate banking layout
+// (HDFC ENet style, no header row): one payment per line with transaction type
+// N (NEFT) or R (RTGS), beneficiary code, account, amount, name, blank drawee /
+// print location and address fields, customer reference, narration, value date
+// (DD/MM/YYYY), IFSC and bank name.
+const settlementToBankFile = (batch, config = payoutsConfig, valueDate = new Date()) => {
+  const [year, month, day] = localDate(valueDate, config.timezone, "-").split("-")
+  const rows = batch.lines
+    .filter((line) => line.payoutAmount > 0 && line.bankAccount)
+    .map((line) => {
+      const driverCode = String(line.driver).slice(-10).toUpperCase()
+      return toCsvRow([
+        line.payoutAmount >= config.bank.rtgsThreshold ? "R" : "N",
+        `DRV${driverCode}`,
+        line.bankAccount.accountNumber,
+        line.payoutAmount.toFixed(2),
+        bankText(line.bankAccount.accountHolderName || line.driverName, 40),
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        `${batch.reference.replace(/-/g, "")}${driverCode}`.slice(0, 20),
+        bankText(`${config.bank.narrationPrefix} ${batch.reference}`, 30),
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "",
+        `${day}/${month}/${year}`,
+        "",
+        line.bankAccount.ifsc,
+        bankText(line.bankAccount.bankName, 100),
+        "",
+        "",
+      ])
+    })
+  return rows.length > 0 ? rows.join("\r\n") + "\r\n" : ""
+}
+
+// Batch for the week just ended, generated every week
+const registerSettlementJobs = (scheduler, config = payoutsConfig) => {
+  scheduler.registerRecurring(
+    WEEKLY_SETTLEMENT_JOB,
+    (after) => nextWeeklyRun(after, { ...config.settlementRun, timezone: config.timezone }),
+    async () => {
+      const thisWeek = startOfZonedWeek(new Date(), config.timezone, config.weekStartsOn)
+      const lastWeek = addZonedDays(thisWeek, -1, config.timezone)
+      const result = await generateSettlement({ weekOf: lastWeek, actor: { type: "system", name: "payouts" } }, config)
+      if (!result.success) return { skipped: true, reason: result.message }
+      const { reference, totals } = result.batch
+      return { reference, drivers: totals.drivers, payout: totals.payout }
+    },
+  )
+  return scheduler
+}
+
+module.exports = {
+  WEEKLY_SETTLEMENT_JOB,
+  settlementPeriod,
+  generateSettlement,
+  approveSettlement,
+  markSettlementPaid,
+  createPenalty,
+  settlementToCsv,
+  settlementToBankFile,
+  registerSettlementJobs,
+}
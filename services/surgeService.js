@@ -0,0 +1,267 @@
+// Location: /services/surgeService.js
+// Periodically computes surge multipliers per zone and per grid cell from open
+// ride requests versus idle online drivers, and publishes the map on the "surge" room
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const Driver = require("../models/TRdriverModel")
+const Zone = require("../models/Zone")
+const SurgeOverride = require("../models/SurgeOverride")
+const surgeConfig = require("../config/surge")
+const { fromPoint } = require("../utils/geo")
+
+const NO_SURGE = { multiplier: 1, source: "none" }
+
+class SurgeService {
+  constructor(io, config = surgeConfig) {
+    this.io = io
+    this.config = config
+    // "zone:<id>" / "cell:<id>" -> area state, kept between runs for smoothing
+    this.areas = new Map()
+    this.computedAt = null
+    this.computing = null
+
+    this.setupSocketHandlers()
+    this.startPeriodicComputation()
+
+    // Have a map ready as soon as the database is
+    const initialRun = () => this.refresh().catch((error) => console.error("❌ Error computing surge:", error))
+    if (mongoose.connection.readyState === 1) {
+      initialRun()
+    } else {
+      mongoose.connection.once("open", initialRun)
+    }
+  }
+
+  setupSocketHandlers() {
+    this.io.on("connection", (socket) => {
+      // Dashboard map subscribes here and immediately gets the current map
+      socket.on("subscribeSurge", () => {
+        socket.join("surge")
+        socket.emit("surgeUpdate", this.getSurgeMap())
+      })
+
+      socket.on("unsubscribeSurge", () => socket.leave("surge"))
+
+      socket.on("getSurgeMap", () => socket.emit("surgeUpdate", this.getSurgeMap()))
+    })
+  }
+
+  startPeriodicComputation() {
+    this.interval = setInterval(() => {
+      this.refresh().catch((error) => console.error("❌ Error computing surge:", error))
+    }, this.config.intervalMs)
+    if (typeof this.interval.unref === "function") this.interval.unref()
+  }
+
+  stop() {
+    clearInterval(this.interval)
+  }
+
+  cellIdFor(lat, lng) {
+    const size = this.config.gridCellSizeDeg
+    return `${Math.floor(lat / size)}:${Math.floor(lng / size)}`
+  }
+
+  cellBounds(cellId) {
+    const size = this.config.gridCellSizeDeg
+    const [row, col] = cellId.split(":").map(Number)
+    const round = (value) => Math.round(value * 1e6) / 1e6
+    return {
+      south: round(row * size),
+      west: round(col * size),
+      north: round((row + 1) * size),
+      east: round((col + 1) * size),
+    }
+  }
+
+  // Target multiplier for a demand / supply pair, before smoothing
+  rawMultiplier(demand, supply) {
+    const { minRequests, ratioThreshold, sensitivity, minMultiplier, maxMultiplier } = this.config
+    if (demand < minRequests) return minMultiplier
+    const ratio = demand / Math.max(supply, 1)
+    const multiplier = 1 + sensitivity * Math.max(0, ratio - ratioThreshold)
+    return Math.min(maxMultiplier, Math.max(minMultiplier, multiplier))
+  }
+
+  // Move part of the way towards the raw value. Within one step of it the raw
+  // value is taken as is, otherwise rounding would hold the multiplier short of it
+  smooth(previous, raw) {
+    const { smoothingFactor, step, minMultiplier, maxMultiplier } = this.config
+    let value = previous + smoothingFactor * (raw - previous)
+    if (Math.abs(value - raw) < step) value = raw
+    const rounded = Math.round(value / step) * step
+    return Math.round(Math.min(maxMultiplier, Math.max(minMultiplier, rounded)) * 100) / 100
+  }
+
+  // Run one computation; concurrent callers share the same run
+  refresh() {
+    if (!this.computing) {
+      this.computing = this.compute().finally(() => {
+        this.computing = null
+      })
+    }
+    return this.computing
+  }
+
+  async compute() {
+    const now = new Date()
+    const since = new Date(now.getTime() - this.config.requestWindowMinutes * 60 * 1000)
+    // Rides booked for later are not demand yet
+    const demandQuery = {
+      status: "requested",
+      createdAt: { $gte: since },
+      scheduledFor: { $not: { $gt: now } },
+      "pickup.location": { $exists: true },
+    }
+    const supplyQuery = { isOnline: true, status: "idle", location: { $exists: true } }
+
+    const [requests, drivers, zones, overrides] = await Promise.all([
+      Ride.find(demandQuery).select("pickup.location").lean(),
+      Driver.find(supplyQuery).select("location").lean(),
+      Zone.find({ isActive: true, "rules.surgeEnabled": true }).select("name type geometry").lean(),
+      SurgeOverride.findEffective(now).lean(),
+    ])
+
+    const measurements = new Map()
+
+    // Zones: let MongoDB do the point-in-polygon work
+    for (const zone of zones) {
+      const within = { $geoWithin: { $geometry: zone.geometry } }
+      const [demand, supply] = await Promise.all([
+        Ride.countDocuments({ ...demandQuery, "pickup.location": within }),
+        Driver.countDocuments({ ...supplyQuery, location: within }),
+      ])
+      measurements.set(`zone:${zone._id}`, {
+        areaType: "zone",
+        areaId: String(zone._id),
+        name: zone.name,
+        zoneType: zone.type,
+        demand,
+        supply,
+      })
+    }
+
+    // Grid cells: bucket the points we already loaded
+    const cellFor = (point) => {
+      const position = fromPoint(point)
+      if (!position) return null
+      const cellId = this.cellIdFor(position.lat, position.lng)
+      const key = `cell:${cellId}`
+      if (!measurements.has(key)) {
+        measurements.set(key, { areaType: "cell", areaId: cellId, bounds: this.cellBounds(cellId), demand: 0, supply: 0 })
+      }
+      return measurements.get(key)
+    }
+    requests.forEach((ride) => {
+      const cell = cellFor(ride.pickup && ride.pickup.location)
+      if (cell) cell.demand++
+    })
+    drivers.forEach((driver) => {
+      const cell = cellFor(driver.location)
+      if (cell) cell.supply++
+    })
+
+    // Areas that surged last time but have no measurement now still need to decay
+    for (const [key, previous] of this.areas) {
+      if (!measurements.has(key) && previous.areaType === "cell") {
+        measurements.set(key, { areaType: "cell", areaId: previous.areaId, bounds: previous.bounds, demand: 0, supply: 0 })
+      }
+    }
+
+    const overridesByKey = new Map(
+      overrides.map((override) => [override.zone ? `zone:${override.zone}` : `cell:${override.cellId}`, override]),
+    )
+
+    const nextAreas = new Map()
+    for (const [key, measurement] of measurements) {
+      const previous = this.areas.get(key)
+      const raw = this.rawMultiplier(measurement.demand, measurement.supply)
+      const computed = this.smooth(previous ? previous.computedMultiplier : 1, raw)
+      const override = overridesByKey.get(key)
+
+      const area = {
+        key,
+        ...measurement,
+        ratio: Math.round((measurement.demand / Math.max(measurement.supply, 1)) * 100) / 100,
+        rawMultiplier: Math.round(raw * 100) / 100,
+        computedMultiplier: computed,
+        multiplier: override ? override.multiplier : computed,
+        source: override ? "override" : "computed",
+        overrideId: override ? String(override._id) : undefined,
+        updatedAt: now,
+      }
+
+      // Cells back at 1x with nothing going on are dropped from the map
+      if (area.areaType === "cell" && area.multiplier <= 1 && area.demand === 0) continue
+      nextAreas.set(key, area)
+    }
+
+    // Overrides for cells nobody is in right now still apply
+    for (const [key, override] of overridesByKey) {
+      if (nextAreas.has(key) || !override.cellId) continue
+      nextAreas.set(key, {
+        key,
+        areaType: "cell",
+        areaId: override.cellId,
+        bounds: this.cellBounds(override.cellId),
+        demand: 0,
+        supply: 0,
+        ratio: 0,
+        rawMultiplier: 1,
+        computedMultiplier: 1,
+        multiplier: override.multiplier,
+        source: "override",
+        overrideId: String(override._id),
+        updatedAt: now,
+      })
+    }
+
+    this.areas = nextAreas
+    this.computedAt = now
+    this.publish()
+    return this.getSurgeMap()
+  }
+
+  getSurgeMap() {
+    const areas = Array.from(this.areas.values())
+    return {
+      computedAt: this.computedAt,
+      gridCellSizeDeg: this.config.gridCellSizeDeg,
+      surgingAreas: areas.filter((area) => area.multiplier > 1).length,
+      areas,
+    }
+  }
+
+  publish() {
+    this.io.to("surge").emit("surgeUpdate", this.getSurgeMap())
+  }
+
+  // Multiplier that applies to a pickup point. Surge zones win over grid cells;
+  // when several zones overlap the highest multiplier applies.
+  async getMultiplierAt(point) {
+    const position = fromPoint(point)
+    if (!position) return NO_SURGE
+
+    const zones = await Zone.findContaining(position.lat, position.lng, { "rules.surgeEnabled": true }).select("_id")
+    const zoneAreas = zones.map((zone) => this.areas.get(`zone:${zone._id}`)).filter(Boolean)
+    const area =
+      zoneAreas.length > 0
+        ? zoneAreas.reduce((best, candidate) => (candidate.multiplier > best.multiplier ? candidate : best))
+        : this.areas.get(`cell:${this.cellIdFor(position.lat, position.lng)}`)
+
+    if (!area || area.multiplier <= 1) return NO_SURGE
+
+    return {
+      multiplier: area.multiplier,
+      source: area.source,
+      areaType: area.areaType,
+      areaId: area.areaId,
+      areaName: area.name,
+      overrideId: area.overrideId,
+      computedAt: this.computedAt,
+    }
+  }
+}
+
+module.exports = SurgeService
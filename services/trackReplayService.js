@@ -0,0 +1,170 @@
+// Location: /services/trackReplayService.js
+// Streams a driver's recorded positions back over Socket.IO, faster than real time
+
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const trackingConfig = require("../config/tracking")
+const { parseTrackWindow, findDriverLocations, toTrackPoint } = require("./locationHistoryService")
+
+class TrackReplayService {
+  constructor(io, config = trackingConfig) {
+    this.io = io
+    this.config = config
+    this.replays = new Map()
+    this.setupSocketHandlers()
+  }
+
+  setupSocketHandlers() {
+    this.io.on("connection", (socket) => {
+      socket.on("startTrackReplay", async ({ driverId, from, to, speed } = {}) => {
+        const result = await this.startReplay({ socketId: socket.id, driverId, from, to, speed })
+        if (!result.success) socket.emit("trackReplayError", { driverId, message: result.message })
+      })
+
+      socket.on("setTrackReplaySpeed", ({ replayId, speed } = {}) => {
+        const result = this.setSpeed(replayId, speed, socket.id)
+        if (!result.success) socket.emit("trackReplayError", { replayId, message: result.message })
+      })
+
+      socket.on("pauseTrackReplay", ({ replayId } = {}) => this.pauseReplay(replayId, socket.id))
+      socket.on("resumeTrackReplay", ({ replayId } = {}) => this.resumeReplay(replayId, socket.id))
+      socket.on("stopTrackReplay", ({ replayId } = {}) => this.stopReplay(replayId, socket.id, "stopped"))
+
+      socket.on("disconnect", () => {
+        for (const [replayId, replay] of this.replays) {
+          if (replay.socketId === socket.id) this.stopReplay(replayId, socket.id, "disconnected")
+        }
+      })
+    })
+  }
+
+  parseSpeed(speed) {
+    if (speed === undefined || speed === null || speed === "") return this.config.defaultReplaySpeed
+    const value = Number.parseFloat(speed)
+    if (isNaN(value) || value <= 0 || value > this.config.maxReplaySpeed) return null
+    return value
+  }
+
+  // Load the recorded positions and start streaming them to one socket
+  async startReplay({ socketId, driverId, from, to, speed }) {
+    if (!driverId || !mongoose.Types.ObjectId.isValid(driverId)) {
+      return { success: false, statusCode: 400, message: "A valid driverId is required" }
+    }
+    if (!this.io.sockets.sockets.get(socketId)) {
+      return { success: false, statusCode: 404, message: "Socket is not connected" }
+    }
+
+    const replaySpeed = this.parseSpeed(speed)
+    if (replaySpeed === null) {
+      return { success: false, statusCode: 400, message: `speed must be greater than 0 and at most ${this.config.maxReplaySpeed}` }
+    }
+
+    const window = parseTrackWindow({ from, to }, this.config)
+    if (window.error) return { success: false, statusCode: 400, message: window.error }
+
+    try {
+      const entries = await findDriverLocations(driverId, window.from, window.to)
+      if (entries.length === 0) {
+        return { success: false, statusCode: 404, message: "No recorded positions in this time window" }
+      }
+
+      const replayId = crypto.randomUUID()
+      const replay = {
+        replayId,
+        socketId,
+        driverId: String(driverId),
+        points: entries.map(toTrackPoint),
+        index: 0,
+        speed: replaySpeed,
+        paused: false,
+        timer: null,
+      }
+      this.replays.set(replayId, replay)
+
+      this.io.to(socketId).emit("trackReplayStarted", {
+        replayId,
+        driverId,
+        from: window.from,
+        to: window.to,
+        totalPoints: replay.points.length,
+        speed: replaySpeed,
+      })
+      console.log(`⏯️ Track replay ${replayId} started for driver ${driverId} (${replay.points.length} points)`)
+
+      this.emitNext(replay)
+      return { success: true, replayId, totalPoints: replay.points.length, speed: replaySpeed }
+    } catch (error) {
+      console.error("❌ Error starting track replay:", error)
+      return { success: false, statusCode: 500, message: "Failed to start track replay" }
+    }
+  }
+
+  // Send the current point and schedule the next one using the recorded gap divided by the speed
+  emitNext(replay) {
+    if (!this.replays.has(replay.replayId) || replay.paused) return
+
+    const point = replay.points[replay.index]
+    this.io.to(replay.socketId).emit("trackReplayPoint", {
+      replayId: replay.replayId,
+      index: replay.index,
+      totalPoints: replay.points.length,
+      point,
+    })
+
+    replay.index++
+    if (replay.index >= replay.points.length) {
+      this.stopReplay(replay.replayId, replay.socketId, "completed")
+      return
+    }
+
+    const recordedGap = new Date(replay.points[replay.index].recordedAt) - new Date(point.recordedAt)
+    const delay = Math.min(recordedGap / replay.speed, this.config.maxReplayGapMs)
+    replay.timer = setTimeout(() => this.emitNext(replay), Math.max(0, delay))
+  }
+
+  getOwnedReplay(replayId, socketId) {
+    const replay = this.replays.get(replayId)
+    return replay && replay.socketId === socketId ? replay : null
+  }
+
+  setSpeed(replayId, speed, socketId) {
+    const replay = this.getOwnedReplay(replayId, socketId)
+    if (!replay) return { success: false, message: "Replay not found" }
+
+    const replaySpeed = this.parseSpeed(speed)
+    if (replaySpeed === null) {
+      return { success: false, message: `speed must be greater than 0 and at most ${this.config.maxReplaySpeed}` }
+    }
+
+    // The new speed applies from the next point on
+    replay.speed = replaySpeed
+    this.io.to(socketId).emit("trackReplaySpeedChanged", { replayId, speed: replaySpeed })
+    return { success: true }
+  }
+
+  pauseReplay(replayId, socketId) {
+    const replay = this.getOwnedReplay(replayId, socketId)
+    if (!replay || replay.paused) return
+    replay.paused = true
+    clearTimeout(replay.timer)
+    this.io.to(socketId).emit("trackReplayPaused", { replayId, index: replay.index })
+  }
+
+  resumeReplay(replayId, socketId) {
+    const replay = this.getOwnedReplay(replayId, socketId)
+    if (!replay || !replay.paused) return
+    replay.paused = false
+    this.io.to(socketId).emit("trackReplayResumed", { replayId, index: replay.index })
+    this.emitNext(replay)
+  }
+
+  stopReplay(replayId, socketId, reason) {
+    const replay = this.getOwnedReplay(replayId, socketId)
+    if (!replay) return
+    clearTimeout(replay.timer)
+    this.replays.delete(replayId)
+    this.io.to(socketId).emit("trackReplayEnded", { replayId, reason, pointsSent: replay.index })
+  }
+}
+
+module.exports = TrackReplayService
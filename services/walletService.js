@@ -0,0 +1,362 @@
+// Location: /services/walletService.js
+// Rider wallets on top of the ledger (services/ledgerService.js). Every money
+// movement — top-up, ride charge, refund, cancellation fee, promo credit and the
+// driver's share of a ride — is one balanced, idempotent ledger transaction.
+
+const mongoose = require("mongoose")
+const Ride = require("../models/Ride")
+const User = require("../models/User")
+const LedgerTransaction = require("../models/LedgerTransaction")
+const LedgerEntry = require("../models/LedgerEntry")
+const walletConfig = require("../config/wallet")
+const {
+  PLATFORM_ACCOUNTS,
+  toMinor,
+  fromMinor,
+  walletAccount,
+  driverEarningsAccount,
+  driverCashAccount,
+  getAccountByCode,
+  getStatement,
+  postTransaction,
+} = require("./ledgerService")
+const { recordRideEarning, recordCancellationCompensation } = require("./earningsService")
+
+const RIDE_LEDGER_JOB = "ledger.ride"
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+const fail = (statusCode, message) => ({ success: false, statusCode, message })
+
+const toWalletSummary = (userId, account, config = walletConfig) => ({
+  userId,
+  accountCode: walletAccount(userId).code,
+  currency: account ? account.currency : config.currency,
+  balance: account ? fromMinor(account.balanceMinor || 0) : 0,
+  updatedAt: account ? account.updatedAt : null,
+})
+
+const findUser = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null
+  return User.findById(userId).select("name email")
+}
+
+// Balance of a rider's wallet; a wallet nobody has posted to yet is empty
+const getWallet = async (userId) => {
+  const user = await findUser(userId)
+  if (!user) return fail(404, "User not found")
+  const account = await getAccountByCode(walletAccount(userId).code)
+  return { success: true, wallet: toWalletSummary(userId, account) }
+}
+
+const getWalletStatement = async (userId, query = {}) => {
+  const user = await findUser(userId)
+  if (!user) return fail(404, "User not found")
+  const statement = await getStatement(walletAccount(userId).code, query)
+  if (!statement) {
+    return {
+      success: true,
+      wallet: toWalletSummary(userId, null),
+      openingBalance: 0,
+      closingBalance: 0,
+      entries: [],
+      pagination: {
+        currentPage: 1,
+        totalPages: 0,
+        totalItems: 0,
+        itemsPerPage: 0,
+        hasNextPage: false,
+        hasPrevPage: false,
+      },
+    }
+  }
+  const { account, ...rest } = statement
+  return { success: true, wallet: toWalletSummary(userId, account), ...rest }
+}
+
+// Amount and idempotency key checks shared by the manual postings
+const validateManualPosting = ({ amount, idempotencyKey }, { min = 0.01, max } = {}) => {
+  const value = Number(amount)
+  if (!Number.isFinite(value) || toMinor(value) <= 0) return "amount must be a positive number"
+  if (Math.abs(value * 100 - toMinor(value)) > 1e-6) return "amount can have at most two decimals"
+  if (value < min) return `amount must be at least ${min}`
+  if (max !== undefined && value > max) return `amount must not exceed ${max}`
+  if (!idempotencyKey || typeof idempotencyKey !== "string" || idempotencyKey.length > 100) {
+    return "An Idempotency-Key header (or idempotencyKey) of up to 100 characters is required"
+  }
+  return null
+}
+
+// Whether the rider's wallet covers `amount` right now, for checks ahead of a charge
+// such as booking. Charges themselves never overdraw a wallet: postTransaction only
+// debits a balance that covers them. Returns a failure (402) or null.
+const checkWalletBalance = async (userId, amount) => {
+  const account = await getAccountByCode(walletAccount(userId).code)
+  const balanceMinor = account ? account.balanceMinor || 0 : 0
+  if (toMinor(amount) <= balanceMinor) return null
+  return fail(402, `Wallet balance of ${fromMinor(balanceMinor)} does not cover ${roundMoney(amount)}`)
+}
+
+const toPostingResult = (result, userId, account) =>
+  result.success
+    ? {
+        success: true,
+        duplicate: result.duplicate,
+        transaction: result.transaction,
+        wallet: toWalletSummary(userId, account),
+      }
+    : result
+
+const topUpWallet = async (userId, { amount, idempotencyKey, reference, actor }, config = walletConfig) => {
+  const error = validateManualPosting({ amount, idempotencyKey }, { min: config.minTopUp, max: config.maxTopUp })
+  if (error) return fail(400, error)
+  // Money only enters a wallet against a payment that can be traced
+  if (!reference || typeof reference !== "string") return fail(400, "reference of the received payment is required")
+  const user = await findUser(userId)
+  if (!user) return fail(404, "User not found")
+
+  const value = roundMoney(Number(amount))
+  const result = await postTransaction({
+    idempotencyKey: `topup:${userId}:${idempotencyKey}`,
+    type: "topup",
+    description: `Wallet top-up${reference ? ` (${reference})` : ""}`,
+    entries: [
+      { account: PLATFORM_ACCOUNTS.cash, direction: "debit", amount: value },
+      { account: walletAccount(userId), direction: "credit", amount: value },
+    ],
+    user: user._id,
+    reference,
+    actor,
+  })
+  return toPostingResult(result, userId, await getAccountByCode(walletAccount(userId).code))
+}
+
+// Give money back to a rider, optionally against a ride
+const refundToWallet = async (userId, { amount, rideId, reason, idempotencyKey, actor }) => {
+  const error = validateManualPosting({ amount, idempotencyKey })
+  if (error) return fail(400, error)
+  const user = await findUser(userId)
+  if (!user) return fail(404, "User not found")
+
+  let ride = null
+  if (rideId) {
+    ride = mongoose.Types.ObjectId.isValid(rideId) ? await Ride.findById(rideId).select("user fare") : null
+    if (!ride) return fail(404, "Ride not found")
+    if (String(ride.user._id) !== String(userId)) return fail(400, "Ride does not belong to this user")
+  }
+
+  const value = roundMoney(Number(amount))
+  const result = await postTransaction({
+    idempotencyKey: `refund:${userId}:${idempotencyKey}`,
+    type: "refund",
+    description: reason ? `Refund: ${reason}` : "Refund",
+    entries: [
+      { account: PLATFORM_ACCOUNTS.revenue, direction: "debit", amount: value },
+      { account: walletAccount(userId), direction: "credit", amount: value },
+    ],
+    ride: ride ? ride._id : undefined,
+    user: user._id,
+    reference: reason,
+    actor,
+  })
+  return toPostingResult(result, userId, await getAccountByCode(walletAccount(userId).code))
+}
+
+// Goodwill or campaign credit paid for out of the promotions budget
+const creditPromo = async (userId, { amount, promoCode, reason, idempotencyKey, actor }) => {
+  const error = validateManualPosting({ amount, idempotencyKey })
+  if (error) return fail(400, error)
+  const user = await findUser(userId)
+  if (!user) return fail(404, "User not found")
+
+  const value = roundMoney(Number(amount))
+  const result = await postTransaction({
+    idempotencyKey: `promo_credit:${userId}:${idempotencyKey}`,
+    type: "promo_credit",
+    description: promoCode ? `Promo credit ${promoCode}` : reason ? `Promo credit: ${reason}` : "Promo credit",
+    entries: [
+      { account: PLATFORM_ACCOUNTS.promotions, direction: "debit", amount: value },
+      { account: walletAccount(userId), direction: "credit", amount: value },
+    ],
+    user: user._id,
+    reference: promoCode || reason,
+    actor,
+  })
+  return toPostingResult(result, userId, await getAccountByCode(walletAccount(userId).code))
+}
+
+const systemActor = { type: "system", name: "ledger" }
+
+// Account a ride's fare is charged to: the rider's wallet, or for cash rides the driver who took the cash
+const ridePayerAccount = (ride) =>
+  ride.paymentMethod === "cash" ? driverCashAccount(ride.driver._id) : walletAccount(ride.user._id)
+
+// Charge a completed ride: the rider pays the total from the wallet (or in cash
+// to the driver, who then holds it for the platform), the promotions budget
+// covers the discount, and the platform books fare and tax. A wallet that
+// cannot cover the total is not charged (402).
+const postRideCharge = (ride) => {
+  const fare = ride.fare
+  const discount = fare.discount || 0
+  const tax = fare.tax || 0
+  const payer = ridePayerAccount(ride)
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:charge`,
+    type: "ride_charge",
+    description: `Ride ${ride._id}${fare.promoCode ? ` (promo ${fare.promoCode})` : ""}`,
+    entries: [
+      { account: payer, direction: "debit", amount: fare.total },
+      { account: PLATFORM_ACCOUNTS.promotions, direction: "debit", amount: discount },
+      { account: PLATFORM_ACCOUNTS.revenue, direction: "credit", amount: roundMoney(fare.total + discount - tax) },
+      { account: PLATFORM_ACCOUNTS.tax, direction: "credit", amount: tax },
+    ],
+    ride: ride._id,
+    user: ride.user._id,
+    driver: ride.driver && ride.driver._id,
+    metadata: { paymentMethod: ride.paymentMethod },
+    actor: systemActor,
+  })
+}
+
+// Driver's earning on the ride after the commission rule (services/earningsService.js)
+const postDriverEarning = (ride, earning) =>
+  postTransaction({
+    idempotencyKey: `ride:${ride._id}:driver_earning`,
+    type: "driver_earning",
+    description: `Earning for ride ${ride._id}`,
+    entries: [
+      { account: PLATFORM_ACCOUNTS.driverCosts, direction: "debit", amount: earning.earning },
+      { account: driverEarningsAccount(ride.driver._id), direction: "credit", amount: earning.earning },
+    ],
+    ride: ride._id,
+    user: ride.user._id,
+    driver: ride.driver._id,
+    metadata: { commission: earning.commission, subtotal: ride.fare.subtotal },
+    actor: systemActor,
+  })
+
+// Cancellation fee from the rider's wallet and the driver's compensation out of it.
+// A wallet that cannot cover the fee is not charged (402).
+const postCancellationFee = (ride) => {
+  const { fee = 0, driverCompensation = 0 } = ride.cancellation || {}
+  const hasDriver = Boolean(ride.driver && ride.driver._id)
+  const compensation = hasDriver ? driverCompensation : 0
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:cancellation_fee`,
+    type: "cancellation_fee",
+    description: `Cancellation fee for ride ${ride._id}`,
+    entries: [
+      { account: walletAccount(ride.user._id), direction: "debit", amount: fee },
+      { account: PLATFORM_ACCOUNTS.revenue, direction: "credit", amount: fee },
+      ...(compensation > 0
+        ? [
+            { account: PLATFORM_ACCOUNTS.driverCosts, direction: "debit", amount: compensation },
+            { account: driverEarningsAccount(ride.driver._id), direction: "credit", amount: compensation },
+          ]
+        : []),
+    ],
+    ride: ride._id,
+    user: ride.user._id,
+    driver: hasDriver ? ride.driver._id : undefined,
+    metadata: { policyRule: ride.cancellation && ride.cancellation.policyRule },
+    actor: systemActor,
+  })
+}
+
+// Bring the ledger in line with an adjusted fare (PATCH /api/rides/:id/fare). The payer
+// is charged or refunded the difference between the fare and what the ledger has
+// charged for the ride so far. Rides not charged yet need nothing: their charge is
+// posted with the adjusted total. adjustmentId identifies the adjustment, so each one
+// is posted once.
+const postFareAdjustment = async (ride, { adjustmentId, reason, actor }) => {
+  const postings = await LedgerTransaction.find({ ride: ride._id, type: { $in: ["ride_charge", "adjustment"] } })
+  if (!postings.some((transaction) => transaction.type === "ride_charge")) return { success: true, skipped: true }
+
+  const payer = ridePayerAccount(ride)
+  const entries = await LedgerEntry.find({
+    transaction: { $in: postings.map((transaction) => transaction._id) },
+    accountCode: payer.code,
+  })
+  const chargedMinor = entries.reduce(
+    (sum, entry) => sum + (entry.direction === "debit" ? toMinor(entry.amount) : -toMinor(entry.amount)),
+    0,
+  )
+  const differenceMinor = toMinor(ride.fare.total) - chargedMinor
+  if (differenceMinor === 0) return { success: true, skipped: true }
+
+  const amount = fromMinor(Math.abs(differenceMinor))
+  const [payerSide, revenueSide] = differenceMinor > 0 ? ["debit", "credit"] : ["credit", "debit"]
+  return postTransaction({
+    idempotencyKey: `ride:${ride._id}:fare_adjustment:${adjustmentId}`,
+    type: "adjustment",
+    description: `Fare adjustment for ride ${ride._id}${reason ? `: ${reason}` : ""}`,
+    entries: [
+      { account: payer, direction: payerSide, amount },
+      { account: PLATFORM_ACCOUNTS.revenue, direction: revenueSide, amount },
+    ],
+    ride: ride._id,
+    user: ride.user._id,
+    driver: ride.driver && ride.driver._id,
+    reference: reason,
+    metadata: { fareTotal: ride.fare.total, adjustmentId: String(adjustmentId) },
+    actor,
+  })
+}
+
+// All ledger postings (and driver earnings) a finished ride needs. Safe to run again: every posting
+// has a key derived from the ride.
+const postRideToLedger = async (rideId) => {
+  const ride = await Ride.findById(rideId)
+  if (!ride) return fail(404, "Ride not found")
+
+  const posted = []
+  if (ride.status === "completed") {
+    if (!ride.fare || ride.fare.total === undefined) return fail(409, "Ride has no charged fare yet")
+    // Cash rides are charged to the driver who took the cash
+    const chargeable = ride.paymentMethod === "wallet" || Boolean(ride.driver && ride.driver._id)
+    if (chargeable) posted.push(await postRideCharge(ride))
+    if (ride.driver && ride.driver._id) posted.push(await postDriverEarning(ride, await recordRideEarning(ride)))
+  } else if (ride.status === "cancelled") {
+    if (ride.cancellation && ride.cancellation.fee > 0) {
+      await recordCancellationCompensation(ride)
+      posted.push(await postCancellationFee(ride))
+    }
+  } else {
+    return fail(409, `Nothing to post for a ${ride.status} ride`)
+  }
+
+  const failed = posted.find((result) => !result.success)
+  if (failed) return failed
+  return { success: true, ride, transactions: posted.map((result) => result.transaction) }
+}
+
+const scheduleRideLedgerPosting = (scheduler, ride) =>
+  scheduler.schedule(RIDE_LEDGER_JOB, new Date(), { rideId: ride._id }, { uniqueKey: `${RIDE_LEDGER_JOB}:${ride._id}` })
+
+const registerWalletJobs = (scheduler) => {
+  scheduler.register(RIDE_LEDGER_JOB, async ({ rideId }) => {
+    const result = await postRideToLedger(rideId)
+    if (!result.success) {
+      // Bad postings are a bug, not a transient failure; let the job fail loudly.
+      // An uncovered wallet charge is retried, the rider may top up meanwhile.
+      if ([400, 402].includes(result.statusCode)) throw new Error(result.message)
+      return { skipped: true, reason: result.message }
+    }
+    return { transactions: result.transactions.map((transaction) => transaction.idempotencyKey) }
+  })
+  return scheduler
+}
+
+module.exports = {
+  RIDE_LEDGER_JOB,
+  getWallet,
+  getWalletStatement,
+  topUpWallet,
+  refundToWallet,
+  creditPromo,
+  postRideToLedger,
+  postFareAdjustment,
+  checkWalletBalance,
+  scheduleRideLedgerPosting,
+  registerWalletJobs,
+}
@@ -0,0 +1,131 @@
+// Location: /services/zoneService.js
+// Evaluates locations against geofence zones: driver enter/exit tracking and
+// pickup/drop restrictions for rides
+
+const Zone = require("../models/Zone")
+const ZoneCrossing = require("../models/ZoneCrossing")
+const Driver = require("../models/TRdriverModel")
+const { fromPoint } = require("../utils/geo")
+
+// Zones containing a GeoJSON point, empty when the point is unknown
+const findZonesAtPoint = async (point) => {
+  const position = fromPoint(point)
+  if (!position) return []
+  return Zone.findContaining(position.lat, position.lng)
+}
+
+// Compare the driver's position with the zones they were in before, store the new
+// zone set and record/broadcast every crossing. Failures are logged and swallowed
+// so a zone problem never breaks the location update itself.
+const evaluateDriverZones = async (driver, { io, source } = {}) => {
+  try {
+    if (!driver || !fromPoint(driver.location)) return null
+
+    const zones = await findZonesAtPoint(driver.location)
+    const previousIds = (driver.currentZones || []).map(String).sort()
+    const currentIds = zones.map((zone) => String(zone._id)).sort()
+
+    const entered = zones.filter((zone) => !previousIds.includes(String(zone._id)))
+    const exitedIds = previousIds.filter((id) => !currentIds.includes(id))
+    if (entered.length === 0 && exitedIds.length === 0) return { entered: [], exited: [] }
+
+    // Only the update that still sees the old zone set records the crossing,
+    // so two pings processed at the same time cannot both report it
+    const previousCondition =
+      previousIds.length > 0
+        ? { currentZones: { $all: previousIds, $size: previousIds.length } }
+        : { $or: [{ currentZones: { $exists: false } }, { currentZones: { $size: 0 } }] }
+    const updated = await Driver.updateOne(
+      { _id: driver._id, ...previousCondition },
+      { $set: { currentZones: currentIds } },
+    )
+    if (updated.modifiedCount === 0) return { entered: [], exited: [] }
+
+    const exited = await Zone.find({ _id: { $in: exitedIds } }).select("name type")
+    const exitedById = new Map(exited.map((zone) => [String(zone._id), zone]))
+    const now = new Date()
+
+    const crossings = [
+      ...entered.map((zone) => ({ zone, zoneId: zone._id, direction: "enter" })),
+      ...exitedIds.map((id) => ({ zone: exitedById.get(id), zoneId: id, direction: "exit" })),
+    ].map(({ zone, zoneId, direction }) => ({
+      driver: driver._id,
+      driverName: driver.name,
+      zone: zoneId,
+      zoneName: zone ? zone.name : undefined,
+      zoneType: zone ? zone.type : undefined,
+      direction,
+      location: driver.location,
+      tripId: driver.tripId || undefined,
+      source,
+      occurredAt: now,
+    }))
+
+    await ZoneCrossing.insertMany(crossings)
+
+    if (io) {
+      for (const crossing of crossings) {
+        io.emit(crossing.direction === "enter" ? "zoneEnter" : "zoneExit", {
+          driverId: crossing.driver,
+          driverName: crossing.driverName,
+          zoneId: crossing.zone,
+          zoneName: crossing.zoneName,
+          zoneType: crossing.zoneType,
+          location: fromPoint(crossing.location),
+          timestamp: now.toISOString(),
+        })
+      }
+    }
+
+    return {
+      entered: entered.map((zone) => zone._id),
+      exited: exitedIds,
+    }
+  } catch (error) {
+    console.error(`❌ Failed to evaluate zones for driver ${driver && driver._id}:`, error.message)
+    return null
+  }
+}
+
+const evaluateDriversZones = async (drivers, options) => {
+  for (const driver of drivers) {
+    await evaluateDriverZones(driver, options)
+  }
+}
+
+// Check whether a ride may start ("pickup") or end ("drop") at a point.
+// Blocked when any zone there forbids it, or when service areas are defined
+// and the point lies outside all of them.
+const checkPlaceAllowed = async (point, kind = "pickup") => {
+  if (!fromPoint(point)) return { allowed: true, zones: [] }
+
+  const zones = await findZonesAtPoint(point)
+  const rule = kind === "drop" ? "allowDrop" : "allowPickup"
+  const label = kind === "drop" ? "Drop-off" : "Pickup"
+
+  const blocking = zones.find((zone) => zone.rules && zone.rules[rule] === false)
+  if (blocking) {
+    return {
+      allowed: false,
+      zones,
+      zone: { _id: blocking._id, name: blocking.name, type: blocking.type },
+      message: `${label} is not allowed in ${blocking.name} (${blocking.type})`,
+    }
+  }
+
+  if (!zones.some((zone) => zone.type === "service-area")) {
+    const serviceAreas = await Zone.countDocuments({ isActive: true, type: "service-area" })
+    if (serviceAreas > 0) {
+      return { allowed: false, zones, message: `${label} location is outside our service area` }
+    }
+  }
+
+  return { allowed: true, zones }
+}
+
+module.exports = {
+  findZonesAtPoint,
+  evaluateDriverZones,
+  evaluateDriversZones,
+  checkPlaceAllowed,
+}
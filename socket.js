@@ -4,6 +4,42 @@ const Vehicle = require("./models/Vehicle") // Add Vehicle model
 const dashboardController = require("./controllers/dashboardController")
 const driverController = require("./controllers/driverController")
 const locationSimulator = require("./utils/locationSimulator")
+const { ACTIVE_RIDE_STATUSES } = require("./utils/rideStateMachine")
+const { toPoint, fromPoint } = require("./utils/geo")
+const { recordDriverLocation, recordDriverLocations } = require("./services/locationHistoryService")
+const { evaluateDriverZones, evaluateDriversZones } = require("./services/zoneService")
+const { updateStopStatus } = require("./services/rideStopService")
+const { changeRideStatus } = require("./services/rideStatusService")
+const {
+  chatRoom,
+  getChatParticipant,
+  toChatPayload,
+  sendChatMessage,
+  countUnread,
+  markChatReceipts,
+  moderateChatMessage,
+} = require("./services/rideChatService")
+const { findAdminByToken } = require("./middlewares/adminAuthMiddleware")
+const { findDriverByToken } = require("./middlewares/driverAuthMiddleware")
+const { readSocketToken, decodeToken } = require("./utils/authTokens")
+const { resolveActor, recordLocationCheckpoint } = require("./services/rideEventService")
+const { emitRideStatusUpdate } = require("./utils/rideRooms")
+
+// Rooms that carry one person's data, a private conversation or admin-only alerts.
+// They are joined through registerRider, registerDriver, joinRideChat and
+// joinAdminRoom, never by name with join-room.
+const PRIVATE_ROOM_PATTERNS = [/^user:/, /^driver:/, /^ride:.*:chat$/, /^admins$/]
+const isPrivateRoom = (room) => PRIVATE_ROOM_PATTERNS.some((pattern) => pattern.test(String(room)))
+
+// Admin, driver or customer behind a socket, in the shape resolveActor and getChatParticipant take
+const socketIdentity = async (socket, token) => {
+  const rawToken = readSocketToken(socket, token)
+  const decoded = decodeToken(rawToken)
+  if (decoded && decoded.type === "admin") return { admin: await findAdminByToken(rawToken) }
+  if (decoded && decoded.type === "driver") return { driver: await findDriverByToken(rawToken) }
+  if (decoded && decoded.userId) return { user: decoded }
+  return {}
+}
 
 /**
  * Unified Socket.IO setup that combines all functionality:
@@ -41,6 +77,10 @@ function setupSocket(io, app) {
 
     // Handle room joining for different features
     socket.on("join-room", (room) => {
+      if (isPrivateRoom(room)) {
+        socket.emit("joinRoomError", { room, message: "This room cannot be joined by name" })
+        return
+      }
       socket.join(room)
       console.log(`🏠 Socket ${socket.id} joined room: ${room}`)
 
@@ -74,11 +114,50 @@ function setupSocket(io, app) {
       }
     })
 
+    // Rider apps join their own room to receive reminders for scheduled rides.
+    // The room is the one of the signed-in customer, whatever userId is sent.
+    socket.on("registerRider", ({ userId, token } = {}) => {
+      const decoded = decodeToken(readSocketToken(socket, token))
+      if (!decoded || !decoded.userId) {
+        socket.emit("riderRegistrationError", { message: "A valid customer token is required" })
+        return
+      }
+      if (userId && String(userId) !== String(decoded.userId)) {
+        socket.emit("riderRegistrationError", { message: "Token does not belong to this rider" })
+        return
+      }
+      socket.join(`user:${decoded.userId}`)
+      socket.emit("riderRegistered", { userId: decoded.userId })
+    })
+
     // Auto-join dashboard room for backward compatibility
     socket.join("dashboard")
     clients.dashboard.add(socket)
     sendInitialDashboardData(socket)
 
+    // Admin-only alerts (driver cash limits, cash discrepancies, ledger mismatches)
+    // go to the "admins" room. Sockets connecting with an admin token join it right
+    // away, others by sending one with joinAdminRoom.
+    const joinAdminRoom = async (token) => {
+      const { admin } = await socketIdentity(socket, token)
+      if (admin) socket.join("admins")
+      return Boolean(admin)
+    }
+    joinAdminRoom().catch((error) => console.error("Error checking admin socket:", error.message))
+
+    socket.on("joinAdminRoom", async ({ token } = {}) => {
+      try {
+        if (await joinAdminRoom(token)) {
+          socket.emit("adminRoomJoined", { room: "admins" })
+        } else {
+          socket.emit("joinRoomError", { room: "admins", message: "A valid admin token is required" })
+        }
+      } catch (error) {
+        console.error("Error joining admin room:", error.message)
+        socket.emit("joinRoomError", { room: "admins", message: "Failed to join admin room" })
+      }
+    })
+
     // ---- VEHICLE-SPECIFIC SOCKET EVENTS ----
 
     // Get latest vehicles
@@ -169,19 +248,155 @@ function setupSocket(io, app) {
 
     // ---- RIDE-SPECIFIC SOCKET EVENTS ----
 
-    // Handle chat messages
-    socket.on("chatMessage", ({ rideId, message }) => {
-      io.emit("chatMessage", { rideId, message })
-      console.log(`💬 Chat message for ride ${rideId}:`, message)
+    // ---- RIDE CHAT ----
+    // Only the rider, the assigned driver and support admins may join the chat
+    // room of a ride. Everyone identifies with their token (handshake auth.token
+    // or the event payload).
+
+    // Reload the ride on every chat event so a reassigned driver loses access
+    const getChatAccess = async (rideId) => {
+      const identity = socket.data.chatIdentity
+      if (!identity || !rideId) return null
+      const ride = await Ride.findByIdOrLegacyId(rideId)
+      if (!ride) return null
+      const participant = getChatParticipant(ride, identity)
+      if (!participant || !socket.rooms.has(chatRoom(ride._id))) return null
+      return { ride, participant }
+    }
+
+    const chatError = (rideId, message) => socket.emit("rideChatError", { rideId, message })
+
+    socket.on("joinRideChat", async ({ rideId, token } = {}) => {
+      try {
+        const identity = await socketIdentity(socket, token)
+
+        const ride = rideId ? await Ride.findByIdOrLegacyId(rideId) : null
+        if (!ride) return chatError(rideId, "Ride not found")
+
+        const participant = getChatParticipant(ride, identity)
+        if (!participant) return chatError(rideId, "Only the rider, the assigned driver and support can join this chat")
+
+        socket.data.chatIdentity = identity
+        socket.join(chatRoom(ride._id))
+
+        // Everything sent while this participant was away has now reached them
+        await markChatReceipts({ ride, participant, type: "delivered", upTo: new Date(), io })
+        socket.emit("rideChatJoined", {
+          rideId: ride._id,
+          participant,
+          unread: await countUnread(ride, participant),
+        })
+      } catch (error) {
+        console.error("Error joining ride chat:", error.message)
+        chatError(rideId, "Failed to join chat")
+      }
+    })
+
+    socket.on("leaveRideChat", ({ rideId } = {}) => {
+      if (rideId) socket.leave(chatRoom(rideId))
     })
 
-    // Handle ride status updates
-    socket.on("rideStatusUpdate", async ({ rideId, status }) => {
-      console.log("Broadcasting ride status update", rideId, status)
-      io.emit("rideStatusUpdate", { rideId, status })
+    const sendChat = async ({ rideId, text, clientMessageId } = {}, ack) => {
+      try {
+        const access = await getChatAccess(rideId)
+        if (!access) return chatError(rideId, "Join the ride chat before sending messages")
+
+        const result = await sendChatMessage({ ...access, text, clientMessageId, io })
+        if (!result.success) return chatError(rideId, result.message)
+        if (typeof ack === "function") ack(toChatPayload(result.message, access.participant))
+      } catch (error) {
+        console.error("Error sending chat message:", error.message)
+        chatError(rideId, "Failed to send message")
+      }
+    }
+
+    socket.on("sendRideChatMessage", sendChat)
+
+    // Older clients send { rideId, message }; it is now persisted and kept to the ride's room
+    socket.on("chatMessage", ({ rideId, message, clientMessageId } = {}, ack) =>
+      sendChat({ rideId, text: message, clientMessageId }, ack),
+    )
+
+    const handleReceipts = (type) => async ({ rideId, messageIds, upTo } = {}) => {
+      try {
+        const access = await getChatAccess(rideId)
+        if (!access) return chatError(rideId, "Join the ride chat first")
+
+        const result = await markChatReceipts({ ...access, type, messageIds, upTo, io })
+        if (!result.success) chatError(rideId, result.message)
+      } catch (error) {
+        console.error(`Error marking chat messages ${type}:`, error.message)
+        chatError(rideId, "Failed to save receipts")
+      }
+    }
+
+    socket.on("markRideChatDelivered", handleReceipts("delivered"))
+    socket.on("markRideChatRead", handleReceipts("read"))
 
-      // Also update dashboard if ride status affects stats
-      setTimeout(() => sendDashboardUpdates(io), 1000)
+    socket.on("moderateRideChatMessage", async ({ rideId, messageId, action, reason } = {}) => {
+      try {
+        const access = await getChatAccess(rideId)
+        if (!access) return chatError(rideId, "Join the ride chat first")
+
+        const result = await moderateChatMessage({ ...access, messageId, action, reason, io })
+        if (!result.success) chatError(rideId, result.message)
+      } catch (error) {
+        console.error("Error moderating chat message:", error.message)
+        chatError(rideId, "Failed to moderate message")
+      }
+    })
+
+    // Handle ride status updates (validated against the ride lifecycle).
+    // The actor is whoever signed the socket's token: the assigned driver or an
+    // admin, or the rider when cancelling.
+    socket.on("rideStatusUpdate", async ({ rideId, status, reasonCode, note, cashCollected } = {}) => {
+      try {
+        const result = await changeRideStatus(rideId, status, {
+          actor: resolveActor(await socketIdentity(socket)),
+          reasonCode,
+          note,
+          cashCollected,
+          app,
+        })
+        if (!result.success) {
+          socket.emit("rideStatusError", { rideId, status, message: result.message })
+          return
+        }
+        if (result.cashCollection && !result.cashCollection.success) {
+          socket.emit("cashCollectionError", { rideId, message: result.cashCollection.message })
+        }
+
+        emitRideStatusUpdate(io, result.ride)
+
+        // Also update dashboard if ride status affects stats
+        setTimeout(() => sendDashboardUpdates(io), 1000)
+      } catch (error) {
+        console.error("Error updating ride status:", error.message)
+        socket.emit("rideStatusError", {
+          rideId,
+          status,
+          message: error.message,
+          allowed: error.allowed,
+        })
+      }
+    })
+
+    // Driver app marks a stop of a multi-stop ride as arrived / done / failed.
+    // Everyone involved is notified with "rideStopUpdated".
+    socket.on("updateStopStatus", async ({ rideId, stopId, status, reason } = {}) => {
+      try {
+        const result = await updateStopStatus(rideId, stopId, status, {
+          actor: resolveActor(await socketIdentity(socket)),
+          reason,
+          io,
+        })
+        if (!result.success) {
+          socket.emit("rideStopError", { rideId, stopId, status, message: result.message })
+        }
+      } catch (error) {
+        console.error("Error updating stop status:", error.message)
+        socket.emit("rideStopError", { rideId, stopId, status, message: error.message })
+      }
     })
 
     // ---- DRIVER-SPECIFIC SOCKET EVENTS ----
@@ -264,6 +479,35 @@ function setupSocket(io, app) {
       }
     })
 
+    // Drivers inside the live-ops map viewport
+    socket.on("getDriversInViewport", async ({ north, south, east, west, status, vehicleType, zone } = {}) => {
+      try {
+        const bounds = [north, south, east, west].map((value) => Number.parseFloat(value))
+        const [n, s, e, w] = bounds
+        const validBounds =
+          bounds.every((value) => Number.isFinite(value)) && s >= -90 && n <= 90 && s < n && w >= -180 && e <= 180 && w < e
+        if (!validBounds) {
+          socket.emit("viewportDriversError", { message: "Valid north, south, east and west bounds are required" })
+          return
+        }
+
+        const drivers = await Driver.findInBounds({ north: n, south: s, east: e, west: w, status, vehicleType, zone })
+        socket.emit("viewportDrivers", {
+          success: true,
+          bounds: { north: n, south: s, east: e, west: w },
+          count: drivers.length,
+          data: drivers,
+          timestamp: new Date().toISOString(),
+        })
+      } catch (error) {
+        console.error("Error fetching drivers in viewport:", error)
+        socket.emit("viewportDriversError", {
+          message: "Failed to fetch drivers in viewport",
+          error: error.message,
+        })
+      }
+    })
+
     // Handle location updates from driver apps
     socket.on("updateLocation", async (data) => {
       try {
@@ -272,16 +516,23 @@ function setupSocket(io, app) {
 
         if (driver) {
           // Check if updateLocation method exists on the driver model
+          let updatedDriver = driver
           if (typeof driver.updateLocation === "function") {
             await driver.updateLocation(lat, lng, speed)
           } else {
             // Fallback if method doesn't exist
-            await Driver.findByIdAndUpdate(driverId, {
-              location: { lat, lng },
-              speed,
-              lastUpdate: new Date(),
-            })
+            updatedDriver = await Driver.findByIdAndUpdate(
+              driverId,
+              {
+                location: toPoint(lat, lng),
+                speed,
+                lastUpdate: new Date(),
+              },
+              { new: true },
+            )
           }
+          await recordDriverLocation(updatedDriver, "socket")
+          await evaluateDriverZones(updatedDriver, { io, source: "socket" })
 
           // Broadcast location update to all clients
           io.emit("locationUpdate", {
@@ -368,7 +619,7 @@ function setupSocket(io, app) {
   // Simulate location updates every 10s (for rides)
   locationInterval = setInterval(async () => {
     try {
-      const rides = await Ride.find().limit(5)
+      const rides = await Ride.find({ status: { $in: ACTIVE_RIDE_STATUSES } }).limit(5)
       for (const ride of rides) {
         const lat = 12 + Math.random()
         const lng = 77 + Math.random()
@@ -380,12 +631,14 @@ function setupSocket(io, app) {
               lat,
               lng,
               address: `Lat: ${lat.toFixed(3)}, Lng: ${lng.toFixed(3)}`,
-              updatedAt: new Date().toLocaleTimeString(),
+              updatedAt: new Date(),
             },
           },
           { new: true },
         )
 
+        await recordLocationCheckpoint(updated._id, updated.currentLocation, { type: "system", name: "simulator" })
+
         // Emit to rides room
         io.to("rides").emit("locationUpdate", {
           rideId: updated._id,
@@ -422,13 +675,13 @@ function setupSocket(io, app) {
 
         for (const driver of drivers) {
           // Default values in case simulation functions fail
-          let location = driver.location || { lat: 24.8607, lng: 67.0011 }
+          let location = fromPoint(driver.location) || { lat: 24.8607, lng: 67.0011 }
           let speed = driver.speed || 0
           let batteryLevel = driver.batteryLevel || 80
 
           try {
             // Simulate movement based on current status
-            const movementResult = locationSimulator.simulateMovement(driver.location, driver.status, driver.speed)
+            const movementResult = locationSimulator.simulateMovement(location, driver.status, driver.speed)
             if (movementResult && movementResult.location) {
               location = movementResult.location
               speed = movementResult.speed
@@ -502,7 +755,7 @@ function setupSocket(io, app) {
           const updatedDriver = await Driver.findByIdAndUpdate(
             driver._id,
             {
-              location,
+              location: toPoint(location.lat, location.lng),
               speed,
               batteryLevel,
               eta,
@@ -519,6 +772,10 @@ function setupSocket(io, app) {
           updatedDrivers.push(updatedDriver)
         }
 
+        // Keep the simulated positions in the location history like real pings
+        await recordDriverLocations(updatedDrivers.filter(Boolean), "simulator")
+        await evaluateDriversZones(updatedDrivers.filter(Boolean), { io, source: "simulator" })
+
         // Broadcast updates to all connected clients
         if (updatedDrivers.length > 0) {
           io.emit("driversUpdate", {
@@ -533,7 +790,7 @@ function setupSocket(io, app) {
             if (driver.status === "active") {
               io.emit("locationUpdate", {
                 driverId: driver._id,
-                location: driver.location,
+                location: fromPoint(driver.location),
                 speed: driver.speed,
                 eta: driver.eta,
                 timestamp: new Date().toISOString(),
@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { parseCron, isValidCron, nextCronRun } = require("../utils/cron")
+
+const next = (expression, after, timeZone = "UTC") => {
+  const run = nextCronRun(expression, new Date(after), timeZone)
+  return run && run.toISOString()
+}
+
+describe("parseCron", () => {
+  it("expands ranges, steps, lists and names", () => {
+    const cron = parseCron("*/15 9-17/4 1,15 JAN-MAR mon-fri")
+    assert.deepEqual(cron.minutes, [0, 15, 30, 45])
+    assert.deepEqual(cron.hours, [9, 13, 17])
+    assert.deepEqual([...cron.days], [1, 15])
+    assert.deepEqual([...cron.months], [1, 2, 3])
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5])
+  })
+
+  it("treats day of week 7 as Sunday", () => {
+    assert.ok(parseCron("0 0 * * 7").weekdays.has(0))
+  })
+
+  it("rejects malformed schedules", () => {
+    assert.throws(() => parseCron("0 0 * *"), /five fields/)
+    assert.throws(() => parseCron("60 0 * * *"), /minute must be between 0 and 59/)
+    assert.throws(() => parseCron("0 5-1 * * *"), /Invalid range in hour/)
+    assert.equal(isValidCron("0 9 * * MON"), true)
+    assert.equal(isValidCron("0 9 * * FUNDAY"), false)
+  })
+})
+
+describe("nextCronRun", () => {
+  it("finds the next run strictly after a time", () => {
+    assert.equal(next("30 9 * * *", "2026-10-19T09:29:00Z"), "2026-10-19T09:30:00.000Z")
+    assert.equal(next("30 9 * * *", "2026-10-19T09:30:00Z"), "2026-10-20T09:30:00.000Z")
+  })
+
+  it("runs on the wall clock of the time zone", () => {
+    assert.equal(next("0 9 * * MON", "2026-10-19T10:00:00Z", "Asia/Kolkata"), "2026-10-26T03:30:00.000Z")
+  })
+
+  it("runs a day matching either day field when both are restricted", () => {
+    // 2026-10-20 is a Tuesday, the 1st of November a Sunday
+    assert.equal(next("0 0 1 * TUE", "2026-10-19T12:00:00Z"), "2026-10-20T00:00:00.000Z")
+    assert.equal(next("0 0 1 * TUE", "2026-10-28T12:00:00Z"), "2026-11-01T00:00:00.000Z")
+  })
+
+  it("runs a time skipped by clocks going forward when the clock resumes", () => {
+    // Clocks jump from 02:00 to 03:00 on 2026-03-08 in New York
+    assert.equal(next("0 2 * * *", "2026-03-07T12:00:00Z", "America/New_York"), "2026-03-08T07:00:00.000Z")
+    assert.equal(next("0 2 * * *", "2026-03-08T06:30:00Z", "America/New_York"), "2026-03-08T07:00:00.000Z")
+    assert.equal(next("*/15 2 * * *", "2026-03-08T07:00:00Z", "America/New_York"), "2026-03-09T06:00:00.000Z")
+    assert.equal(next("30 2 * * *", "2026-03-28T12:00:00Z", "Europe/Berlin"), "2026-03-29T01:00:00.000Z")
+  })
+
+  it("runs a time repeated by clocks going back once", () => {
+    const first = next("30 1 * * *", "2026-11-01T04:00:00Z", "America/New_York")
+    assert.equal(first, "2026-11-01T05:30:00.000Z")
+    assert.equal(next("30 1 * * *", first, "America/New_York"), "2026-11-02T06:30:00.000Z")
+  })
+
+  it("returns null for a schedule that never runs", () => {
+    assert.equal(next("0 0 30 2 *", "2026-01-01T00:00:00Z"), null)
+  })
+})
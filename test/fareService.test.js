@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { calculateFare } = require("../services/fareService")
+const pricingConfig = require("../config/pricing")
+
+// Ride default card: base 50, 12/km, 1.5/min, minimum 80, 5% tax, night x1.25 from 23 to 5
+const rates = pricingConfig.defaultRateCards.Ride.default
+const config = { ...pricingConfig, timezone: "Asia/Kolkata" }
+const noon = new Date("2026-10-19T06:30:00Z")
+const midnight = new Date("2026-10-19T18:30:00Z")
+
+const fare = (trip) => calculateFare(rates, { at: noon, ...trip }, config)
+const amounts = (result) => Object.fromEntries(result.items.map((item) => [item.code, item.amount]))
+
+describe("calculateFare", () => {
+  it("adds base, distance and time, then tax", () => {
+    const result = fare({ distanceKm: 10, durationMin: 20 })
+    assert.deepEqual(amounts(result), { base: 50, distance: 120, time: 30 })
+    assert.equal(result.subtotal, 200)
+    assert.equal(result.tax, 10)
+    assert.equal(result.total, 210)
+    assert.equal(result.isNight, false)
+  })
+
+  it("charges waiting after the free minutes and every extra stop", () => {
+    const result = fare({ distanceKm: 10, durationMin: 20, waitingMin: 5, extraStops: 2 })
+    assert.equal(amounts(result).waiting, 4)
+    assert.equal(amounts(result).stops, 40)
+    assert.equal(result.subtotal, 244)
+  })
+
+  it("applies surge before the night charge", () => {
+    const result = fare({ distanceKm: 10, durationMin: 20, surgeMultiplier: 1.5, at: midnight })
+    assert.equal(amounts(result).surge, 100)
+    assert.equal(amounts(result).night, 75)
+    assert.equal(result.subtotal, 375)
+    assert.equal(result.surgeMultiplier, 1.5)
+    assert.equal(result.isNight, true)
+  })
+
+  it("tops short trips up to the minimum fare before tax", () => {
+    const result = fare({ distanceKm: 1 })
+    assert.equal(amounts(result).minimum_fare, 18)
+    assert.equal(result.subtotal, 80)
+    assert.equal(result.total, 84)
+  })
+
+  it("ignores a surge multiplier of 1 or less", () => {
+    const result = fare({ distanceKm: 10, surgeMultiplier: 0.8 })
+    assert.equal(amounts(result).surge, undefined)
+    assert.equal(result.surgeMultiplier, 1)
+  })
+})
@@ -0,0 +1,34 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { calculateDiscount, applyPromotionToFare } = require("../services/promotionService")
+
+describe("calculateDiscount", () => {
+  it("takes a percentage of the amount", () => {
+    assert.equal(calculateDiscount({ discountType: "percentage", value: 10 }, 245.5), 24.55)
+  })
+
+  it("caps a percentage discount at maxDiscount", () => {
+    assert.equal(calculateDiscount({ discountType: "percentage", value: 50, maxDiscount: 100 }, 500), 100)
+    assert.equal(calculateDiscount({ discountType: "percentage", value: 50, maxDiscount: null }, 500), 250)
+  })
+
+  it("gives a flat discount of at most the amount", () => {
+    assert.equal(calculateDiscount({ discountType: "flat", value: 75 }, 300), 75)
+    assert.equal(calculateDiscount({ discountType: "flat", value: 75 }, 40), 40)
+  })
+
+  it("gives nothing on a missing or negative amount", () => {
+    assert.equal(calculateDiscount({ discountType: "flat", value: 75 }, undefined), 0)
+    assert.equal(calculateDiscount({ discountType: "percentage", value: 10 }, -20), 0)
+  })
+})
+
+describe("applyPromotionToFare", () => {
+  it("takes the discount off the total and keeps the total before it", () => {
+    const fare = applyPromotionToFare({ subtotal: 200, tax: 10, total: 210 }, { code: "SAVE20" }, 20)
+    assert.equal(fare.total, 190)
+    assert.equal(fare.totalBeforeDiscount, 210)
+    assert.equal(fare.discount, 20)
+    assert.equal(fare.promoCode, "SAVE20")
+  })
+})
@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  RIDE_STATUSES,
+  canTransition,
+  getAllowedTransitions,
+  isTerminalStatus,
+  assertTransition,
+} = require("../utils/rideStateMachine")
+
+describe("ride state machine", () => {
+  it("moves a ride forward one status at a time", () => {
+    assert.ok(canTransition("requested", "accepted"))
+    assert.ok(canTransition("accepted", "arrived"))
+    assert.ok(canTransition("arrived", "in-progress"))
+    assert.ok(canTransition("in-progress", "completed"))
+    assert.equal(canTransition("requested", "completed"), false)
+    assert.equal(canTransition("arrived", "accepted"), false)
+  })
+
+  it("cancels any running ride", () => {
+    for (const status of ["requested", "accepted", "arrived", "in-progress"]) {
+      assert.ok(canTransition(status, "cancelled"), status)
+    }
+  })
+
+  it("has no exits from completed and cancelled rides", () => {
+    assert.deepEqual(RIDE_STATUSES.filter(isTerminalStatus), ["completed", "cancelled"])
+    assert.deepEqual(getAllowedTransitions("completed"), [])
+    assert.deepEqual(getAllowedTransitions("unknown"), [])
+  })
+
+  it("rejects a disallowed move with a 409 listing the allowed ones", () => {
+    assert.throws(() => assertTransition("requested", "in-progress"), {
+      name: "InvalidTransitionError",
+      statusCode: 409,
+      allowed: ["accepted", "cancelled"],
+    })
+    assert.throws(() => assertTransition("completed", "cancelled"), /"completed" is a final status/)
+  })
+
+  it("rejects an unknown status with a 400", () => {
+    assert.throws(() => assertTransition("requested", "parked"), { name: "InvalidTransitionError", statusCode: 400 })
+    assert.doesNotThrow(() => assertTransition("accepted", "arrived"))
+  })
+})
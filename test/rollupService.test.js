@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const { rideMetrics, rollupsAlignWith } = require("../services/rollupService")
+const reportsConfig = require("../config/reports")
+
+describe("rideMetrics", () => {
+  it("counts a ride under its status", () => {
+    assert.deepEqual(rideMetrics({ status: "requested" }), { rides: 1, requested: 1 })
+    assert.deepEqual(rideMetrics({ status: "in-progress", amount: 300 }), { rides: 1, inProgress: 1 })
+  })
+
+  it("adds revenue, surge and promo figures of completed rides", () => {
+    const metrics = rideMetrics({
+      status: "completed",
+      amount: 300,
+      surge: { multiplier: 1.5, amount: 100 },
+      promotion: { discount: 30 },
+    })
+    assert.deepEqual(metrics, {
+      rides: 1,
+      completed: 1,
+      revenue: 300,
+      surgeRevenue: 100,
+      surgedRides: 1,
+      promoCost: 30,
+      promoRides: 1,
+    })
+  })
+
+  it("adds fees and compensation of cancelled rides", () => {
+    const metrics = rideMetrics({ status: "cancelled", cancellation: { fee: 50, driverCompensation: 40 } })
+    assert.deepEqual(metrics, { rides: 1, cancelled: 1, cancellationFees: 50, driverCompensation: 40 })
+  })
+
+  it("leaves out surge of 1 and zero figures", () => {
+    const metrics = rideMetrics({ status: "completed", amount: 0, surge: { multiplier: 1, amount: 0 } })
+    assert.deepEqual(metrics, { rides: 1, completed: 1 })
+  })
+
+  it("counts rider ratings and low ones", () => {
+    assert.deepEqual(rideMetrics({ status: "completed", ratings: { byRider: { score: 2 } } }), {
+      rides: 1,
+      completed: 1,
+      ratingTotal: 2,
+      ratedRides: 1,
+      lowRatedRides: 1,
+    })
+    assert.equal(rideMetrics({ status: "completed", ratings: { byRider: { score: 5 } } }).lowRatedRides, undefined)
+  })
+})
+
+describe("rollupsAlignWith", () => {
+  const config = { ...reportsConfig, timezone: "Asia/Kolkata" }
+  const from = new Date("2026-10-01T00:00:00Z")
+  const to = new Date("2026-10-31T23:59:59Z")
+
+  it("lines up zones whose clocks differ by whole hours", () => {
+    assert.ok(rollupsAlignWith("Asia/Kolkata", from, to, config))
+    assert.ok(rollupsAlignWith("Asia/Colombo", from, to, config))
+    assert.ok(rollupsAlignWith("Europe/London", from, to, { ...config, timezone: "UTC" }))
+  })
+
+  it("does not line up zones a fraction of an hour apart", () => {
+    assert.equal(rollupsAlignWith("UTC", from, to, config), false)
+    assert.equal(rollupsAlignWith("Asia/Kathmandu", from, to, config), false)
+  })
+})
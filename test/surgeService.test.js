@@ -0,0 +1,44 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const SurgeService = require("../services/surgeService")
+const surgeConfig = require("../config/surge")
+
+// Only the pure helpers are exercised, so no sockets, timers or database
+const surgeService = (config = {}) => {
+  const service = Object.create(SurgeService.prototype)
+  service.config = { ...surgeConfig, smoothingFactor: 0.3, step: 0.1, minMultiplier: 1, maxMultiplier: 2.5, ...config }
+  return service
+}
+
+const settle = (service, start, raw, runs = 50) => {
+  const values = [start]
+  for (let run = 0; run < runs; run++) values.push(service.smooth(values[values.length - 1], raw))
+  return values
+}
+
+describe("SurgeService.smooth", () => {
+  it("decays back to 1 once demand is gone", () => {
+    const values = settle(surgeService(), 2.5, 1)
+    assert.equal(values[values.length - 1], 1)
+  })
+
+  it("decays from one step above 1", () => {
+    assert.equal(surgeService().smooth(1.1, 1), 1)
+  })
+
+  it("reaches a raw multiplier one step above the current one", () => {
+    assert.equal(surgeService().smooth(1, 1.1), 1.1)
+  })
+
+  it("rises towards the raw multiplier without overshooting it", () => {
+    const values = settle(surgeService(), 1, 2)
+    values.slice(1).forEach((value, index) => assert.ok(value >= values[index] && value <= 2))
+    assert.equal(values[values.length - 1], 2)
+  })
+
+  it("stays within the configured bounds", () => {
+    const service = surgeService({ smoothingFactor: 1 })
+    assert.equal(service.smooth(1, 4), 2.5)
+    assert.equal(service.smooth(2, 0.5), 1)
+  })
+})
@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test")
+const assert = require("node:assert/strict")
+const {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  startOfZonedWeek,
+  startOfZonedMonth,
+  addZonedDays,
+  nextDailyRun,
+  nextWeeklyRun,
+} = require("../utils/timezone")
+
+const iso = (date) => date.toISOString()
+
+describe("timezone helpers", () => {
+  it("recognises IANA time zones", () => {
+    assert.ok(isValidTimezone("Asia/Kolkata"))
+    assert.equal(isValidTimezone("Mars/Olympus"), false)
+  })
+
+  it("reads the wall clock of an instant", () => {
+    assert.deepEqual(getZonedParts(new Date("2026-01-01T20:00:00Z"), "Asia/Kolkata"), {
+      year: 2026,
+      month: 1,
+      day: 2,
+      hour: 1,
+      minute: 30,
+      second: 0,
+      weekday: 5,
+    })
+    assert.equal(getTimezoneOffset(new Date("2026-01-01T00:00:00Z"), "Asia/Kolkata"), 330)
+    assert.equal(getTimezoneOffset(new Date("2026-07-01T00:00:00Z"), "America/New_York"), -240)
+  })
+
+  it("converts a wall clock time to its instant", () => {
+    const local = { year: 2026, month: 1, day: 2, hour: 1, minute: 30 }
+    assert.equal(iso(zonedTimeToUtc(local, "Asia/Kolkata")), "2026-01-01T20:00:00.000Z")
+    // Out-of-range fields roll over
+    assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 1, day: 32 }, "UTC")), "2026-02-01T00:00:00.000Z")
+  })
+
+  it("finds local days, weeks and months", () => {
+    const date = new Date("2026-10-21T20:00:00Z") // Thursday 01:30 in Kolkata
+    assert.equal(iso(startOfZonedDay(date, "Asia/Kolkata")), "2026-10-21T18:30:00.000Z")
+    assert.equal(iso(startOfZonedWeek(date, "Asia/Kolkata", 1)), "2026-10-18T18:30:00.000Z")
+    assert.equal(iso(startOfZonedWeek(date, "Asia/Kolkata", 0)), "2026-10-17T18:30:00.000Z")
+    assert.equal(iso(startOfZonedMonth(date, "Asia/Kolkata")), "2026-09-30T18:30:00.000Z")
+    assert.equal(iso(startOfZonedMonth(date, "Asia/Kolkata", -1)), "2026-08-31T18:30:00.000Z")
+  })
+
+  it("keeps the wall clock when adding days across a DST change", () => {
+    const before = new Date("2026-03-07T14:00:00Z") // 09:00 EST
+    assert.equal(iso(addZonedDays(before, 1, "America/New_York")), "2026-03-08T13:00:00.000Z")
+  })
+
+  it("schedules daily and weekly runs strictly after a time", () => {
+    const job = { hour: 2, minute: 30, timezone: "Asia/Kolkata" }
+    assert.equal(iso(nextDailyRun(new Date("2026-10-18T20:00:00Z"), job)), "2026-10-18T21:00:00.000Z")
+    assert.equal(iso(nextDailyRun(new Date("2026-10-18T21:00:00Z"), job)), "2026-10-19T21:00:00.000Z")
+    // Monday 09:00 in Kolkata, asked on a Monday after the run
+    const weekly = { weekday: 1, hour: 9, timezone: "Asia/Kolkata" }
+    assert.equal(iso(nextWeeklyRun(new Date("2026-10-19T04:00:00Z"), weekly)), "2026-10-26T03:30:00.000Z")
+    assert.equal(iso(nextWeeklyRun(new Date("2026-10-18T04:00:00Z"), weekly)), "2026-10-19T03:30:00.000Z")
+  })
+})
@@ -0,0 +1,52 @@
+// Location: /utils/authTokens.js
+// Issues and reads the JWTs used by customers (authController), admins (adminController)
+// and drivers (driverController)
+
+const jwt = require("jsonwebtoken")
+require("dotenv").config()
+
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || "8h"
+const DRIVER_TOKEN_TTL = process.env.DRIVER_TOKEN_TTL || "12h"
+
+// Token from an "Authorization: Bearer <token>" header (a bare token is accepted too)
+const readBearerToken = (header) => {
+  if (!header) return null
+  const value = String(header).trim()
+  return value.toLowerCase().startsWith("bearer ") ? value.slice(7).trim() : value
+}
+
+// JWT sent with a socket event, else the one given at connection time (auth.token or Authorization header)
+const readSocketToken = (socket, token) =>
+  token ||
+  (socket.handshake.auth && socket.handshake.auth.token) ||
+  readBearerToken(socket.handshake.headers.authorization)
+
+const signAdminToken = (admin) =>
+  jwt.sign({ type: "admin", adminId: String(admin._id), role: admin.role }, process.env.JWT_SECRET, {
+    expiresIn: ADMIN_TOKEN_TTL,
+  })
+
+const signDriverToken = (driver) =>
+  jwt.sign({ type: "driver", driverId: String(driver._id) }, process.env.JWT_SECRET, {
+    expiresIn: DRIVER_TOKEN_TTL,
+  })
+
+// Decoded payload of a valid token, or null. Customer tokens carry
+// { userId, role }, admin tokens { type: "admin", adminId, role } and
+// driver tokens { type: "driver", driverId }.
+const decodeToken = (token) => {
+  if (!token) return null
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    return null
+  }
+}
+
+module.exports = {
+  readBearerToken,
+  readSocketToken,
+  signAdminToken,
+  signDriverToken,
+  decodeToken,
+}
@@ -0,0 +1,28 @@
+// Location: /utils/contactMasking.js
+// Hides phone numbers and email addresses in free text (ride chat), so riders
+// and drivers cannot move the conversation off the platform
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+// Runs of digits with the usual separators: +91 98765 43210, (022) 2345-6789, 9876543210
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g
+const MIN_PHONE_DIGITS = 8
+
+const maskContactDetails = (text) => {
+  let maskedCount = 0
+
+  const masked = String(text)
+    .replace(EMAIL_PATTERN, () => {
+      maskedCount++
+      return "[email hidden]"
+    })
+    .replace(PHONE_PATTERN, (match) => {
+      // Short numbers (prices, flat numbers, OTP-like codes) are left alone
+      if (match.replace(/\D/g, "").length < MIN_PHONE_DIGITS) return match
+      maskedCount++
+      return "[phone hidden]"
+    })
+
+  return { text: masked, maskedCount }
+}
+
+module.exports = { maskContactDetails }
@@ -0,0 +1,154 @@
+// Location: /utils/cron.js
+// Five-field cron schedules ("minute hour day-of-month month day-of-week")
+// evaluated on the wall clock of an IANA time zone (utils/timezone.js).
+// Fields take *, numbers, ranges (1-5), steps (*/15, 9-17/2), lists (1,15) and
+// month or weekday names (JAN, MON). Day of week 0 and 7 are Sunday. As in
+// standard cron, when both day fields are restricted a day matching either runs.
+// Times skipped when clocks go forward run as soon as the clock resumes.
+
+const { getZonedParts, getTimezoneOffset, zonedTimeToUtc } = require("./timezone")
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"],
+  },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+]
+
+// Days searched for the next run; enough for any schedule that runs at least every few years
+const MAX_SEARCH_DAYS = 366 * 5
+
+const fieldValue = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toUpperCase()) : -1
+  const value = nameIndex >= 0 ? nameIndex + (field.name === "month" ? 1 : 0) : Number(text)
+  if (!/^\d+$/.test(text) && nameIndex < 0) throw new Error(`Invalid ${field.name} "${text}"`)
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`)
+  }
+  return value
+}
+
+const parseField = (text, field) => {
+  const values = new Set()
+  for (const part of text.split(",")) {
+    const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i.exec(part)
+    if (!match) throw new Error(`Invalid ${field.name} "${part}"`)
+
+    const [, range, stepText] = match
+    const step = stepText ? Number(stepText) : 1
+    if (step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`)
+
+    let from = field.min
+    let to = field.max
+    if (range !== "*") {
+      const bounds = range.split("-").map((bound) => fieldValue(bound, field))
+      from = bounds[0]
+      // "5/15" runs from 5 to the end of the field
+      to = bounds.length > 1 ? bounds[1] : stepText ? field.max : from
+    }
+    if (from > to) throw new Error(`Invalid range in ${field.name} "${part}"`)
+    for (let value = from; value <= to; value += step) values.add(value)
+  }
+  return values
+}
+
+// Throws an Error describing the first invalid field
+const parseCron = (expression) => {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/)
+  if (parts.length !== 5) {
+    throw new Error("A schedule has five fields: minute hour day-of-month month day-of-week")
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]))
+  if (weekdays.has(7)) weekdays.add(0)
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  }
+}
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const dayMatches = (cron, day, weekday) => {
+  if (cron.anyDay && cron.anyWeekday) return true
+  if (cron.anyDay) return cron.weekdays.has(weekday)
+  if (cron.anyWeekday) return cron.days.has(day)
+  return cron.days.has(day) || cron.weekdays.has(weekday)
+}
+
+// Wall clock shown in a time zone at an instant, to the minute, as a UTC timestamp
+const localWallClock = (instant, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(instant, timeZone)
+  return Date.UTC(year, month - 1, day, hour, minute)
+}
+
+// Instant a local run time falls on. A time inside a DST gap (02:30 when clocks
+// jump from 02:00 to 03:00) runs at the first instant after the gap.
+const runInstant = (fields, timeZone) => {
+  const runAt = zonedTimeToUtc(fields, timeZone)
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute)
+  if (localWallClock(runAt, timeZone) === wallClock) return runAt
+
+  // The gap ends between the instants the wall clock gives with the offsets on
+  // either side of it; find the first minute whose wall clock reaches it
+  const offsets = [-1, 1].map((days) => getTimezoneOffset(wallClock + days * 86400000, timeZone))
+  let low = wallClock / 60000 - Math.max(...offsets)
+  let high = wallClock / 60000 - Math.min(...offsets)
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    if (localWallClock(middle * 60000, timeZone) >= wallClock) high = middle
+    else low = middle + 1
+  }
+  return new Date(low * 60000)
+}
+
+// Next instant strictly after `after` matching the schedule in the time zone,
+// or null for a schedule that never runs (e.g. 30 February)
+const nextCronRun = (expression, after, timeZone) => {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression
+  const from = new Date(after)
+  const local = getZonedParts(from, timeZone)
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    // Calendar arithmetic only: the date is not an instant
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset))
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+    if (!cron.months.has(month) || !dayMatches(cron, day, date.getUTCDay())) continue
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < local.hour) continue
+      for (const minute of cron.minutes) {
+        const runAt = runInstant({ year, month, day, hour, minute }, timeZone)
+        if (runAt > from) return runAt
+      }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  nextCronRun,
+}
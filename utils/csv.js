@@ -0,0 +1,28 @@
+// Location: /utils/csv.js
+// Minimal RFC 4180 CSV helpers
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return ""
+  const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(",")
+
+// columns: [{ header: "Date", value: (row) => row.date }] or plain field names
+const toCsv = (rows, columns) => {
+  const normalised = columns.map((column) =>
+    typeof column === "string" ? { header: column, value: (row) => row[column] } : column,
+  )
+  const lines = [toCsvRow(normalised.map((column) => column.header))]
+  for (const row of rows) {
+    lines.push(toCsvRow(normalised.map((column) => column.value(row))))
+  }
+  return lines.join("\r\n") + "\r\n"
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  toCsv,
+}
@@ -0,0 +1,124 @@
+// Location: /utils/geo.js
+// Helpers for converting between {lat, lng} pairs and GeoJSON points
+
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180
+
+// Build a GeoJSON point from latitude / longitude. Returns null for invalid input.
+const toPoint = (lat, lng) => {
+  const latitude = Number.parseFloat(lat)
+  const longitude = Number.parseFloat(lng)
+  if (!isValidLatLng(latitude, longitude)) return null
+  return { type: "Point", coordinates: [longitude, latitude] }
+}
+
+// Read {lat, lng} back out of a GeoJSON point
+const fromPoint = (point) => {
+  if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) return null
+  return { lat: point.coordinates[1], lng: point.coordinates[0] }
+}
+
+// Normalise a place from a request body. Accepts a plain address string,
+// {address, lat, lng} or {address, location: <GeoJSON point>}.
+const toPlace = (input) => {
+  if (!input) return undefined
+  if (typeof input === "string") return { address: input.trim() }
+
+  const place = {}
+  if (input.address) place.address = String(input.address).trim()
+
+  const location =
+    input.location && input.location.type === "Point"
+      ? toPoint(input.location.coordinates?.[1], input.location.coordinates?.[0])
+      : toPoint(input.lat, input.lng)
+  if (location) place.location = location
+
+  return Object.keys(place).length > 0 ? place : undefined
+}
+
+// Distance in metres from point p to the segment a-b, using an equirectangular
+// projection around the segment (accurate enough at city scale)
+const distanceToSegmentMeters = (p, a, b) => {
+  const metersPerDegLat = 111320
+  const metersPerDegLng = 111320 * Math.cos((a.lat * Math.PI) / 180)
+  const px = (p.lng - a.lng) * metersPerDegLng
+  const py = (p.lat - a.lat) * metersPerDegLat
+  const bx = (b.lng - a.lng) * metersPerDegLng
+  const by = (b.lat - a.lat) * metersPerDegLat
+  const lengthSquared = bx * bx + by * by
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared))
+  return Math.hypot(px - t * bx, py - t * by)
+}
+
+// Ramer-Douglas-Peucker simplification of a list of {lat, lng} points
+const simplifyPolyline = (points, toleranceMeters) => {
+  if (points.length <= 2) return points.slice()
+
+  const keep = new Array(points.length).fill(false)
+  keep[0] = true
+  keep[points.length - 1] = true
+  const stack = [[0, points.length - 1]]
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegmentMeters(points[i], points[start], points[end])
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = true
+      stack.push([start, index], [index, end])
+    }
+  }
+
+  return points.filter((_, i) => keep[i])
+}
+
+// Evenly thin a list down to at most maxPoints, always keeping the first and last point
+const samplePoints = (points, maxPoints) => {
+  if (points.length <= maxPoints || maxPoints < 2) return points.slice()
+  const step = (points.length - 1) / (maxPoints - 1)
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)])
+}
+
+// Google encoded polyline format, accepted by most map SDKs
+const encodePolyline = (points) => {
+  let lastLat = 0
+  let lastLng = 0
+  let result = ""
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1
+    let chunk = ""
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63)
+      v >>= 5
+    }
+    return chunk + String.fromCharCode(v + 63)
+  }
+
+  for (const point of points) {
+    const lat = Math.round(point.lat * 1e5)
+    const lng = Math.round(point.lng * 1e5)
+    result += encodeValue(lat - lastLat) + encodeValue(lng - lastLng)
+    lastLat = lat
+    lastLng = lng
+  }
+
+  return result
+}
+
+module.exports = {
+  isValidLatLng,
+  toPoint,
+  fromPoint,
+  toPlace,
+  simplifyPolyline,
+  samplePoints,
+  encodePolyline,
+}
@@ -0,0 +1,177 @@
+// Location: /utils/pdfCharts.js
+// Bar, line and pie charts drawn on a PdfDocument (utils/pdfDocument.js) for
+// report exports. Each chart fits the box at x, y (top-left) of the given size.
+
+const PALETTE = ["#2563eb", "#16a34a", "#dc2626", "#f59e0b", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#6b7280"]
+
+const AXIS_COLOR = "#9ca3af"
+const GRID_COLOR = "#e5e7eb"
+const LABEL_COLOR = "#4b5563"
+
+// Round axis maximum with 4 even steps: 1, 2, 2.5 or 5 times a power of ten per step
+const niceMax = (value) => {
+  if (!(value > 0)) return 4
+  const step = value / 4
+  const magnitude = 10 ** Math.floor(Math.log10(step))
+  const nice = [1, 2, 2.5, 5, 10].find((factor) => factor * magnitude >= step)
+  return nice * magnitude * 4
+}
+
+const shortNumber = (value) => {
+  const abs = Math.abs(value)
+  if (abs >= 1e7) return `${Number((value / 1e7).toFixed(1))}Cr`
+  if (abs >= 1e5) return `${Number((value / 1e5).toFixed(1))}L`
+  if (abs >= 1e3) return `${Number((value / 1e3).toFixed(1))}k`
+  return String(Number(value.toFixed(2)))
+}
+
+// Cut text to a width, ending in "..." when shortened
+const fitText = (doc, value, width, size) => {
+  let text = String(value)
+  if (doc.textWidth(text, size) <= width) return text
+  while (text.length > 1 && doc.textWidth(`${text}...`, size) > width) text = text.slice(0, -1)
+  return `${text}...`
+}
+
+// Title, value axis with grid lines and category labels; returns the plot area
+const drawAxes = (doc, { x, y, width, height, title, labels, max }) => {
+  doc.text(title, x, y + 10, { size: 11, bold: true })
+
+  const plot = { left: x + 40, top: y + 24, right: x + width, bottom: y + height - 18 }
+  for (let step = 0; step <= 4; step++) {
+    const lineY = plot.bottom - ((plot.bottom - plot.top) * step) / 4
+    doc.line(plot.left, lineY, plot.right, lineY, { color: step === 0 ? AXIS_COLOR : GRID_COLOR })
+    doc.text(shortNumber((max * step) / 4), x, lineY + 3, { size: 7, color: LABEL_COLOR, align: "right", width: 36 })
+  }
+
+  // Label every nth category so the labels do not overlap
+  const slot = (plot.right - plot.left) / Math.max(labels.length, 1)
+  const widest = Math.max(...labels.map((label) => doc.textWidth(label, 7)), 1)
+  const every = Math.max(1, Math.ceil((widest + 6) / slot))
+  labels.forEach((label, index) => {
+    if (index % every !== 0) return
+    doc.text(fitText(doc, label, slot * every, 7), plot.left + slot * index, plot.bottom + 11, {
+      size: 7,
+      color: LABEL_COLOR,
+      align: "center",
+      width: slot,
+    })
+  })
+
+  return { ...plot, slot }
+}
+
+const drawLegend = (doc, items, x, y) => {
+  let left = x
+  items.forEach(({ label, color }) => {
+    doc.rect(left, y - 7, 8, 8, { fill: color })
+    doc.text(label, left + 11, y, { size: 8, color: LABEL_COLOR })
+    left += doc.textWidth(label, 8) + 24
+  })
+}
+
+// values: one number per label
+const barChart = (doc, { x, y, width, height, title, labels, values, color = PALETTE[0] }) => {
+  const max = niceMax(Math.max(0, ...values))
+  const plot = drawAxes(doc, { x, y, width, height, title, labels, max })
+  const barWidth = Math.max(plot.slot * 0.7, 0.5)
+
+  values.forEach((value, index) => {
+    const barHeight = ((plot.bottom - plot.top) * Math.max(value, 0)) / max
+    if (barHeight <= 0) return
+    const left = plot.left + plot.slot * index + (plot.slot - barWidth) / 2
+    doc.rect(left, plot.bottom - barHeight, barWidth, barHeight, { fill: color })
+  })
+  return doc
+}
+
+// series: [{ label, values, color }], one value per label each; the first series is shaded
+const lineChart = (doc, { x, y, width, height, title, labels, series }) => {
+  const max = niceMax(Math.max(0, ...series.flatMap((line) => line.values)))
+  const plot = drawAxes(doc, { x, y, width, height: height - 14, title, labels, max })
+  const pointsOf = (values) =>
+    values.map((value, index) => [
+      plot.left + plot.slot * index + plot.slot / 2,
+      plot.bottom - ((plot.bottom - plot.top) * Math.max(value, 0)) / max,
+    ])
+
+  series.forEach((line, seriesIndex) => {
+    const color = line.color || PALETTE[seriesIndex % PALETTE.length]
+    const points = pointsOf(line.values)
+    if (seriesIndex === 0 && points.length > 1) {
+      doc.polygon([[points[0][0], plot.bottom], ...points, [points[points.length - 1][0], plot.bottom]], {
+        fill: "#dbeafe",
+      })
+    }
+    for (let index = 1; index < points.length; index++) {
+      doc.line(points[index - 1][0], points[index - 1][1], points[index][0], points[index][1], {
+        color,
+        lineWidth: 1.5,
+      })
+    }
+    if (points.length === 1) doc.rect(points[0][0] - 1.5, points[0][1] - 1.5, 3, 3, { fill: color })
+  })
+
+  drawLegend(
+    doc,
+    series.map((line, index) => ({ label: line.label, color: line.color || PALETTE[index % PALETTE.length] })),
+    plot.left,
+    y + height,
+  )
+  return doc
+}
+
+// slices: [{ label, value }]. Slices beyond the palette are merged into "Others".
+const pieChart = (doc, { x, y, width, height, title, slices, formatValue = shortNumber }) => {
+  doc.text(title, x, y + 10, { size: 11, bold: true })
+
+  const positive = slices.filter((slice) => slice.value > 0).sort((a, b) => b.value - a.value)
+  const shown = positive.length > PALETTE.length ? positive.slice(0, PALETTE.length - 1) : positive
+  if (shown.length < positive.length) {
+    shown.push({ label: "Others", value: positive.slice(shown.length).reduce((sum, slice) => sum + slice.value, 0) })
+  }
+  const total = shown.reduce((sum, slice) => sum + slice.value, 0)
+
+  const radius = Math.min(height - 30, width / 2) / 2
+  const centerX = x + radius
+  const centerY = y + 24 + radius
+  if (total <= 0) {
+    doc.text("No data for this period", x, centerY, { size: 9, color: LABEL_COLOR })
+    return doc
+  }
+
+  let angle = -Math.PI / 2
+  shown.forEach((slice, index) => {
+    const sweep = (slice.value / total) * Math.PI * 2
+    const steps = Math.max(2, Math.ceil(sweep / (Math.PI / 60)))
+    const arc = Array.from({ length: steps + 1 }, (_, step) => {
+      const pointAngle = angle + (sweep * step) / steps
+      return [centerX + radius * Math.cos(pointAngle), centerY + radius * Math.sin(pointAngle)]
+    })
+    doc.polygon([[centerX, centerY], ...arc], { fill: PALETTE[index], stroke: "#ffffff", lineWidth: 0.75 })
+    angle += sweep
+  })
+
+  // Legend beside the pie: share and value per slice
+  const legendX = centerX + radius + 20
+  const legendWidth = x + width - legendX - 12
+  shown.forEach((slice, index) => {
+    const rowY = y + 34 + index * 14
+    const share = `${((slice.value / total) * 100).toFixed(1)}%  ${formatValue(slice.value)}`
+    doc.rect(legendX, rowY - 7, 8, 8, { fill: PALETTE[index] })
+    doc.text(fitText(doc, slice.label, legendWidth - doc.textWidth(share, 8) - 8, 8), legendX + 12, rowY, {
+      size: 8,
+      color: LABEL_COLOR,
+    })
+    doc.text(share, legendX + 12, rowY, { size: 8, align: "right", width: legendWidth })
+  })
+  return doc
+}
+
+module.exports = {
+  PALETTE,
+  fitText,
+  barChart,
+  lineChart,
+  pieChart,
+}
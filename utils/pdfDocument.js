@@ -0,0 +1,198 @@
+// Location: /utils/pdfDocument.js
+// Minimal PDF writer for receipts and report exports: text in the built-in
+// Helvetica fonts, lines, rectangles and filled polygons on A4 pages.
+// Coordinates are in points from the top-left corner of the page.
+
+const zlib = require("zlib")
+
+const A4 = [595.28, 841.89]
+
+// Glyph widths (per 1000 units) of the standard fonts for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+  556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+  611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+]
+const DEFAULT_WIDTH = 556
+
+// The standard fonts only cover Latin-1; the rupee sign has no glyph there
+const toLatin1 = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/₹/g, "Rs. ")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x00-\xff]/g, "?")
+
+const escapeText = (value) => value.replace(/[\\()]/g, (char) => `\\${char}`).replace(/[\r\n\t]/g, " ")
+
+const toColor = (hex, op) => {
+  const value = String(hex).replace("#", "")
+  const [r, g, b] = [0, 2, 4].map((start) => Number.parseInt(value.slice(start, start + 2), 16) / 255)
+  return `${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)} ${op}`
+}
+
+const num = (value) => Number(value.toFixed(2))
+
+class PdfDocument {
+  constructor({ size = A4, margin = 40 } = {}) {
+    this.width = size[0]
+    this.height = size[1]
+    this.margin = margin
+    this.pages = []
+    this.addPage()
+  }
+
+  addPage() {
+    this.current = []
+    this.pages.push(this.current)
+    return this
+  }
+
+  textWidth(value, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+    let units = 0
+    for (const char of toLatin1(value)) {
+      const code = char.charCodeAt(0)
+      units += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH
+    }
+    return (units * size) / 1000
+  }
+
+  // Split text into lines no wider than maxWidth
+  wrapText(value, maxWidth, size = 10, bold = false) {
+    const lines = []
+    let line = ""
+    for (const word of toLatin1(value).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word
+      if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+        lines.push(line)
+        line = word
+      } else {
+        line = candidate
+      }
+    }
+    if (line) lines.push(line)
+    return lines
+  }
+
+  // y is the baseline. align "right" / "center" is relative to x and width.
+  text(value, x, y, { size = 10, bold = false, color = "#000000", align = "left", width = 0 } = {}) {
+    const textValue = toLatin1(value)
+    let left = x
+    if (align === "right") left = x + width - this.textWidth(textValue, size, bold)
+    if (align === "center") left = x + (width - this.textWidth(textValue, size, bold)) / 2
+
+    this.current.push(
+      `BT ${toColor(color, "rg")} /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(this.height - y)} Td (${escapeText(textValue)}) Tj ET`,
+    )
+    return this
+  }
+
+  line(x1, y1, x2, y2, { color = "#000000", lineWidth = 0.5 } = {}) {
+    this.current.push(
+      `${toColor(color, "RG")} ${lineWidth} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`,
+    )
+    return this
+  }
+
+  rect(x, y, width, height, { fill, stroke, lineWidth = 0.5 } = {}) {
+    const path = `${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`
+    this.current.push(this.paint(path, { fill, stroke, lineWidth }))
+    return this
+  }
+
+  // Closed shape through the given [x, y] points (pie slices, area charts)
+  polygon(points, { fill, stroke, lineWidth = 0.5 } = {}) {
+    if (points.length < 2) return this
+    const [first, ...rest] = points
+    const path =
+      `${num(first[0])} ${num(this.height - first[1])} m ` +
+      rest.map(([x, y]) => `${num(x)} ${num(this.height - y)} l`).join(" ") +
+      " h"
+    this.current.push(this.paint(path, { fill, stroke, lineWidth }))
+    return this
+  }
+
+  paint(path, { fill, stroke, lineWidth }) {
+    const ops = []
+    if (fill) ops.push(toColor(fill, "rg"))
+    if (stroke) ops.push(`${toColor(stroke, "RG")} ${lineWidth} w`)
+    ops.push(path, fill && stroke ? "B" : fill ? "f" : "S")
+    return ops.join(" ")
+  }
+
+  // The file in pieces: a content stream per page, then the xref table. Write them
+  // out one by one to stream a long document.
+  *chunks() {
+    const objects = []
+    const addObject = (body) => {
+      objects.push(body)
+      return objects.length
+    }
+
+    const catalogId = addObject(null)
+    const pagesId = addObject(null)
+    const regularFontId = addObject(
+      Buffer.from("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>", "latin1"),
+    )
+    const boldFontId = addObject(
+      Buffer.from("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>", "latin1"),
+    )
+
+    const pageIds = this.pages.map((operations) => {
+      const content = zlib.deflateSync(Buffer.from(operations.join("\n"), "latin1"))
+      const contentId = addObject(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+          content,
+          Buffer.from("\nendstream", "latin1"),
+        ]),
+      )
+      return addObject(
+        Buffer.from(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+            `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+          "latin1",
+        ),
+      )
+    })
+
+    objects[catalogId - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, "latin1")
+    objects[pagesId - 1] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`,
+      "latin1",
+    )
+
+    const fileHeader = Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")
+    yield fileHeader
+    let offset = fileHeader.length
+    const offsets = []
+    for (const [index, body] of objects.entries()) {
+      const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, "latin1"), body, Buffer.from("\nendobj\n", "latin1")])
+      offsets.push(offset)
+      offset += chunk.length
+      yield chunk
+    }
+
+    const xref =
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map((start) => `${String(start).padStart(10, "0")} 00000 n \n`).join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`
+    yield Buffer.from(xref, "latin1")
+  }
+
+  toBuffer() {
+    return Buffer.concat([...this.chunks()])
+  }
+}
+
+module.exports = PdfDocument
+module.exports.A4 = A4
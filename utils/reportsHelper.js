@@ -1,5 +1,19 @@
 // Location: /utils/reportsHelper.js
-// Helper functions for reports calculations and data formatting
+// Helper functions for reports calculations and data formatting: report periods
+// and chart buckets in a time zone (utils/timezone.js), and figure formatting
+
+const reportsConfig = require("../config/reports")
+const {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  startOfZonedHour,
+  startOfZonedWeek,
+  startOfZonedMonth,
+  formatZonedDate,
+  addZonedDays,
+} = require("./timezone")
 
 const calculatePercentageChange = (current, previous) => {
   if (previous === 0) return current === 0 ? 0 : 100
@@ -14,36 +28,142 @@ const formatPercentage = (value) => {
   return Math.round(value * 10) / 10
 }
 
-const generateDateRange = (startDate, endDate, timeRange) => {
-  const dates = []
-  const current = new Date(startDate)
+// Calendar periods a report can cover (timeRange) and the chart buckets within them (interval)
+const REPORT_TIME_RANGES = ["day", "week", "month", "quarter", "fiscalYear"]
+const REPORT_INTERVALS = ["hour", "day", "week", "month"]
+const DEFAULT_INTERVALS = { day: "hour", week: "day", month: "day", quarter: "week", fiscalYear: "month" }
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+
+// weekStart parameter as 0 (Sunday) to 6, from a number or a weekday name ("mon",
+// "monday"); null when it is neither
+const parseWeekStart = (value) => {
+  const text = String(value).trim().toLowerCase()
+  if (/^[0-6]$/.test(text)) return Number(text)
+  const index = WEEKDAY_NAMES.findIndex((name) => text === name || text === name.slice(0, 3))
+  return index >= 0 ? index : null
+}
+
+// "YYYY-MM-DD" is a local date in the report's time zone: its first moment, or its
+// last for an end date. Anything else is read as an instant.
+const parseReportDate = (value, timeZone, endOfDay = false) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value))
+  if (!match) return new Date(value)
+
+  const [year, month, day] = match.slice(1).map(Number)
+  if (!endOfDay) return zonedTimeToUtc({ year, month, day }, timeZone)
+  return new Date(zonedTimeToUtc({ year, month, day: day + 1 }, timeZone).getTime() - 1)
+}
+
+// Start of the calendar period containing `date`, moved by whole periods (-1: the one
+// before). Quarters and fiscal years start on the fiscal year's first month.
+const startOfPeriod = (date, timeRange, { timeZone, weekStartsOn, fiscalYearStartMonth }, periods = 0) => {
+  if (timeRange === "day") return addZonedDays(startOfZonedDay(date, timeZone), periods, timeZone)
+  if (timeRange === "week") return addZonedDays(startOfZonedWeek(date, timeZone, weekStartsOn), periods * 7, timeZone)
+  if (timeRange === "month") return startOfZonedMonth(date, timeZone, periods)
+
+  const months = timeRange === "quarter" ? 3 : 12
+  const { month } = getZonedParts(date, timeZone)
+  const monthsIn = (month - fiscalYearStartMonth + 12) % months
+  return startOfZonedMonth(date, timeZone, periods * months - monthsIn)
+}
+
+// Range, previous range of the same kind, time zone and chart interval of a report.
+// startDate/endDate give the range (the previous one being as long, right before it);
+// otherwise it is the calendar day, week, month, quarter or fiscal year containing now.
+// tz, weekStart and interval default to config/reports.js and the time range.
+const resolveReportPeriod = (
+  { startDate, endDate, timeRange: range, tz, weekStart, interval } = {},
+  now = new Date(),
+  config = reportsConfig,
+) => {
+  const timeRange = range || "week"
+  const timeZone = tz || config.timezone
+  if (!isValidTimezone(timeZone)) throw new Error(`Unknown time zone "${timeZone}"`)
+  if (!REPORT_TIME_RANGES.includes(timeRange)) throw new Error(`Unknown time range "${timeRange}"`)
+  if (interval && !REPORT_INTERVALS.includes(interval)) throw new Error(`Unknown interval "${interval}"`)
+
+  const weekStartsOn = weekStart !== undefined && weekStart !== "" ? parseWeekStart(weekStart) : config.weekStartsOn
+  if (weekStartsOn === null) throw new Error(`Unknown week start "${weekStart}"`)
+
+  const calendar = { timeZone, weekStartsOn, fiscalYearStartMonth: config.fiscalYearStartMonth }
+  let start, end, previous
+  if (startDate && endDate) {
+    start = parseReportDate(startDate, timeZone)
+    end = parseReportDate(endDate, timeZone, true)
+    const length = end.getTime() - start.getTime() + 1
+    previous = { start: new Date(start.getTime() - length), end: new Date(start.getTime() - 1) }
+  } else {
+    start = startOfPeriod(now, timeRange, calendar)
+    end = new Date(startOfPeriod(now, timeRange, calendar, 1).getTime() - 1)
+    previous = { start: startOfPeriod(now, timeRange, calendar, -1), end: new Date(start.getTime() - 1) }
+  }
+
+  return {
+    start,
+    end,
+    previous,
+    timeRange,
+    interval: interval || DEFAULT_INTERVALS[timeRange],
+    timeZone,
+    weekStartsOn,
+  }
+}
+
+// Average length of each chart bucket, enough to count them
+const BUCKET_MS = { hour: 3600000, day: 86400000, week: 7 * 86400000, month: (365.25 / 12) * 86400000 }
+
+// Error message when a resolved period (resolveReportPeriod) has more chart buckets
+// than config/reports.js allows for its interval, otherwise null. Hourly charts are
+// keyed by hour of the day, so they must stay within one local day.
+const bucketLimitError = ({ start, end, interval, timeZone = reportsConfig.timezone }, config = reportsConfig) => {
+  if (interval === "hour" && formatZonedDate(start, timeZone) !== formatZonedDate(end, timeZone)) {
+    return "A report by hour can cover at most one day. Use a shorter range or a longer interval."
+  }
+  const max = config.maxBuckets[interval]
+  const buckets = Math.round((end.getTime() - start.getTime() + 1) / BUCKET_MS[interval])
+  if (!max || buckets <= max) return null
+  return `A report by ${interval} can cover at most ${max} ${interval}s. Use a shorter range or a longer interval.`
+}
+
+// Bucket of a local date ("YYYY-MM-DD"): the date itself, the date its week starts on, or "YYYY-MM"
+const dateBucketKey = (dateKey, interval, weekStartsOn = reportsConfig.weekStartsOn) => {
+  if (interval === "month") return dateKey.slice(0, 7)
+  if (interval !== "week") return dateKey
+
+  // Calendar arithmetic only: the date is not an instant
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - weekStartsOn + 7) % 7))
+  return date.toISOString().slice(0, 10)
+}
+
+// Chart bucket of an instant in a time zone: "HH" (hour of the day) for hourly charts, else as dateBucketKey
+const bucketKeyOf = (date, interval, timeZone, weekStartsOn) =>
+  interval === "hour"
+    ? String(getZonedParts(date, timeZone).hour).padStart(2, "0")
+    : dateBucketKey(formatZonedDate(date, timeZone), interval, weekStartsOn)
+
+// Every chart bucket of [startDate, endDate] in a time zone, in order: hours of the
+// day, local dates, weeks (keyed by their first day) or months ("YYYY-MM")
+const generateDateRange = (startDate, endDate, interval, timeZone = reportsConfig.timezone, weekStartsOn) => {
+  const dates = new Map()
+  const hourly = interval === "hour"
+  let current = hourly ? startOfZonedHour(startDate, timeZone) : startOfZonedDay(startDate, timeZone)
 
   while (current <= endDate) {
-    if (timeRange === "day") {
-      for (let hour = 0; hour < 24; hour++) {
-        dates.push({
-          key: hour.toString().padStart(2, "0"),
-          label: `${hour}:00`,
-          date: new Date(current.getFullYear(), current.getMonth(), current.getDate(), hour),
-        })
-      }
-      break // Only one day for hourly breakdown
-    } else {
-      dates.push({
-        key: current.toISOString().split("T")[0],
-        label: current.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" }),
-        date: new Date(current),
-      })
-      current.setDate(current.getDate() + 1)
-    }
+    const key = bucketKeyOf(current, interval, timeZone, weekStartsOn)
+    if (!dates.has(key)) dates.set(key, { key, label: hourly ? `${key}:00` : key, date: current })
+    current = hourly ? new Date(current.getTime() + 60 * 60 * 1000) : addZonedDays(current, 1, timeZone)
   }
 
-  return dates
+  return [...dates.values()].sort((a, b) => a.key.localeCompare(b.key))
 }
 
+// One point per bucket of the date range, with zeros where data has no item (matched on _id)
 const fillMissingDataPoints = (data, dateRange, defaultValue = 0) => {
+  const dataByKey = new Map(data.map((item) => [item._id, item]))
   return dateRange.map((datePoint) => {
-    const existingData = data.find((item) => item._id === datePoint.key)
+    const existingData = dataByKey.get(datePoint.key)
     return {
       name: datePoint.label,
       ...existingData,
@@ -94,9 +214,16 @@ const calculateDriverRankings = (drivers) => {
 }
 
 module.exports = {
+  REPORT_TIME_RANGES,
+  REPORT_INTERVALS,
   calculatePercentageChange,
   formatCurrency,
   formatPercentage,
+  parseWeekStart,
+  resolveReportPeriod,
+  bucketLimitError,
+  dateBucketKey,
+  bucketKeyOf,
   generateDateRange,
   fillMissingDataPoints,
   aggregateServiceData,
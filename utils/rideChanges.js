@@ -0,0 +1,10 @@
+// Location: /utils/rideChanges.js
+// Emits "change" with the ride id whenever a ride is written through the Ride
+// model (see the hooks in models/Ride.js), for derived data such as report rollups
+
+const { EventEmitter } = require("events")
+
+const rideChanges = new EventEmitter()
+rideChanges.setMaxListeners(20)
+
+module.exports = rideChanges
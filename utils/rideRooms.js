@@ -0,0 +1,26 @@
+// Location: /utils/rideRooms.js
+// Socket rooms of the people involved in a ride
+
+// Rooms of the rider, the assigned driver and admins. Ride updates that carry
+// personal details go only to these, never to every socket.
+const rideRooms = (ride) => {
+  const rooms = ["admins"]
+  if (ride.user && ride.user._id) rooms.push(`user:${ride.user._id}`)
+  if (ride.driver && ride.driver._id) rooms.push(`driver:${ride.driver._id}`)
+  return rooms
+}
+
+// "rideStatusUpdate" with the whole ride for its rider, driver and admins. The
+// shared "rides" room only learns the new status.
+const emitRideStatusUpdate = (io, ride) => {
+  if (!io) return
+  const update = { rideId: ride._id, status: ride.status, timestamp: new Date().toISOString() }
+  const rooms = rideRooms(ride)
+  io.to(rooms).emit("rideStatusUpdate", { ...update, ride })
+  io.to("rides").except(rooms).emit("rideStatusUpdate", update)
+}
+
+module.exports = {
+  rideRooms,
+  emitRideStatusUpdate,
+}
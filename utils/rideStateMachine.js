@@ -0,0 +1,74 @@
+// Location: /utils/rideStateMachine.js
+// Ride lifecycle definition and transition rules shared by REST and socket handlers
+
+const RIDE_STATUSES = ["requested", "accepted", "arrived", "in-progress", "completed", "cancelled"]
+
+// Allowed next statuses for every status. Terminal statuses have no exits.
+const RIDE_TRANSITIONS = {
+  requested: ["accepted", "cancelled"],
+  accepted: ["arrived", "cancelled"],
+  arrived: ["in-progress", "cancelled"],
+  "in-progress": ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+}
+
+// Ride fields stamped when a status is entered
+const STATUS_TIMESTAMP_FIELDS = {
+  accepted: "acceptedAt",
+  arrived: "arrivedAt",
+  "in-progress": "startedAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+}
+
+// Statuses where a driver is attached and the ride is still running
+const ACTIVE_RIDE_STATUSES = ["accepted", "arrived", "in-progress"]
+
+const isValidStatus = (status) => RIDE_STATUSES.includes(status)
+
+const canTransition = (from, to) => Boolean(RIDE_TRANSITIONS[from] && RIDE_TRANSITIONS[from].includes(to))
+
+const getAllowedTransitions = (from) => RIDE_TRANSITIONS[from] || []
+
+const isTerminalStatus = (status) => getAllowedTransitions(status).length === 0
+
+// Throws an InvalidTransitionError (statusCode 409, or 400 for unknown statuses)
+// when the ride cannot move from `from` to `to`
+const assertTransition = (from, to) => {
+  if (!isValidStatus(to)) {
+    const error = new Error(`Unknown ride status "${to}". Must be one of: ${RIDE_STATUSES.join(", ")}`)
+    error.name = "InvalidTransitionError"
+    error.statusCode = 400
+    error.from = from
+    error.to = to
+    error.allowed = getAllowedTransitions(from)
+    throw error
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from)
+    const error = new Error(
+      `Cannot change ride status from "${from}" to "${to}". ` +
+        (allowed.length > 0 ? `Allowed: ${allowed.join(", ")}` : `"${from}" is a final status`),
+    )
+    error.name = "InvalidTransitionError"
+    error.statusCode = 409
+    error.from = from
+    error.to = to
+    error.allowed = allowed
+    throw error
+  }
+}
+
+module.exports = {
+  RIDE_STATUSES,
+  RIDE_TRANSITIONS,
+  STATUS_TIMESTAMP_FIELDS,
+  ACTIVE_RIDE_STATUSES,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  isTerminalStatus,
+  assertTransition,
+}
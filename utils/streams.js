@@ -0,0 +1,25 @@
+// Location: /utils/streams.js
+// Helpers for writing generated files (report exports) to a response as they are produced
+
+// Write a chunk and wait while the destination's buffer is full. Rejects once the
+// destination closes (a client that went away), so a writer loop stops instead of hanging.
+const writeChunk = (stream, chunk) =>
+  new Promise((resolve, reject) => {
+    if (stream.destroyed || stream.writableEnded) return reject(new Error("Output stream is closed"))
+    if (stream.write(chunk)) return resolve()
+
+    const onDrain = () => {
+      stream.off("close", onClose)
+      resolve()
+    }
+    const onClose = () => {
+      stream.off("drain", onDrain)
+      reject(new Error("Output stream is closed"))
+    }
+    stream.once("drain", onDrain)
+    stream.once("close", onClose)
+  })
+
+module.exports = {
+  writeChunk,
+}
@@ -0,0 +1,142 @@
+// Location: /utils/timezone.js
+// Wall-clock helpers for IANA time zones (e.g. "Asia/Kolkata") built on Intl,
+// for jobs and reports that follow local days rather than UTC ones
+
+const formatters = new Map()
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      }),
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Calendar fields of an instant as seen in a time zone. weekday: 0 = Sunday.
+const getZonedParts = (date, timeZone) => {
+  const parts = {}
+  for (const part of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[part.type] = part.value
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  }
+}
+
+// Minutes the time zone is ahead of UTC at an instant
+const getTimezoneOffset = (date, timeZone) => {
+  const instant = new Date(date)
+  const local = getZonedParts(instant, timeZone)
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second)
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000)
+}
+
+// Instant at which the wall clock in a time zone shows the given fields.
+// Out-of-range fields roll over as with Date.UTC (day 32 is the next month).
+const zonedTimeToUtc = ({ year, month, day = 1, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  const offset = getTimezoneOffset(wallClock, timeZone)
+  let instant = wallClock - offset * 60000
+  // Around a DST change the offset at the result can differ from the first guess
+  const correctedOffset = getTimezoneOffset(instant, timeZone)
+  if (correctedOffset !== offset) instant = wallClock - correctedOffset * 60000
+  return new Date(instant)
+}
+
+// Start of the local day that contains an instant
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return zonedTimeToUtc({ year, month, day }, timeZone)
+}
+
+// Start of the local hour that contains an instant; zones with half-hour offsets
+// (Asia/Kolkata) start their hours at :30 UTC
+const startOfZonedHour = (date, timeZone) => {
+  const { year, month, day, hour } = getZonedParts(date, timeZone)
+  return zonedTimeToUtc({ year, month, day, hour }, timeZone)
+}
+
+// Next instant strictly after `after` at which the local time is hour:minute
+const nextDailyRun = (after, { hour, minute = 0, timezone }) => {
+  const { year, month, day } = getZonedParts(after, timezone)
+  const today = zonedTimeToUtc({ year, month, day, hour, minute }, timezone)
+  return today > after ? today : zonedTimeToUtc({ year, month, day: day + 1, hour, minute }, timezone)
+}
+
+// Start of the local week that contains an instant. weekStartsOn: 0 = Sunday, 1 = Monday.
+const startOfZonedWeek = (date, timeZone, weekStartsOn = 1) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone)
+  return zonedTimeToUtc({ year, month, day: day - ((weekday - weekStartsOn + 7) % 7) }, timeZone)
+}
+
+// Start of the local month that contains an instant, moved by whole months (-1: the month before)
+const startOfZonedMonth = (date, timeZone, months = 0) => {
+  const { year, month } = getZonedParts(date, timeZone)
+  return zonedTimeToUtc({ year, month: month + months }, timeZone)
+}
+
+// Local date (YYYY-MM-DD) of an instant
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone)
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
+}
+
+// Local date shifted by whole days, keeping the wall-clock time
+const addZonedDays = (date, days, timeZone) => {
+  const parts = getZonedParts(date, timeZone)
+  return zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone)
+}
+
+// Next instant strictly after `after` that falls on the weekday (0 = Sunday) at hour:minute
+const nextWeeklyRun = (after, { weekday, hour, minute = 0, timezone }) => {
+  const local = getZonedParts(after, timezone)
+  const day = local.day + ((weekday - local.weekday + 7) % 7)
+  const candidate = zonedTimeToUtc({ year: local.year, month: local.month, day, hour, minute }, timezone)
+  return candidate > after
+    ? candidate
+    : zonedTimeToUtc({ year: local.year, month: local.month, day: day + 7, hour, minute }, timezone)
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  startOfZonedHour,
+  nextDailyRun,
+  startOfZonedWeek,
+  startOfZonedMonth,
+  formatZonedDate,
+  addZonedDays,
+  nextWeeklyRun,
+}
@@ -0,0 +1,250 @@
+// Location: /utils/xlsxWriter.js
+// Minimal streaming XLSX writer for report exports: one or more worksheets of
+// text and number cells, with a bold header row. Rows are written to the output
+// as they come, deflated inside a ZIP archive, so big sheets are never held in memory.
+
+const zlib = require("zlib")
+const { pipeline } = require("stream/promises")
+const { writeChunk } = require("./streams")
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time fields of ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 file names
+const ZIP_FLAGS = 0x0808
+const DEFLATE = 8
+
+// ZIP archive written entry by entry. Sizes are not known before an entry's data
+// is compressed, so each entry ends with a data descriptor.
+class ZipWriter {
+  constructor(output) {
+    this.output = output
+    this.offset = 0
+    this.entries = []
+    this.stamp = dosDateTime(new Date())
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length
+    await writeChunk(this.output, buffer)
+  }
+
+  // source: iterable or async iterable of strings or buffers
+  async addEntry(name, source) {
+    const fileName = Buffer.from(name, "utf8")
+    const entry = { fileName, headerOffset: this.offset, crc: 0, size: 0, compressedSize: 0 }
+
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034b50, 0)
+    header.writeUInt16LE(20, 4)
+    header.writeUInt16LE(ZIP_FLAGS, 6)
+    header.writeUInt16LE(DEFLATE, 8)
+    header.writeUInt16LE(this.stamp.time, 10)
+    header.writeUInt16LE(this.stamp.date, 12)
+    header.writeUInt16LE(fileName.length, 26)
+    await this.write(Buffer.concat([header, fileName]))
+
+    await pipeline(
+      source,
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), "utf8")
+          entry.crc = crc32(buffer, entry.crc)
+          entry.size += buffer.length
+          yield buffer
+        }
+      },
+      zlib.createDeflateRaw(),
+      async (chunks) => {
+        for await (const chunk of chunks) {
+          entry.compressedSize += chunk.length
+          await this.write(chunk)
+        }
+      },
+    )
+
+    const descriptor = Buffer.alloc(16)
+    descriptor.writeUInt32LE(0x08074b50, 0)
+    descriptor.writeUInt32LE(entry.crc, 4)
+    descriptor.writeUInt32LE(entry.compressedSize, 8)
+    descriptor.writeUInt32LE(entry.size, 12)
+    await this.write(descriptor)
+
+    this.entries.push(entry)
+  }
+
+  // Central directory; the output is left open for the caller to end
+  async finish() {
+    const directoryOffset = this.offset
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46)
+      record.writeUInt32LE(0x02014b50, 0)
+      record.writeUInt16LE(20, 4)
+      record.writeUInt16LE(20, 6)
+      record.writeUInt16LE(ZIP_FLAGS, 8)
+      record.writeUInt16LE(DEFLATE, 10)
+      record.writeUInt16LE(this.stamp.time, 12)
+      record.writeUInt16LE(this.stamp.date, 14)
+      record.writeUInt32LE(entry.crc, 16)
+      record.writeUInt32LE(entry.compressedSize, 20)
+      record.writeUInt32LE(entry.size, 24)
+      record.writeUInt16LE(entry.fileName.length, 28)
+      record.writeUInt32LE(entry.headerOffset, 42)
+      await this.write(Buffer.concat([record, entry.fileName]))
+    }
+
+    const end = Buffer.alloc(22)
+    end.writeUInt32LE(0x06054b50, 0)
+    end.writeUInt16LE(this.entries.length, 8)
+    end.writeUInt16LE(this.entries.length, 10)
+    end.writeUInt32LE(this.offset - directoryOffset, 12)
+    end.writeUInt32LE(directoryOffset, 16)
+    await this.write(end)
+  }
+}
+
+const escapeXml = (value) =>
+  String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "")
+    .replace(/[&<>"]/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[char])
+
+// Column letters of a 0-based index: 0 -> A, 26 -> AA
+const columnName = (index) => {
+  let name = ""
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+// Numbers become number cells, dates ISO text, everything else inline text
+const cellXml = (value, ref, style) => {
+  const styleAttr = style ? ` s="${style}"` : ""
+  if (value === null || value === undefined || value === "") return ""
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`
+  const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : value
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`
+}
+
+const rowXml = (values, rowNumber, style) => {
+  const cells = values.map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`, style))
+  return `<row r="${rowNumber}">${cells.join("")}</row>`
+}
+
+const SPREADSHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+const RELATIONSHIPS_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+
+// Style 1 is the bold header font
+const STYLES_XML =
+  `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  "</styleSheet>"
+
+class XlsxWriter {
+  constructor(output) {
+    this.zip = new ZipWriter(output)
+    this.sheetNames = []
+  }
+
+  // Sheet names are at most 31 characters, without []:*?/\, and unique in the workbook
+  sheetName(name) {
+    const base = String(name).replace(/[[\]:*?/\\]/g, " ").replace(/\s+/g, " ").trim().slice(0, 31) || "Sheet"
+    let candidate = base
+    for (let n = 2; this.sheetNames.some((used) => used.toLowerCase() === candidate.toLowerCase()); n++) {
+      candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`
+    }
+    return candidate
+  }
+
+  // headers: column titles; rows: iterable or async iterable of arrays of cell values
+  async addSheet(name, headers, rows) {
+    const sheetName = this.sheetName(name)
+    this.sheetNames.push(sheetName)
+
+    async function* sheetXml() {
+      yield `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`
+      yield rowXml(headers, 1, 1)
+      let rowNumber = 1
+      for await (const values of rows) {
+        rowNumber += 1
+        yield rowXml(values, rowNumber)
+      }
+      yield "</sheetData></worksheet>"
+    }
+
+    await this.zip.addEntry(`xl/worksheets/sheet${this.sheetNames.length}.xml`, sheetXml())
+  }
+
+  async finish() {
+    const sheets = this.sheetNames.map((name, index) => ({ name, id: index + 1 }))
+
+    await this.zip.addEntry("xl/styles.xml", [STYLES_XML])
+    await this.zip.addEntry("xl/workbook.xml", [
+      `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIPS_NS}"><sheets>` +
+        sheets.map(({ name, id }) => `<sheet name="${escapeXml(name)}" sheetId="${id}" r:id="rId${id}"/>`).join("") +
+        "</sheets></workbook>",
+    ])
+    await this.zip.addEntry("xl/_rels/workbook.xml.rels", [
+      `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        sheets
+          .map(
+            ({ id }) =>
+              `<Relationship Id="rId${id}" Type="${RELATIONSHIPS_NS}/worksheet" Target="worksheets/sheet${id}.xml"/>`,
+          )
+          .join("") +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIPS_NS}/styles" Target="styles.xml"/>` +
+        "</Relationships>",
+    ])
+    await this.zip.addEntry("_rels/.rels", [
+      `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIPS_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>",
+    ])
+    await this.zip.addEntry("[Content_Types].xml", [
+      `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ' +
+        'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets
+          .map(
+            ({ id }) =>
+              `<Override PartName="/xl/worksheets/sheet${id}.xml" ` +
+              'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+          )
+          .join("") +
+        "</Types>",
+    ])
+    await this.zip.finish()
+  }
+}
+
+module.exports = XlsxWriter
+module.exports.ZipWriter = ZipWriter
+module.exports.crc32 = crc32